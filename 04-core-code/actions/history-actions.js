@@ -0,0 +1,20 @@
+// File: 04-core-code/actions/history-actions.js
+
+/**
+ * @fileoverview Action creators for stepping through the quoteData undo/redo history.
+ * These are handled by StateService itself and never reach the reducers.
+ */
+
+import { HISTORY_ACTION_TYPES } from '../config/action-types.js';
+
+export const undo = () => ({
+    type: HISTORY_ACTION_TYPES.UNDO,
+});
+
+export const redo = () => ({
+    type: HISTORY_ACTION_TYPES.REDO,
+});
+
+export const resetHistory = () => ({
+    type: HISTORY_ACTION_TYPES.RESET,
+});
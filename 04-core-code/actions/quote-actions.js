@@ -16,6 +16,11 @@ export const resetQuoteData = () => ({
     type: QUOTE_ACTION_TYPES.RESET_QUOTE_DATA,
 });
 
+export const setCurrentProduct = (productKey) => ({
+    type: QUOTE_ACTION_TYPES.SET_CURRENT_PRODUCT,
+    payload: { productKey },
+});
+
 // --- Item Array Operations ---
 export const insertRow = (selectedIndex) => ({
     type: QUOTE_ACTION_TYPES.INSERT_ROW,
@@ -114,4 +119,51 @@ export const addLFModifiedRows = (rowIndexes) => ({
 export const removeLFModifiedRows = (rowIndexes) => ({
     type: QUOTE_ACTION_TYPES.REMOVE_LF_MODIFIED_ROWS,
     payload: { rowIndexes },
-});
\ No newline at end of file
+});
+
+export const setPaymentSchedule = (scheduleId, depositAmount) => ({
+    type: QUOTE_ACTION_TYPES.SET_PAYMENT_SCHEDULE,
+    payload: { scheduleId, depositAmount },
+});
+
+export const setCustomerTaxExempt = (isExempt) => ({
+    type: QUOTE_ACTION_TYPES.SET_CUSTOMER_TAX_EXEMPT,
+    payload: { isExempt },
+});
+
+export const setCustomerGroup = (groupId) => ({
+    type: QUOTE_ACTION_TYPES.SET_CUSTOMER_GROUP,
+    payload: { groupId },
+});
+
+export const setCustomerPostcode = (postcode) => ({
+    type: QUOTE_ACTION_TYPES.SET_CUSTOMER_POSTCODE,
+    payload: { postcode },
+});
+
+// --- Fee Overrides ---
+export const setFeeOverride = (fee, amount) => ({
+    type: QUOTE_ACTION_TYPES.SET_FEE_OVERRIDE,
+    payload: { fee, amount },
+});
+
+export const addFeeAuditEntry = (entry) => ({
+    type: QUOTE_ACTION_TYPES.ADD_FEE_AUDIT_ENTRY,
+    payload: { entry },
+});
+
+// --- What-if Scenarios ---
+export const addScenario = (scenario) => ({
+    type: QUOTE_ACTION_TYPES.ADD_SCENARIO,
+    payload: { scenario },
+});
+
+export const removeScenario = (scenarioId) => ({
+    type: QUOTE_ACTION_TYPES.REMOVE_SCENARIO,
+    payload: { scenarioId },
+});
+
+export const setScenarioInQuote = (scenarioId, includeInQuote) => ({
+    type: QUOTE_ACTION_TYPES.SET_SCENARIO_IN_QUOTE,
+    payload: { scenarioId, includeInQuote },
+});
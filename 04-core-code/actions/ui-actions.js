@@ -179,6 +179,22 @@ export const toggleF2FeeExclusion = (feeType) => ({
     payload: { feeType },
 });
 
+// --- F4 Quote Library State ---
+export const setQuoteLibraryEntries = (entries) => ({
+    type: UI_ACTION_TYPES.SET_QUOTE_LIBRARY_ENTRIES,
+    payload: { entries },
+});
+
+export const setQuoteLibrarySearchTerm = (searchTerm) => ({
+    type: UI_ACTION_TYPES.SET_QUOTE_LIBRARY_SEARCH_TERM,
+    payload: { searchTerm },
+});
+
+export const setQuoteLibrarySelection = (quoteId) => ({
+    type: UI_ACTION_TYPES.SET_QUOTE_LIBRARY_SELECTION,
+    payload: { quoteId },
+});
+
 // --- Global UI State ---
 export const setSumOutdated = (isOutdated) => ({
     type: UI_ACTION_TYPES.SET_SUM_OUTDATED,
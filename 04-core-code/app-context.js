@@ -52,8 +52,13 @@ export class AppContext {
         this.register('productFactory', productFactory);
 
         let initialStateWithData = JSON.parse(JSON.stringify(initialState));
+        initialStateWithData.quoteData.quoteId = generateQuoteId();
         if (startingQuoteData) {
-            initialStateWithData.quoteData = startingQuoteData;
+            initialStateWithData.quoteData = { ...startingQuoteData, quoteId: startingQuoteData.quoteId || generateQuoteId() };
+            const productStrategy = productFactory.getProductStrategy(startingQuoteData.currentProduct);
+            if (productStrategy) {
+                initialStateWithData.ui.visibleColumns = productStrategy.getQuickQuoteColumns();
+            }
         }
 
         const stateService = new StateService({
@@ -64,16 +69,26 @@ export class AppContext {
         });
         this.register('stateService', stateService);
 
+        const taxService = new TaxService({ configManager });
+        this.register('taxService', taxService);
+
         const calculationService = new CalculationService({
             stateService,
             productFactory,
-            configManager
+            configManager,
+            taxService
         });
         this.register('calculationService', calculationService);
 
         const fileService = new FileService({ productFactory });
         this.register('fileService', fileService);
 
+        const quoteStore = new QuoteStore();
+        this.register('quoteStore', quoteStore);
+
+        const quoteLibraryService = new QuoteLibraryService({ quoteStore, calculationService });
+        this.register('quoteLibraryService', quoteLibraryService);
+
         const focusService = new FocusService({
             stateService
         });
@@ -90,12 +105,14 @@ export class AppContext {
         const productFactory = this.get('productFactory');
         const focusService = this.get('focusService');
         const fileService = this.get('fileService');
+        const quoteLibraryService = this.get('quoteLibraryService');
+        const taxService = this.get('taxService');
 
         // --- Instantiate Right Panel Sub-Views ---
         const rightPanelElement = document.getElementById('function-panel');
-        const f1View = new F1CostView({ panelElement: rightPanelElement, eventAggregator, calculationService });
-        const f2View = new F2SummaryView({ panelElement: rightPanelElement, eventAggregator });
-        const f3View = new F3QuotePrepView({ panelElement: rightPanelElement, eventAggregator });
+        const f1View = new F1CostView({ panelElement: rightPanelElement, eventAggregator, calculationService, taxService });
+        const f2View = new F2SummaryView({ panelElement: rightPanelElement, eventAggregator, calculationService });
+        const f3View = new F3QuotePrepView({ panelElement: rightPanelElement, eventAggregator, configManager });
         const f4View = new F4ActionsView({ panelElement: rightPanelElement, eventAggregator });
 
         // --- Instantiate Main RightPanelComponent Manager ---
@@ -116,10 +133,35 @@ export class AppContext {
         });
         this.register('quotePreviewComponent', quotePreviewComponent);
 
+        const revisionViewerComponent = new RevisionViewerComponent({
+            containerElement: document.getElementById(DOM_IDS.REVISION_VIEWER_OVERLAY),
+            eventAggregator,
+            productFactory
+        });
+        this.register('revisionViewerComponent', revisionViewerComponent);
+
+        const priceMatrixEditorComponent = new PriceMatrixEditorComponent({
+            containerElement: document.getElementById(DOM_IDS.PRICE_MATRIX_EDITOR_OVERLAY),
+            eventAggregator
+        });
+        this.register('priceMatrixEditorComponent', priceMatrixEditorComponent);
+
+        const priceBreakdownComponent = new PriceBreakdownComponent({
+            containerElement: document.getElementById(DOM_IDS.PRICE_BREAKDOWN_OVERLAY),
+            eventAggregator
+        });
+        this.register('priceBreakdownComponent', priceBreakdownComponent);
+
+        const scenarioComparisonComponent = new ScenarioComparisonComponent({
+            containerElement: document.getElementById(DOM_IDS.SCENARIO_COMPARISON_OVERLAY),
+            eventAggregator
+        });
+        this.register('scenarioComparisonComponent', scenarioComparisonComponent);
+
         // --- Instantiate Main Left Panel Views ---
         const k1LocationView = new K1LocationView({ stateService });
-        const k2FabricView = new K2FabricView({ stateService, eventAggregator });
-        const k3OptionsView = new K3OptionsView({ stateService });
+        const k2FabricView = new K2FabricView({ stateService, eventAggregator, configManager });
+        const k3OptionsView = new K3OptionsView({ stateService, productFactory });
         const dualChainView = new DualChainView({ stateService, calculationService, eventAggregator });
         const driveAccessoriesView = new DriveAccessoriesView({ stateService, calculationService, eventAggregator });
 
@@ -127,6 +169,7 @@ export class AppContext {
         const detailConfigView = new DetailConfigView({
             stateService,
             eventAggregator,
+            productFactory,
             k1LocationView,
             k2FabricView,
             k3OptionsView,
@@ -141,7 +184,10 @@ export class AppContext {
             fileService,
             calculationService,
             productFactory,
-            detailConfigView
+            detailConfigView,
+            quoteLibraryService,
+            configManager,
+            taxService
         });
         workflowService.setQuotePreviewComponent(quotePreviewComponent); // [NEW] Inject dependency
         this.register('workflowService', workflowService);
@@ -162,7 +208,9 @@ export class AppContext {
             stateService,
             workflowService,
             quickQuoteView,
-            detailConfigView
+            detailConfigView,
+            quoteLibraryService,
+            configManager
         });
         this.register('appController', appController);
     }
@@ -175,8 +223,11 @@ import { AppController } from './app-controller.js';
 import { ProductFactory } from './strategies/product-factory.js';
 import { StateService } from './services/state-service.js';
 import { CalculationService } from './services/calculation-service.js';
+import { TaxService } from './services/tax-service.js';
 import { FocusService } from './services/focus-service.js';
 import { FileService } from './services/file-service.js';
+import { QuoteStore } from './services/quote-store.js';
+import { QuoteLibraryService } from './services/quote-library-service.js';
 import { WorkflowService } from './services/workflow-service.js';
 import { RightPanelComponent } from './ui/right-panel-component.js';
 import { QuickQuoteView } from './ui/views/quick-quote-view.js';
@@ -187,9 +238,14 @@ import { K3OptionsView } from './ui/views/k3-options-view.js';
 import { DualChainView } from './ui/views/dual-chain-view.js';
 import { DriveAccessoriesView } from './ui/views/drive-accessories-view.js';
 import { initialState } from './config/initial-state.js';
+import { generateQuoteId } from './utils/quote-id.js';
 import { F1CostView } from './ui/views/f1-cost-view.js';
 import { F2SummaryView } from './ui/views/f2-summary-view.js';
 import { F3QuotePrepView } from './ui/views/f3-quote-prep-view.js';
 import { F4ActionsView } from './ui/views/f4-actions-view.js';
 import { QuotePreviewComponent } from './ui/quote-preview-component.js'; // [NEW]
+import { RevisionViewerComponent } from './ui/revision-viewer-component.js';
+import { PriceMatrixEditorComponent } from './ui/price-matrix-editor-component.js';
+import { PriceBreakdownComponent } from './ui/price-breakdown-component.js';
+import { ScenarioComparisonComponent } from './ui/scenario-comparison-component.js';
 import { DOM_IDS } from './config/constants.js'; // [NEW]
\ No newline at end of file
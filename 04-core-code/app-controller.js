@@ -6,14 +6,16 @@ import * as uiActions from './actions/ui-actions.js';
 const AUTOSAVE_INTERVAL_MS = 60000;
 
 export class AppController {
-    constructor({ eventAggregator, stateService, quickQuoteView, detailConfigView, workflowService }) {
+    constructor({ eventAggregator, stateService, quickQuoteView, detailConfigView, workflowService, quoteLibraryService }) {
         this.eventAggregator = eventAggregator;
         this.stateService = stateService; // Still needed for _getFullState and _handleAutoSave
         this.quickQuoteView = quickQuoteView;
         this.detailConfigView = detailConfigView;
         this.workflowService = workflowService;
+        this.quoteLibraryService = quoteLibraryService;
 
         this.autoSaveTimerId = null;
+        this.lastAutoSavedJson = null;
         console.log("AppController (Refactored with grouped subscriptions) Initialized.");
         this.initialize();
     }
@@ -25,6 +27,7 @@ export class AppController {
         this._subscribeF1Events();
         this._subscribeF2Events();
         this._subscribeF3Events(); // [NEW] Add subscription for F3 events
+        this._subscribeF4Events();
 
         // This is the core of the reactive state update.
         // Any service that updates the state via StateService will trigger this,
@@ -44,6 +47,7 @@ export class AppController {
         this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_DELETE_ROW, () => delegate('handleDeleteRow'));
         this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_SAVE, () => delegate('handleSaveToFile'));
         this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_EXPORT_CSV, () => delegate('handleExportCSV'));
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_EXPORT_XLSX, () => delegate('handleExportXLSX'));
         this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_RESET, () => delegate('handleReset'));
         this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_CLEAR_ROW, () => delegate('handleClearRow'));
         this.eventAggregator.subscribe(EVENTS.USER_MOVED_ACTIVE_CELL, (data) => delegate('handleMoveActiveCell', data));
@@ -52,8 +56,10 @@ export class AppController {
         this.eventAggregator.subscribe(EVENTS.USER_TOGGLED_MULTI_SELECT_MODE, () => delegate('handleToggleMultiSelectMode'));
         this.eventAggregator.subscribe(EVENTS.USER_CHOSE_SAVE_THEN_LOAD, () => delegate('handleSaveThenLoad'));
         this.eventAggregator.subscribe(EVENTS.TYPE_CELL_LONG_PRESSED, (data) => delegate('handleTypeCellLongPress', data));
+        this.eventAggregator.subscribe(EVENTS.PRICE_CELL_LONG_PRESSED, (data) => delegate('handlePriceCellLongPress', data));
         this.eventAggregator.subscribe(EVENTS.TYPE_BUTTON_LONG_PRESSED, (data) => delegate('handleTypeButtonLongPress', data));
         this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_MULTI_TYPE_SET, () => delegate('handleMultiTypeSet'));
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_PRODUCT_SWITCH, () => delegate('handleProductSwitchRequest'));
     }
 
     _subscribeDetailViewEvents() {
@@ -104,6 +110,8 @@ export class AppController {
         this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_LOAD, () => this.workflowService.handleUserRequestedLoad());
         this.eventAggregator.subscribe(EVENTS.USER_CHOSE_LOAD_DIRECTLY, () => this.workflowService.handleLoadDirectly());
         this.eventAggregator.subscribe(EVENTS.FILE_LOADED, (data) => this.workflowService.handleFileLoad(data));
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_UNDO, () => this.workflowService.handleUndo());
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_REDO, () => this.workflowService.handleRedo());
     }
 
     _subscribeF1Events() {
@@ -118,10 +126,39 @@ export class AppController {
         this.eventAggregator.subscribe(EVENTS.F2_VALUE_CHANGED, (data) => this.workflowService.handleF2ValueChange(data));
         this.eventAggregator.subscribe(EVENTS.F2_INPUT_ENTER_PRESSED, (data) => this.workflowService.focusNextF2Input(data.id));
         this.eventAggregator.subscribe(EVENTS.TOGGLE_FEE_EXCLUSION, (data) => this.workflowService.handleToggleFeeExclusion(data));
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_F2_TARGET, (data) => this.workflowService.handleF2TargetRequest(data));
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_SCENARIO_COMPARISON, () => this.workflowService.handleScenarioComparisonRequest());
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_ADD_SCENARIO, (data) => this.workflowService.handleAddScenario(data));
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_REMOVE_SCENARIO, (data) => this.workflowService.handleRemoveScenario(data));
+        this.eventAggregator.subscribe(EVENTS.USER_TOGGLED_SCENARIO_IN_QUOTE, (data) => this.workflowService.handleScenarioInQuoteToggle(data));
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_FEE_OVERRIDE, () => this.workflowService.handleFeeOverrideRequest());
     }
 
     _subscribeF3Events() {
         this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_PRINTABLE_QUOTE, () => this.workflowService.handlePrintableQuoteRequest());
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_DOWNLOAD_PDF, () => this.workflowService.handleDownloadPdfRequest());
+        this.eventAggregator.subscribe(EVENTS.USER_CHANGED_PAYMENT_SCHEDULE, (data) => this.workflowService.handlePaymentScheduleChange(data));
+        this.eventAggregator.subscribe(EVENTS.USER_TOGGLED_TAX_EXEMPT, (data) => this.workflowService.handleTaxExemptChange(data));
+        this.eventAggregator.subscribe(EVENTS.USER_CHANGED_CUSTOMER_GROUP, (data) => this.workflowService.handleCustomerGroupChange(data));
+        this.eventAggregator.subscribe(EVENTS.USER_CHANGED_CUSTOMER_ADDRESS, (data) => this.workflowService.handleCustomerAddressChange(data));
+    }
+
+    _subscribeF4Events() {
+        this.eventAggregator.subscribe(EVENTS.F4_TAB_ACTIVATED, () => this.workflowService.handleF4TabActivation());
+        this.eventAggregator.subscribe(EVENTS.USER_SEARCHED_QUOTE_LIBRARY, (data) => this.workflowService.handleQuoteLibrarySearch(data));
+        this.eventAggregator.subscribe(EVENTS.USER_SELECTED_LIBRARY_QUOTE, (data) => this.workflowService.handleQuoteLibrarySelection(data));
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_SAVE_TO_LIBRARY, () => this.workflowService.handleSaveToLibrary());
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_OPEN_LIBRARY_QUOTE, () => this.workflowService.handleOpenLibraryQuote());
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_DUPLICATE_LIBRARY_QUOTE, () => this.workflowService.handleDuplicateLibraryQuote());
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_RENAME_LIBRARY_QUOTE, () => this.workflowService.handleRenameLibraryQuote());
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_DELETE_LIBRARY_QUOTE, () => this.workflowService.handleDeleteLibraryQuote());
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_QUOTE_REVISIONS, () => this.workflowService.handleShowQuoteRevisions());
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_RESTORE_REVISION, (data) => this.workflowService.handleRestoreRevision(data));
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_PRICE_MATRIX_EDITOR, (data) => this.workflowService.handlePriceMatrixEditorRequest(data));
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_SAVE_PRICE_LIST, (data) => this.workflowService.handleSavePriceList(data));
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_PRICE_LIST_REPORT, (data) => this.workflowService.handlePriceListReportRequest(data));
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_EXPORT_PRICE_LIST_REPORT, (data) => this.workflowService.handleExportPriceListReport(data));
+        this.eventAggregator.subscribe(EVENTS.QUOTE_SAVED, () => this.workflowService.handleQuoteSaved());
     }
 
     // This is a special method used by AppContext to publish state, it needs access to stateService.
@@ -161,6 +198,13 @@ export class AppController {
             if (hasContent) {
                 const dataToSave = JSON.stringify(quoteData);
                 localStorage.setItem(STORAGE_KEYS.AUTOSAVE, dataToSave);
+
+                // Also keep the quote in the library, but only touch it when something changed.
+                if (this.quoteLibraryService && dataToSave !== this.lastAutoSavedJson) {
+                    this.lastAutoSavedJson = dataToSave;
+                    this.quoteLibraryService.saveQuote(quoteData)
+                        .catch(error => console.error('Auto-save to the quote library failed:', error));
+                }
             }
         } catch (error) {
             console.error('Auto-save failed:', error);
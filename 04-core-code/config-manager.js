@@ -1,15 +1,57 @@
 // /04-core-code/config-manager.js
-import { f2Config } from './config/f2-config.js';
+import { quoteTemplates, brandingProfiles, DEFAULT_QUOTE_TEMPLATE_ID } from './config/quote-templates.js';
+import { paymentSchedules, DEFAULT_PAYMENT_SCHEDULE_ID } from './config/payment-schedules.js';
+import { taxConfig } from './config/tax-config.js';
+import { discountRules } from './config/discount-rules.js';
+import { customerGroups, DEFAULT_CUSTOMER_GROUP_ID } from './config/customer-groups.js';
+import { deliveryZones } from './config/delivery-zones.js';
 import { paths } from './config/paths.js';
-import { EVENTS } from './config/constants.js';
+import { validatePriceList } from './utils/price-list-validator.js';
+import { EVENTS, PRICE_MATRIX_KINDS, PRICING_METHODS } from './config/constants.js';
+
+// The fields each kind of price matrix must provide to be priceable.
+const MATRIX_KIND_REQUIRED_FIELDS = {
+    [PRICE_MATRIX_KINDS.GRID]: ['widths', 'drops', 'prices'],
+    [PRICE_MATRIX_KINDS.LINEAR]: ['pricePerMetre', 'unitCharge'],
+};
+
+// Used where a price list has no pricingPolicy: today's round-up lookup with no minimum.
+const DEFAULT_PRICING_POLICY = {
+    method: PRICING_METHODS.ROUND_UP,
+    minimumCharge: 0,
+    oversizeSurchargePercent: 0,
+};
+
+// Used where a price list has no fees, or leaves a rule out: flat rates of nothing.
+const DEFAULT_FEE_SCHEDULE = {
+    wifi: { unitPrice: 0 },
+    delivery: { unitPrice: 0, freeOver: null },
+    install: { unitPrice: 0, sizeBands: [], motorisedExtra: 0, minimumCharge: 0 },
+    removal: { unitPrice: 0 },
+    zones: {},
+};
 
 export class ConfigManager {
     constructor(eventAggregator) {
         this.eventAggregator = eventAggregator;
         this.priceMatrices = null;
+        this.matrixSets = null;
         this.accessories = null;
-        this.f2Config = f2Config || {};
+        this.fees = null;
+        this.quoteTemplates = quoteTemplates;
+        this.brandingProfiles = brandingProfiles;
+        this.paymentSchedules = paymentSchedules;
+        this.taxConfig = taxConfig;
+        this.discountRules = discountRules;
+        this.customerGroups = customerGroups;
+        this.deliveryZones = deliveryZones;
+        this.activeCustomerGroupId = DEFAULT_CUSTOMER_GROUP_ID;
+        this.meta = null;
+        this.priceLists = [];
+        this.currentPriceListVersion = null;
+        this.activePriceListVersion = null;
         this.fabricTypeSequence = null;
+        this.productFabricTypeSequences = null;
         this.businessRules = null; // [ADDED] Initialize property for business rules
         this.isInitialized = false;
     }
@@ -18,18 +60,23 @@ export class ConfigManager {
         if (this.isInitialized) return;
 
         try {
-            const response = await fetch(paths.data.priceMatrix);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            const data = await response.json();
-            this.priceMatrices = data.matrices;
-            this.accessories = data.accessories;
-            this.fabricTypeSequence = data.fabricTypeSequence || [];
-            this.businessRules = data.businessRules || {}; // [ADDED] Load business rules from JSON
+            const priceLists = await Promise.all(paths.data.priceLists.map(async (path) => {
+                const response = await fetch(path);
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status} (${path})`);
+                }
+                return response.json();
+            }));
+
+            priceLists.forEach(data => {
+                validatePriceList(data).forEach(({ path, message }) => {
+                    console.error(`Price list ${data.meta?.version}: ${path}: ${message}`);
+                });
+                this._registerPriceList(data);
+            });
+            this.usePriceList(this.currentPriceListVersion);
             this.isInitialized = true;
-            console.log("ConfigManager initialized and price matrices loaded successfully.");
+            console.log(`ConfigManager initialized with ${this.priceLists.length} price list(s); current version ${this.currentPriceListVersion}.`);
 
         } catch (error) {
             console.error("Failed to load price matrices:", error);
@@ -37,33 +84,234 @@ export class ConfigManager {
         }
     }
 
-    getPriceMatrix(fabricType) {
-        if (!this.isInitialized || !this.priceMatrices) {
+    _registerPriceList(data) {
+        const version = String(data.meta?.version || data.meta?.effectiveDate);
+        this.priceLists = this.priceLists
+            .filter(list => list.version !== version)
+            .concat({ version, effectiveDate: data.meta?.effectiveDate || '', data })
+            .sort((a, b) => a.effectiveDate.localeCompare(b.effectiveDate));
+        this.currentPriceListVersion = this._findCurrentPriceList().version;
+        return version;
+    }
+
+    /**
+     * Adds a price list for this session (e.g. one saved from the price matrix editor).
+     * It becomes the current list once its effective date is reached.
+     * @param {object} priceList The price list, in the price-matrix-*.json format.
+     * @returns {Array<{path: string, message: string}>} Validation errors; the list is only added when empty.
+     */
+    addPriceList(priceList) {
+        const errors = validatePriceList(priceList);
+        const version = priceList?.meta?.version;
+        if (version && this.priceLists.some(list => list.version === String(version))) {
+            errors.push({ path: 'meta.version', message: `Price list ${version} already exists.` });
+        }
+        if (errors.length === 0) {
+            this._registerPriceList(JSON.parse(JSON.stringify(priceList)));
+        }
+        return errors;
+    }
+
+    /**
+     * Returns a copy of a price list's data, for editing; the current list if the version is unknown.
+     * @param {string} [version]
+     * @returns {object|null}
+     */
+    getPriceList(version) {
+        const list = this._findPriceList(version);
+        return list ? JSON.parse(JSON.stringify(list.data)) : null;
+    }
+
+    /**
+     * Finds a loaded price list, falling back to the current list for unknown versions.
+     */
+    _findPriceList(version) {
+        return this.priceLists.find(entry => entry.version === version)
+            || this.priceLists.find(entry => entry.version === this.currentPriceListVersion);
+    }
+
+    /**
+     * The current price list is the latest one already in effect; if every list takes effect
+     * in the future, the earliest one is used.
+     */
+    _findCurrentPriceList(today = new Date().toISOString().slice(0, 10)) {
+        const inEffect = this.priceLists.filter(list => list.effectiveDate <= today);
+        return inEffect[inEffect.length - 1] || this.priceLists[0];
+    }
+
+    /**
+     * Lists the loaded price lists, oldest first.
+     * @returns {Array<{version: string, effectiveDate: string, supplier: string}>}
+     */
+    getPriceListVersions() {
+        return this.priceLists.map(({ version, effectiveDate, data }) => ({
+            version, effectiveDate, supplier: data.meta?.supplier || ''
+        }));
+    }
+
+    getPriceListInfo(version) {
+        return this.getPriceListVersions().find(list => list.version === version) || null;
+    }
+
+    getCurrentPriceListVersion() {
+        return this.currentPriceListVersion;
+    }
+
+    getActivePriceListVersion() {
+        return this.activePriceListVersion;
+    }
+
+    /**
+     * Returns the version a quote recording `version` is priced against, without making it active.
+     * @param {string|null} [version]
+     * @returns {string} The version itself, or the current list's when it is missing or no longer shipped.
+     */
+    resolvePriceListVersion(version) {
+        return this._findPriceList(version)?.version ?? this.activePriceListVersion;
+    }
+
+    /**
+     * Makes a price list the one every getter prices from. Quotes record the version they
+     * were priced against (`quoteData.priceListVersion`); quotes without one, or whose list
+     * is no longer shipped, use the current list.
+     * @param {string|null} [version]
+     * @returns {string} The version now in use.
+     */
+    usePriceList(version) {
+        const list = this._findPriceList(version);
+        if (!list) return this.activePriceListVersion;
+        if (list.version === this.activePriceListVersion) return list.version;
+
+        const { data } = list;
+        this.meta = data.meta || {};
+        this.priceMatrices = data.matrices;
+        this.matrixSets = data.matrixSets || {};
+        this.accessories = data.accessories;
+        this.fees = data.fees || {};
+        this.fabricTypeSequence = data.fabricTypeSequence || [];
+        this.productFabricTypeSequences = data.productFabricTypeSequences || {};
+        this.businessRules = data.businessRules || {}; // [ADDED] Load business rules from JSON
+        this.activePriceListVersion = list.version;
+        return list.version;
+    }
+
+    /**
+     * Makes a customer group the one every price matrix is priced for. Quotes carry their
+     * customer's group (`quoteData.customer.groupId`); quotes without one use the default group.
+     * @param {string|null} [groupId]
+     * @returns {string} The group now in use.
+     */
+    useCustomerGroup(groupId) {
+        this.activeCustomerGroupId = this.getCustomerGroup(groupId).id;
+        return this.activeCustomerGroupId;
+    }
+
+    getActiveCustomerGroupId() {
+        return this.activeCustomerGroupId;
+    }
+
+    /**
+     * Lists the customer groups for the F3 chooser.
+     * @returns {Array<object>}
+     */
+    getCustomerGroups() {
+        return this.customerGroups;
+    }
+
+    /**
+     * Returns a customer group, falling back to the default for unknown ids.
+     * @param {string} groupId
+     * @returns {object}
+     */
+    getCustomerGroup(groupId) {
+        return this.customerGroups.find(group => group.id === groupId)
+            || this.customerGroups.find(group => group.id === DEFAULT_CUSTOMER_GROUP_ID);
+    }
+
+    /**
+     * Returns the price matrix for a fabric type, with aliases resolved and `kind` filled in, as
+     * priced for the active customer group: from the group's matrix set when it has the fabric type,
+     * otherwise with the group's percentage off. Matrices without a `kind` are width x drop grids;
+     * a resolved alias names its target in `pricedFrom`, and a group that changed the prices is
+     * described in `customerGroup`.
+     * A quote's own price list and customer group can be named instead, leaving the active ones as they are.
+     * @param {string} fabricType - The fabric type key (e.g., 'B1', 'FS1').
+     * @param {{priceListVersion?: string|null, customerGroupId?: string|null}} [pricing] - Omitted
+     *   fields use the active list and group; null ones the current list and default group.
+     * @returns {object|null} The matrix, or null if it is missing or malformed for its kind.
+     */
+    getPriceMatrix(fabricType, { priceListVersion = this.activePriceListVersion, customerGroupId = this.activeCustomerGroupId } = {}) {
+        const priceList = this._findPriceList(priceListVersion)?.data;
+        if (!this.isInitialized || !priceList?.matrices) {
             console.error("ConfigManager not initialized or matrices not loaded.");
             return null;
         }
-        
-        const matrix = this.priceMatrices[fabricType];
+
+        const group = this.getCustomerGroup(customerGroupId);
+        const setMatrices = (group.matrixSet && priceList.matrixSets?.[group.matrixSet]?.matrices) || {};
+        const matrices = { ...priceList.matrices, ...setMatrices };
+        let matrix = matrices[fabricType];
+        let pricedFromKey = fabricType;
 
         if (matrix && matrix.aliasFor) {
-            const aliasTargetMatrix = this.priceMatrices[matrix.aliasFor];
+            pricedFromKey = matrix.aliasFor;
+            const aliasTargetMatrix = matrices[matrix.aliasFor];
             if (aliasTargetMatrix) {
-                return { ...aliasTargetMatrix, name: matrix.name };
+                matrix = { ...aliasTargetMatrix, name: matrix.name, pricedFrom: matrix.aliasFor };
             } else {
                 console.error(`Alias target '${matrix.aliasFor}' not found for fabric type '${fabricType}'.`);
                 return null;
             }
         }
         
-        return matrix || null;
+        if (!matrix) return null;
+
+        const kind = matrix.kind || PRICE_MATRIX_KINDS.GRID;
+        const requiredFields = MATRIX_KIND_REQUIRED_FIELDS[kind];
+        if (!requiredFields) {
+            console.error(`Unknown price matrix kind '${kind}' for fabric type '${fabricType}'.`);
+            return null;
+        }
+        const missingFields = requiredFields.filter(field => matrix[field] === undefined);
+        if (missingFields.length > 0) {
+            console.error(`Price matrix '${fabricType}' (${kind}) is missing: ${missingFields.join(', ')}.`);
+            return null;
+        }
+
+        return this._applyCustomerGroup({ ...matrix, kind }, group, setMatrices[pricedFromKey] !== undefined, [fabricType, pricedFromKey]);
+    }
+
+    /**
+     * Prices a matrix for a customer group. Matrices from the group's matrix set are left as they
+     * are; others take the fabric type's (or its alias target's) percentage, or the group's.
+     */
+    _applyCustomerGroup(matrix, group, isFromMatrixSet, fabricTypeKeys) {
+        if (isFromMatrixSet) {
+            return { ...matrix, customerGroup: { id: group.id, name: group.name, matrixSet: group.matrixSet } };
+        }
+        const override = fabricTypeKeys.map(key => group.fabricTypes?.[key]).find(percent => percent !== undefined);
+        const percentOff = override ?? group.percentOff ?? 0;
+        if (!percentOff) return matrix;
+
+        const discount = (price) => (typeof price === 'number' ? Math.round(price * (100 - percentOff)) / 100 : price);
+        const discounted = matrix.kind === PRICE_MATRIX_KINDS.LINEAR
+            ? { pricePerMetre: discount(matrix.pricePerMetre), unitCharge: discount(matrix.unitCharge) }
+            : { prices: matrix.prices.map(row => row.map(discount)) };
+        return { ...matrix, ...discounted, customerGroup: { id: group.id, name: group.name, percentOff } };
     }
 
-    getAccessoryPrice(accessoryKey) {
-        if (!this.isInitialized || !this.accessories) {
+    /**
+     * @param {string} accessoryKey
+     * @param {{priceListVersion?: string|null}} [pricing] - The price list to read; the active one when omitted.
+     * @returns {number|null}
+     */
+    getAccessoryPrice(accessoryKey, { priceListVersion = this.activePriceListVersion } = {}) {
+        const accessories = this._findPriceList(priceListVersion)?.data.accessories;
+        if (!this.isInitialized || !accessories) {
             console.error("ConfigManager not initialized or accessories not loaded.");
             return null;
         }
-        const accessory = this.accessories[accessoryKey];
+        const accessory = accessories[accessoryKey];
         if (accessory && typeof accessory.price === 'number') {
             return accessory.price;
         }
@@ -71,16 +319,48 @@ export class ConfigManager {
         return null;
     }
 
-    getFabricTypeSequence() {
+    /**
+     * Returns the fabric type cycle for a product. Products without their own
+     * sequence in `productFabricTypeSequences` fall back to the roller blind sequence.
+     * @param {string} [productType] - The product key (e.g., 'sheerCurtain').
+     * @returns {Array<string>}
+     */
+    getFabricTypeSequence(productType) {
         if (!this.isInitialized || !this.fabricTypeSequence) {
             console.error("ConfigManager not initialized or fabricTypeSequence not loaded.");
             return [];
         }
-        return this.fabricTypeSequence;
+        const productSequence = productType ? this.productFabricTypeSequences?.[productType] : null;
+        return productSequence || this.fabricTypeSequence;
     }
 
-    getF2Config() {
-        return this.f2Config;
+    /**
+     * Returns the F2 fee schedule of the active price list, each fee filled in from
+     * DEFAULT_FEE_SCHEDULE. Install `sizeBands` are `{maxArea, unitPrice}` (m², smallest first);
+     * a blind larger than every band is charged the install `unitPrice`. `zones` holds each delivery
+     * zone's `deliveryUnitPrice` (in place of the delivery rate) and `installExtra` (per blind).
+     * @param {{priceListVersion?: string|null}} [pricing] - The price list to read; the active one when omitted.
+     * @returns {{wifi: object, delivery: object, install: object, removal: object, zones: object}}
+     */
+    getFeeSchedule({ priceListVersion = this.activePriceListVersion } = {}) {
+        const fees = this._findPriceList(priceListVersion)?.data.fees || {};
+        return Object.fromEntries(Object.entries(DEFAULT_FEE_SCHEDULE)
+            .map(([key, defaults]) => [key, { ...defaults, ...fees[key] }]));
+    }
+
+    /**
+     * Finds the delivery zone of a postcode (see config/delivery-zones.js).
+     * @param {string} postcode
+     * @returns {{id: string, name: string}|null} The zone, or null outside every zone.
+     */
+    findDeliveryZone(postcode) {
+        const code = parseInt(postcode, 10);
+        if (Number.isNaN(code)) return null;
+        const zone = this.deliveryZones.find(({ postcodes }) => postcodes.some(range => {
+            const [from, to = from] = range.split('-').map(part => parseInt(part, 10));
+            return code >= from && code <= to;
+        }));
+        return zone ? { id: zone.id, name: zone.name } : null;
     }
 
     // [ADDED] New getter method for validation rules.
@@ -95,9 +375,80 @@ export class ConfigManager {
         return this.businessRules.logic || null;
     }
 
+    /**
+     * Returns the pricing policy for a fabric type: the list's default, overridden by the
+     * fabric type's own entry (an alias without one uses its target's).
+     * @param {string} fabricType
+     * @param {{priceListVersion?: string|null}} [pricing] - The price list to read; the active one when omitted.
+     * @returns {{method: string, minimumCharge: number, oversizeSurchargePercent: number}}
+     */
+    getPricingPolicy(fabricType, { priceListVersion = this.activePriceListVersion } = {}) {
+        const priceList = this._findPriceList(priceListVersion)?.data;
+        const pricingPolicy = priceList?.businessRules?.pricingPolicy || {};
+        const overrides = pricingPolicy.fabricTypes || {};
+        const aliasFor = priceList?.matrices?.[fabricType]?.aliasFor;
+        const override = overrides[fabricType] || (aliasFor ? overrides[aliasFor] : null);
+        return { ...DEFAULT_PRICING_POLICY, ...pricingPolicy.default, ...override };
+    }
+
     // [ADDED] New getter method for accessory mappings.
     getAccessoryMappings() {
         if (!this.isInitialized || !this.businessRules) return { accessoryPriceKeyMap: {}, accessoryMethodNameMap: {} };
         return this.businessRules.mappings || { accessoryPriceKeyMap: {}, accessoryMethodNameMap: {} };
     }
-}
\ No newline at end of file
+
+    /**
+     * Returns the tax configuration, with `pricesIncludeTax` taken from the price list's
+     * `meta.gstIncluded` flag (prices are tax-exclusive until the list says otherwise).
+     * @returns {object}
+     */
+    getTaxConfig() {
+        return { ...this.taxConfig, pricesIncludeTax: this.meta?.gstIncluded === true };
+    }
+
+    /**
+     * Lists the quote templates for the F3 chooser.
+     * @returns {Array<{id: string, name: string}>}
+     */
+    getQuoteTemplates() {
+        return this.quoteTemplates.map(({ id, name }) => ({ id, name }));
+    }
+
+    /**
+     * Returns a quote template with its branding profile resolved. Unknown ids (e.g. from a
+     * quote saved before the template was removed) fall back to the default template.
+     * @param {string} templateId
+     * @returns {object} The template, with `branding` filled in.
+     */
+    getQuoteTemplate(templateId) {
+        const template = this.quoteTemplates.find(entry => entry.id === templateId)
+            || this.quoteTemplates.find(entry => entry.id === DEFAULT_QUOTE_TEMPLATE_ID);
+        return { ...template, branding: this.brandingProfiles[template.brandingProfileId] };
+    }
+
+    /**
+     * Returns the automatic discount rules (see config/discount-rules.js).
+     * @returns {Array<object>}
+     */
+    getDiscountRules() {
+        return this.discountRules;
+    }
+
+    /**
+     * Lists the payment schedules for the F3 chooser.
+     * @returns {Array<object>}
+     */
+    getPaymentSchedules() {
+        return this.paymentSchedules;
+    }
+
+    /**
+     * Returns a payment schedule, falling back to the default for unknown ids.
+     * @param {string} scheduleId
+     * @returns {object}
+     */
+    getPaymentSchedule(scheduleId) {
+        return this.paymentSchedules.find(schedule => schedule.id === scheduleId)
+            || this.paymentSchedules.find(schedule => schedule.id === DEFAULT_PAYMENT_SCHEDULE_ID);
+    }
+}
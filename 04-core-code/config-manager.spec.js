@@ -0,0 +1,147 @@
+// /04-core-code/config-manager.spec.js
+
+import { ConfigManager } from './config-manager.js';
+
+jest.mock('./config/paths.js', () => ({
+    paths: {
+        partials: {},
+        data: { priceLists: ['v1.0.json', 'v2.0.json', 'v3.0.json'] }
+    }
+}));
+
+const buildPriceList = (version, effectiveDate, price) => ({
+    meta: { version, effectiveDate, gstIncluded: false },
+    matrices: { B1: { name: 'UNILINE - SUNSET', widths: [1000], drops: [1000], prices: [[price]] } },
+    accessories: { winderHD: { price: 30 } },
+    fabricTypeSequence: ['B1']
+});
+
+const PRICE_LISTS = {
+    // Served newest first, to check the lists are ordered by effective date.
+    'v1.0.json': buildPriceList('2.0', '2025-07-01', 120),
+    'v2.0.json': buildPriceList('1.0', '2024-12-01', 100),
+    'v3.0.json': buildPriceList('3.0', '2099-01-01', 150)
+};
+
+describe('ConfigManager price lists', () => {
+    let configManager;
+
+    beforeEach(async () => {
+        globalThis.fetch = jest.fn(async (path) => ({ ok: true, json: async () => PRICE_LISTS[path] }));
+        configManager = new ConfigManager({ publish: jest.fn() });
+        await configManager.initialize();
+    });
+
+    afterEach(() => {
+        delete globalThis.fetch;
+    });
+
+    it('should load every price list and make the latest one in effect current', () => {
+        expect(configManager.getPriceListVersions().map(list => list.version)).toEqual(['1.0', '2.0', '3.0']);
+        expect(configManager.getCurrentPriceListVersion()).toBe('2.0');
+        expect(configManager.getActivePriceListVersion()).toBe('2.0');
+        expect(configManager.getPriceMatrix('B1').prices[0][0]).toBe(120);
+    });
+
+    it('should price from the list a quote was priced against', () => {
+        expect(configManager.usePriceList('1.0')).toBe('1.0');
+        expect(configManager.getPriceMatrix('B1').prices[0][0]).toBe(100);
+        expect(configManager.getPriceListInfo('1.0').effectiveDate).toBe('2024-12-01');
+    });
+
+    it('should fall back to the current list for unknown or missing versions', () => {
+        configManager.usePriceList('1.0');
+
+        expect(configManager.usePriceList('0.9')).toBe('2.0');
+        configManager.usePriceList('1.0');
+        expect(configManager.usePriceList(null)).toBe('2.0');
+        expect(configManager.getPriceMatrix('B1').prices[0][0]).toBe(120);
+    });
+
+    it('should price from a named list and customer group without changing the active ones', () => {
+        expect(configManager.getPriceMatrix('B1', { priceListVersion: '1.0', customerGroupId: 'builder' }).prices[0][0]).toBe(88);
+        expect(configManager.getPriceMatrix('B1', { priceListVersion: null, customerGroupId: null }).prices[0][0]).toBe(120);
+        expect(configManager.getAccessoryPrice('winderHD', { priceListVersion: '1.0' })).toBe(30);
+        expect(configManager.resolvePriceListVersion('0.9')).toBe('2.0');
+
+        expect(configManager.getActivePriceListVersion()).toBe('2.0');
+        expect(configManager.getActiveCustomerGroupId()).toBe('retail');
+        expect(configManager.getPriceMatrix('B1').prices[0][0]).toBe(120);
+    });
+
+    it('should add a valid, new price list and reject invalid or existing versions', () => {
+        expect(configManager.addPriceList(buildPriceList('2.0', '2026-01-01', 130))[0].message).toBe('Price list 2.0 already exists.');
+        expect(configManager.addPriceList(buildPriceList('2.1', '2026-01-01', -1))[0].path).toBe('matrices.B1.prices[0][0]');
+
+        expect(configManager.addPriceList(buildPriceList('2.1', '2026-01-01', 130))).toEqual([]);
+        expect(configManager.getCurrentPriceListVersion()).toBe('2.1');
+        expect(configManager.getPriceList('2.1').matrices.B1.prices[0][0]).toBe(130);
+    });
+
+    it('should resolve a fabric type\'s pricing policy over the list default', () => {
+        expect(configManager.getPricingPolicy('B1')).toEqual({ method: 'roundUp', minimumCharge: 0, oversizeSurchargePercent: 0 });
+
+        const priceList = buildPriceList('2.1', '2026-01-01', 130);
+        priceList.matrices.B5 = { name: 'SHAW - VIBE', aliasFor: 'B1' };
+        priceList.businessRules = {
+            pricingPolicy: {
+                default: { minimumCharge: 90 },
+                fabricTypes: { B1: { method: 'extrapolate', oversizeSurchargePercent: 15 } }
+            }
+        };
+        configManager.addPriceList(priceList);
+        configManager.usePriceList('2.0');
+
+        expect(configManager.getPricingPolicy('B5', { priceListVersion: '2.1' })).toEqual({ method: 'extrapolate', minimumCharge: 90, oversizeSurchargePercent: 15 });
+        expect(configManager.getPricingPolicy('B5')).toEqual({ method: 'roundUp', minimumCharge: 0, oversizeSurchargePercent: 0 });
+        configManager.usePriceList('2.1');
+        expect(configManager.getPricingPolicy('B5')).toEqual({ method: 'extrapolate', minimumCharge: 90, oversizeSurchargePercent: 15 });
+    });
+
+    it('should price matrices for the active customer group', () => {
+        const priceList = buildPriceList('2.1', '2026-01-01', 200);
+        priceList.matrices.B5 = { name: 'SHAW - VIBE', aliasFor: 'B1' };
+        priceList.matrices.S1 = { name: 'SHEER - VOILE', widths: [1000], drops: [1000], prices: [[100]] };
+        priceList.matrices.FS1 = { name: 'RETRACTABLE - SINGLE', kind: 'linear', pricePerMetre: 95, unitCharge: 85 };
+        priceList.matrixSets = { trade: { name: 'Trade net prices', matrices: { B1: { name: 'UNILINE - SUNSET', widths: [1000], drops: [1000], prices: [[150]] } } } };
+        configManager.addPriceList(priceList);
+        configManager.usePriceList('2.1');
+
+        expect(configManager.getPriceMatrix('B1').customerGroup).toBeUndefined();
+        expect(configManager.useCustomerGroup('builder')).toBe('builder');
+        expect(configManager.getPriceMatrix('B1').prices[0][0]).toBe(176);
+        expect(configManager.getPriceMatrix('FS1')).toEqual(expect.objectContaining({ pricePerMetre: 83.6, unitCharge: 74.8 }));
+
+        configManager.useCustomerGroup('designer');
+        expect(configManager.getPriceMatrix('S1')).toEqual(expect.objectContaining({
+            prices: [[85]], customerGroup: { id: 'designer', name: 'Interior designers', percentOff: 15 }
+        }));
+
+        configManager.useCustomerGroup('trade');
+        expect(configManager.getPriceMatrix('B5')).toEqual(expect.objectContaining({ prices: [[150]], pricedFrom: 'B1', name: 'SHAW - VIBE' }));
+        expect(configManager.getPriceMatrix('FS1').pricePerMetre).toBe(76);
+        expect(configManager.getPriceList('2.1').matrices.B1.prices[0][0]).toBe(200);
+
+        expect(configManager.useCustomerGroup('retired-group')).toBe('retail');
+    });
+
+    it('should fill in the fee schedule and find the delivery zone of a postcode', () => {
+        const priceList = buildPriceList('2.1', '2025-08-01', 200);
+        priceList.fees = { delivery: { unitPrice: 100, freeOver: 2000 }, zones: { regional: { deliveryUnitPrice: 250, installExtra: 10 } } };
+        configManager.addPriceList(priceList);
+        configManager.usePriceList('2.1');
+
+        expect(configManager.getFeeSchedule()).toEqual({
+            wifi: { unitPrice: 0 },
+            delivery: { unitPrice: 100, freeOver: 2000 },
+            install: { unitPrice: 0, sizeBands: [], motorisedExtra: 0, minimumCharge: 0 },
+            removal: { unitPrice: 0 },
+            zones: { regional: { deliveryUnitPrice: 250, installExtra: 10 } }
+        });
+        expect(configManager.getFeeSchedule({ priceListVersion: '1.0' }).delivery).toEqual({ unitPrice: 0, freeOver: null });
+        expect(configManager.findDeliveryZone('2000')).toEqual({ id: 'metro', name: 'Metro' });
+        expect(configManager.findDeliveryZone('2580')).toEqual({ id: 'regional', name: 'Regional' });
+        expect(configManager.findDeliveryZone('0870')).toBeNull();
+        expect(configManager.findDeliveryZone('')).toBeNull();
+    });
+});
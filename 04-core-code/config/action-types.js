@@ -56,6 +56,11 @@ export const UI_ACTION_TYPES = {
     SET_F2_VALUE: 'ui/setF2Value',
     TOGGLE_F2_FEE_EXCLUSION: 'ui/toggleF2FeeExclusion',
 
+    // F4 Quote Library State
+    SET_QUOTE_LIBRARY_ENTRIES: 'ui/setQuoteLibraryEntries',
+    SET_QUOTE_LIBRARY_SEARCH_TERM: 'ui/setQuoteLibrarySearchTerm',
+    SET_QUOTE_LIBRARY_SELECTION: 'ui/setQuoteLibrarySelection',
+
     // Global UI State
     SET_SUM_OUTDATED: 'ui/setSumOutdated',
     RESET_UI: 'ui/reset',
@@ -65,6 +70,7 @@ export const QUOTE_ACTION_TYPES = {
     // Quote Data Root
     SET_QUOTE_DATA: 'quote/setQuoteData',
     RESET_QUOTE_DATA: 'quote/resetQuoteData',
+    SET_CURRENT_PRODUCT: 'quote/setCurrentProduct',
 
     // Item Array Operations
     INSERT_ROW: 'quote/insertRow',
@@ -90,6 +96,21 @@ export const QUOTE_ACTION_TYPES = {
     
     // Summary & Metadata
     UPDATE_ACCESSORY_SUMMARY: 'quote/updateAccessorySummary',
+    SET_PAYMENT_SCHEDULE: 'quote/setPaymentSchedule',
+    SET_CUSTOMER_TAX_EXEMPT: 'quote/setCustomerTaxExempt',
+    SET_CUSTOMER_GROUP: 'quote/setCustomerGroup',
+    SET_CUSTOMER_POSTCODE: 'quote/setCustomerPostcode',
+    SET_FEE_OVERRIDE: 'quote/setFeeOverride',
+    ADD_FEE_AUDIT_ENTRY: 'quote/addFeeAuditEntry',
+    ADD_SCENARIO: 'quote/addScenario',
+    REMOVE_SCENARIO: 'quote/removeScenario',
+    SET_SCENARIO_IN_QUOTE: 'quote/setScenarioInQuote',
     ADD_LF_MODIFIED_ROWS: 'quote/addLFModifiedRows',
     REMOVE_LF_MODIFIED_ROWS: 'quote/removeLFModifiedRows',
+};
+
+export const HISTORY_ACTION_TYPES = {
+    UNDO: 'history/undo',
+    REDO: 'history/redo',
+    RESET: 'history/reset',
 };
\ No newline at end of file
@@ -12,6 +12,7 @@ export const EVENTS = {
     STATE_CHANGED: 'stateChanged',
     INTERNAL_STATE_UPDATED: '_internalStateUpdated',
     OPERATION_SUCCESSFUL_AUTO_HIDE_PANEL: 'operationSuccessfulAutoHidePanel',
+    HISTORY_CHANGED: 'historyChanged',
 
     // --- UI Notifications & Dialogs ---
     SHOW_NOTIFICATION: 'showNotification',
@@ -21,6 +22,11 @@ export const EVENTS = {
 
     // --- [NEW] Quote Preview Workflow ---
     USER_REQUESTED_PRINTABLE_QUOTE: 'userRequestedPrintableQuote',
+    USER_REQUESTED_DOWNLOAD_PDF: 'userRequestedDownloadPdf',
+    USER_CHANGED_PAYMENT_SCHEDULE: 'userChangedPaymentSchedule',
+    USER_TOGGLED_TAX_EXEMPT: 'userToggledTaxExempt',
+    USER_CHANGED_CUSTOMER_GROUP: 'userChangedCustomerGroup',
+    USER_CHANGED_CUSTOMER_ADDRESS: 'userChangedCustomerAddress',
     SHOW_QUOTE_PREVIEW: 'showQuotePreview',
 
     // --- User Actions: Quick Quote View ---
@@ -33,7 +39,12 @@ export const EVENTS = {
     USER_REQUESTED_CALCULATE_AND_SUM: 'userRequestedCalculateAndSum',
     USER_TOGGLED_MULTI_SELECT_MODE: 'userToggledMultiSelectMode',
     USER_REQUESTED_MULTI_TYPE_SET: 'userRequestedMultiTypeSet',
+    USER_REQUESTED_PRODUCT_SWITCH: 'userRequestedProductSwitch',
+    USER_REQUESTED_UNDO: 'userRequestedUndo',
+    USER_REQUESTED_REDO: 'userRequestedRedo',
     TYPE_CELL_LONG_PRESSED: 'typeCellLongPressed',
+    PRICE_CELL_LONG_PRESSED: 'priceCellLongPressed',
+    SHOW_PRICE_BREAKDOWN: 'showPriceBreakdown',
     TYPE_BUTTON_LONG_PRESSED: 'typeButtonLongPressed',
 
     // --- User Actions: Detail View ---
@@ -59,6 +70,7 @@ export const EVENTS = {
     // --- User Actions: File Operations ---
     USER_REQUESTED_SAVE: 'userRequestedSave',
     USER_REQUESTED_EXPORT_CSV: 'userRequestedExportCSV',
+    USER_REQUESTED_EXPORT_XLSX: 'userRequestedExportXLSX',
     USER_REQUESTED_RESET: 'userRequestedReset',
     USER_REQUESTED_LOAD: 'userRequestedLoad',
     USER_CHOSE_SAVE_THEN_LOAD: 'userChoseSaveThenLoad',
@@ -75,6 +87,33 @@ export const EVENTS = {
     F2_VALUE_CHANGED: 'f2ValueChanged',
     F2_INPUT_ENTER_PRESSED: 'f2InputEnterPressed',
     TOGGLE_FEE_EXCLUSION: 'toggleFeeExclusion',
+    USER_REQUESTED_F2_TARGET: 'userRequestedF2Target',
+    USER_REQUESTED_SCENARIO_COMPARISON: 'userRequestedScenarioComparison',
+    USER_REQUESTED_ADD_SCENARIO: 'userRequestedAddScenario',
+    USER_REQUESTED_REMOVE_SCENARIO: 'userRequestedRemoveScenario',
+    USER_TOGGLED_SCENARIO_IN_QUOTE: 'userToggledScenarioInQuote',
+    SHOW_SCENARIO_COMPARISON: 'showScenarioComparison',
+    USER_REQUESTED_FEE_OVERRIDE: 'userRequestedFeeOverride',
+
+    // --- User Actions: F4 Quote Library ---
+    F4_TAB_ACTIVATED: 'f4TabActivated',
+    USER_SEARCHED_QUOTE_LIBRARY: 'userSearchedQuoteLibrary',
+    USER_SELECTED_LIBRARY_QUOTE: 'userSelectedLibraryQuote',
+    USER_REQUESTED_SAVE_TO_LIBRARY: 'userRequestedSaveToLibrary',
+    USER_REQUESTED_OPEN_LIBRARY_QUOTE: 'userRequestedOpenLibraryQuote',
+    USER_REQUESTED_DUPLICATE_LIBRARY_QUOTE: 'userRequestedDuplicateLibraryQuote',
+    USER_REQUESTED_RENAME_LIBRARY_QUOTE: 'userRequestedRenameLibraryQuote',
+    USER_REQUESTED_DELETE_LIBRARY_QUOTE: 'userRequestedDeleteLibraryQuote',
+    USER_REQUESTED_QUOTE_REVISIONS: 'userRequestedQuoteRevisions',
+    USER_REQUESTED_RESTORE_REVISION: 'userRequestedRestoreRevision',
+    SHOW_REVISION_VIEWER: 'showRevisionViewer',
+    USER_REQUESTED_PRICE_MATRIX_EDITOR: 'userRequestedPriceMatrixEditor',
+    SHOW_PRICE_MATRIX_EDITOR: 'showPriceMatrixEditor',
+    USER_REQUESTED_SAVE_PRICE_LIST: 'userRequestedSavePriceList',
+    USER_REQUESTED_PRICE_LIST_REPORT: 'userRequestedPriceListReport',
+    SHOW_PRICE_LIST_REPORT: 'showPriceListReport',
+    USER_REQUESTED_EXPORT_PRICE_LIST_REPORT: 'userRequestedExportPriceListReport',
+    QUOTE_SAVED: 'quoteSaved',
 
     // --- Cell/Row Interactions ---
     TABLE_CELL_CLICKED: 'tableCellClicked',
@@ -93,13 +132,20 @@ export const DOM_IDS = {
     CONFIRMATION_DIALOG_OVERLAY: 'confirmation-dialog-overlay',
     FILE_LOADER: 'file-loader',
     QUOTE_PREVIEW_OVERLAY: 'quote-preview-overlay', // [NEW]
+    REVISION_VIEWER_OVERLAY: 'revision-viewer-overlay',
+    PRICE_MATRIX_EDITOR_OVERLAY: 'price-matrix-editor-overlay',
+    PRICE_BREAKDOWN_OVERLAY: 'price-breakdown-overlay',
+    SCENARIO_COMPARISON_OVERLAY: 'scenario-comparison-overlay',
 
     // --- Numeric Keyboard & Top Controls ---
     NUMERIC_KEYBOARD: 'numeric-keyboard',
     PANEL_TOGGLE: 'panel-toggle',
     KEY_M_SET: 'key-m-set',
+    KEY_PRODUCT: 'key-product',
     TOTAL_SUM_VALUE: 'total-sum-value',
     KEY_INS_GRID: 'key-ins-grid',
+    KEY_UNDO: 'key-undo',
+    KEY_REDO: 'key-redo',
 
     // --- Left Panel & Tabs ---
     LEFT_PANEL_TOGGLE: 'left-panel-toggle',
@@ -133,17 +179,59 @@ export const DOM_IDS = {
     F1_SUB_TOTAL: 'f1-sub-total',
     F1_GST: 'f1-gst',
     F1_FINAL_TOTAL: 'f1-final-total',
+    F1_PRODUCT_SUBTOTALS: 'f1-product-subtotals',
+
+    // --- F2 Panel Elements ---
+    F2_PRODUCT_SUBTOTALS: 'f2-product-subtotals',
+    F2_DISCOUNT_LINES: 'f2-discount-lines',
+    F2_FEE_NOTES: 'f2-fee-notes',
 
     // --- F3 Panel Elements ---
     BTN_ADD_QUOTE: 'btn-add-quote', // [NEW]
+    BTN_DOWNLOAD_PDF: 'btn-download-pdf',
+
+    // --- F4 Quote Library Elements ---
+    F4_LIBRARY_SEARCH: 'f4-library-search',
+    F4_LIBRARY_LIST: 'f4-library-list',
+    F4_LIBRARY_SAVE: 'f4-library-save',
+    F4_LIBRARY_OPEN: 'f4-library-open',
+    F4_LIBRARY_DUPLICATE: 'f4-library-duplicate',
+    F4_LIBRARY_RENAME: 'f4-library-rename',
+    F4_LIBRARY_DELETE: 'f4-library-delete',
+    F4_LIBRARY_REVISIONS: 'f4-library-revisions',
 
     // --- Dialog-specific Elements ---
     DIALOG_INPUT_1CH: 'dialog-input-1ch',
     DIALOG_INPUT_16CH: 'dialog-input-16ch',
     DIALOG_INPUT_COMBO: 'dialog-input-combo',
     DIALOG_INPUT_SLIM: 'dialog-input-slim',
+    DIALOG_INPUT_QUOTE_NAME: 'dialog-input-quote-name',
+    DIALOG_INPUT_FEE_DELIVERY: 'dialog-input-fee-delivery',
+    DIALOG_INPUT_FEE_INSTALL: 'dialog-input-fee-install',
+    DIALOG_INPUT_FEE_REMOVAL: 'dialog-input-fee-removal',
+    DIALOG_INPUT_FEE_REASON: 'dialog-input-fee-reason',
 };
 
 export const STORAGE_KEYS = {
     AUTOSAVE: 'quoteAutoSaveData',
-};
\ No newline at end of file
+    QUOTE_LIBRARY_DB: 'quoteLibrary',
+};
+
+export const PRICE_MATRIX_KINDS = {
+    GRID: 'grid',     // Width x drop lookup table (widths/drops/prices)
+    LINEAR: 'linear', // Per-metre rate plus a per-unit hardware charge
+};
+
+// How a grid matrix prices sizes between and beyond its breakpoints (businessRules.pricingPolicy).
+export const PRICING_METHODS = {
+    ROUND_UP: 'roundUp',         // Next breakpoint up on each axis; sizes past the grid cannot be priced
+    INTERPOLATE: 'interpolate',  // Blend of the breakpoints either side; sizes past the grid cannot be priced
+    EXTRAPOLATE: 'extrapolate',  // Round up inside the grid; past it, the edge price per m² plus a surcharge
+};
+
+// What a discount rule's tiers give (see config/discount-rules.js).
+export const DISCOUNT_RULE_TYPES = {
+    PERCENT: 'percent',     // A percentage off the sale price of the product lines the rule covers
+    FIXED: 'fixed',         // A fixed amount off the quote
+    FREE_ITEM: 'freeItem',  // A number of one accessory free of charge
+};
@@ -0,0 +1,34 @@
+// /04-core-code/config/customer-groups.js
+
+/**
+ * @fileoverview The customer groups a quote's customer can belong to, and how each changes the
+ * price list (see ConfigManager.getPriceMatrix). A group can price from a separate matrix set of
+ * the price list (`matrixSet`, a key of the list's `matrixSets`), take a percentage off every other
+ * matrix (`percentOff`) and override that percentage per fabric band (`fabricTypes`). A fabric type
+ * found in the matrix set is priced from it as it is.
+ */
+export const customerGroups = [
+    {
+        id: 'retail',
+        name: 'Retail'
+    },
+    {
+        id: 'builder',
+        name: 'Builders',
+        percentOff: 12
+    },
+    {
+        id: 'designer',
+        name: 'Interior designers',
+        percentOff: 10,
+        fabricTypes: { S1: 15, S2: 15, S3: 15 }
+    },
+    {
+        id: 'trade',
+        name: 'Trade partners',
+        matrixSet: 'trade',
+        percentOff: 20
+    },
+];
+
+export const DEFAULT_CUSTOMER_GROUP_ID = 'retail';
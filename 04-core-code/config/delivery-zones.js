@@ -0,0 +1,25 @@
+// /04-core-code/config/delivery-zones.js
+
+/**
+ * @fileoverview The delivery zones, by postcode, so delivery and installation can be priced from
+ * the customer's address without a network lookup (see ConfigManager.findDeliveryZone). A zone
+ * lists postcode ranges ('2000-2234') or single postcodes; the first zone listing a postcode wins.
+ * What each zone charges is set per price list, under `fees.zones`.
+ */
+export const deliveryZones = [
+    {
+        id: 'metro',
+        name: 'Metro',
+        postcodes: ['2000-2234']
+    },
+    {
+        id: 'outer',
+        name: 'Outer metro',
+        postcodes: ['2555-2574', '2745-2786']
+    },
+    {
+        id: 'regional',
+        name: 'Regional',
+        postcodes: ['2235-2554', '2575-2744', '2787-2999']
+    }
+];
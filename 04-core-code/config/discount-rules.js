@@ -0,0 +1,55 @@
+// /04-core-code/config/discount-rules.js
+
+/**
+ * @fileoverview The discount rules applied automatically to every quote (see
+ * CalculationService.calculateDiscounts). A rule counts something on the quote (`countOf`:
+ * 'items' or 'motors', optionally only in the product lines listed in `productKeys`) and takes
+ * the highest of its `tiers` the count reaches. By `type`, a tier gives:
+ *   - 'percent': `percent` off the sale price of the product lines the rule covers;
+ *   - 'fixed': `amount` off the quote;
+ *   - 'freeItem': `quantity` of the accessory `item` (a key of the accessory price map) free,
+ *     but never more than the quote includes.
+ * A rule applies from `effectiveFrom` to `effectiveTo` (ISO dates, inclusive; null for no limit),
+ * judged by the quote's issue date. Stackable rules add up; a rule that does not stack is only
+ * used when it beats all the stackable rules together.
+ */
+export const discountRules = [
+    {
+        id: 'volume',
+        label: 'Volume discount',
+        type: 'percent',
+        countOf: 'items',
+        tiers: [
+            { minQuantity: 6, percent: 5 },
+            { minQuantity: 12, percent: 10 }
+        ],
+        effectiveFrom: '2026-01-01',
+        effectiveTo: null,
+        stackable: false
+    },
+    {
+        id: 'motor-bundle',
+        label: 'Motorised bundle',
+        type: 'fixed',
+        countOf: 'motors',
+        tiers: [
+            { minQuantity: 3, amount: 100 }
+        ],
+        effectiveFrom: '2026-01-01',
+        effectiveTo: null,
+        stackable: true
+    },
+    {
+        id: 'free-remote',
+        label: 'Free remote with 4+ motors',
+        type: 'freeItem',
+        countOf: 'motors',
+        item: 'remote',
+        tiers: [
+            { minQuantity: 4, quantity: 1 }
+        ],
+        effectiveFrom: '2026-01-01',
+        effectiveTo: null,
+        stackable: true
+    },
+];
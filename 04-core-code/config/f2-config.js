@@ -1,13 +0,0 @@
-// /04-core-code/config/f2-config.js
-
-/**
- * @fileoverview Configuration for F2 summary panel, including unit prices for various fees.
- */
-export const f2Config = {
-    unitPrices: {
-        wifi: 200,
-        delivery: 100,
-        install: 20,
-        removal: 20
-    }
-};
\ No newline at end of file
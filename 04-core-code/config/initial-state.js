@@ -67,11 +67,20 @@ export const initialState = {
         f2: {
             wifiQty: null, deliveryQty: null, installQty: null, removalQty: null,
             mulTimes: null, discount: null, wifiSum: null, deliveryFee: null,
-            installFee: null, removalFee: null, deliveryFeeExcluded: false,
+            installFee: null, removalFee: null, deliveryIsFree: false,
+            installMinimumApplied: false, feeZone: null, deliveryFeeExcluded: false,
             installFeeExcluded: false, removalFeeExcluded: false, acceSum: null,
             eAcceSum: null, surchargeFee: null, totalSumForRbTime: null,
             firstRbPrice: null, disRbPrice: null, singleprofit: null,
-            rbProfit: null, sumPrice: null, sumProfit: null, gst: null, netProfit: null
+            rbProfit: null, discountLines: [], discountTotal: null, sumPrice: null,
+            sumProfit: null, gst: null, taxAmount: null, taxLabel: null, netProfit: null
+        },
+
+        // --- F4 Quote Library State ---
+        quoteLibrary: {
+            entries: [],
+            searchTerm: '',
+            selectedQuoteId: null
         },
 
         // --- Global UI State ---
@@ -112,15 +121,30 @@ export const initialState = {
             lfModifiedRowIndexes: []
         },
         quoteId: null,
+        priceListVersion: null,
         issueDate: null,
         dueDate: null,
         status: "Configuring",
         costDiscountPercentage: 0,
+        paymentSchedule: {
+            id: 'deposit-50',
+            depositAmount: null
+        },
         customer: { 
             name: "",
             address: "",
+            postcode: "",
             phone: "",
-            email: ""
-        }
+            email: "",
+            taxExempt: false,
+            groupId: 'retail'
+        },
+        // What-if scenarios: named sets of item and F2 overrides, compared with the quote and
+        // optionally shown on it as options (see CalculationService.calculateScenario).
+        scenarios: [],
+        // F2 fees entered by hand (fee type -> amount), in place of the calculated ones, and the
+        // record of every change to a fee from an override or the customer's delivery zone.
+        feeOverrides: {},
+        feeAudit: []
     }
 };
\ No newline at end of file
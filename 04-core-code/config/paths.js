@@ -3,9 +3,13 @@ export const paths = {
         leftPanel: './04-core-code/ui/partials/left-panel.html',
         rightPanel: './04-core-code/ui/partials/right-panel.html',
         quoteTemplate: './04-core-code/ui/partials/quote-template-final.html', // [NEW]
+        tradeQuoteTemplate: './04-core-code/ui/partials/quote-template-trade.html',
         detailedItemList: './04-core-code/ui/partials/detailed-item-list-final.html' // [NEW]
     },
     data: {
-        priceMatrix: './03-data-models/price-matrix-v1.0.json'
+        // Every dated price list; add a file here when the supplier issues a new one.
+        priceLists: [
+            './03-data-models/price-matrix-v1.0.json'
+        ]
     }
 };
\ No newline at end of file
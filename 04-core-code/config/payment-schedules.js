@@ -0,0 +1,46 @@
+// /04-core-code/config/payment-schedules.js
+
+/**
+ * @fileoverview The payment schedules a quote can be issued with. Each milestone is due a number
+ * of days after the quote's issue date (null when it has no fixed date, e.g. cash on delivery)
+ * and takes one of:
+ *   - `percent`: a share of the quote total;
+ *   - `amount`: a fixed amount (the quote may override it, see `quoteData.paymentSchedule`);
+ *   - `remainder: true`: whatever the other milestones leave. Every schedule ends with one.
+ */
+export const paymentSchedules = [
+    {
+        id: 'deposit-50',
+        name: '50% deposit, 50% on installation',
+        milestones: [
+            { label: 'Deposit', when: 'On acceptance', percent: 50, dueInDays: 0 },
+            { label: 'Balance', when: 'On installation', remainder: true, dueInDays: 42 }
+        ]
+    },
+    {
+        id: 'staged-30-60-10',
+        name: '30% deposit, 60% on check-measure, 10% on installation',
+        milestones: [
+            { label: 'Deposit', when: 'On acceptance', percent: 30, dueInDays: 0 },
+            { label: 'Check-measure', when: 'On check-measure', percent: 60, dueInDays: 14 },
+            { label: 'Installation', when: 'On installation', remainder: true, dueInDays: 42 }
+        ]
+    },
+    {
+        id: 'fixed-deposit',
+        name: 'Fixed deposit, balance on installation',
+        milestones: [
+            { label: 'Deposit', when: 'On acceptance', amount: 500, dueInDays: 0 },
+            { label: 'Balance', when: 'On installation', remainder: true, dueInDays: 42 }
+        ]
+    },
+    {
+        id: 'cod',
+        name: 'Cash on delivery',
+        milestones: [
+            { label: 'Payment in full', when: 'On delivery', remainder: true, dueInDays: null }
+        ]
+    },
+];
+
+export const DEFAULT_PAYMENT_SCHEDULE_ID = 'deposit-50';
@@ -0,0 +1,90 @@
+// /04-core-code/config/quote-templates.js
+import { paths } from './paths.js';
+
+/**
+ * @fileoverview The quote templates offered in F3 and the branding profiles they print with.
+ * A template pairs a layout (its quote page and appendix partials) with one branding profile;
+ * the profile is handed to the templates and the PDF as `branding`.
+ *
+ * Layouts: 'retail' shows list prices and savings; 'trade' shows net prices only.
+ */
+export const QUOTE_LAYOUTS = {
+    RETAIL: 'retail',
+    TRADE: 'trade',
+};
+
+export const brandingProfiles = {
+    ezBlinds: {
+        name: 'EZ Blinds & Shutters',
+        logoUrl: '',
+        abn: '52 62 74 20 777',
+        address: 'U11 / 271 Wells Rd, Chelsea Heights',
+        phone: '0466 965 168',
+        email: 'ezblinds@ezbns.com.au',
+        website: 'www.ezbns.com.au',
+        bank: {
+            name: 'CBA',
+            bsb: '062 692',
+            account: '4570 8877',
+            accountName: 'Alphalead Pty Ltd',
+            payId: '627 420 777',
+            reference: 'Please leave your Ph. number as Ref. in the transaction.'
+        },
+        colors: {
+            primary: '#1a237e',
+            accent: '#b22222'
+        },
+        footer: 'Thank you for your business!'
+    },
+    alphalead: {
+        name: 'Alphalead Window Furnishings',
+        logoUrl: '',
+        abn: '52 62 74 20 777',
+        address: 'U11 / 271 Wells Rd, Chelsea Heights',
+        phone: '0466 965 168',
+        email: '',
+        website: '',
+        bank: {
+            name: 'CBA',
+            bsb: '062 692',
+            account: '4570 8877',
+            accountName: 'Alphalead Pty Ltd',
+            payId: '627 420 777',
+            reference: 'Please use the quote number as Ref. in the transaction.'
+        },
+        colors: {
+            primary: '#004d40',
+            accent: '#bf360c'
+        },
+        footer: 'Thank you for choosing Alphalead.'
+    },
+};
+
+export const quoteTemplates = [
+    {
+        id: 'ez-blinds',
+        name: 'EZ Blinds & Shutters',
+        layout: QUOTE_LAYOUTS.RETAIL,
+        quoteTemplate: paths.partials.quoteTemplate,
+        detailedItemList: paths.partials.detailedItemList,
+        brandingProfileId: 'ezBlinds'
+    },
+    {
+        id: 'alphalead',
+        name: 'Alphalead Window Furnishings',
+        layout: QUOTE_LAYOUTS.RETAIL,
+        quoteTemplate: paths.partials.quoteTemplate,
+        detailedItemList: paths.partials.detailedItemList,
+        brandingProfileId: 'alphalead'
+    },
+    {
+        id: 'trade',
+        name: 'Trade / Wholesale',
+        layout: QUOTE_LAYOUTS.TRADE,
+        quoteTemplate: paths.partials.tradeQuoteTemplate,
+        detailedItemList: paths.partials.detailedItemList,
+        brandingProfileId: 'ezBlinds'
+    },
+];
+
+export const DEFAULT_QUOTE_TEMPLATE_ID = 'ez-blinds';
@@ -0,0 +1,18 @@
+// /04-core-code/config/tax-config.js
+
+/**
+ * @fileoverview Configuration for the tax applied to quotes (see TaxService).
+ * Whether prices already include tax is not set here: it follows the price list's
+ * `meta.gstIncluded` flag, so a tax-inclusive supplier list is never taxed twice.
+ */
+export const taxConfig = {
+    name: 'GST',
+    defaultCategory: 'standard',
+    categories: {
+        standard: { label: 'Standard', rate: 0.10 },
+        'gst-free': { label: 'GST-free', rate: 0 }
+    },
+    // The category of each quote line, keyed by product key (e.g. 'rollerBlind') or charge
+    // ('accessories', 'wifi', 'delivery', 'install', 'removal', 'discounts'). Unlisted lines use the default.
+    lineCategories: {}
+};
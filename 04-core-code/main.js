@@ -60,6 +60,7 @@ class App {
         const eventAggregator = this.appContext.get('eventAggregator');
         const calculationService = this.appContext.get('calculationService');
         const configManager = this.appContext.get('configManager');
+        const productFactory = this.appContext.get('productFactory');
         const appController = this.appContext.get('appController');
         const rightPanelComponent = this.appContext.get('rightPanelComponent');
 
@@ -71,6 +72,7 @@ class App {
             appElement: document.getElementById(DOM_IDS.APP),
             eventAggregator,
             calculationService,
+            productFactory,
             rightPanelComponent,
             quotePreviewComponent // Pass the new component
         });
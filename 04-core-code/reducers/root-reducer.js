@@ -7,6 +7,7 @@
 
 import { UI_ACTION_TYPES, QUOTE_ACTION_TYPES } from '../config/action-types.js';
 import { initialState } from '../config/initial-state.js';
+import { generateQuoteId } from '../utils/quote-id.js';
 
 function _consolidateEmptyRows(items, productFactory, productKey) {
     let newItems = [...items];
@@ -151,6 +152,12 @@ function uiReducer(state, action) {
             }
             return state;
         }
+        case UI_ACTION_TYPES.SET_QUOTE_LIBRARY_ENTRIES:
+            return { ...state, quoteLibrary: { ...state.quoteLibrary, entries: action.payload.entries } };
+        case UI_ACTION_TYPES.SET_QUOTE_LIBRARY_SEARCH_TERM:
+            return { ...state, quoteLibrary: { ...state.quoteLibrary, searchTerm: action.payload.searchTerm } };
+        case UI_ACTION_TYPES.SET_QUOTE_LIBRARY_SELECTION:
+            return { ...state, quoteLibrary: { ...state.quoteLibrary, selectedQuoteId: action.payload.quoteId } };
         case UI_ACTION_TYPES.SET_SUM_OUTDATED:
             return { ...state, isSumOutdated: action.payload.isOutdated };
         case UI_ACTION_TYPES.RESET_UI:
@@ -166,11 +173,32 @@ function quoteReducer(state, action, { productFactory, configManager }) {
     let items;
 
     switch (action.type) {
-        case QUOTE_ACTION_TYPES.SET_QUOTE_DATA:
-            return action.payload.newQuoteData;
+        // Every quote carries a quote number, which keys it in the local quote library.
+        case QUOTE_ACTION_TYPES.SET_QUOTE_DATA: {
+            const { newQuoteData } = action.payload;
+            return newQuoteData.quoteId ? newQuoteData : { ...newQuoteData, quoteId: generateQuoteId() };
+        }
 
         case QUOTE_ACTION_TYPES.RESET_QUOTE_DATA:
-            return JSON.parse(JSON.stringify(initialState.quoteData));
+            return { ...JSON.parse(JSON.stringify(initialState.quoteData)), quoteId: generateQuoteId() };
+
+        case QUOTE_ACTION_TYPES.SET_CURRENT_PRODUCT: {
+            const { productKey: newProductKey } = action.payload;
+            if (newProductKey === productKey) return state;
+            const productStrategy = productFactory.getProductStrategy(newProductKey);
+            if (!productStrategy) return state;
+
+            const products = state.products[newProductKey]
+                ? state.products
+                : { ...state.products, [newProductKey]: productStrategy.getInitialProductData() };
+            // LF markers are row indexes of the previous product's table, so they no longer apply.
+            return {
+                ...state,
+                currentProduct: newProductKey,
+                products,
+                uiMetadata: { ...state.uiMetadata, lfModifiedRowIndexes: [] }
+            };
+        }
         
         case QUOTE_ACTION_TYPES.INSERT_ROW: {
             items = [...productData.items];
@@ -223,13 +251,11 @@ function quoteReducer(state, action, { productFactory, configManager }) {
             const targetItem = items[rowIndex];
             if (!targetItem || targetItem[column] === value) return state;
             
-            const newItem = { ...targetItem, [column]: value };
+            let newItem = { ...targetItem, [column]: value };
 
-            if ((column === 'width' || column === 'height') && newItem.width && newItem.height) {
-                const logicThresholds = configManager.getLogicThresholds();
-                if (logicThresholds && (newItem.width * newItem.height) > logicThresholds.hdWinderThresholdArea && !newItem.motor) {
-                    newItem.winder = 'HD';
-                }
+            if (column === 'width' || column === 'height') {
+                const productStrategy = productFactory.getProductStrategy(productKey);
+                newItem = productStrategy.applyDimensionRules(newItem);
             }
             items[rowIndex] = newItem;
             items = _consolidateEmptyRows(items, productFactory, productKey);
@@ -292,15 +318,11 @@ function quoteReducer(state, action, { productFactory, configManager }) {
             const item = items[rowIndex];
             if (!item) return state;
 
-            const BATCH_CYCLE_SEQUENCES = {
-                over: ['O', ''],
-                oi: ['IN', 'OUT'],
-                lr: ['L', 'R']
-            };
-            const sequence = BATCH_CYCLE_SEQUENCES[column];
+            const productStrategy = productFactory.getProductStrategy(productKey);
+            const sequence = productStrategy.getOptionCycleSequences()[column];
             if (!sequence) return state;
 
-            const currentValue = item[column] || '';
+            const currentValue = item[column] ?? '';
             const currentIndex = sequence.indexOf(currentValue);
             const nextIndex = (currentIndex + 1) % sequence.length;
             const nextValue = sequence[nextIndex];
@@ -315,7 +337,7 @@ function quoteReducer(state, action, { productFactory, configManager }) {
         case QUOTE_ACTION_TYPES.BATCH_UPDATE_FABRIC_TYPE:
         case QUOTE_ACTION_TYPES.BATCH_UPDATE_FABRIC_TYPE_FOR_SELECTION: {
             items = [...productData.items];
-            const TYPE_SEQUENCE = configManager.getFabricTypeSequence();
+            const TYPE_SEQUENCE = configManager.getFabricTypeSequence(productKey);
             if (TYPE_SEQUENCE.length === 0) return state;
 
             let changedIndexes = [];
@@ -417,6 +439,53 @@ function quoteReducer(state, action, { productFactory, configManager }) {
             productData = { ...productData, summary: newSummary };
             return { ...state, products: { ...state.products, [productKey]: productData } };
         }
+
+        case QUOTE_ACTION_TYPES.SET_PAYMENT_SCHEDULE: {
+            const { scheduleId, depositAmount } = action.payload;
+            return { ...state, paymentSchedule: { id: scheduleId, depositAmount } };
+        }
+
+        case QUOTE_ACTION_TYPES.SET_CUSTOMER_TAX_EXEMPT: {
+            return { ...state, customer: { ...state.customer, taxExempt: action.payload.isExempt } };
+        }
+
+        case QUOTE_ACTION_TYPES.SET_CUSTOMER_GROUP: {
+            return { ...state, customer: { ...state.customer, groupId: action.payload.groupId } };
+        }
+
+        case QUOTE_ACTION_TYPES.SET_CUSTOMER_POSTCODE: {
+            return { ...state, customer: { ...state.customer, postcode: action.payload.postcode } };
+        }
+
+        case QUOTE_ACTION_TYPES.SET_FEE_OVERRIDE: {
+            const { fee, amount } = action.payload;
+            const feeOverrides = { ...state.feeOverrides };
+            if (amount === null) {
+                delete feeOverrides[fee];
+            } else {
+                feeOverrides[fee] = amount;
+            }
+            return { ...state, feeOverrides };
+        }
+
+        case QUOTE_ACTION_TYPES.ADD_FEE_AUDIT_ENTRY: {
+            return { ...state, feeAudit: [...(state.feeAudit || []), action.payload.entry] };
+        }
+
+        case QUOTE_ACTION_TYPES.ADD_SCENARIO: {
+            return { ...state, scenarios: [...(state.scenarios || []), action.payload.scenario] };
+        }
+
+        case QUOTE_ACTION_TYPES.REMOVE_SCENARIO: {
+            const scenarios = (state.scenarios || []).filter(scenario => scenario.id !== action.payload.scenarioId);
+            return { ...state, scenarios };
+        }
+
+        case QUOTE_ACTION_TYPES.SET_SCENARIO_IN_QUOTE: {
+            const { scenarioId, includeInQuote } = action.payload;
+            const scenarios = (state.scenarios || []).map(scenario => (scenario.id === scenarioId ? { ...scenario, includeInQuote } : scenario));
+            return { ...state, scenarios };
+        }
         
         default:
             return state;
@@ -4,16 +4,83 @@
  * @fileoverview Service for handling all price and sum calculations.
  * Acts as a generic executor that delegates product-specific logic to a strategy.
  */
+import { PRICE_MATRIX_KINDS, DISCOUNT_RULE_TYPES } from '../config/constants.js';
+
+// Maps each price matrix kind to the strategy method that prices an item against it.
+const MATRIX_KIND_METHOD_MAP = {
+    [PRICE_MATRIX_KINDS.GRID]: 'calculatePrice',
+    [PRICE_MATRIX_KINDS.LINEAR]: 'calculateLinearPrice',
+};
+
+// How reverse-solving measures each F2 target: the total inc. tax, or the net margin in
+// percent (net profit as a share of the total inc. tax).
+const F2_TARGET_MEASURES = {
+    total: (summary) => summary.gst,
+    margin: (summary) => (summary.gst ? summary.netProfit / summary.gst * 100 : 0),
+};
+
+// The F2 values a target can be solved for, the step each is solved to and its largest value.
+const F2_SOLVE_VARIABLES = {
+    mulTimes: { label: 'mul-times', step: 0.0001, max: 100 },
+    discount: { label: 'the discount', step: 0.01, max: 100 },
+};
+
+// How many of each accessory a quote includes, for free-item discount rules.
+const ACCESSORY_QUANTITIES = {
+    winder: (items) => items.filter(item => item.winder === 'HD').length,
+    motor: (items) => items.filter(item => !!item.motor).length,
+    remote: (items, uiState) => uiState.driveRemoteCount || 0,
+    charger: (items, uiState) => uiState.driveChargerCount || 0,
+    cord: (items, uiState) => uiState.driveCordCount || 0,
+};
+
+// How each item override of a what-if scenario changes an item, and how it is described. Drive
+// and dual overrides only reach product lines whose strategy prices that accessory.
+const SCENARIO_ITEM_OVERRIDES = {
+    fabricType: {
+        apply: (item, fabricType) => ({ ...item, fabricType, linePrice: null }),
+        describe: (fabricType) => `${fabricType} fabric`
+    },
+    winder: {
+        accessory: 'winder',
+        apply: (item, hasWinder) => (hasWinder ? { ...item, winder: 'HD', motor: '' } : { ...item, winder: '' }),
+        describe: (hasWinder) => (hasWinder ? 'HD winders' : 'No HD winders')
+    },
+    motor: {
+        accessory: 'motor',
+        apply: (item, hasMotor) => (hasMotor ? { ...item, motor: 'Motor', winder: '' } : { ...item, motor: '' }),
+        describe: (hasMotor) => (hasMotor ? 'Motorised' : 'No motors')
+    },
+    dual: {
+        accessory: 'dual',
+        apply: (item, hasDual) => ({ ...item, dual: hasDual ? 'D' : '' }),
+        describe: (hasDual) => (hasDual ? 'Dual brackets' : 'No dual brackets')
+    },
+};
+
+// The F2 inputs a what-if scenario can override, with their F2 labels.
+const SCENARIO_F2_LABELS = {
+    mulTimes: 'Mul-times',
+    discount: 'Disc. %',
+    wifiQty: 'Wifi qty',
+    deliveryQty: 'Delivery qty',
+    installQty: 'Install qty',
+    removalQty: 'Removal qty',
+};
 export class CalculationService {
-    constructor({ stateService, productFactory, configManager }) {
+    constructor({ stateService, productFactory, configManager, taxService }) {
         this.stateService = stateService;
         this.productFactory = productFactory;
         this.configManager = configManager;
+        this.taxService = taxService;
         console.log("CalculationService Initialized.");
     }
 
     /**
      * Calculates line prices for all valid items and the total sum using a provided product strategy.
+     * Items are priced against the quote's price list version (the current list for new quotes),
+     * and the version used is recorded on the returned quote. Prices are those of the customer's group.
+     * The active price list and customer group of the ConfigManager are left as they are.
      */
     calculateAndSum(quoteData, productStrategy) {
         if (!productStrategy) {
@@ -21,6 +88,8 @@ export class CalculationService {
             return { quoteData, firstError: { message: "Product strategy not provided." } };
         }
 
+        const pricing = this._getQuotePricing(quoteData);
+
         const currentProductKey = quoteData.currentProduct;
         const currentProductData = quoteData.products[currentProductKey];
 
@@ -29,8 +98,8 @@ export class CalculationService {
         const newItems = currentProductData.items.map((item, index) => {
             const newItem = { ...item, linePrice: null };
             if (item.width && item.height && item.fabricType) {
-                const priceMatrix = this.configManager.getPriceMatrix(item.fabricType);
-                const result = productStrategy.calculatePrice(item, priceMatrix);
+                const priceMatrix = this.configManager.getPriceMatrix(item.fabricType, pricing);
+                const result = this.calculateItemPrice(item, priceMatrix, productStrategy, pricing);
 
                 if (result.price !== null) {
                     newItem.linePrice = result.price;
@@ -72,6 +141,7 @@ export class CalculationService {
 
         const updatedQuoteData = {
             ...quoteData,
+            priceListVersion: pricing.priceListVersion,
             products: {
                 ...quoteData.products,
                 [currentProductKey]: newProductData
@@ -81,11 +151,333 @@ export class CalculationService {
         return { updatedQuoteData, firstError };
     }
 
+    /**
+     * Explains how an item's line price is found, for the price breakdown popover: the strategy's
+     * breakdown (matrix, breakpoints, base price and pricing policy), the alias it was priced
+     * through, the option charges billed with the accessories, and the F2 mul-times, discount
+     * and tax that turn the line price into the customer's price.
+     * @returns {object|null} Null when there is no such row.
+     */
+    explainItemPrice(quoteData, uiState, productKey, rowIndex) {
+        const item = quoteData.products[productKey]?.items[rowIndex];
+        if (!item) return null;
+        const productStrategy = this.productFactory.getProductStrategy(productKey);
+
+        const pricing = this._getQuotePricing(quoteData);
+        const priceMatrix = item.fabricType ? this.configManager.getPriceMatrix(item.fabricType, pricing) : null;
+        const result = item.width && item.height && item.fabricType
+            ? this.calculateItemPrice(item, priceMatrix, productStrategy, pricing)
+            : { price: null, error: 'Incomplete item data.' };
+        const options = this._describeItemOptions(item, pricing);
+
+        const explanation = {
+            productKey,
+            productName: productStrategy?.getDisplayName ? productStrategy.getDisplayName() : productKey,
+            rowNumber: rowIndex + 1,
+            location: item.location || '',
+            fabricType: item.fabricType,
+            width: item.width,
+            height: item.height,
+            priceListVersion: pricing.priceListVersion,
+            pricedFrom: priceMatrix?.pricedFrom || null,
+            customerGroup: priceMatrix?.customerGroup || null,
+            price: result.price ?? null,
+            error: result.error || null,
+            isOutdated: (item.linePrice ?? null) !== (result.price ?? null),
+            pricing: result.breakdown || null,
+            options,
+            adjustments: null
+        };
+        if (typeof result.price !== 'number') return explanation;
+
+        const { mulTimes, discount } = uiState.f2;
+        const exempt = quoteData.customer?.taxExempt === true;
+        const steps = [];
+        let amount = result.price;
+        if (mulTimes) {
+            const multiplied = Math.round(amount * mulTimes * 100) / 100;
+            steps.push({ label: `Mul-times x${mulTimes}`, amount: multiplied - amount });
+            amount = multiplied;
+        }
+        if (discount) {
+            const discounted = Math.round(amount * (1 - (discount / 100)) * 100) / 100;
+            steps.push({ label: `Discount ${discount}%`, amount: discounted - amount });
+            amount = discounted;
+        }
+        const taxed = this.taxService.calculate(amount, { category: this.taxService.getLineCategory(productKey), exempt });
+        explanation.adjustments = {
+            steps,
+            salePrice: amount,
+            tax: taxed.tax,
+            taxLabel: this.taxService.getLabel([taxed], { exempt }),
+            gross: taxed.gross,
+            pricesIncludeTax: this.configManager.getTaxConfig().pricesIncludeTax === true,
+            isSalePriceSet: !!mulTimes
+        };
+        return explanation;
+    }
+
+    /**
+     * Lists the chargeable options chosen on an item, priced per item. These are billed with the
+     * accessories (see calculateAccessorySalePrice), not in the line price.
+     */
+    _describeItemOptions(item, pricing) {
+        const { accessoryPriceKeyMap } = this.configManager.getAccessoryMappings();
+        const unitPrice = (accessoryName) => {
+            const priceKey = accessoryPriceKeyMap[accessoryName];
+            return priceKey ? this.configManager.getAccessoryPrice(priceKey, pricing) : null;
+        };
+
+        const options = [];
+        if (item.winder === 'HD') {
+            options.push({ label: 'HD winder', price: unitPrice('winder') });
+        }
+        if (item.motor) {
+            options.push({ label: 'Motor', price: unitPrice('motor') });
+        }
+        if (item.dual === 'D') {
+            const pairPrice = unitPrice('dual');
+            options.push({ label: 'Dual bracket (half a pair)', price: pairPrice === null ? null : pairPrice / 2 });
+        }
+        return options;
+    }
+
+    /**
+     * The price list version and customer group a quote is priced with, for the ConfigManager getters.
+     */
+    _getQuotePricing(quoteData) {
+        return {
+            priceListVersion: this.configManager.resolvePriceListVersion(quoteData.priceListVersion ?? null),
+            customerGroupId: quoteData.customer?.groupId ?? null
+        };
+    }
+
+    /**
+     * Prices a single item by dispatching on the matrix kind to the matching strategy method.
+     * Matrices without a `kind` are treated as width x drop grids. The strategy reads the pricing
+     * policy of the `pricing` price list (the active one when omitted).
+     */
+    calculateItemPrice(item, priceMatrix, productStrategy, pricing = {}) {
+        if (!priceMatrix) {
+            return { price: null, error: `Price matrix not found for fabric type: ${item.fabricType}` };
+        }
+
+        const kind = priceMatrix.kind || PRICE_MATRIX_KINDS.GRID;
+        const methodName = MATRIX_KIND_METHOD_MAP[kind];
+        if (!methodName) {
+            return { price: null, error: `Unsupported price matrix kind '${kind}' for fabric type: ${item.fabricType}` };
+        }
+        if (typeof productStrategy[methodName] !== 'function') {
+            const productName = productStrategy.getDisplayName ? productStrategy.getDisplayName() : 'This product';
+            return { price: null, error: `${productName} cannot be priced from the ${kind} price list of fabric type: ${item.fabricType}` };
+        }
+
+        return productStrategy[methodName](item, priceMatrix, pricing);
+    }
+
+    /**
+     * Prices every product line in the quote, each with its own strategy.
+     * The returned firstError carries the `productKey` of the line that failed.
+     */
+    calculateAllProducts(quoteData) {
+        let updatedQuoteData = quoteData;
+        let firstError = null;
+
+        Object.keys(quoteData.products).forEach(productKey => {
+            const productStrategy = this.productFactory.getProductStrategy(productKey);
+            if (!productStrategy) return;
+
+            const result = this.calculateAndSum({ ...updatedQuoteData, currentProduct: productKey }, productStrategy);
+            updatedQuoteData = { ...result.updatedQuoteData, currentProduct: quoteData.currentProduct };
+            if (result.firstError && !firstError) {
+                firstError = { ...result.firstError, productKey };
+            }
+        });
+
+        return { updatedQuoteData, firstError };
+    }
+
+    /**
+     * Reprices a quote's items and accessories against another price list and reports what
+     * changes. The F2 fees are compared too when the UI state (with the F2 quantities) is given.
+     * Totals are the line prices plus the accessories and fees.
+     * @param {object} quoteData The quote, priced against `quoteData.priceListVersion`.
+     * @param {string} toVersion The price list to compare against.
+     * @param {object|null} [uiState]
+     * @returns {{fromVersion: string, toVersion: string, oldTotal: number, newTotal: number,
+     *   delta: number, changes: Array<object>, accessories: {oldTotal: number, newTotal: number, delta: number},
+     *   fees: {oldTotal: number, newTotal: number, delta: number}, repricedQuoteData: object}}
+     */
+    comparePriceLists(quoteData, toVersion, uiState = null) {
+        const original = this.calculateAllProducts(quoteData).updatedQuoteData;
+        const repriced = this.calculateAllProducts({
+            ...this._repriceAccessories(quoteData, { priceListVersion: toVersion }),
+            priceListVersion: toVersion
+        }).updatedQuoteData;
+
+        const changes = [];
+        Object.entries(original.products).forEach(([productKey, productData]) => {
+            const productStrategy = this.productFactory.getProductStrategy(productKey);
+            const productName = productStrategy?.getDisplayName ? productStrategy.getDisplayName() : productKey;
+            productData.items.forEach((item, index) => {
+                const oldPrice = item.linePrice || 0;
+                const newPrice = repriced.products[productKey].items[index].linePrice || 0;
+                if (oldPrice === newPrice) return;
+                changes.push({
+                    productKey, productName, rowNumber: index + 1,
+                    location: item.location || '', fabricType: item.fabricType,
+                    width: item.width, height: item.height,
+                    oldPrice, newPrice, delta: newPrice - oldPrice
+                });
+            });
+        });
+
+        const sumAccessories = (quote) => Object.values(this.sumAccessoryCosts(quote)).reduce((sum, price) => sum + price, 0);
+        const sumFees = (quote) => {
+            if (!uiState) return 0;
+            const { wifiSum, deliveryFee, installFee, removalFee } = this.calculateF2Summary(quote, uiState);
+            const { f2 } = uiState;
+            return wifiSum + (f2.deliveryFeeExcluded ? 0 : deliveryFee)
+                + (f2.installFeeExcluded ? 0 : installFee) + (f2.removalFeeExcluded ? 0 : removalFee);
+        };
+        const compare = (sum) => {
+            const oldTotal = _roundCents(sum(original));
+            const newTotal = _roundCents(sum(repriced));
+            return { oldTotal, newTotal, delta: _roundCents(newTotal - oldTotal) };
+        };
+
+        const accessories = compare(sumAccessories);
+        const fees = compare(sumFees);
+        const oldTotal = (this.getQuoteTotalSum(original) || 0) + accessories.oldTotal + fees.oldTotal;
+        const newTotal = (this.getQuoteTotalSum(repriced) || 0) + accessories.newTotal + fees.newTotal;
+        return {
+            fromVersion: original.priceListVersion,
+            toVersion: repriced.priceListVersion,
+            oldTotal,
+            newTotal,
+            delta: newTotal - oldTotal,
+            changes,
+            accessories,
+            fees,
+            repricedQuoteData: repriced
+        };
+    }
+
+    /**
+     * Reprices the accessory sums of every product line against a price list: winders, motors and
+     * dual brackets from the items, and remotes, chargers and cords at the quantity their sum was
+     * charged for under the quote's own list. Sums the quote has not charged are left unset.
+     */
+    _repriceAccessories(quoteData, pricing) {
+        const quotePricing = this._getQuotePricing(quoteData);
+        const { accessoryPriceKeyMap } = this.configManager.getAccessoryMappings();
+        const chargedCount = (accessory, sum) => {
+            const unitPrice = this.configManager.getAccessoryPrice(accessoryPriceKeyMap[accessory], quotePricing);
+            return unitPrice ? Math.round(sum / unitPrice) : 0;
+        };
+
+        const products = Object.fromEntries(Object.entries(quoteData.products).map(([productKey, productData]) => {
+            const items = productData.items;
+            const charged = productData.summary?.accessories || {};
+            const dataFor = {
+                winder: () => ({ count: ACCESSORY_QUANTITIES.winder(items) }),
+                motor: () => ({ count: ACCESSORY_QUANTITIES.motor(items) }),
+                dual: () => ({ items }),
+                remote: (sum) => ({ count: chargedCount('remote', sum) }),
+                charger: (sum) => ({ count: chargedCount('charger', sum) }),
+                cord: (sum) => ({ count: chargedCount('cord', sum) })
+            };
+            const accessories = { ...charged };
+            Object.entries(dataFor).forEach(([accessory, accessoryData]) => {
+                const sumKey = `${accessory}CostSum`;
+                if (typeof charged[sumKey] !== 'number') return;
+                accessories[sumKey] = this.calculateAccessorySalePrice(productKey, accessory, accessoryData(charged[sumKey]), pricing);
+            });
+            return [productKey, { ...productData, summary: { ...productData.summary, accessories } }];
+        }));
+
+        return { ...quoteData, products };
+    }
+
+    /**
+     * Prices each of a set of quotes under two price list versions, for the price change report.
+     * The quotes' own price list versions are ignored; each keeps its customer group.
+     * @returns {{quotes: Array<{quoteId: string, customerName: string, oldTotal: number, newTotal: number, delta: number}>,
+     *   oldTotal: number, newTotal: number, delta: number}}
+     */
+    estimatePriceListImpact(quotes, fromVersion, toVersion) {
+        const results = quotes.map(quoteData => {
+            const { oldTotal, newTotal, delta } = this.comparePriceLists({ ...quoteData, priceListVersion: fromVersion }, toVersion);
+            return { quoteId: quoteData.quoteId, customerName: quoteData.customer?.name || '', oldTotal, newTotal, delta };
+        });
+
+        const oldTotal = results.reduce((sum, result) => sum + result.oldTotal, 0);
+        const newTotal = results.reduce((sum, result) => sum + result.newTotal, 0);
+        return { quotes: results, oldTotal, newTotal, delta: newTotal - oldTotal };
+    }
+
+    /**
+     * Returns one entry per product line that has priced items, in the order they were added.
+     * When the F2 state is given, each entry also carries its price after mul-times and discount.
+     * @returns {Array<{productKey: string, name: string, itemCount: number, totalSum: number}>}
+     */
+    getProductSubtotals(quoteData, f2State = null) {
+        const subtotals = Object.entries(quoteData.products)
+            .map(([productKey, productData]) => {
+                const productStrategy = this.productFactory.getProductStrategy(productKey);
+                return {
+                    productKey,
+                    name: productStrategy ? productStrategy.getDisplayName() : productKey,
+                    itemCount: productData.items.filter(item => item.width && item.height).length,
+                    totalSum: productData.summary?.totalSum || 0
+                };
+            })
+            .filter(subtotal => subtotal.itemCount > 0);
+
+        if (!f2State) return subtotals;
+
+        const mulTimes = f2State.mulTimes || 0;
+        const discount = f2State.discount || 0;
+        return subtotals.map(subtotal => {
+            const firstPrice = subtotal.totalSum * mulTimes;
+            const discountedPrice = Math.round(firstPrice * (1 - (discount / 100)) * 100) / 100;
+            return { ...subtotal, firstPrice, discountedPrice };
+        });
+    }
+
+    /**
+     * Sums the retail total of every product line. Returns null if no line has been calculated yet.
+     */
+    getQuoteTotalSum(quoteData) {
+        const totals = Object.values(quoteData.products)
+            .map(productData => productData.summary?.totalSum)
+            .filter(totalSum => typeof totalSum === 'number');
+        return totals.length > 0 ? totals.reduce((sum, totalSum) => sum + totalSum, 0) : null;
+    }
+
+    getAllItems(quoteData) {
+        return Object.values(quoteData.products).flatMap(productData => productData.items);
+    }
+
+    /**
+     * Sums the accessory cost totals (winderCostSum, dualCostSum, ...) of every product line.
+     */
+    sumAccessoryCosts(quoteData) {
+        const costKeys = ['winderCostSum', 'dualCostSum', 'motorCostSum', 'remoteCostSum', 'chargerCostSum', 'cordCostSum'];
+        const totals = Object.fromEntries(costKeys.map(key => [key, 0]));
+        Object.values(quoteData.products).forEach(productData => {
+            const accessories = productData.summary?.accessories || {};
+            costKeys.forEach(key => { totals[key] += accessories[key] || 0; });
+        });
+        return totals;
+    }
+
     /**
      * [NEW] Calculates the SALE PRICE for a given accessory.
      * This method is explicit and should be used for calculating prices for the end customer.
+     * Prices are read from the `pricing` price list (the active one when omitted).
      */
-    calculateAccessorySalePrice(productType, accessoryName, data) {
+    calculateAccessorySalePrice(productType, accessoryName, data, pricing = {}) {
         const productStrategy = this.productFactory.getProductStrategy(productType);
         if (!productStrategy) return 0;
 
@@ -97,7 +489,7 @@ export class CalculationService {
             return 0;
         }
 
-        const pricePerUnit = this.configManager.getAccessoryPrice(priceKey);
+        const pricePerUnit = this.configManager.getAccessoryPrice(priceKey, pricing);
         if (pricePerUnit === null) return 0;
 
         const methodName = accessoryMethodNameMap[accessoryName];
@@ -113,8 +505,9 @@ export class CalculationService {
     /**
      * [NEW] Calculates the COST for a given accessory.
      * This method is explicit and should be used for internal cost calculations.
+     * Costs are read from the `pricing` price list (the active one when omitted).
      */
-    calculateAccessoryCost(productType, accessoryName, data) {
+    calculateAccessoryCost(productType, accessoryName, data, pricing = {}) {
         const productStrategy = this.productFactory.getProductStrategy(productType);
         if (!productStrategy) return 0;
 
@@ -125,7 +518,7 @@ export class CalculationService {
         }
         const priceKey = data.costKey;
 
-        const pricePerUnit = this.configManager.getAccessoryPrice(priceKey);
+        const pricePerUnit = this.configManager.getAccessoryPrice(priceKey, pricing);
         if (pricePerUnit === null) return 0;
 
         const { accessoryMethodNameMap } = this.configManager.getAccessoryMappings();
@@ -154,9 +547,10 @@ export class CalculationService {
 
     /**
      * [REFACTORED] Calculates the total price for a given F1 panel component based on its quantity.
-     * It now fetches mappings from the ConfigManager.
+     * It now fetches mappings from the ConfigManager, and prices from the `pricing` price list
+     * (the active one when omitted).
      */
-    calculateF1ComponentPrice(componentKey, quantity) {
+    calculateF1ComponentPrice(componentKey, quantity, pricing = {}) {
         if (typeof quantity !== 'number' || quantity < 0) {
             return 0;
         }
@@ -178,7 +572,7 @@ export class CalculationService {
             return 0;
         }
 
-        const unitPrice = this.configManager.getAccessoryPrice(accessoryKey);
+        const unitPrice = this.configManager.getAccessoryPrice(accessoryKey, pricing);
         if (unitPrice === null) {
             return 0;
         }
@@ -187,39 +581,405 @@ export class CalculationService {
     }
 
     /**
-     * Calculates all values for the F2 summary panel.
+     * Splits a quote total into the milestones of the quote's payment schedule. Amounts are in
+     * cents-rounded dollars and the remainder milestone absorbs the rounding, so they always add
+     * up to the total. A fixed amount never exceeds what is left of the total.
+     * @param {{id: string, depositAmount: (number|null)}} paymentSchedule The quote's schedule choice.
+     * @param {number} grandTotal
+     * @param {string|null} issueDate An ISO date; without it milestones have no due dates.
+     * @returns {{id: string, name: string, milestones: Array<{label: string, when: string, percent: (number|null), dueDate: (string|null), amount: number}>}}
      */
-    calculateF2Summary(quoteData, uiState) {
-        const currentProductKey = quoteData.currentProduct;
-        const items = quoteData.products[currentProductKey].items;
-        const productSummary = quoteData.products[currentProductKey].summary;
-        const totalSumFromQuickQuote = productSummary.totalSum || 0;
+    calculatePaymentSchedule(paymentSchedule, grandTotal, issueDate) {
+        const schedule = this.configManager.getPaymentSchedule(paymentSchedule?.id);
+        const depositAmount = paymentSchedule?.depositAmount;
+        const total = Math.round((grandTotal || 0) * 100) / 100;
+        let allocated = 0;
+
+        const milestones = schedule.milestones.map(milestone => {
+            let amount;
+            if (milestone.remainder) {
+                amount = total - allocated;
+            } else if (milestone.amount !== undefined) {
+                const fixedAmount = typeof depositAmount === 'number' ? depositAmount : milestone.amount;
+                amount = Math.min(fixedAmount, total - allocated);
+            } else {
+                amount = Math.min(total * milestone.percent / 100, total - allocated);
+            }
+            amount = Math.round(amount * 100) / 100;
+            allocated += amount;
+
+            return {
+                label: milestone.label,
+                when: milestone.when,
+                percent: milestone.percent ?? null,
+                dueDate: _addDays(issueDate, milestone.dueInDays),
+                amount
+            };
+        });
+
+        return { id: schedule.id, name: schedule.name, milestones };
+    }
+
+    /**
+     * Works out the automatic discounts (config/discount-rules.js) a quote earns. Percentages are
+     * taken off the product lines' sale price, after mul-times and the F2 discount.
+     * @param {object} quoteData
+     * @param {object} uiState
+     * @param {string} asOfDate An ISO date; rules not in effect on it are skipped.
+     * @returns {{lines: Array<{ruleId: string, label: string, amount: number}>, total: number}}
+     *   One line per applied rule with a negative amount; `total` is the amount taken off.
+     */
+    calculateDiscounts(quoteData, uiState, asOfDate) {
+        const productSubtotals = this.getProductSubtotals(quoteData, uiState.f2 || {});
+        const candidates = this.configManager.getDiscountRules()
+            .filter(rule => _isRuleInEffect(rule, asOfDate))
+            .map(rule => ({ rule, amount: this._calculateRuleDiscount(rule, quoteData, uiState, productSubtotals) }))
+            .filter(candidate => candidate.amount > 0);
+
+        const sumAmounts = (list) => _roundCents(list.reduce((sum, candidate) => sum + candidate.amount, 0));
+        const stackable = candidates.filter(candidate => candidate.rule.stackable);
+        const bestExclusive = candidates
+            .filter(candidate => !candidate.rule.stackable)
+            .reduce((best, candidate) => (!best || candidate.amount > best.amount ? candidate : best), null);
+        const applied = bestExclusive && bestExclusive.amount > sumAmounts(stackable) ? [bestExclusive] : stackable;
+
+        return {
+            lines: applied.map(({ rule, amount }) => ({ ruleId: rule.id, label: rule.label, amount: -amount })),
+            total: sumAmounts(applied)
+        };
+    }
+
+    /**
+     * The amount one rule takes off the quote, at the highest tier its count reaches (0 if none).
+     * Only the product lines in the rule's `productKeys` (all when unset) are counted and discounted,
+     * and no rule takes off more than their sale price.
+     */
+    _calculateRuleDiscount(rule, quoteData, uiState, productSubtotals) {
+        const isCovered = (productKey) => !rule.productKeys || rule.productKeys.includes(productKey);
+        const items = Object.entries(quoteData.products)
+            .filter(([productKey]) => isCovered(productKey))
+            .flatMap(([, productData]) => productData.items)
+            .filter(item => item.width && item.height);
+        const count = rule.countOf === 'motors' ? ACCESSORY_QUANTITIES.motor(items) : items.length;
+        const tier = rule.tiers
+            .filter(candidate => count >= candidate.minQuantity)
+            .reduce((best, candidate) => (!best || candidate.minQuantity > best.minQuantity ? candidate : best), null);
+        if (!tier) return 0;
+
+        const salePrice = productSubtotals
+            .filter(subtotal => isCovered(subtotal.productKey))
+            .reduce((sum, subtotal) => sum + subtotal.discountedPrice, 0);
+
+        switch (rule.type) {
+            case DISCOUNT_RULE_TYPES.PERCENT:
+                return _roundCents(salePrice * tier.percent / 100);
+            case DISCOUNT_RULE_TYPES.FIXED:
+                return _roundCents(Math.min(tier.amount, salePrice));
+            case DISCOUNT_RULE_TYPES.FREE_ITEM: {
+                const { accessoryPriceKeyMap } = this.configManager.getAccessoryMappings();
+                const unitPrice = this.configManager.getAccessoryPrice(accessoryPriceKeyMap[rule.item], this._getQuotePricing(quoteData)) || 0;
+                const includedQuantity = ACCESSORY_QUANTITIES[rule.item]?.(items, uiState) || 0;
+                return _roundCents(Math.min(unitPrice * Math.min(tier.quantity, includedQuantity), salePrice));
+            }
+            default:
+                console.error(`Unknown discount rule type: ${rule.type} (${rule.id})`);
+                return 0;
+        }
+    }
+
+    /**
+     * Reverse-solves the F2 panel: finds the mul-times (keeping the discount) or the discount
+     * (keeping the mul-times) that brings the quote closest to a target total or net margin.
+     * The search runs over the variable's steps (mul-times to 4 decimals, discount to 2), so the
+     * same quote and target always give the same answer.
+     * @param {object} quoteData
+     * @param {object} uiState
+     * @param {{target: string, value: number, solveFor: string}} request `target` is 'total'
+     *   (inc. tax) or 'margin' (a percentage); `solveFor` is 'mulTimes' or 'discount'.
+     * @returns {{solveFor: string, solvedValue: number, achieved: number, summary: object}|{error: string}}
+     *   The solved value, what it achieves of the target and the F2 summary it gives.
+     */
+    solveF2Target(quoteData, uiState, { target, value, solveFor }) {
+        const measure = F2_TARGET_MEASURES[target];
+        const variable = F2_SOLVE_VARIABLES[solveFor];
+        if (!measure || !variable || typeof value !== 'number' || !Number.isFinite(value)) {
+            return { error: 'Enter a target total or margin to solve for.' };
+        }
+        if (!this.getQuoteTotalSum(quoteData)) {
+            return { error: 'Calculate the quote prices before solving for a target.' };
+        }
+
+        const valueAt = (steps) => Math.round(steps * variable.step * 10000) / 10000;
+        const summarize = (steps) => this.calculateF2Summary(quoteData, { ...uiState, f2: { ...uiState.f2, [solveFor]: valueAt(steps) } });
+        // A higher mul-times raises the total and margin; a higher discount lowers them. Measuring
+        // the discount negated makes both rise with the step count.
+        const sign = solveFor === 'discount' ? -1 : 1;
+        const measureAt = (steps) => sign * measure(summarize(steps));
+        const goal = sign * value;
+        const maxSteps = Math.round(variable.max / variable.step);
+
+        if (measureAt(0) > goal || measureAt(maxSteps) < goal) {
+            return { error: `The target cannot be reached by changing ${variable.label} alone.` };
+        }
+
+        // The fewest steps that reach the goal; one step fewer may land closer to it.
+        let low = 0;
+        let high = maxSteps;
+        while (low < high) {
+            const middle = Math.floor((low + high) / 2);
+            if (measureAt(middle) >= goal) {
+                high = middle;
+            } else {
+                low = middle + 1;
+            }
+        }
+        const best = low > 0 && Math.abs(measureAt(low - 1) - goal) < Math.abs(measureAt(low) - goal) ? low - 1 : low;
+
+        const summary = summarize(best);
+        return { solveFor, solvedValue: valueAt(best), achieved: measure(summary), summary };
+    }
+
+    /**
+     * Prices every what-if scenario of the quote against the quote as it stands.
+     * @param {object} quoteData A calculated quote; its `scenarios` are compared.
+     * @param {object} uiState
+     * @returns {{base: object, scenarios: Array<object>}} The quote's figures (`sumPrice`,
+     *   `taxAmount`, `taxLabel`, `total` inc. tax and `netProfit`) and, per scenario, its `id`,
+     *   `name`, `includeInQuote`, the described `itemChanges` and `f2Changes`, its figures,
+     *   `deltaTotal` and `deltaProfit` against the quote, and the first pricing error, if any.
+     */
+    compareScenarios(quoteData, uiState) {
+        const base = _scenarioFigures(this.calculateF2Summary(quoteData, uiState));
+        const scenarios = (quoteData.scenarios || []).map(scenario => {
+            const { summary, firstError } = this.calculateScenario(quoteData, uiState, scenario);
+            const figures = _scenarioFigures(summary);
+            return {
+                id: scenario.id,
+                name: scenario.name,
+                includeInQuote: scenario.includeInQuote !== false,
+                ..._describeScenario(scenario),
+                ...figures,
+                deltaTotal: _roundCents(figures.total - base.total),
+                deltaProfit: _roundCents(figures.netProfit - base.netProfit),
+                firstError
+            };
+        });
+        return { base, scenarios };
+    }
+
+    /**
+     * Prices one what-if scenario: the quote with the scenario's item overrides applied to its
+     * items (`itemOverrides.itemIds`, or every measured item), repriced when the fabric type
+     * changes, with the drive and dual accessories recounted, and summarised with the scenario's
+     * F2 overrides. A scenario without motors drops the remotes, chargers and cords; one that
+     * motorises a quote without motors includes a remote and a charger, as K4 does.
+     * @param {object} quoteData
+     * @param {object} uiState
+     * @param {{itemOverrides: object, f2Overrides: object}} scenario
+     * @returns {{quoteData: object, uiState: object, summary: object, firstError: (object|null)}}
+     */
+    calculateScenario(quoteData, uiState, scenario) {
+        const { itemIds = null, ...itemOverrides } = scenario.itemOverrides || {};
+        const overrideKeys = Object.keys(SCENARIO_ITEM_OVERRIDES)
+            .filter(key => itemOverrides[key] !== undefined && itemOverrides[key] !== null);
+        const { accessoryMethodNameMap } = this.configManager.getAccessoryMappings();
 
-        const f2Config = this.configManager.getF2Config();
-        const UNIT_PRICES = f2Config.unitPrices || {};
+        const products = Object.fromEntries(Object.entries(quoteData.products).map(([productKey, productData]) => {
+            const productStrategy = this.productFactory.getProductStrategy(productKey);
+            const appliesTo = (key) => {
+                const { accessory } = SCENARIO_ITEM_OVERRIDES[key];
+                if (accessory) return !!productStrategy?.[accessoryMethodNameMap[accessory]];
+                return this.configManager.getFabricTypeSequence(productKey).includes(itemOverrides.fabricType);
+            };
+            const keys = overrideKeys.filter(appliesTo);
+            const items = productData.items.map(item => {
+                if (!item.width || !item.height || (itemIds && !itemIds.includes(item.itemId))) return item;
+                return keys.reduce((changed, key) => SCENARIO_ITEM_OVERRIDES[key].apply(changed, itemOverrides[key]), item);
+            });
+            return [productKey, { ...productData, items }];
+        }));
 
-        const accessories = productSummary.accessories || {};
-        const winderPrice = accessories.winderCostSum || 0;
-        const dualPrice = accessories.dualCostSum || 0;
-        const motorPrice = accessories.motorCostSum || 0;
-        const remotePrice = accessories.remoteCostSum || 0;
-        const chargerPrice = accessories.chargerCostSum || 0;
-        const cordPrice = accessories.cordCostSum || 0;
+        let scenarioQuote = { ...quoteData, products };
+        let scenarioUi = { ...uiState, f1: { ...uiState.f1 }, f2: { ...uiState.f2 } };
+        Object.keys(SCENARIO_F2_LABELS).forEach(key => {
+            const value = scenario.f2Overrides?.[key];
+            if (value !== undefined && value !== null) scenarioUi.f2[key] = value;
+        });
+
+        if (overrideKeys.includes('dual')) {
+            // The F1 combo and slim bracket counts follow the scenario's dual items.
+            scenarioUi.f1.dual_combo_qty = null;
+            scenarioUi.f1.dual_slim_qty = null;
+        }
+        if (overrideKeys.some(key => SCENARIO_ITEM_OVERRIDES[key].accessory)) {
+            ({ quoteData: scenarioQuote, uiState: scenarioUi } = this._recountScenarioAccessories(quoteData, scenarioQuote, scenarioUi));
+        }
+
+        let firstError = null;
+        if (overrideKeys.includes('fabricType')) {
+            const result = this.calculateAllProducts(scenarioQuote);
+            scenarioQuote = result.updatedQuoteData;
+            firstError = result.firstError;
+        }
+
+        return {
+            quoteData: scenarioQuote,
+            uiState: scenarioUi,
+            summary: this.calculateF2Summary(scenarioQuote, scenarioUi),
+            firstError
+        };
+    }
+
+    /**
+     * Reprices the winders, motors and dual brackets of every product line from its scenario
+     * items, and the remotes, chargers and cords when the scenario adds the first motors or
+     * removes the last; those are then charged on the first line with motors.
+     */
+    _recountScenarioAccessories(quoteData, scenarioQuote, scenarioUi) {
+        const pricing = this._getQuotePricing(scenarioQuote);
+        const products = Object.fromEntries(Object.entries(scenarioQuote.products).map(([productKey, productData]) => {
+            const items = productData.items;
+            const accessories = {
+                ...productData.summary?.accessories,
+                winderCostSum: this.calculateAccessorySalePrice(productKey, 'winder', { count: ACCESSORY_QUANTITIES.winder(items) }, pricing),
+                motorCostSum: this.calculateAccessorySalePrice(productKey, 'motor', { count: ACCESSORY_QUANTITIES.motor(items) }, pricing),
+                dualCostSum: this.calculateAccessorySalePrice(productKey, 'dual', { items }, pricing)
+            };
+            return [productKey, { ...productData, summary: { ...productData.summary, accessories } }];
+        }));
+
+        const motorCount = ACCESSORY_QUANTITIES.motor(this.getAllItems(scenarioQuote));
+        const hadMotors = ACCESSORY_QUANTITIES.motor(this.getAllItems(quoteData)) > 0;
+        const counts = {
+            remote: scenarioUi.driveRemoteCount || 0,
+            charger: scenarioUi.driveChargerCount || 0,
+            cord: scenarioUi.driveCordCount || 0
+        };
+        let newCounts = counts;
+        if (motorCount === 0) {
+            newCounts = { remote: 0, charger: 0, cord: 0 };
+        } else if (!hadMotors) {
+            newCounts = { ...counts, remote: Math.max(counts.remote, 1), charger: Math.max(counts.charger, 1) };
+        }
+        if (Object.keys(counts).every(key => counts[key] === newCounts[key])) {
+            return { quoteData: { ...scenarioQuote, products }, uiState: scenarioUi };
+        }
+
+        const driveProductKey = Object.keys(products).find(key => ACCESSORY_QUANTITIES.motor(products[key].items) > 0);
+        Object.entries(products).forEach(([productKey, productData]) => {
+            const price = (accessory) => (productKey === driveProductKey
+                ? this.calculateAccessorySalePrice(productKey, accessory, { count: newCounts[accessory] }, pricing)
+                : 0);
+            productData.summary.accessories = {
+                ...productData.summary.accessories,
+                remoteCostSum: price('remote'),
+                chargerCostSum: price('charger'),
+                cordCostSum: price('cord')
+            };
+        });
+
+        return {
+            quoteData: { ...scenarioQuote, products },
+            uiState: {
+                ...scenarioUi,
+                driveRemoteCount: newCounts.remote,
+                driveChargerCount: newCounts.charger,
+                driveCordCount: newCounts.cord,
+                f1: { ...scenarioUi.f1, remote_1ch_qty: Math.min(scenarioUi.f1.remote_1ch_qty || 0, newCounts.remote), remote_16ch_qty: null }
+            }
+        };
+    }
+
+    /**
+     * Prices the F2 fees from the price list's fee schedule. Installs are charged per blind: the
+     * quote's measured items in order, at their size band's rate plus the motorised extra, then
+     * any further installs at the flat rate, with the minimum call-out charge as a floor.
+     * Delivery is free once the goods reach the schedule's `freeOver` amount. A delivery zone
+     * sets its own delivery rate and adds its install extra per blind; an amount the user
+     * entered for a fee replaces the calculated one.
+     * @param {Array<object>} items The quote's items, in order.
+     * @param {object} f2State The F2 quantities.
+     * @param {number} goodsTotal The selling price of the blinds and accessories (but not the
+     *   Wi-Fi hubs, which are priced here), after discounts.
+     * @param {{zoneId?: string|null, overrides?: object, pricing?: object}} [options] The customer's delivery
+     *   zone, the quote's fee overrides (`quoteData.feeOverrides`, fee type -> amount) and the price
+     *   list whose fee schedule is used (the active one when omitted).
+     * @returns {{wifiSum: number, deliveryFee: number, installFee: number, removalFee: number, deliveryIsFree: boolean, installMinimumApplied: boolean}}
+     */
+    calculateFees(items, f2State, goodsTotal, { zoneId = null, overrides = {}, pricing = {} } = {}) {
+        const { wifi, delivery, install, removal, zones } = this.configManager.getFeeSchedule(pricing);
+        const zone = (zoneId && zones?.[zoneId]) || {};
+        const installQty = f2State.installQty || 0;
+        const wifiSum = (f2State.wifiQty || 0) * wifi.unitPrice;
+
+        const sizeBands = install.sizeBands || [];
+        const installRate = (item) => {
+            const area = (item.width * item.height) / 1000000;
+            const band = sizeBands.find(entry => area <= entry.maxArea);
+            return (band ? band.unitPrice : install.unitPrice) + (item.motor ? install.motorisedExtra || 0 : 0);
+        };
+        const measuredItems = items.filter(item => item.width && item.height).slice(0, installQty);
+        const installSum = measuredItems.reduce((sum, item) => sum + installRate(item), 0)
+            + (installQty - measuredItems.length) * install.unitPrice
+            + installQty * (zone.installExtra || 0);
+        const installMinimumApplied = installSum > 0 && installSum < (install.minimumCharge || 0);
+
+        const deliveryIsFree = (f2State.deliveryQty || 0) > 0
+            && typeof delivery.freeOver === 'number' && goodsTotal + wifiSum >= delivery.freeOver;
+        const deliveryRate = zone.deliveryUnitPrice ?? delivery.unitPrice;
+
+        const fees = {
+            delivery: deliveryIsFree ? 0 : (f2State.deliveryQty || 0) * deliveryRate,
+            install: installMinimumApplied ? install.minimumCharge : Math.round(installSum * 100) / 100,
+            removal: (f2State.removalQty || 0) * removal.unitPrice
+        };
+        const feeAmount = (fee) => (typeof overrides[fee] === 'number' ? overrides[fee] : fees[fee]);
+
+        return {
+            wifiSum,
+            deliveryFee: feeAmount('delivery'),
+            installFee: feeAmount('install'),
+            removalFee: feeAmount('removal'),
+            deliveryIsFree: deliveryIsFree && typeof overrides.delivery !== 'number',
+            installMinimumApplied: installMinimumApplied && typeof overrides.install !== 'number'
+        };
+    }
+
+    /**
+     * Calculates all values for the F2 summary panel, aggregated across every product line.
+     * Automatic discounts are those in effect on the quote's issue date (today if it has none), and
+     * fees are priced for the delivery zone of the customer's postcode (`feeZone`).
+     */
+    calculateF2Summary(quoteData, uiState) {
+        const pricing = this._getQuotePricing(quoteData);
+        const items = this.getAllItems(quoteData);
+        const totalSumFromQuickQuote = this.getQuoteTotalSum(quoteData) || 0;
+
+        const accessoryCosts = this.sumAccessoryCosts(quoteData);
+        const winderPrice = accessoryCosts.winderCostSum;
+        const dualPrice = accessoryCosts.dualCostSum;
+        const motorPrice = accessoryCosts.motorCostSum;
+        const remotePrice = accessoryCosts.remoteCostSum;
+        const chargerPrice = accessoryCosts.chargerCostSum;
+        const cordPrice = accessoryCosts.cordCostSum;
 
         const f1State = uiState.f1;
         const f2State = uiState.f2;
 
-        const wifiQty = f2State.wifiQty || 0;
-        const deliveryQty = f2State.deliveryQty || 0;
-        const installQty = f2State.installQty || 0;
-        const removalQty = f2State.removalQty || 0;
         const mulTimes = f2State.mulTimes || 0;
         const discount = f2State.discount || 0;
 
-        const wifiSum = wifiQty * UNIT_PRICES.wifi;
-        const deliveryFee = deliveryQty * UNIT_PRICES.delivery;
-        const installFee = installQty * UNIT_PRICES.install;
-        const removalFee = removalQty * UNIT_PRICES.removal;
+        const firstRbPrice = totalSumFromQuickQuote * mulTimes;
+        const disRbPriceValue = firstRbPrice * (1 - (discount / 100));
+        const disRbPrice = Math.round(disRbPriceValue * 100) / 100;
+
+        const discounts = this.calculateDiscounts(quoteData, uiState, quoteData.issueDate || _today());
+
+        const goodsTotal = winderPrice + dualPrice + motorPrice + remotePrice + chargerPrice + cordPrice
+            + disRbPrice - discounts.total;
+        const feeZone = this.configManager.findDeliveryZone(quoteData.customer?.postcode);
+        const { wifiSum, deliveryFee, installFee, removalFee, deliveryIsFree, installMinimumApplied } =
+            this.calculateFees(items, f2State, goodsTotal, { zoneId: feeZone?.id, overrides: quoteData.feeOverrides || {}, pricing });
 
         const acceSum = winderPrice + dualPrice;
         const eAcceSum = motorPrice + remotePrice + chargerPrice + cordPrice + wifiSum;
@@ -228,11 +988,7 @@ export class CalculationService {
             (f2State.installFeeExcluded ? 0 : installFee) +
             (f2State.removalFeeExcluded ? 0 : removalFee);
 
-        const firstRbPrice = totalSumFromQuickQuote * mulTimes;
-        const disRbPriceValue = firstRbPrice * (1 - (discount / 100));
-        const disRbPrice = Math.round(disRbPriceValue * 100) / 100;
-
-        const sumPrice = acceSum + eAcceSum + surchargeFee + disRbPrice;
+        const sumPrice = acceSum + eAcceSum + surchargeFee + disRbPrice - discounts.total;
 
         // --- Start: Replicate F1 Final Total Calculation ---
         const winderQtyF1 = items.filter(item => item.winder === 'HD').length;
@@ -247,31 +1003,48 @@ export class CalculationService {
         const slimQtyF1 = (f1State.dual_slim_qty === null) ? 0 : f1State.dual_slim_qty;
 
         const f1ComponentTotal =
-            this.calculateF1ComponentPrice('winder', winderQtyF1) +
-            this.calculateF1ComponentPrice('motor', motorQtyF1) +
-            this.calculateF1ComponentPrice('remote-1ch', remote1chQtyF1) +
-            this.calculateF1ComponentPrice('remote-16ch', remote16chQtyF1) +
-            this.calculateF1ComponentPrice('charger', chargerQtyF1) +
-            this.calculateF1ComponentPrice('3m-cord', cordQtyF1) +
-            this.calculateF1ComponentPrice('dual-combo', comboQtyF1) +
-            this.calculateF1ComponentPrice('slim', slimQtyF1);
+            this.calculateF1ComponentPrice('winder', winderQtyF1, pricing) +
+            this.calculateF1ComponentPrice('motor', motorQtyF1, pricing) +
+            this.calculateF1ComponentPrice('remote-1ch', remote1chQtyF1, pricing) +
+            this.calculateF1ComponentPrice('remote-16ch', remote16chQtyF1, pricing) +
+            this.calculateF1ComponentPrice('charger', chargerQtyF1, pricing) +
+            this.calculateF1ComponentPrice('3m-cord', cordQtyF1, pricing) +
+            this.calculateF1ComponentPrice('dual-combo', comboQtyF1, pricing) +
+            this.calculateF1ComponentPrice('slim', slimQtyF1, pricing);
 
         const f1DiscountPercentage = f1State.discountPercentage || 0;
-        const retailTotalFromF1 = quoteData.products.rollerBlind.summary.totalSum || 0;
+        const retailTotalFromF1 = totalSumFromQuickQuote;
         const f1_rb_price = retailTotalFromF1 * (1 - (f1DiscountPercentage / 100));
 
         const f1SubTotal = f1ComponentTotal + f1_rb_price;
-        const f1Gst = f1SubTotal * 0.10;
-        const f1_final_total = f1SubTotal + f1Gst;
+        const f1_final_total = this.taxService.calculate(f1SubTotal).gross;
         // --- End: Replicate F1 Final Total Calculation ---
 
         const rbProfit = disRbPrice - f1_rb_price;
         const validItemCount = items.filter(item => typeof item.linePrice === 'number' && item.linePrice > 0).length;
         const singleprofit = validItemCount > 0 ? rbProfit / validItemCount : 0;
 
+        const productSubtotals = this.getProductSubtotals(quoteData, f2State);
+
+        // Each product line and charge is taxed under its own category.
+        const taxLines = [
+            ...productSubtotals.map(subtotal => ({ key: subtotal.productKey, amount: subtotal.discountedPrice })),
+            { key: 'accessories', amount: acceSum + eAcceSum - wifiSum },
+            { key: 'wifi', amount: wifiSum },
+            { key: 'delivery', amount: f2State.deliveryFeeExcluded ? 0 : deliveryFee },
+            { key: 'install', amount: f2State.installFeeExcluded ? 0 : installFee },
+            { key: 'removal', amount: f2State.removalFeeExcluded ? 0 : removalFee },
+            { key: 'discounts', amount: -discounts.total }
+        ];
+        // Product lines are rounded one by one; the first line absorbs the difference to the rounded total.
+        const productLinesTotal = productSubtotals.reduce((sum, subtotal) => sum + subtotal.discountedPrice, 0);
+        taxLines[0] = { ...taxLines[0], amount: taxLines[0].amount + disRbPrice - productLinesTotal };
+        const isTaxExempt = quoteData.customer?.taxExempt === true;
+        const taxSummary = this.taxService.summarize(taxLines, { exempt: isTaxExempt });
+
         // [MODIFIED] Corrected sumProfit and netProfit calculation
         const sumProfit = sumPrice - f1SubTotal;
-        const gst = sumPrice * 1.1; // Correctly calculate the total including GST
+        const gst = taxSummary.gross; // The total including tax
         const netProfit = gst - f1_final_total;
 
         return {
@@ -280,14 +1053,78 @@ export class CalculationService {
             deliveryFee,
             installFee,
             removalFee,
+            deliveryIsFree,
+            installMinimumApplied,
+            feeZone,
             firstRbPrice,
             disRbPrice,
+            discountLines: discounts.lines,
+            discountTotal: discounts.total,
             sumPrice,
             rbProfit,
             singleprofit,
             sumProfit,
             gst,
-            netProfit
+            taxAmount: taxSummary.tax,
+            taxLabel: this.taxService.getLabel(taxSummary.lines, { exempt: isTaxExempt }),
+            netProfit,
+            productSubtotals
         };
     }
-}
\ No newline at end of file
+}
+
+/**
+ * The figures a scenario comparison shows for an F2 summary.
+ */
+function _scenarioFigures(summary) {
+    return {
+        sumPrice: summary.sumPrice,
+        taxAmount: summary.taxAmount,
+        taxLabel: summary.taxLabel,
+        total: summary.gst,
+        netProfit: summary.netProfit
+    };
+}
+
+/**
+ * Describes a scenario's overrides: the item changes (shown to the customer) and the F2 changes.
+ */
+function _describeScenario({ itemOverrides = {}, f2Overrides = {} }) {
+    const count = itemOverrides.itemIds?.length;
+    const itemCount = itemOverrides.itemIds ? ` (${count} ${count === 1 ? 'item' : 'items'})` : '';
+    const isSet = (value) => value !== undefined && value !== null;
+    return {
+        itemChanges: Object.entries(SCENARIO_ITEM_OVERRIDES)
+            .filter(([key]) => isSet(itemOverrides[key]))
+            .map(([key, override]) => `${override.describe(itemOverrides[key])}${itemCount}`),
+        f2Changes: Object.entries(SCENARIO_F2_LABELS)
+            .filter(([key]) => isSet(f2Overrides[key]))
+            .map(([key, label]) => `${label} ${f2Overrides[key]}`)
+    };
+}
+
+/**
+ * Whether a discount rule is in effect on an ISO date; its date range is inclusive and open at a null end.
+ */
+function _isRuleInEffect(rule, isoDate) {
+    return (!rule.effectiveFrom || isoDate >= rule.effectiveFrom) && (!rule.effectiveTo || isoDate <= rule.effectiveTo);
+}
+
+function _roundCents(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+function _today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Adds days to an ISO date ('YYYY-MM-DD'); returns null when either is missing.
+ */
+function _addDays(isoDate, days) {
+    if (!isoDate || days === null || days === undefined) return null;
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    if (Number.isNaN(date.getTime())) return null;
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
@@ -3,6 +3,9 @@
 import { CalculationService } from './calculation-service.js';
 import { StateService } from './state-service.js';
 import { EventAggregator } from '../event-aggregator.js';
+import { ConfigManager } from '../config-manager.js';
+import { TaxService } from './tax-service.js';
+import { taxConfig } from '../config/tax-config.js';
 
 // --- Mock Dependencies ---
 const mockProductStrategy = {
@@ -15,11 +18,14 @@ const mockProductStrategy = {
         }
         return { price: item.width * 0.1 + item.height * 0.2 };
     }),
+    getDisplayName: jest.fn(() => 'Mock Product'),
     calculateDualPrice: jest.fn(() => 10), // Add mock for dual price calculation
     calculateWinderPrice: jest.fn((count, price) => count * price) // Add mock for winder
 };
 
 const mockConfigManager = {
+    resolvePriceListVersion: jest.fn((version) => version || '1.0'),
+    findDeliveryZone: jest.fn(() => null),
     getPriceMatrix: jest.fn((fabricType) => {
         if (fabricType === 'B5') {
             return { name: 'SHAW - VIBE', aliasFor: 'SN' };
@@ -55,6 +61,15 @@ const mockConfigManager = {
     }))
 };
 
+// A fee schedule that charges nothing, with the given fees replaced.
+const buildFeeSchedule = (overrides = {}) => ({
+    wifi: { unitPrice: 0 },
+    delivery: { unitPrice: 0, freeOver: null },
+    install: { unitPrice: 0, sizeBands: [], motorisedExtra: 0, minimumCharge: 0 },
+    removal: { unitPrice: 0 },
+    ...overrides
+});
+
 // --- Test Suite ---
 describe('CalculationService (Refactored)', () => {
     let calculationService;
@@ -139,6 +154,35 @@ describe('CalculationService (Refactored)', () => {
         });
     });
 
+    describe('calculateItemPrice', () => {
+        const item = { width: 1200, height: 2000, fabricType: 'FS1' };
+
+        it('should price grid matrices (or matrices without a kind) with calculatePrice', () => {
+            const result = calculationService.calculateItemPrice(item, { kind: 'grid' }, mockProductStrategy);
+
+            expect(result.price).toBe(520);
+            expect(mockProductStrategy.calculatePrice).toHaveBeenCalledTimes(1);
+        });
+
+        it('should dispatch linear price lists to calculateLinearPrice', () => {
+            const linearStrategy = { calculateLinearPrice: jest.fn(() => ({ price: 199 })) };
+            const priceList = { kind: 'linear', pricePerMetre: 95, unitCharge: 85 };
+
+            const result = calculationService.calculateItemPrice(item, priceList, linearStrategy);
+
+            expect(result.price).toBe(199);
+            expect(linearStrategy.calculateLinearPrice).toHaveBeenCalledWith(item, priceList, {});
+        });
+
+        it('should return an error when the strategy cannot price the matrix kind', () => {
+            const result = calculationService.calculateItemPrice(item, { kind: 'linear' }, mockProductStrategy);
+
+            expect(result.price).toBeNull();
+            expect(result.error).toContain('Mock Product cannot be priced from the linear price list');
+            expect(mockProductStrategy.calculatePrice).not.toHaveBeenCalled();
+        });
+    });
+
     // --- Tests for NEW Refactored Methods ---
     describe('calculateAccessorySalePrice', () => {
         it('should calculate the SALE PRICE for an accessory using the price key map', () => {
@@ -150,7 +194,7 @@ describe('CalculationService (Refactored)', () => {
             expect(price).toBe(10); // Mocked return value from strategy
             expect(mockConfigManager.getAccessoryMappings).toHaveBeenCalledTimes(1);
             // It should use the SALE price key
-            expect(mockConfigManager.getAccessoryPrice).toHaveBeenCalledWith('comboBracket');
+            expect(mockConfigManager.getAccessoryPrice).toHaveBeenCalledWith('comboBracket', {});
             expect(mockProductStrategy.calculateDualPrice).toHaveBeenCalledWith(items, 10);
         });
     });
@@ -166,7 +210,7 @@ describe('CalculationService (Refactored)', () => {
             expect(price).toBe(24); // 3 * 8 (mocked cost price)
             expect(mockConfigManager.getAccessoryMappings).toHaveBeenCalledTimes(1);
             // It should use the COST key provided in the data object
-            expect(mockConfigManager.getAccessoryPrice).toHaveBeenCalledWith('cost-winder');
+            expect(mockConfigManager.getAccessoryPrice).toHaveBeenCalledWith('cost-winder', {});
             expect(mockProductStrategy.calculateWinderPrice).toHaveBeenCalledWith(winderCount, 8);
         });
 
@@ -181,4 +225,552 @@ describe('CalculationService (Refactored)', () => {
             consoleErrorSpy.mockRestore();
         });
     });
-});
\ No newline at end of file
+
+    describe('calculateAllProducts', () => {
+        const buildMultiProductQuote = () => ({
+            currentProduct: 'sheerCurtain',
+            products: {
+                rollerBlind: {
+                    items: [{ width: 1000, height: 1000, fabricType: 'B1', linePrice: null }],
+                    summary: { totalSum: null, accessories: { winder: { price: 30 }, winderCostSum: 12 } }
+                },
+                sheerCurtain: {
+                    items: [
+                        { width: 2000, height: 1000, fabricType: 'S1', linePrice: null },
+                        { width: 5000, height: 1000, fabricType: 'S1', linePrice: null }
+                    ],
+                    summary: { totalSum: null, accessories: {} }
+                }
+            }
+        });
+
+        it('should price every product line and keep the current product unchanged', () => {
+            const { updatedQuoteData, firstError } = calculationService.calculateAllProducts(buildMultiProductQuote());
+
+            expect(updatedQuoteData.currentProduct).toBe('sheerCurtain');
+            expect(updatedQuoteData.products.rollerBlind.summary.totalSum).toBe(330);
+            expect(updatedQuoteData.products.sheerCurtain.summary.totalSum).toBe(400);
+            expect(firstError.productKey).toBe('sheerCurtain');
+            expect(firstError.rowIndex).toBe(1);
+        });
+
+        it('should aggregate the quote total and list a subtotal per product', () => {
+            const { updatedQuoteData } = calculationService.calculateAllProducts(buildMultiProductQuote());
+
+            expect(calculationService.getQuoteTotalSum(updatedQuoteData)).toBe(730);
+            expect(calculationService.getProductSubtotals(updatedQuoteData)).toEqual([
+                { productKey: 'rollerBlind', name: 'Mock Product', itemCount: 1, totalSum: 330 },
+                { productKey: 'sheerCurtain', name: 'Mock Product', itemCount: 2, totalSum: 400 }
+            ]);
+        });
+
+        it('should return null as the quote total when nothing has been calculated', () => {
+            expect(calculationService.getQuoteTotalSum(buildMultiProductQuote())).toBeNull();
+        });
+    });
+
+    describe('comparePriceLists', () => {
+        const PRICE_LIST_B1_PRICES = { '1.0': 100, '2.0': 120 };
+        const PRICE_LIST_ACCESSORY_PRICES = { '1.0': { winderHD: 30, remoteStandard: 100 }, '2.0': { winderHD: 35, remoteStandard: 110 } };
+        let versionedService;
+        let versionedConfigManager;
+
+        beforeEach(() => {
+            versionedConfigManager = {
+                resolvePriceListVersion: jest.fn((version) => version || '2.0'),
+                usePriceList: jest.fn(),
+                useCustomerGroup: jest.fn(),
+                getPriceMatrix: jest.fn((fabricType, { priceListVersion }) => (
+                    fabricType === 'B1' ? { price: PRICE_LIST_B1_PRICES[priceListVersion] } : {}
+                )),
+                getAccessoryMappings: mockConfigManager.getAccessoryMappings,
+                getAccessoryPrice: jest.fn((key, { priceListVersion }) => PRICE_LIST_ACCESSORY_PRICES[priceListVersion][key] ?? null),
+                getFeeSchedule: jest.fn(({ priceListVersion }) => buildFeeSchedule({
+                    delivery: { unitPrice: priceListVersion === '1.0' ? 80 : 90, freeOver: null }
+                })),
+                getDiscountRules: () => [],
+                findDeliveryZone: () => null,
+                getTaxConfig: () => ({ ...taxConfig, pricesIncludeTax: false })
+            };
+            const matrixStrategy = {
+                calculatePrice: (item, priceMatrix) => ({ price: priceMatrix.price ?? 50 }),
+                calculateWinderPrice: (count, pricePerUnit) => count * pricePerUnit,
+                calculateRemotePrice: (count, pricePerUnit) => count * pricePerUnit,
+                getDisplayName: () => 'Roller Blind'
+            };
+            versionedService = new CalculationService({
+                stateService,
+                productFactory: { getProductStrategy: () => matrixStrategy },
+                configManager: versionedConfigManager,
+                taxService: new TaxService({ configManager: versionedConfigManager })
+            });
+        });
+
+        it('should record the price list version a quote was priced against', () => {
+            const quoteData = {
+                currentProduct: 'rollerBlind',
+                products: { rollerBlind: { items: [{ width: 1000, height: 1000, fabricType: 'B1' }], summary: {} } }
+            };
+
+            expect(versionedService.calculateAndSum(quoteData, { calculatePrice: () => ({ price: 1 }) }).updatedQuoteData.priceListVersion).toBe('2.0');
+        });
+
+        it('should price from the quote\'s list and customer group without changing the active ones', () => {
+            const quoteData = {
+                currentProduct: 'rollerBlind',
+                priceListVersion: '1.0',
+                customer: { groupId: 'builder' },
+                products: { rollerBlind: { items: [{ width: 1000, height: 1000, fabricType: 'B1' }], summary: {} } }
+            };
+
+            versionedService.calculateAndSum(quoteData, { calculatePrice: (item, priceMatrix) => ({ price: priceMatrix.price }) });
+
+            expect(versionedConfigManager.getPriceMatrix).toHaveBeenCalledWith('B1', { priceListVersion: '1.0', customerGroupId: 'builder' });
+            expect(versionedConfigManager.usePriceList).not.toHaveBeenCalled();
+            expect(versionedConfigManager.useCustomerGroup).not.toHaveBeenCalled();
+        });
+
+        it('should report the item prices and total that repricing would change', () => {
+            const quoteData = {
+                currentProduct: 'rollerBlind',
+                priceListVersion: '1.0',
+                products: {
+                    rollerBlind: {
+                        items: [
+                            { width: 1000, height: 1000, fabricType: 'B1', location: 'Bed 1' },
+                            { width: 1000, height: 1000, fabricType: 'B2' }
+                        ],
+                        summary: {}
+                    }
+                }
+            };
+
+            const report = versionedService.comparePriceLists(quoteData, '2.0');
+
+            expect(report).toEqual(expect.objectContaining({ fromVersion: '1.0', toVersion: '2.0', oldTotal: 150, newTotal: 170, delta: 20 }));
+            expect(report.changes).toEqual([
+                expect.objectContaining({ productName: 'Roller Blind', rowNumber: 1, location: 'Bed 1', oldPrice: 100, newPrice: 120, delta: 20 })
+            ]);
+            expect(report.repricedQuoteData.priceListVersion).toBe('2.0');
+            expect(versionedConfigManager.usePriceList).not.toHaveBeenCalled();
+        });
+
+        it('should reprice the accessories and fees the quote charges and include them in the totals', () => {
+            const quoteData = {
+                currentProduct: 'rollerBlind',
+                priceListVersion: '1.0',
+                products: {
+                    rollerBlind: {
+                        items: [
+                            { width: 1000, height: 1000, fabricType: 'B1', winder: 'HD' },
+                            { width: 1000, height: 1000, fabricType: 'B1', winder: 'HD' }
+                        ],
+                        summary: { accessories: { winderCostSum: 60, remoteCostSum: 200, motorCostSum: null } }
+                    }
+                }
+            };
+            const uiState = {
+                f1: { discountPercentage: 0, remote_1ch_qty: 0, remote_16ch_qty: null, dual_combo_qty: null, dual_slim_qty: null },
+                f2: { mulTimes: 1, discount: 0, deliveryQty: 1 },
+                driveRemoteCount: 2
+            };
+
+            const report = versionedService.comparePriceLists(quoteData, '2.0', uiState);
+
+            expect(report.accessories).toEqual({ oldTotal: 260, newTotal: 290, delta: 30 });
+            expect(report.fees).toEqual({ oldTotal: 80, newTotal: 90, delta: 10 });
+            expect(report).toEqual(expect.objectContaining({ oldTotal: 540, newTotal: 620, delta: 80 }));
+            expect(report.repricedQuoteData.products.rollerBlind.summary.accessories).toEqual({ winderCostSum: 70, remoteCostSum: 220, motorCostSum: null });
+            expect(versionedService.comparePriceLists(quoteData, '2.0').fees).toEqual({ oldTotal: 0, newTotal: 0, delta: 0 });
+        });
+
+        it('should total the impact of a price list change across saved quotes', () => {
+            const buildQuote = (quoteId, priceListVersion, widths) => ({
+                quoteId, priceListVersion, currentProduct: 'rollerBlind', customer: { name: `Customer ${quoteId}` },
+                products: { rollerBlind: { items: widths.map(width => ({ width, height: 1000, fabricType: 'B1' })), summary: {} } }
+            });
+
+            const impact = versionedService.estimatePriceListImpact(
+                [buildQuote('Q1', '2.0', [1000]), buildQuote('Q2', null, [1000, 1200])], '1.0', '2.0'
+            );
+
+            expect(impact.quotes).toEqual([
+                { quoteId: 'Q1', customerName: 'Customer Q1', oldTotal: 100, newTotal: 120, delta: 20 },
+                { quoteId: 'Q2', customerName: 'Customer Q2', oldTotal: 200, newTotal: 240, delta: 40 }
+            ]);
+            expect(impact).toEqual(expect.objectContaining({ oldTotal: 300, newTotal: 360, delta: 60 }));
+            expect(versionedConfigManager.usePriceList).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('explainItemPrice', () => {
+        let explainingService;
+
+        beforeEach(() => {
+            const configManager = {
+                ...mockConfigManager,
+                getPriceMatrix: jest.fn(() => ({ name: 'SHAW - VIBE', widths: [1000], drops: [1000], prices: [[200]], pricedFrom: 'B1' })),
+                getTaxConfig: () => ({ ...taxConfig, pricesIncludeTax: false })
+            };
+            const strategy = {
+                calculatePrice: (item, priceMatrix) => ({ price: 200, breakdown: { matrixName: priceMatrix.name, basePrice: 200 } }),
+                getDisplayName: () => 'Roller Blind'
+            };
+            explainingService = new CalculationService({
+                stateService,
+                productFactory: { getProductStrategy: () => strategy },
+                configManager,
+                taxService: new TaxService({ configManager })
+            });
+        });
+
+        const quoteData = (item, taxExempt = false) => ({
+            priceListVersion: '1.0',
+            customer: { taxExempt },
+            products: { rollerBlind: { items: [{ width: 900, height: 900, fabricType: 'B5', linePrice: 200, ...item }] } }
+        });
+
+        it('should explain the line price, its alias, options and the way to the customer price', () => {
+            const explanation = explainingService.explainItemPrice(
+                quoteData({ winder: 'HD', dual: 'D' }), { f2: { mulTimes: 2, discount: 10 } }, 'rollerBlind', 0
+            );
+
+            expect(explanation).toEqual(expect.objectContaining({
+                productName: 'Roller Blind', rowNumber: 1, priceListVersion: '1.0',
+                pricedFrom: 'B1', price: 200, isOutdated: false,
+                pricing: { matrixName: 'SHAW - VIBE', basePrice: 200 }
+            }));
+            expect(explanation.options).toEqual([
+                { label: 'HD winder', price: 30 },
+                { label: 'Dual bracket (half a pair)', price: 5 }
+            ]);
+            expect(explanation.adjustments).toEqual(expect.objectContaining({
+                steps: [{ label: 'Mul-times x2', amount: 200 }, { label: 'Discount 10%', amount: -40 }],
+                salePrice: 360, tax: 36, gross: 396, taxLabel: 'GST (10%)'
+            }));
+        });
+
+        it('should flag outdated line prices and untaxed exempt customers', () => {
+            const explanation = explainingService.explainItemPrice(quoteData({ linePrice: 150 }, true), { f2: {} }, 'rollerBlind', 0);
+
+            expect(explanation.isOutdated).toBe(true);
+            expect(explanation.adjustments).toEqual(expect.objectContaining({ steps: [], salePrice: 200, tax: 0, taxLabel: 'GST (exempt)', isSalePriceSet: false }));
+            expect(explainingService.explainItemPrice(quoteData({}), { f2: {} }, 'rollerBlind', 5)).toBeNull();
+        });
+    });
+
+    describe('calculateDiscounts', () => {
+        let discountService;
+        let discountRules;
+
+        beforeEach(() => {
+            discountRules = [
+                { id: 'volume', label: 'Volume discount', type: 'percent', countOf: 'items', tiers: [{ minQuantity: 6, percent: 5 }, { minQuantity: 12, percent: 10 }], effectiveFrom: '2026-01-01', effectiveTo: null, stackable: false },
+                { id: 'motor-bundle', label: 'Motorised bundle', type: 'fixed', countOf: 'motors', tiers: [{ minQuantity: 3, amount: 100 }], effectiveFrom: null, effectiveTo: null, stackable: true },
+                { id: 'free-remote', label: 'Free remote', type: 'freeItem', countOf: 'motors', item: 'remote', tiers: [{ minQuantity: 4, quantity: 1 }], effectiveFrom: null, effectiveTo: '2026-12-31', stackable: true }
+            ];
+            const configManager = {
+                ...mockConfigManager,
+                getAccessoryPrice: jest.fn((key) => ({ remoteStandard: 100 }[key] || 0)),
+                getDiscountRules: () => discountRules,
+                getFeeSchedule: () => buildFeeSchedule(),
+                getTaxConfig: () => ({ ...taxConfig, pricesIncludeTax: false })
+            };
+            discountService = new CalculationService({
+                stateService,
+                productFactory: { getProductStrategy: () => mockProductStrategy },
+                configManager,
+                taxService: new TaxService({ configManager })
+            });
+        });
+
+        const buildQuote = (itemCount, motorCount, totalSum, issueDate = null) => ({
+            issueDate,
+            customer: { taxExempt: false },
+            products: {
+                rollerBlind: {
+                    items: Array.from({ length: itemCount }, (_, index) => ({ width: 1000, height: 1000, motor: index < motorCount ? 'M' : '' })),
+                    summary: { totalSum, accessories: {} }
+                }
+            }
+        });
+        const uiState = (remoteCount = 0) => ({ f2: { mulTimes: 1, discount: 0 }, driveRemoteCount: remoteCount });
+
+        it('should apply the highest tier reached, and a non-stacking rule only when it beats the stackable ones', () => {
+            expect(discountService.calculateDiscounts(buildQuote(6, 0, 1000), uiState(), '2026-10-19')).toEqual({
+                lines: [{ ruleId: 'volume', label: 'Volume discount', amount: -50 }], total: 50
+            });
+            expect(discountService.calculateDiscounts(buildQuote(12, 4, 1000), uiState(2), '2026-10-19')).toEqual({
+                lines: [
+                    { ruleId: 'motor-bundle', label: 'Motorised bundle', amount: -100 },
+                    { ruleId: 'free-remote', label: 'Free remote', amount: -100 }
+                ],
+                total: 200
+            });
+            expect(discountService.calculateDiscounts(buildQuote(12, 4, 3000), uiState(2), '2026-10-19').lines)
+                .toEqual([{ ruleId: 'volume', label: 'Volume discount', amount: -300 }]);
+        });
+
+        it('should skip rules out of their date range and free items the quote does not include', () => {
+            expect(discountService.calculateDiscounts(buildQuote(12, 4, 1000), uiState(0), '2025-12-31').lines)
+                .toEqual([{ ruleId: 'motor-bundle', label: 'Motorised bundle', amount: -100 }]);
+            expect(discountService.calculateDiscounts(buildQuote(12, 4, 1500), uiState(2), '2027-01-01').lines.map(line => line.ruleId))
+                .toEqual(['volume']);
+        });
+
+        it('should take the discounts off the F2 selling price and its tax', () => {
+            const summary = discountService.calculateF2Summary(
+                buildQuote(6, 0, 1000, '2026-10-19'),
+                { ...uiState(), f1: { discountPercentage: 0, remote_1ch_qty: 0, remote_16ch_qty: null, dual_combo_qty: null, dual_slim_qty: null } }
+            );
+
+            expect(summary.discountLines).toEqual([{ ruleId: 'volume', label: 'Volume discount', amount: -50 }]);
+            expect(summary.discountTotal).toBe(50);
+            expect(summary.sumPrice).toBe(950);
+            expect(summary.gst).toBeCloseTo(1045);
+        });
+    });
+
+    describe('calculateFees', () => {
+        const feeService = (fees) => new CalculationService({
+            stateService,
+            productFactory: { getProductStrategy: () => mockProductStrategy },
+            configManager: { ...mockConfigManager, getFeeSchedule: () => buildFeeSchedule(fees) }
+        });
+        const items = [
+            { width: 1000, height: 1000, motor: '' },
+            { width: 2000, height: 1500, motor: 'Motor' },
+            { width: 1200, height: 2000, motor: '' },
+            { width: null, height: null }
+        ];
+
+        it('should charge flat rates when the schedule has no rules', () => {
+            const fees = feeService({
+                wifi: { unitPrice: 200 }, delivery: { unitPrice: 100, freeOver: null },
+                install: { unitPrice: 20, sizeBands: [], motorisedExtra: 0, minimumCharge: 0 }, removal: { unitPrice: 20 }
+            }).calculateFees(items, { wifiQty: 1, deliveryQty: 1, installQty: 3, removalQty: 2 }, 5000);
+
+            expect(fees).toEqual({
+                wifiSum: 200, deliveryFee: 100, installFee: 60, removalFee: 40, deliveryIsFree: false, installMinimumApplied: false
+            });
+        });
+
+        it('should charge each blind its size band and motorised extra, and extra installs the flat rate', () => {
+            const service = feeService({
+                install: { unitPrice: 40, sizeBands: [{ maxArea: 1.5, unitPrice: 25 }, { maxArea: 2.5, unitPrice: 30 }], motorisedExtra: 15, minimumCharge: 0 }
+            });
+
+            // 1 m² at 25, a motorised 3 m² blind past every band at 40 + 15, 2.4 m² at 30 and one more install at 40.
+            expect(service.calculateFees(items, { installQty: 4 }, 0).installFee).toBe(25 + 55 + 30 + 40);
+            expect(service.calculateFees(items, { installQty: 1 }, 0).installFee).toBe(25);
+        });
+
+        it('should apply the minimum call-out charge and free delivery over the threshold', () => {
+            const service = feeService({
+                delivery: { unitPrice: 100, freeOver: 2000 },
+                install: { unitPrice: 20, sizeBands: [], motorisedExtra: 0, minimumCharge: 80 }
+            });
+
+            expect(service.calculateFees(items, { deliveryQty: 1, installQty: 2 }, 1999.99)).toMatchObject({
+                deliveryFee: 100, deliveryIsFree: false, installFee: 80, installMinimumApplied: true
+            });
+            expect(service.calculateFees(items, { deliveryQty: 1, installQty: 0 }, 2000)).toMatchObject({
+                deliveryFee: 0, deliveryIsFree: true, installFee: 0, installMinimumApplied: false
+            });
+        });
+
+        it('should price delivery and installs for the zone, and charge overridden fees as entered', () => {
+            const service = feeService({
+                delivery: { unitPrice: 100, freeOver: 2000 },
+                install: { unitPrice: 20, sizeBands: [], motorisedExtra: 0, minimumCharge: 0 },
+                removal: { unitPrice: 20 },
+                zones: { regional: { deliveryUnitPrice: 250, installExtra: 10 }, metro: { deliveryUnitPrice: null, installExtra: 0 } }
+            });
+            const f2State = { deliveryQty: 1, installQty: 2, removalQty: 1 };
+
+            expect(service.calculateFees(items, f2State, 0, { zoneId: 'regional' })).toMatchObject({ deliveryFee: 250, installFee: 60 });
+            expect(service.calculateFees(items, f2State, 0, { zoneId: 'metro' })).toMatchObject({ deliveryFee: 100, installFee: 40 });
+            expect(service.calculateFees(items, f2State, 5000, { zoneId: 'regional', overrides: { delivery: 80, removal: 0 } })).toMatchObject({
+                deliveryFee: 80, deliveryIsFree: false, installFee: 60, removalFee: 0
+            });
+        });
+    });
+
+    describe('solveF2Target', () => {
+        let solvingService;
+
+        beforeEach(() => {
+            const configManager = {
+                ...mockConfigManager,
+                getDiscountRules: () => [],
+                getFeeSchedule: () => buildFeeSchedule(),
+                getTaxConfig: () => ({ ...taxConfig, pricesIncludeTax: false })
+            };
+            solvingService = new CalculationService({
+                stateService,
+                productFactory: { getProductStrategy: () => mockProductStrategy },
+                configManager,
+                taxService: new TaxService({ configManager })
+            });
+        });
+
+        const quoteData = {
+            customer: { taxExempt: false },
+            products: { rollerBlind: { items: [{ width: 1000, height: 1000, linePrice: 1000 }], summary: { totalSum: 1000, accessories: {} } } }
+        };
+        const uiState = (f2) => ({
+            f2,
+            f1: { discountPercentage: 0, remote_1ch_qty: 0, remote_16ch_qty: null, dual_combo_qty: null, dual_slim_qty: null }
+        });
+
+        it('should find the mul-times that comes closest to a target total inc. tax', () => {
+            const result = solvingService.solveF2Target(quoteData, uiState({ mulTimes: 2, discount: 0 }), { target: 'total', value: 4500, solveFor: 'mulTimes' });
+
+            expect(result.solvedValue).toBe(4.0909);
+            expect(result.achieved).toBeCloseTo(4499.99);
+            expect(result.summary.sumPrice).toBeCloseTo(4090.9);
+        });
+
+        it('should solve the mul-times for a net margin and the discount for a total', () => {
+            const marginResult = solvingService.solveF2Target(quoteData, uiState({ discount: 0 }), { target: 'margin', value: 35, solveFor: 'mulTimes' });
+            const discountResult = solvingService.solveF2Target(quoteData, uiState({ mulTimes: 2, discount: 0 }), { target: 'total', value: 2000, solveFor: 'discount' });
+
+            expect(marginResult.solvedValue).toBe(1.5385);
+            expect(marginResult.achieved).toBeCloseTo(35, 2);
+            expect(discountResult.solvedValue).toBe(9.09);
+            expect(Math.abs(discountResult.summary.gst - 2000)).toBeLessThan(0.11); // Within half a 0.01% step
+        });
+
+        it('should report targets out of reach and quotes without prices', () => {
+            expect(solvingService.solveF2Target(quoteData, uiState({ mulTimes: 2, discount: 0 }), { target: 'total', value: 5000, solveFor: 'discount' }))
+                .toEqual({ error: 'The target cannot be reached by changing the discount alone.' });
+            expect(solvingService.solveF2Target({ ...quoteData, products: {} }, uiState({}), { target: 'total', value: 5000, solveFor: 'mulTimes' }).error)
+                .toBe('Calculate the quote prices before solving for a target.');
+        });
+    });
+
+    describe('calculateScenario and compareScenarios', () => {
+        let scenarioService;
+
+        beforeEach(() => {
+            const scenarioStrategy = {
+                ...mockProductStrategy,
+                calculatePrice: jest.fn((item) => ({ price: item.fabricType === 'B2' ? 400 : 300 })),
+                calculateDualPrice: jest.fn((items, price) => Math.floor(items.filter(item => item.dual === 'D').length / 2) * price),
+                calculateMotorPrice: jest.fn((count, price) => count * price),
+                calculateRemotePrice: jest.fn((count, price) => count * price),
+                calculateChargerPrice: jest.fn((count, price) => count * price),
+                calculateCordPrice: jest.fn((count, price) => count * price)
+            };
+            const configManager = {
+                ...mockConfigManager,
+                getAccessoryPrice: jest.fn((key) => ({ motorStandard: 200, remoteStandard: 50, chargerStandard: 30, cord3m: 20 }[key] || 0)),
+                getFabricTypeSequence: () => ['B1', 'B2', 'B3'],
+                getDiscountRules: () => [],
+                getFeeSchedule: () => buildFeeSchedule(),
+                getTaxConfig: () => ({ ...taxConfig, pricesIncludeTax: false })
+            };
+            scenarioService = new CalculationService({
+                stateService,
+                productFactory: { getProductStrategy: () => scenarioStrategy },
+                configManager,
+                taxService: new TaxService({ configManager })
+            });
+        });
+
+        const buildQuote = (motor, scenarios = []) => ({
+            currentProduct: 'rollerBlind',
+            customer: { taxExempt: false },
+            scenarios,
+            products: {
+                rollerBlind: {
+                    items: [
+                        { itemId: 'a', width: 1000, height: 1000, fabricType: 'B1', linePrice: 300, motor, winder: '', dual: '' },
+                        { itemId: 'b', width: 1000, height: 1000, fabricType: 'B1', linePrice: 300, motor, winder: '', dual: '' }
+                    ],
+                    summary: { totalSum: 600, accessories: motor ? { motorCostSum: 400, remoteCostSum: 100, chargerCostSum: 30, cordCostSum: 20 } : {} }
+                }
+            }
+        });
+        const uiState = (remoteCount = 0) => ({
+            f2: { mulTimes: 2, discount: 0 },
+            f1: { discountPercentage: 0, remote_1ch_qty: 0, remote_16ch_qty: null, dual_combo_qty: null, dual_slim_qty: null },
+            driveRemoteCount: remoteCount,
+            driveChargerCount: remoteCount ? 1 : 0,
+            driveCordCount: remoteCount ? 1 : 0
+        });
+
+        it('should motorise a quote with a remote and a charger, and compare it with the quote', () => {
+            const motorised = { id: 's1', name: 'With motors', itemOverrides: { motor: true }, f2Overrides: {} };
+            const result = scenarioService.calculateScenario(buildQuote(''), uiState(), motorised);
+
+            expect(result.quoteData.products.rollerBlind.items.map(item => item.motor)).toEqual(['Motor', 'Motor']);
+            expect(result.uiState.driveRemoteCount).toBe(1);
+            expect(result.summary.sumPrice).toBe(1200 + 400 + 50 + 30);
+
+            const comparison = scenarioService.compareScenarios(buildQuote('', [motorised]), uiState());
+            expect(comparison.base.total).toBeCloseTo(1320);
+            expect(comparison.scenarios[0]).toMatchObject({
+                id: 's1', name: 'With motors', includeInQuote: true, itemChanges: ['Motorised'], f2Changes: [], deltaTotal: 528, firstError: null
+            });
+            expect(comparison.scenarios[0].total).toBeCloseTo(1848);
+        });
+
+        it('should reprice the chosen items in another fabric with its F2 overrides', () => {
+            const scenario = { id: 's2', name: 'B2 in the lounge', itemOverrides: { fabricType: 'B2', itemIds: ['a'] }, f2Overrides: { mulTimes: 2.5 } };
+            const [result] = scenarioService.compareScenarios(buildQuote('', [scenario]), uiState()).scenarios;
+
+            expect(result.sumPrice).toBe(1750);
+            expect(result.itemChanges).toEqual(['B2 fabric (1 item)']);
+            expect(result.f2Changes).toEqual(['Mul-times 2.5']);
+        });
+
+        it('should drop the remotes, chargers and cords of a scenario without motors', () => {
+            const scenario = { id: 's3', name: 'Chain operated', itemOverrides: { motor: false }, includeInQuote: false };
+            const result = scenarioService.calculateScenario(buildQuote('Motor'), uiState(2), scenario);
+
+            expect(result.uiState).toMatchObject({ driveRemoteCount: 0, driveChargerCount: 0, driveCordCount: 0 });
+            expect(result.quoteData.products.rollerBlind.summary.accessories).toMatchObject({
+                motorCostSum: 0, remoteCostSum: 0, chargerCostSum: 0, cordCostSum: 0
+            });
+            expect(result.summary.sumPrice).toBe(1200);
+        });
+    });
+
+    describe('calculatePaymentSchedule', () => {
+        let scheduleService;
+
+        beforeEach(() => {
+            scheduleService = new CalculationService({
+                stateService,
+                productFactory: {},
+                configManager: new ConfigManager(eventAggregator)
+            });
+        });
+
+        it('should split the total by percentage with due dates from the issue date', () => {
+            const result = scheduleService.calculatePaymentSchedule({ id: 'staged-30-60-10', depositAmount: null }, 1000.01, '2026-10-19');
+
+            expect(result.id).toBe('staged-30-60-10');
+            expect(result.milestones).toEqual([
+                { label: 'Deposit', when: 'On acceptance', percent: 30, dueDate: '2026-10-19', amount: 300 },
+                { label: 'Check-measure', when: 'On check-measure', percent: 60, dueDate: '2026-11-02', amount: 600.01 },
+                { label: 'Installation', when: 'On installation', percent: null, dueDate: '2026-11-30', amount: 100 }
+            ]);
+        });
+
+        it('should use the quote\'s fixed deposit, capped at the total', () => {
+            const amounts = (schedule, total) => scheduleService.calculatePaymentSchedule(schedule, total, null).milestones.map(m => m.amount);
+
+            expect(amounts({ id: 'fixed-deposit', depositAmount: null }, 2000)).toEqual([500, 1500]);
+            expect(amounts({ id: 'fixed-deposit', depositAmount: 800 }, 2000)).toEqual([800, 1200]);
+            expect(amounts({ id: 'fixed-deposit', depositAmount: 800 }, 300)).toEqual([300, 0]);
+        });
+
+        it('should fall back to the default schedule and leave undated milestones without a due date', () => {
+            expect(scheduleService.calculatePaymentSchedule(undefined, 100, '2026-10-19').id).toBe('deposit-50');
+            expect(scheduleService.calculatePaymentSchedule({ id: 'cod' }, 100, '2026-10-19').milestones)
+                .toEqual([{ label: 'Payment in full', when: 'On delivery', percent: null, dueDate: null, amount: 100 }]);
+        });
+    });
+});
@@ -1,6 +1,9 @@
 // /04-core-code/services/file-service.js
 
-import { dataToCsv, csvToData } from '../utils/csv-parser.js';
+import { dataToCsv, csvToData, CSV_BOM } from '../utils/csv-parser.js';
+import { dataToXlsx, xlsxToData, createWorkbook } from '../utils/xlsx-parser.js';
+import { priceListReportToSheets } from '../utils/price-list-diff.js';
+import { generateQuotePdf } from '../utils/quote-pdf-generator.js';
 import { initialState } from '../config/initial-state.js';
 
 /**
@@ -49,7 +52,8 @@ export class FileService {
 
     exportToCsv(quoteData) {
         try {
-            const csvString = dataToCsv(quoteData);
+            // The BOM makes Excel read the file as UTF-8.
+            const csvString = CSV_BOM + dataToCsv(quoteData);
             const fileName = this._generateFileName('csv');
             this._triggerDownload(csvString, fileName, 'text/csv;charset=utf-8;');
             return { success: true, message: 'CSV file is being downloaded...' };
@@ -59,29 +63,142 @@ export class FileService {
         }
     }
 
+    exportToXlsx(quoteData, f2State) {
+        try {
+            const workbook = dataToXlsx(quoteData, f2State);
+            if (!workbook) {
+                throw new Error("XLSX writer returned null.");
+            }
+            const fileName = this._generateFileName('xlsx');
+            this._triggerDownload(workbook, fileName, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            return { success: true, message: 'XLSX file is being downloaded...' };
+        } catch (error) {
+            console.error("Failed to export XLSX file:", error);
+            return { success: false, message: 'Error creating XLSX file.' };
+        }
+    }
+
+    /**
+     * Downloads the customer quote as a PDF named after the quote number (e.g. RB20261019120000.pdf).
+     * @param {object} templateData The data object used for the printable quote templates.
+     */
+    exportToPdf(templateData) {
+        try {
+            const pdfBytes = generateQuotePdf(templateData);
+            const fileName = templateData.quoteId ? `${templateData.quoteId}.pdf` : this._generateFileName('pdf');
+            this._triggerDownload(pdfBytes, fileName, 'application/pdf');
+            return { success: true, message: `${fileName} is being downloaded...` };
+        } catch (error) {
+            console.error("Failed to export PDF file:", error);
+            return { success: false, message: 'Error creating PDF file.' };
+        }
+    }
+
+    /**
+     * Downloads a price list in the format ConfigManager loads, named after its version
+     * (e.g. price-matrix-v1.1.json).
+     * @param {object} priceList
+     */
+    savePriceList(priceList) {
+        try {
+            const fileName = `price-matrix-v${priceList.meta.version}.json`;
+            this._triggerDownload(JSON.stringify(priceList, null, 2), fileName, 'application/json');
+            return { success: true, message: `${fileName} is being downloaded...`, fileName };
+        } catch (error) {
+            console.error("Failed to save price list file:", error);
+            return { success: false, message: 'Error creating price list file.' };
+        }
+    }
+
+    /**
+     * Downloads a price change report as a workbook (e.g. price-change-v1.0-to-v1.1.xlsx).
+     * @param {object} report A price list diff with its optional quote impact.
+     */
+    exportPriceListReport(report) {
+        try {
+            const fileName = `price-change-v${report.fromVersion}-to-v${report.toVersion}.xlsx`;
+            const workbook = createWorkbook(priceListReportToSheets(report));
+            this._triggerDownload(workbook, fileName, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            return { success: true, message: `${fileName} is being downloaded...` };
+        } catch (error) {
+            console.error("Failed to export price change report:", error);
+            return { success: false, message: 'Error creating price change report.' };
+        }
+    }
+
+    _getProductStrategy(productKey) {
+        const productStrategy = this.productFactory.getProductStrategy(productKey);
+        if (!productStrategy) {
+            throw new Error(`Unknown product "${productKey}" in file.`);
+        }
+        return productStrategy;
+    }
+
+    /**
+     * Assembles a full quoteData object from parsed CSV or XLSX content, filling in whatever the
+     * file does not carry (e.g. files from older versions) from the initial state.
+     */
+    _buildQuoteFromRecords({ products, quoteFields, lfIndexes }) {
+        const newQuoteData = JSON.parse(JSON.stringify(initialState.quoteData));
+        const { customer, ...fields } = quoteFields;
+        Object.assign(newQuoteData, fields);
+        newQuoteData.customer = { ...newQuoteData.customer, ...customer };
+        newQuoteData.uiMetadata.lfModifiedRowIndexes = lfIndexes;
+
+        if (Object.keys(products).length > 0) {
+            newQuoteData.products = {};
+        }
+        Object.entries(products).forEach(([productKey, { items, summary }]) => {
+            const productStrategy = this._getProductStrategy(productKey);
+            const lastItem = items[items.length - 1];
+            // The quote always ends with an empty row for the next entry.
+            if (!lastItem || lastItem.width || lastItem.height || lastItem.fabricType) {
+                items.push(productStrategy.getInitialItemData());
+            }
+            newQuoteData.products[productKey] = {
+                ...productStrategy.getInitialProductData(),
+                items,
+                ...(summary ? { summary } : {})
+            };
+        });
+
+        if (!newQuoteData.products[newQuoteData.currentProduct]) {
+            newQuoteData.currentProduct = Object.keys(newQuoteData.products)[0];
+        }
+        return newQuoteData;
+    }
+
+    /**
+     * Reads a loaded quote file.
+     * @param {string} fileName Used to tell the format apart.
+     * @param {string|ArrayBuffer|Uint8Array} content Text for .json and .csv files, bytes for .xlsx files.
+     * @returns {{success: boolean, message: string, data?: object, f2?: object}} `f2` holds the F2
+     *   values stored in an .xlsx file.
+     */
     parseFileContent(fileName, content) {
         try {
             let loadedData = null;
+            let f2 = null;
+            const createItem = (productKey) => this._getProductStrategy(productKey).getInitialItemData();
 
             if (fileName.toLowerCase().endsWith('.json')) {
                 loadedData = JSON.parse(content);
             } else if (fileName.toLowerCase().endsWith('.csv')) {
-                const parsedResult = csvToData(content);
+                const parsedResult = csvToData(content, { createItem });
                 if (parsedResult === null) {
                     throw new Error("CSV parser returned null.");
                 }
+                loadedData = this._buildQuoteFromRecords(parsedResult);
 
-                const { items, lfIndexes } = parsedResult;
-
-                const productStrategy = this.productFactory.getProductStrategy('rollerBlind');
-                const newItem = productStrategy.getInitialItemData();
-                items.push(newItem);
+            } else if (fileName.toLowerCase().endsWith('.xlsx')) {
+                const bytes = content instanceof Uint8Array ? content : new Uint8Array(content);
+                const parsedResult = xlsxToData(bytes, { createItem });
+                if (parsedResult === null) {
+                    throw new Error("XLSX parser returned null.");
+                }
+                f2 = parsedResult.f2;
+                loadedData = this._buildQuoteFromRecords(parsedResult);
 
-                const newQuoteData = JSON.parse(JSON.stringify(initialState.quoteData));
-                newQuoteData.products.rollerBlind.items = items;
-                newQuoteData.uiMetadata.lfModifiedRowIndexes = lfIndexes;
-                loadedData = newQuoteData;
-                
             } else {
                 return { success: false, message: `Unsupported file type: ${fileName}` };
             }
@@ -96,7 +213,7 @@ export class FileService {
             const productData = loadedData?.products?.[currentProduct];
 
             if (productData && Array.isArray(productData.items)) {
-                return { success: true, data: loadedData, message: `Successfully loaded data from ${fileName}` };
+                return { success: true, data: loadedData, ...(f2 ? { f2 } : {}), message: `Successfully loaded data from ${fileName}` };
             } else {
                 if (loadedData && loadedData.rollerBlindItems && Array.isArray(loadedData.rollerBlindItems)) {
                      return { success: true, data: loadedData, message: `Successfully loaded legacy data from ${fileName}` };
@@ -2,6 +2,7 @@
 
 import { FileService } from './file-service.js';
 import { RollerBlindStrategy } from '../strategies/roller-blind-strategy.js';
+import { SheerCurtainStrategy } from '../strategies/sheer-curtain-strategy.js';
 
 describe('FileService', () => {
     let fileService;
@@ -53,6 +54,122 @@ describe('FileService', () => {
             expect(items[1].width).toBeNull(); // The last row should be empty
         });
 
+        it('should give back the identical quote after a CSV export and import round trip', () => {
+            // Arrange
+            const configManager = { getValidationRules: jest.fn(() => ({ defaultFullness: 2 })) };
+            mockProductFactory.getProductStrategy.mockImplementation((productKey) => (
+                productKey === 'sheerCurtain'
+                    ? new SheerCurtainStrategy({ configManager })
+                    : new RollerBlindStrategy({ configManager })
+            ));
+            const rollerItem = (itemId, overrides) => ({
+                itemId, width: null, height: null, fabricType: null, linePrice: null,
+                location: '', fabric: '', color: '', over: '', oi: '', lr: '',
+                dual: '', chain: null, winder: '', motor: '', ...overrides
+            });
+            const quoteData = {
+                currentProduct: 'rollerBlind',
+                products: {
+                    rollerBlind: {
+                        items: [
+                            rollerItem('rb-1', { width: 1200, height: 1300, fabricType: 'B1', linePrice: 75.5, location: 'Bed 1, North', chain: 1000, motor: 'Motor' }),
+                            rollerItem('rb-2', { width: 900, height: 1000, fabricType: 'B2', linePrice: 60, fabric: 'Say "Linen"', color: 'Oat' }),
+                            rollerItem('rb-3', {})
+                        ],
+                        summary: {
+                            totalSum: 135.5,
+                            accessories: {
+                                winder: { count: 1, price: 30 },
+                                remote: { type: 'standard', count: 2, price: 100 },
+                                motorCostSum: null
+                            }
+                        }
+                    },
+                    sheerCurtain: {
+                        items: [
+                            { itemId: 'sc-1', width: 2400, height: 2100, fabricType: 'S1', linePrice: 320, location: 'Lounge', fabric: '', color: '', fullness: 2.5, lr: 'L' },
+                            { itemId: 'sc-2', width: null, height: null, fabricType: null, linePrice: null, location: '', fabric: '', color: '', fullness: 2, lr: '' }
+                        ],
+                        summary: { totalSum: 320, accessories: {} }
+                    }
+                },
+                uiMetadata: { lfModifiedRowIndexes: [1, 0] },
+                quoteId: 'RB20261019120000',
+                issueDate: '2026-10-19',
+                dueDate: null,
+                status: 'Configuring',
+                priceListVersion: '1.0',
+                costDiscountPercentage: 5,
+                paymentSchedule: { id: 'fixed-deposit', depositAmount: 750 },
+                customer: { name: 'Smith, J', address: '1 Main St\nUnit "B"', postcode: '2150', phone: '0400 000 000', email: '', taxExempt: true, groupId: 'builder' },
+                scenarios: [{
+                    id: 'scenario-1',
+                    name: 'Motorised, "premium" fabric',
+                    itemOverrides: { 'rb-1': { motor: 'Motor', fabricType: 'B3' } },
+                    f2Overrides: { mulTimes: 2.2 },
+                    includeInQuote: true
+                }],
+                feeOverrides: { delivery: 150 },
+                feeAudit: [
+                    { at: '2026-10-19T02:00:00.000Z', fee: 'delivery', from: 0, to: 250, reason: 'Postcode 2580 (Regional zone)' },
+                    { at: '2026-10-19T02:05:00.000Z', fee: 'delivery', from: 250, to: 150, reason: 'Delivering with another job, "same day"' }
+                ]
+            };
+            let downloadedCsv = null;
+            jest.spyOn(fileService, '_triggerDownload').mockImplementation((content) => { downloadedCsv = content; });
+
+            // Act
+            fileService.exportToCsv(quoteData);
+            const result = fileService.parseFileContent('quote.csv', downloadedCsv);
+
+            // Assert
+            expect(downloadedCsv.startsWith('\uFEFF')).toBe(true);
+            expect(result.success).toBe(true);
+            expect(result.data).toEqual(quoteData);
+        });
+
+        it('should load an exported XLSX workbook with its F2 values', () => {
+            // Arrange
+            const blankItem = new RollerBlindStrategy({ configManager: {} }).getInitialItemData();
+            const quoteData = {
+                currentProduct: 'rollerBlind',
+                products: {
+                    rollerBlind: {
+                        items: [
+                            { ...blankItem, itemId: 'rb-1', width: 1200, height: 1300, fabricType: 'B1', linePrice: 75.5, location: 'Bed 1, North' },
+                            { ...blankItem, itemId: 'rb-2' }
+                        ],
+                        summary: { totalSum: 75.5, accessories: {} }
+                    }
+                },
+                uiMetadata: { lfModifiedRowIndexes: [] },
+                quoteId: 'RB20261019120000',
+                issueDate: '2026-10-19',
+                dueDate: null,
+                status: 'Configuring',
+                priceListVersion: null,
+                costDiscountPercentage: 0,
+                paymentSchedule: { id: 'deposit-50', depositAmount: null },
+                customer: { name: 'Smith, J', address: '', postcode: '', phone: '', email: '', taxExempt: false, groupId: 'retail' },
+                scenarios: [{ id: 'scenario-1', name: 'Extra discount', itemOverrides: {}, f2Overrides: { discount: 10 }, includeInQuote: false }],
+                feeOverrides: { install: 0, removal: 40 },
+                feeAudit: [{ at: '2026-10-19T02:00:00.000Z', fee: 'install', from: 60, to: 0, reason: 'Customer installs' }]
+            };
+            const f2State = { mulTimes: 1.5, discount: 5, installFeeExcluded: false };
+            let downloadedWorkbook = null;
+            jest.spyOn(fileService, '_triggerDownload').mockImplementation((content) => { downloadedWorkbook = content; });
+
+            // Act
+            const exportResult = fileService.exportToXlsx(quoteData, f2State);
+            const result = fileService.parseFileContent('quote.xlsx', downloadedWorkbook.buffer);
+
+            // Assert
+            expect(exportResult.success).toBe(true);
+            expect(result.success).toBe(true);
+            expect(result.data).toEqual(quoteData);
+            expect(result.f2).toEqual(f2State);
+        });
+
         it('should return an error for an unsupported file type', () => {
             // Arrange
             const textContent = 'some content';
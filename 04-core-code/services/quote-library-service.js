@@ -0,0 +1,191 @@
+// File: 04-core-code/services/quote-library-service.js
+
+import { generateQuoteId } from '../utils/quote-id.js';
+
+/**
+ * @fileoverview Service for the local multi-quote library.
+ * Keeps one record per `quoteId` in the QuoteStore, together with the summary
+ * fields (name, customer, item count, total) the F4 library list shows.
+ * Explicit saves also append an immutable, numbered revision of the quote.
+ */
+export class QuoteLibraryService {
+    constructor({ quoteStore, calculationService }) {
+        this.quoteStore = quoteStore;
+        this.calculationService = calculationService;
+        console.log("QuoteLibraryService Initialized.");
+    }
+
+    /**
+     * Lists saved quotes, most recently updated first.
+     * @param {string} [searchTerm] - Matched case-insensitively against quote number, name and customer.
+     * @returns {Promise<Array<object>>} Record summaries without the quoteData payload.
+     */
+    async listQuotes(searchTerm = '') {
+        const records = await this.quoteStore.getAll();
+        const term = searchTerm.trim().toLowerCase();
+
+        return records
+            .filter(record => !term || [record.quoteId, record.name, record.customerName]
+                .some(field => (field || '').toLowerCase().includes(term)))
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+            .map(record => {
+                const summary = { ...record };
+                delete summary.quoteData;
+                return summary;
+            });
+    }
+
+    /**
+     * Inserts or updates the record for a quote. The name and creation time of an existing record are kept.
+     * @returns {Promise<object>} The stored record.
+     */
+    async saveQuote(quoteData) {
+        if (!quoteData.quoteId) {
+            throw new Error('Cannot save a quote without a quote number.');
+        }
+        const existing = await this.quoteStore.get(quoteData.quoteId);
+        const now = new Date().toISOString();
+
+        return this.quoteStore.put({
+            ...this._summarize(quoteData),
+            name: existing?.name || quoteData.customer?.name || quoteData.quoteId,
+            createdAt: existing?.createdAt || now,
+            updatedAt: now,
+            quoteData
+        });
+    }
+
+    /**
+     * Saves a quote and records a new revision of it, unless nothing changed since the latest revision.
+     * @param {object} quoteData - The quote (items, accessories, customer).
+     * @param {object} [snapshot] - The F1/F2 values and F3 form data that belong to this save.
+     * @returns {Promise<object>} The new revision, or the latest one if it was unchanged.
+     */
+    async saveRevision(quoteData, { f1 = null, f2 = null, f3 = null } = {}) {
+        await this.saveQuote(quoteData);
+
+        const revisions = await this.listRevisions(quoteData.quoteId);
+        const latest = revisions[revisions.length - 1];
+        const content = JSON.parse(JSON.stringify({ quoteData, f1, f2, f3 }));
+        if (latest && this._revisionContent(latest) === this._revisionContent(content)) {
+            return latest;
+        }
+
+        const revisionNumber = latest ? latest.revisionNumber + 1 : 1;
+        return this.quoteStore.addRevision({
+            revisionId: `${quoteData.quoteId}#${revisionNumber}`,
+            quoteId: quoteData.quoteId,
+            revisionNumber,
+            createdAt: new Date().toISOString(),
+            ...this._summarize(quoteData),
+            ...content
+        });
+    }
+
+    /**
+     * @returns {Promise<Array<object>>} The revisions of a quote, oldest first.
+     */
+    async listRevisions(quoteId) {
+        const revisions = await this.quoteStore.getRevisions(quoteId);
+        return revisions.sort((a, b) => a.revisionNumber - b.revisionNumber);
+    }
+
+    /**
+     * @returns {Promise<object|null>} The saved quoteData, or null if no such quote exists.
+     */
+    async openQuote(quoteId) {
+        const record = await this.quoteStore.get(quoteId);
+        return record ? record.quoteData : null;
+    }
+
+    /**
+     * Copies a saved quote under a new quote number.
+     * @returns {Promise<object>} The new record.
+     */
+    async duplicateQuote(quoteId) {
+        const record = await this._getExisting(quoteId);
+        const newQuoteId = await this._generateUniqueQuoteId();
+        const now = new Date().toISOString();
+        const quoteData = { ...JSON.parse(JSON.stringify(record.quoteData)), quoteId: newQuoteId };
+
+        return this.quoteStore.put({
+            ...record,
+            quoteId: newQuoteId,
+            name: `${record.name} (copy)`,
+            createdAt: now,
+            updatedAt: now,
+            quoteData
+        });
+    }
+
+    /**
+     * Overwrites a saved quote with another copy of it (e.g. an imported file). The library
+     * copy is first recorded as a revision, unless the latest revision already holds it,
+     * so the replaced content can still be restored.
+     * @returns {Promise<object>} The stored record.
+     */
+    async replaceQuote(quoteData) {
+        const existing = await this._getExisting(quoteData.quoteId);
+        const revisions = await this.listRevisions(quoteData.quoteId);
+        const latest = revisions[revisions.length - 1];
+        if (!latest || JSON.stringify(latest.quoteData) !== JSON.stringify(existing.quoteData)) {
+            await this.saveRevision(existing.quoteData);
+        }
+        return this.saveQuote(quoteData);
+    }
+
+    /**
+     * Saves a quote under a new quote number, leaving any record with its current number untouched.
+     * @returns {Promise<object>} The new record.
+     */
+    async importAsNewQuote(quoteData) {
+        const quoteId = await this._generateUniqueQuoteId();
+        return this.saveQuote({ ...quoteData, quoteId });
+    }
+
+    async renameQuote(quoteId, name) {
+        const trimmedName = (name || '').trim();
+        if (!trimmedName) {
+            throw new Error('Quote name cannot be empty.');
+        }
+        const record = await this._getExisting(quoteId);
+        return this.quoteStore.put({ ...record, name: trimmedName, updatedAt: new Date().toISOString() });
+    }
+
+    async deleteQuote(quoteId) {
+        await this._getExisting(quoteId);
+        await this.quoteStore.delete(quoteId);
+        await this.quoteStore.deleteRevisions(quoteId);
+    }
+
+    async _getExisting(quoteId) {
+        const record = await this.quoteStore.get(quoteId);
+        if (!record) {
+            throw new Error(`Quote ${quoteId} was not found in the library.`);
+        }
+        return record;
+    }
+
+    async _generateUniqueQuoteId() {
+        const baseId = generateQuoteId();
+        let candidate = baseId;
+        for (let suffix = 2; await this.quoteStore.get(candidate); suffix++) {
+            candidate = `${baseId}-${suffix}`;
+        }
+        return candidate;
+    }
+
+    _revisionContent({ quoteData, f1, f2, f3 }) {
+        return JSON.stringify({ quoteData, f1, f2, f3 });
+    }
+
+    _summarize(quoteData) {
+        const items = this.calculationService.getAllItems(quoteData);
+        return {
+            quoteId: quoteData.quoteId,
+            customerName: quoteData.customer?.name || '',
+            itemCount: items.filter(item => item.width && item.height).length,
+            totalSum: this.calculationService.getQuoteTotalSum(quoteData)
+        };
+    }
+}
@@ -0,0 +1,147 @@
+// File: 04-core-code/services/quote-library-service.spec.js
+
+import { QuoteLibraryService } from './quote-library-service.js';
+
+// --- Mock Dependencies ---
+// An in-memory stand-in for the IndexedDB-backed QuoteStore.
+const createMemoryStore = () => {
+    const records = new Map();
+    const revisions = new Map();
+    return {
+        getAll: jest.fn(async () => [...records.values()]),
+        get: jest.fn(async (quoteId) => records.get(quoteId) || null),
+        put: jest.fn(async (record) => { records.set(record.quoteId, record); return record; }),
+        delete: jest.fn(async (quoteId) => { records.delete(quoteId); }),
+        getRevisions: jest.fn(async (quoteId) => [...revisions.values()].filter(r => r.quoteId === quoteId)),
+        addRevision: jest.fn(async (revision) => {
+            if (revisions.has(revision.revisionId)) throw new Error('Key already exists.');
+            revisions.set(revision.revisionId, revision);
+            return revision;
+        }),
+        deleteRevisions: jest.fn(async (quoteId) => {
+            [...revisions.values()].filter(r => r.quoteId === quoteId).forEach(r => revisions.delete(r.revisionId));
+        })
+    };
+};
+
+const mockCalculationService = {
+    getAllItems: jest.fn((quoteData) => Object.values(quoteData.products).flatMap(p => p.items)),
+    getQuoteTotalSum: jest.fn((quoteData) => quoteData.products.rollerBlind.summary.totalSum)
+};
+
+const buildQuote = (quoteId, customerName = '') => ({
+    quoteId,
+    currentProduct: 'rollerBlind',
+    customer: { name: customerName },
+    products: {
+        rollerBlind: {
+            items: [{ width: 1000, height: 1200 }, { width: null, height: null }],
+            summary: { totalSum: 250 }
+        }
+    }
+});
+
+// --- Test Suite ---
+describe('QuoteLibraryService', () => {
+    let service;
+    let quoteStore;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        quoteStore = createMemoryStore();
+        service = new QuoteLibraryService({ quoteStore, calculationService: mockCalculationService });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should save a quote keyed by quoteId with its list summary', async () => {
+        const record = await service.saveQuote(buildQuote('RB1', 'Smith'));
+
+        expect(record).toMatchObject({ quoteId: 'RB1', name: 'Smith', customerName: 'Smith', itemCount: 1, totalSum: 250 });
+        expect(await service.openQuote('RB1')).toEqual(buildQuote('RB1', 'Smith'));
+    });
+
+    it('should keep the name and creation time when a quote is saved again', async () => {
+        await service.saveQuote(buildQuote('RB1'));
+        await service.renameQuote('RB1', 'Kitchen job');
+        const first = await quoteStore.get('RB1');
+
+        const record = await service.saveQuote(buildQuote('RB1', 'Smith'));
+
+        expect(record.name).toBe('Kitchen job');
+        expect(record.createdAt).toBe(first.createdAt);
+    });
+
+    it('should search by quote number, name or customer and omit the payload', async () => {
+        await service.saveQuote(buildQuote('RB1', 'Smith'));
+        await service.saveQuote(buildQuote('RB2', 'Jones'));
+
+        const results = await service.listQuotes('jon');
+
+        expect(results.map(r => r.quoteId)).toEqual(['RB2']);
+        expect(results[0]).not.toHaveProperty('quoteData');
+    });
+
+    it('should duplicate a quote under a new quote number', async () => {
+        await service.saveQuote(buildQuote('RB1', 'Smith'));
+
+        const copy = await service.duplicateQuote('RB1');
+
+        expect(copy.quoteId).not.toBe('RB1');
+        expect(copy.name).toBe('Smith (copy)');
+        expect(copy.quoteData.quoteId).toBe(copy.quoteId);
+        expect(await service.listQuotes()).toHaveLength(2);
+    });
+
+    it('should delete quotes and reject operations on unknown quotes', async () => {
+        await service.saveQuote(buildQuote('RB1'));
+        await service.deleteQuote('RB1');
+
+        expect(await service.openQuote('RB1')).toBeNull();
+        await expect(service.renameQuote('RB1', 'x')).rejects.toThrow('RB1 was not found');
+    });
+
+    it('should record numbered revisions only when the saved content changed', async () => {
+        const quote = buildQuote('RB1', 'Smith');
+        const first = await service.saveRevision(quote, { f1: { discountPercentage: 0 } });
+        const unchanged = await service.saveRevision(quote, { f1: { discountPercentage: 0 } });
+        const second = await service.saveRevision(quote, { f1: { discountPercentage: 10 } });
+
+        expect(first).toMatchObject({ revisionId: 'RB1#1', revisionNumber: 1, totalSum: 250, f1: { discountPercentage: 0 } });
+        expect(unchanged).toBe(first);
+        expect(second.revisionNumber).toBe(2);
+        expect((await service.listRevisions('RB1')).map(r => r.revisionNumber)).toEqual([1, 2]);
+        expect(await service.openQuote('RB1')).toEqual(quote);
+    });
+
+    it('should keep the library copy as a revision when a quote is replaced', async () => {
+        await service.saveQuote(buildQuote('RB1', 'Smith'));
+
+        await service.replaceQuote(buildQuote('RB1', 'Jones'));
+        await service.replaceQuote(buildQuote('RB1', 'Brown'));
+
+        const revisions = await service.listRevisions('RB1');
+        expect(revisions.map(r => r.quoteData.customer.name)).toEqual(['Smith', 'Jones']);
+        expect((await service.openQuote('RB1')).customer.name).toBe('Brown');
+        await expect(service.replaceQuote(buildQuote('RB9'))).rejects.toThrow('RB9 was not found');
+    });
+
+    it('should import a quote under a new quote number without touching the original', async () => {
+        await service.saveQuote(buildQuote('RB1', 'Smith'));
+
+        const record = await service.importAsNewQuote(buildQuote('RB1', 'Jones'));
+
+        expect(record.quoteId).not.toBe('RB1');
+        expect(record.quoteData.quoteId).toBe(record.quoteId);
+        expect((await service.openQuote('RB1')).customer.name).toBe('Smith');
+    });
+
+    it('should delete the revisions of a deleted quote', async () => {
+        await service.saveRevision(buildQuote('RB1'));
+        await service.deleteQuote('RB1');
+
+        expect(await service.listRevisions('RB1')).toEqual([]);
+    });
+});
@@ -0,0 +1,100 @@
+// File: 04-core-code/services/quote-store.js
+
+import { STORAGE_KEYS } from '../config/constants.js';
+
+const DB_VERSION = 2;
+const QUOTES_STORE = 'quotes';
+const REVISIONS_STORE = 'revisions';
+
+/**
+ * @fileoverview A thin promise-based wrapper around the IndexedDB object stores
+ * that hold the local quote library. Quote records are keyed by `quoteId`;
+ * revisions are keyed by `revisionId` and indexed by the `quoteId` they belong to.
+ */
+export class QuoteStore {
+    constructor({ indexedDB = globalThis.indexedDB } = {}) {
+        this.indexedDB = indexedDB;
+        this._dbPromise = null;
+        console.log("QuoteStore Initialized.");
+    }
+
+    async getAll() {
+        return this._request(QUOTES_STORE, 'readonly', store => store.getAll());
+    }
+
+    async get(quoteId) {
+        const record = await this._request(QUOTES_STORE, 'readonly', store => store.get(quoteId));
+        return record || null;
+    }
+
+    async put(record) {
+        await this._request(QUOTES_STORE, 'readwrite', store => store.put(record));
+        return record;
+    }
+
+    async delete(quoteId) {
+        await this._request(QUOTES_STORE, 'readwrite', store => store.delete(quoteId));
+    }
+
+    /**
+     * @returns {Promise<Array<object>>} All revisions of a quote, in key order.
+     */
+    async getRevisions(quoteId) {
+        return this._request(REVISIONS_STORE, 'readonly', store => store.index('quoteId').getAll(quoteId));
+    }
+
+    /**
+     * Stores a new revision. Revisions are immutable, so an existing `revisionId` is rejected.
+     */
+    async addRevision(revision) {
+        await this._request(REVISIONS_STORE, 'readwrite', store => store.add(revision));
+        return revision;
+    }
+
+    async deleteRevisions(quoteId) {
+        await this._request(REVISIONS_STORE, 'readwrite', store => {
+            const keysRequest = store.index('quoteId').getAllKeys(quoteId);
+            keysRequest.onsuccess = () => keysRequest.result.forEach(key => store.delete(key));
+            return keysRequest;
+        });
+    }
+
+    _open() {
+        if (this._dbPromise) return this._dbPromise;
+
+        this._dbPromise = new Promise((resolve, reject) => {
+            if (!this.indexedDB) {
+                reject(new Error('IndexedDB is not available in this browser.'));
+                return;
+            }
+            const openRequest = this.indexedDB.open(STORAGE_KEYS.QUOTE_LIBRARY_DB, DB_VERSION);
+            openRequest.onupgradeneeded = () => {
+                const db = openRequest.result;
+                if (!db.objectStoreNames.contains(QUOTES_STORE)) {
+                    db.createObjectStore(QUOTES_STORE, { keyPath: 'quoteId' });
+                }
+                if (!db.objectStoreNames.contains(REVISIONS_STORE)) {
+                    const revisions = db.createObjectStore(REVISIONS_STORE, { keyPath: 'revisionId' });
+                    revisions.createIndex('quoteId', 'quoteId', { unique: false });
+                }
+            };
+            openRequest.onsuccess = () => resolve(openRequest.result);
+            openRequest.onerror = () => reject(openRequest.error);
+        });
+
+        // Allow a later call to retry if opening failed (e.g. storage was blocked).
+        this._dbPromise.catch(() => { this._dbPromise = null; });
+        return this._dbPromise;
+    }
+
+    async _request(storeName, mode, operation) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+}
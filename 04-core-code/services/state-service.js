@@ -1,21 +1,36 @@
 // File: 04-core-code/services/state-service.js
 
 import { EVENTS } from '../config/constants.js';
+import { HISTORY_ACTION_TYPES } from '../config/action-types.js';
 import { createRootReducer } from '../reducers/root-reducer.js';
 
+const DEFAULT_HISTORY_LIMIT = 50;
+// Append-only quoteData records: changing them is not an edit, and undo/redo keeps their current content.
+const UNTRACKED_QUOTE_KEYS = ['feeAudit'];
+
 /**
  * @fileoverview Service for managing the entire application state.
  * Acts as the single source of truth.
  * State should be read from here, and all updates must be dispatched through this service.
+ *
+ * It also keeps a bounded undo/redo history of `quoteData` snapshots. UI-only actions never
+ * touch `quoteData`, so they are not recorded, and every quoteData change dispatched within
+ * the same tick (i.e. by one user intent) is grouped into a single history entry. The fee
+ * audit is left out of the history, so stepping back never removes an audit entry.
  */
 export class StateService {
     /**
      * @param {object} dependencies - The service dependencies.
      */
-    constructor({ initialState, eventAggregator, productFactory, configManager }) {
+    constructor({ initialState, eventAggregator, productFactory, configManager, historyLimit = DEFAULT_HISTORY_LIMIT }) {
         this._state = initialState;
         this.eventAggregator = eventAggregator;
         this.reducer = createRootReducer({ productFactory, configManager });
+
+        this.historyLimit = historyLimit;
+        this._past = [];
+        this._future = [];
+        this._isHistoryGroupOpen = false;
         console.log("StateService Finalized and refactored for Reducer pattern.");
     }
 
@@ -32,12 +47,88 @@ export class StateService {
      * @param {object} action The action object describing the state change.
      */
     dispatch(action) {
+        if (action.type === HISTORY_ACTION_TYPES.UNDO) {
+            this._travel(this._past, this._future);
+            return;
+        }
+        if (action.type === HISTORY_ACTION_TYPES.REDO) {
+            this._travel(this._future, this._past);
+            return;
+        }
+        if (action.type === HISTORY_ACTION_TYPES.RESET) {
+            this._resetHistory();
+            return;
+        }
+
         const newState = this.reducer(this._state, action);
-        
+
         // Only update and publish if the state has actually changed.
         if (newState !== this._state) {
+            this._recordHistory(this._state.quoteData, newState.quoteData);
             this._state = newState;
             this.eventAggregator.publish(EVENTS.INTERNAL_STATE_UPDATED, this._state);
         }
     }
+
+    canUndo() {
+        return this._past.length > 0;
+    }
+
+    canRedo() {
+        return this._future.length > 0;
+    }
+
+    _recordHistory(previousQuoteData, nextQuoteData) {
+        if (previousQuoteData === nextQuoteData || this._isHistoryGroupOpen) return;
+
+        // Recalculations often rebuild quoteData with identical content; those are not user edits.
+        if (this._trackedContent(previousQuoteData) === this._trackedContent(nextQuoteData)) return;
+
+        this._past.push(previousQuoteData);
+        if (this._past.length > this.historyLimit) {
+            this._past.shift();
+        }
+        this._future = [];
+
+        this._isHistoryGroupOpen = true;
+        queueMicrotask(() => { this._isHistoryGroupOpen = false; });
+        this._publishHistoryChanged();
+    }
+
+    _travel(fromStack, toStack) {
+        if (fromStack.length === 0) return;
+
+        const currentQuoteData = this._state.quoteData;
+        const restoredQuoteData = { ...fromStack.pop() };
+        UNTRACKED_QUOTE_KEYS
+            .filter(key => key in currentQuoteData)
+            .forEach(key => { restoredQuoteData[key] = currentQuoteData[key]; });
+
+        toStack.push(currentQuoteData);
+        this._state = { ...this._state, quoteData: restoredQuoteData };
+        this._isHistoryGroupOpen = false;
+
+        this.eventAggregator.publish(EVENTS.INTERNAL_STATE_UPDATED, this._state);
+        this._publishHistoryChanged();
+    }
+
+    _trackedContent(quoteData) {
+        const content = { ...quoteData };
+        UNTRACKED_QUOTE_KEYS.forEach(key => delete content[key]);
+        return JSON.stringify(content);
+    }
+
+    _resetHistory() {
+        this._past = [];
+        this._future = [];
+        this._isHistoryGroupOpen = false;
+        this._publishHistoryChanged();
+    }
+
+    _publishHistoryChanged() {
+        this.eventAggregator.publish(EVENTS.HISTORY_CHANGED, {
+            canUndo: this.canUndo(),
+            canRedo: this.canRedo()
+        });
+    }
 }
\ No newline at end of file
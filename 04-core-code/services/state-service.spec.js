@@ -0,0 +1,130 @@
+// File: 04-core-code/services/state-service.spec.js
+
+import { StateService } from './state-service.js';
+import { EventAggregator } from '../event-aggregator.js';
+import { initialState } from '../config/initial-state.js';
+import { EVENTS } from '../config/constants.js';
+import * as quoteActions from '../actions/quote-actions.js';
+import * as uiActions from '../actions/ui-actions.js';
+import * as historyActions from '../actions/history-actions.js';
+
+// Lets the queued microtask close the current history group, as happens between user intents.
+const nextIntent = () => Promise.resolve();
+
+const getLocation = (stateService) => stateService.getState().quoteData.products.rollerBlind.items[0].location;
+
+describe('StateService history', () => {
+    let stateService;
+    let eventAggregator;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        eventAggregator = new EventAggregator();
+        const state = JSON.parse(JSON.stringify(initialState));
+        state.quoteData.products.rollerBlind.items = [{ width: 1000, height: 1000, fabricType: 'B1', location: '' }];
+        stateService = new StateService({ initialState: state, eventAggregator, historyLimit: 3 });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should undo and redo a quoteData change', async () => {
+        stateService.dispatch(quoteActions.updateItemProperty(0, 'location', 'Bed 1'));
+        await nextIntent();
+
+        stateService.dispatch(historyActions.undo());
+        expect(getLocation(stateService)).toBe('');
+        expect(stateService.canRedo()).toBe(true);
+
+        stateService.dispatch(historyActions.redo());
+        expect(getLocation(stateService)).toBe('Bed 1');
+    });
+
+    it('should not record UI-only actions', () => {
+        stateService.dispatch(uiActions.setActiveCell(0, 'height'));
+        expect(stateService.canUndo()).toBe(false);
+    });
+
+    it('should group changes dispatched by the same user intent into one entry', async () => {
+        stateService.dispatch(quoteActions.updateItemProperty(0, 'location', 'Bed 1'));
+        stateService.dispatch(quoteActions.updateItemProperty(0, 'fabric', 'Linen'));
+        await nextIntent();
+
+        stateService.dispatch(historyActions.undo());
+        expect(getLocation(stateService)).toBe('');
+        expect(stateService.canUndo()).toBe(false);
+    });
+
+    it('should keep at most historyLimit entries and drop redo after a new change', async () => {
+        for (const location of ['A', 'B', 'C', 'D']) {
+            stateService.dispatch(quoteActions.updateItemProperty(0, 'location', location));
+            await nextIntent();
+        }
+        stateService.dispatch(historyActions.undo());
+        stateService.dispatch(historyActions.undo());
+        stateService.dispatch(historyActions.undo());
+        expect(getLocation(stateService)).toBe('A');
+        expect(stateService.canUndo()).toBe(false);
+
+        stateService.dispatch(quoteActions.updateItemProperty(0, 'location', 'E'));
+        expect(stateService.canRedo()).toBe(false);
+    });
+
+    it('should publish the history availability when it changes', async () => {
+        const listener = jest.fn();
+        eventAggregator.subscribe(EVENTS.HISTORY_CHANGED, listener);
+
+        stateService.dispatch(quoteActions.updateItemProperty(0, 'location', 'Bed 1'));
+        expect(listener).toHaveBeenLastCalledWith({ canUndo: true, canRedo: false });
+    });
+
+    it('should clear both stacks on a history reset', async () => {
+        const listener = jest.fn();
+        eventAggregator.subscribe(EVENTS.HISTORY_CHANGED, listener);
+
+        stateService.dispatch(quoteActions.updateItemProperty(0, 'location', 'A'));
+        await nextIntent();
+        stateService.dispatch(quoteActions.updateItemProperty(0, 'location', 'B'));
+        await nextIntent();
+        stateService.dispatch(historyActions.undo());
+
+        stateService.dispatch(historyActions.resetHistory());
+
+        expect(stateService.canUndo()).toBe(false);
+        expect(stateService.canRedo()).toBe(false);
+        expect(getLocation(stateService)).toBe('A');
+        expect(listener).toHaveBeenLastCalledWith({ canUndo: false, canRedo: false });
+    });
+
+    it('should record changes made right after a reset as a new entry', () => {
+        stateService.dispatch(quoteActions.updateItemProperty(0, 'location', 'A'));
+        stateService.dispatch(historyActions.resetHistory());
+
+        stateService.dispatch(quoteActions.updateItemProperty(0, 'location', 'B'));
+        stateService.dispatch(historyActions.undo());
+
+        expect(getLocation(stateService)).toBe('A');
+    });
+
+    it('should keep the fee audit through undo and redo without recording audit entries as edits', async () => {
+        const getAudit = () => stateService.getState().quoteData.feeAudit;
+        const entry = (fee, to) => ({ at: '2026-10-19T02:00:00.000Z', fee, from: 0, to, reason: 'Override' });
+
+        stateService.dispatch(quoteActions.setFeeOverride('delivery', 150));
+        stateService.dispatch(quoteActions.addFeeAuditEntry(entry('delivery', 150)));
+        await nextIntent();
+
+        stateService.dispatch(historyActions.undo());
+        expect(stateService.getState().quoteData.feeOverrides).toEqual({});
+        expect(getAudit()).toEqual([entry('delivery', 150)]);
+
+        stateService.dispatch(quoteActions.addFeeAuditEntry(entry('delivery', 0)));
+        expect(stateService.canRedo()).toBe(true);
+
+        stateService.dispatch(historyActions.redo());
+        expect(stateService.getState().quoteData.feeOverrides).toEqual({ delivery: 150 });
+        expect(getAudit()).toHaveLength(2);
+        expect(stateService.canUndo()).toBe(true);
+    });
+});
@@ -0,0 +1,95 @@
+// /04-core-code/services/tax-service.js
+
+/**
+ * @fileoverview Service for all tax calculations. Rates, line categories and whether prices
+ * include tax come from the tax configuration (ConfigManager.getTaxConfig); tax-exempt
+ * customers pay no tax on any line.
+ */
+export class TaxService {
+    constructor({ configManager }) {
+        this.configManager = configManager;
+        console.log("TaxService Initialized.");
+    }
+
+    /**
+     * Returns the rate of a tax category, e.g. 0.1; unknown categories use the default.
+     */
+    getRate(category) {
+        const { categories, defaultCategory } = this.configManager.getTaxConfig();
+        return (categories[category] || categories[defaultCategory]).rate;
+    }
+
+    /**
+     * Returns the category a quote line is taxed under.
+     * @param {string} lineKey A product key or charge key (see tax-config.js).
+     */
+    getLineCategory(lineKey) {
+        const { lineCategories, defaultCategory } = this.configManager.getTaxConfig();
+        return lineCategories[lineKey] || defaultCategory;
+    }
+
+    /**
+     * Splits an amount into its net, tax and gross parts.
+     * @param {number} amount A price as quoted: tax-inclusive when the price list includes tax.
+     * @param {object} [options]
+     * @param {string} [options.category] The tax category; the default category if omitted.
+     * @param {boolean} [options.exempt] True for tax-exempt customers.
+     * @returns {{net: number, tax: number, gross: number, rate: number}}
+     */
+    calculate(amount, { category, exempt = false } = {}) {
+        const value = amount || 0;
+        const rate = exempt ? 0 : this.getRate(category);
+        const { pricesIncludeTax } = this.configManager.getTaxConfig();
+
+        if (pricesIncludeTax) {
+            // An exempt customer does not pay the tax included in the list price.
+            const net = value / (1 + this.getRate(category));
+            const tax = net * rate;
+            return { net, tax, gross: net + tax, rate };
+        }
+        const tax = value * rate;
+        return { net: value, tax, gross: value + tax, rate };
+    }
+
+    /**
+     * Taxes a set of quote lines, each under its own category, and totals them.
+     * @param {Array<{key: string, amount: number}>} lines
+     * @param {object} [options]
+     * @param {boolean} [options.exempt] True for tax-exempt customers.
+     * @returns {{net: number, tax: number, gross: number, lines: Array<object>}}
+     */
+    summarize(lines, { exempt = false } = {}) {
+        const taxedLines = lines.map(line => {
+            const category = this.getLineCategory(line.key);
+            return { ...line, category, ...this.calculate(line.amount, { category, exempt }) };
+        });
+        const total = (field) => taxedLines.reduce((sum, line) => sum + line[field], 0);
+        return { net: total('net'), tax: total('tax'), gross: total('gross'), lines: taxedLines };
+    }
+
+    /**
+     * Works out the tax contained in a tax-inclusive total that replaces a calculated one
+     * (e.g. a final offer price), keeping the calculated total's share of tax.
+     * @param {number} total The new tax-inclusive total.
+     * @param {{tax: number, gross: number}} summary The calculated totals.
+     */
+    apportion(total, { tax, gross }) {
+        return gross ? total * tax / gross : 0;
+    }
+
+    /**
+     * Returns the label of the tax row, e.g. 'GST (10%)'. Quotes whose lines use several
+     * rates are labelled with the tax name only.
+     * @param {Array<{rate: number}>} [taxedLines] Lines from `summarize`.
+     * @param {object} [options]
+     * @param {boolean} [options.exempt]
+     */
+    getLabel(taxedLines = [], { exempt = false } = {}) {
+        const { name } = this.configManager.getTaxConfig();
+        if (exempt) return `${name} (exempt)`;
+
+        const rates = new Set(taxedLines.map(line => line.rate));
+        const rate = rates.size === 0 ? this.getRate() : (rates.size === 1 ? [...rates][0] : null);
+        return rate === null ? name : `${name} (${Math.round(rate * 10000) / 100}%)`;
+    }
+}
@@ -0,0 +1,60 @@
+// /04-core-code/services/tax-service.spec.js
+
+import { TaxService } from './tax-service.js';
+import { taxConfig } from '../config/tax-config.js';
+
+const buildTaxService = (overrides = {}) => {
+    const config = { ...taxConfig, pricesIncludeTax: false, ...overrides };
+    return new TaxService({ configManager: { getTaxConfig: () => config } });
+};
+
+describe('TaxService', () => {
+    it('should add tax on top of tax-exclusive prices', () => {
+        const result = buildTaxService().calculate(1000);
+
+        expect(result).toEqual({ net: 1000, tax: 100, gross: 1100, rate: 0.10 });
+    });
+
+    it('should extract the tax from tax-inclusive prices', () => {
+        const result = buildTaxService({ pricesIncludeTax: true }).calculate(1100);
+
+        expect(result.net).toBeCloseTo(1000);
+        expect(result.tax).toBeCloseTo(100);
+        expect(result.gross).toBeCloseTo(1100);
+    });
+
+    it('should charge no tax to exempt customers', () => {
+        expect(buildTaxService().calculate(1000, { exempt: true }).gross).toBe(1000);
+        expect(buildTaxService({ pricesIncludeTax: true }).calculate(1100, { exempt: true }).gross).toBeCloseTo(1000);
+    });
+
+    it('should tax each line under its own category', () => {
+        const taxService = buildTaxService({ lineCategories: { delivery: 'gst-free' } });
+
+        const summary = taxService.summarize([
+            { key: 'rollerBlind', amount: 1000 },
+            { key: 'delivery', amount: 100 }
+        ]);
+
+        expect(summary.net).toBe(1100);
+        expect(summary.tax).toBe(100);
+        expect(summary.gross).toBe(1200);
+        expect(summary.lines.map(line => line.category)).toEqual(['standard', 'gst-free']);
+        expect(taxService.getLabel(summary.lines)).toBe('GST');
+    });
+
+    it('should label the tax row with its rate or exemption', () => {
+        const taxService = buildTaxService();
+        const { lines } = taxService.summarize([{ key: 'rollerBlind', amount: 1000 }]);
+
+        expect(taxService.getLabel(lines)).toBe('GST (10%)');
+        expect(taxService.getLabel(lines, { exempt: true })).toBe('GST (exempt)');
+    });
+
+    it('should apportion tax to a replacement total in proportion', () => {
+        const taxService = buildTaxService();
+
+        expect(taxService.apportion(550, { tax: 100, gross: 1100 })).toBeCloseTo(50);
+        expect(taxService.apportion(550, { tax: 0, gross: 0 })).toBe(0);
+    });
+});
@@ -1,20 +1,51 @@
 // File: 04-core-code/services/workflow-service.js
 
-import { initialState } from '../config/initial-state.js';
 import { EVENTS, DOM_IDS } from '../config/constants.js';
 import * as uiActions from '../actions/ui-actions.js';
 import * as quoteActions from '../actions/quote-actions.js';
-import { paths } from '../config/paths.js';
+import * as historyActions from '../actions/history-actions.js';
+import { renderTemplate, FORMATTERS } from '../utils/template-engine.js';
+import { diffPriceLists } from '../utils/price-list-diff.js';
+
+// How many changed items the repricing dialog lists before summarising the rest.
+const REPRICE_REPORT_MAX_ROWS = 8;
+// How many of the most recently updated library quotes the price change report reprices.
+const PRICE_REPORT_SAMPLE_SIZE = 20;
+// A postcode in an address; the last one found is used.
+const POSTCODE_PATTERN = /\b\d{4}\b/g;
+
+// The F2 fees that can be overridden: their label, override dialog input and F2 summary value.
+const OVERRIDABLE_FEES = {
+    delivery: { label: 'Delivery', inputId: DOM_IDS.DIALOG_INPUT_FEE_DELIVERY, summaryKey: 'deliveryFee' },
+    install: { label: 'Install', inputId: DOM_IDS.DIALOG_INPUT_FEE_INSTALL, summaryKey: 'installFee' },
+    removal: { label: 'Removal', inputId: DOM_IDS.DIALOG_INPUT_FEE_REMOVAL, summaryKey: 'removalFee' }
+};
+
+const F3_FIELD_IDS = {
+    quoteId: 'f3-quote-id',
+    issueDate: 'f3-issue-date',
+    dueDate: 'f3-due-date',
+    quoteTemplate: 'f3-quote-template',
+    customerName: 'f3-customer-name',
+    customerAddress: 'f3-customer-address',
+    customerPhone: 'f3-customer-phone',
+    customerEmail: 'f3-customer-email',
+    finalOfferPrice: 'f3-final-offer-price',
+    termsConditions: 'f3-terms-conditions',
+};
 
 /**
  * @fileoverview A dedicated service for coordinating complex, multi-step user workflows.
  * This service takes complex procedural logic out of the AppController.
  */
 export class WorkflowService {
-    constructor({ eventAggregator, stateService, fileService, calculationService, productFactory, detailConfigView }) {
+    constructor({ eventAggregator, stateService, fileService, calculationService, productFactory, detailConfigView, quoteLibraryService, configManager, taxService }) {
         this.eventAggregator = eventAggregator;
+        this.configManager = configManager;
+        this.taxService = taxService;
         this.stateService = stateService;
         this.fileService = fileService;
+        this.quoteLibraryService = quoteLibraryService;
         this.calculationService = calculationService;
         this.productFactory = productFactory;
         this.detailConfigView = detailConfigView;
@@ -33,32 +64,31 @@ export class WorkflowService {
 
     async handlePrintableQuoteRequest() {
         try {
-            const [quoteTemplate, detailsTemplate] = await Promise.all([
-                fetch(paths.partials.quoteTemplate).then(res => res.ok ? res.text() : Promise.reject(new Error(`Failed to load ${paths.partials.quoteTemplate}`))),
-                fetch(paths.partials.detailedItemList).then(res => res.ok ? res.text() : Promise.reject(new Error(`Failed to load ${paths.partials.detailedItemList}`))),
-            ]);
-
             const { quoteData, ui } = this.stateService.getState();
             const f3Data = this._getF3OverrideData();
+            const template = this.configManager.getQuoteTemplate(f3Data.quoteTemplate);
 
-            const templateData = this._prepareTemplateData(quoteData, ui, f3Data);
+            const [quoteTemplate, detailsTemplate] = await Promise.all([
+                fetch(template.quoteTemplate).then(res => res.ok ? res.text() : Promise.reject(new Error(`Failed to load ${template.quoteTemplate}`))),
+                fetch(template.detailedItemList).then(res => res.ok ? res.text() : Promise.reject(new Error(`Failed to load ${template.detailedItemList}`))),
+            ]);
 
-            const populatedDetailsPageHtml = this._populateTemplate(detailsTemplate, templateData);
+            const templateData = this._prepareTemplateData(quoteData, ui, f3Data);
 
-            const styleMatch = populatedDetailsPageHtml.match(/<style>([\s\S]*)<\/style>/i);
-            const detailsBodyMatch = populatedDetailsPageHtml.match(/<body[^>]*>([\s\S]*)<\/body>/i);
+            // The appendix page is a standalone document; its styles and body are rendered into the quote as partials.
+            const styleMatch = detailsTemplate.match(/<style>([\s\S]*)<\/style>/i);
+            const detailsBodyMatch = detailsTemplate.match(/<body[^>]*>([\s\S]*)<\/body>/i);
 
             if (!detailsBodyMatch) {
                 throw new Error("Could not find body content in the details template.");
             }
 
-            const detailsStyleContent = styleMatch ? styleMatch[0] : '';
-            const detailsBodyContent = detailsBodyMatch[1];
-            
-            let finalHtml = quoteTemplate.replace('</head>', `${detailsStyleContent}</head>`);
-            finalHtml = finalHtml.replace('</body>', `${detailsBodyContent}</body>`);
-
-            finalHtml = this._populateTemplate(finalHtml, templateData);
+            const finalHtml = renderTemplate(quoteTemplate, templateData, {
+                partials: {
+                    appendixStyles: styleMatch ? styleMatch[0] : '',
+                    appendix: detailsBodyMatch[1]
+                }
+            });
 
             this.eventAggregator.publish(EVENTS.SHOW_QUOTE_PREVIEW, finalHtml);
 
@@ -71,124 +101,131 @@ export class WorkflowService {
         }
     }
 
+    handleDownloadPdfRequest() {
+        try {
+            const { quoteData, ui } = this.stateService.getState();
+            const templateData = this._prepareTemplateData(quoteData, ui, this._getF3OverrideData());
+            const result = this.fileService.exportToPdf(templateData);
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: result.message, type: result.success ? 'info' : 'error' });
+        } catch (error) {
+            console.error("Error generating quote PDF:", error);
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, {
+                message: "Failed to generate quote PDF. See console for details.",
+                type: 'error',
+            });
+        }
+    }
+
     _getF3OverrideData() {
         const getValue = (id) => document.getElementById(id)?.value || '';
-        return {
-            quoteId: getValue('f3-quote-id'),
-            issueDate: getValue('f3-issue-date'),
-            dueDate: getValue('f3-due-date'),
-            customerName: getValue('f3-customer-name'),
-            customerAddress: getValue('f3-customer-address'),
-            customerPhone: getValue('f3-customer-phone'),
-            customerEmail: getValue('f3-customer-email'),
-            finalOfferPrice: getValue('f3-final-offer-price'),
-            termsConditions: getValue('f3-terms-conditions'),
-        };
+        return Object.fromEntries(Object.entries(F3_FIELD_IDS).map(([key, id]) => [key, getValue(id)]));
     }
 
-    _formatCustomerInfo(f3Data) {
-        let html = `<strong>${f3Data.customerName || ''}</strong><br>`;
-        if (f3Data.customerAddress) html += `${f3Data.customerAddress.replace(/\n/g, '<br>')}<br>`;
-        if (f3Data.customerPhone) html += `Phone: ${f3Data.customerPhone}<br>`;
-        if (f3Data.customerEmail) html += `Email: ${f3Data.customerEmail}`;
-        return html;
-    }
-    
-    // [NEW] Helper method to generate the detailed items table for the appendix.
-    _generateItemsTableHtml(items) {
-        const headers = ['#', 'Location', 'W&nbsp;x&nbsp;H', 'Type', 'F-Name', 'F-Color', 'Options'];
-        
-        const rows = items
-            .filter(item => item.width && item.height) // Only include rows with dimensions
-            .map((item, index) => {
-                const options = [
-                    item.over, item.oi, item.lr,
-                    item.dual ? "D'Bracket" : '',
-                    item.chain ? `${item.chain}mm` : '',
-                    item.winder ? 'H-Winder' : '',
-                    item.motor || ''
-                ].filter(Boolean).join(', ');
-
-                return `
-                    <tr>
-                        <td class="text-center">${index + 1}</td>
-                        <td>${item.location || ''}</td>
-                        <td>${item.width} x ${item.height}</td>
-                        <td>${item.fabricType || ''}</td>
-                        <td>${item.fabric || ''}</td>
-                        <td>${item.color || ''}</td>
-                        <td>${options}</td>
-                    </tr>
-                `;
-            })
-            .join('');
-
-        return `
-            <table class="items-table">
-                <thead>
-                    <tr class="table-title">
-                        <th colspan="${headers.length}">Roller Blinds - Detailed List</th>
-                    </tr>
-                    <tr>
-                        ${headers.map(h => `<th>${h}</th>`).join('')}
-                    </tr>
-                </thead>
-                <tbody>
-                    ${rows}
-                </tbody>
-            </table>
-        `;
+    /**
+     * Writes saved F3 form data back into the F3 inputs. The quote number is left to the F3 view,
+     * which always shows the number of the open quote.
+     */
+    _setF3Data(f3Data) {
+        Object.entries(F3_FIELD_IDS).forEach(([key, id]) => {
+            const input = document.getElementById(id);
+            if (input && key !== 'quoteId' && f3Data[key] !== undefined) {
+                input.value = f3Data[key];
+            }
+        });
     }
 
+    _getItemOptions(item) {
+        return [
+            item.over, item.oi, item.lr,
+            item.fullness ? `${item.fullness}x Fullness` : '',
+            item.dual ? "D'Bracket" : '',
+            FORMATTERS.mm(item.chain),
+            item.winder ? 'H-Winder' : '',
+            item.motor || ''
+        ].filter(Boolean);
+    }
 
+    /**
+     * Collects the data shown on the printable quote and its PDF. Values are left raw (numbers,
+     * ISO dates, plain text); the templates format and escape them. The branding comes from the
+     * template chosen in F3. The subtotal is before the automatic discounts, which are listed
+     * under it; discounts in effect on the F3 issue date apply. The what-if scenarios marked
+     * for the quote follow as lettered options.
+     */
     _prepareTemplateData(quoteData, ui, f3Data) {
-        const summaryData = this.calculationService.calculateF2Summary(quoteData, ui);
+        const datedQuoteData = { ...quoteData, issueDate: f3Data.issueDate || quoteData.issueDate };
+        const summaryData = this.calculationService.calculateF2Summary(datedQuoteData, ui);
         const grandTotal = parseFloat(f3Data.finalOfferPrice) || summaryData.gst;
-        const items = quoteData.products.rollerBlind.items;
+        const { id, name, layout, branding } = this.configManager.getQuoteTemplate(f3Data.quoteTemplate);
 
         return {
+            template: { id, name, layout },
+            branding,
+
             // Real Data from F3 and calculations
             quoteId: f3Data.quoteId,
             issueDate: f3Data.issueDate,
             dueDate: f3Data.dueDate,
-            customerInfoHtml: this._formatCustomerInfo(f3Data),
-            termsAndConditions: (f3Data.termsConditions || 'Standard terms and conditions apply.').replace(/\n/g, '<br>'),
-
-            subtotal: `$${summaryData.sumPrice.toFixed(2)}`,
-            deliveryFee: `$${summaryData.deliveryFee.toFixed(2)}`,
-            installationFee: `$${summaryData.installFee.toFixed(2)}`,
-            gst: `$${(grandTotal / 1.1 * 0.1).toFixed(2)}`,
-            grandTotal: `$${grandTotal.toFixed(2)}`,
-            deposit: `$${(grandTotal * 0.5).toFixed(2)}`,
-            balance: `$${(grandTotal * 0.5).toFixed(2)}`,
-            savings: `$${(summaryData.firstRbPrice - summaryData.disRbPrice).toFixed(2)}`,
-
-            // Real data for the main items table (first page)
-            itemsTableBody: `
-                <tr>
-                    <td data-label="#">1</td>
-                    <td data-label="Description">
-                        <div class="description">Roller Blinds Package</div>
-                        <div class="details">See appendix for detailed specifications.</div>
-                    </td>
-                    <td data-label="QTY" class="align-right">${items.filter(i => i.width && i.height).length}</td>
-                    <td data-label="Price" class="align-right">
-                        <span class="original-price">$${summaryData.firstRbPrice.toFixed(2)}</span>
-                    </td>
-                    <td data-label="Discounted Price" class="align-right">
-                        <span class="discounted-price">$${summaryData.disRbPrice.toFixed(2)}</span>
-                    </td>
-                </tr>`,
-
-            // [MODIFIED] Real data for the appendix table (second page)
-            rollerBlindsTable: this._generateItemsTableHtml(items),
+            customer: {
+                name: f3Data.customerName || '',
+                address: f3Data.customerAddress || '',
+                phone: f3Data.customerPhone || '',
+                email: f3Data.customerEmail || ''
+            },
+            termsAndConditions: f3Data.termsConditions || 'Standard terms and conditions apply.',
+
+            subtotal: summaryData.sumPrice + summaryData.discountTotal,
+            discountLines: summaryData.discountLines,
+            deliveryFee: summaryData.deliveryFee,
+            installationFee: summaryData.installFee,
+            gst: this.taxService.apportion(grandTotal, { tax: summaryData.taxAmount, gross: summaryData.gst }),
+            taxLabel: summaryData.taxLabel,
+            grandTotal,
+            paymentSchedule: this.calculationService.calculatePaymentSchedule(quoteData.paymentSchedule, grandTotal, f3Data.issueDate),
+            savings: summaryData.firstRbPrice - summaryData.disRbPrice + summaryData.discountTotal,
+            options: this._prepareQuoteOptions(datedQuoteData, ui),
+
+            // The main items table (first page), one package row per product line
+            packages: summaryData.productSubtotals.map(subtotal => ({
+                name: subtotal.name,
+                itemCount: subtotal.itemCount,
+                firstPrice: subtotal.firstPrice,
+                discountedPrice: subtotal.discountedPrice
+            })),
+
+            // The appendix tables (second page), one table per product line; only rows with dimensions
+            productTables: summaryData.productSubtotals.map(subtotal => ({
+                title: `${subtotal.name}s - Detailed List`,
+                items: quoteData.products[subtotal.productKey].items
+                    .filter(item => item.width && item.height)
+                    .map(item => ({
+                        location: item.location || '',
+                        width: item.width,
+                        height: item.height,
+                        fabricType: item.fabricType || '',
+                        fabric: item.fabric || '',
+                        color: item.color || '',
+                        options: this._getItemOptions(item)
+                    }))
+            })),
         };
     }
 
-    _populateTemplate(template, data) {
-        return template.replace(/\{\{\{?([\w\-]+)\}\}\}?/g, (match, key) => {
-            return data.hasOwnProperty(key) ? data[key] : match;
-        });
+    /**
+     * The what-if scenarios marked for the quote, as "Option A", "Option B", ... with the item
+     * changes (F2 changes stay internal), the total inc. tax and its difference from the quote.
+     */
+    _prepareQuoteOptions(quoteData, ui) {
+        const scenarios = (quoteData.scenarios || []).filter(scenario => scenario.includeInQuote !== false);
+        if (scenarios.length === 0) return [];
+
+        return this.calculationService.compareScenarios({ ...quoteData, scenarios }, ui).scenarios.map((scenario, index) => ({
+            label: `Option ${String.fromCharCode(65 + index)}`,
+            name: scenario.name,
+            changes: scenario.itemChanges,
+            total: scenario.total,
+            difference: scenario.deltaTotal
+        }));
     }
 
     handleRemoteDistribution() {
@@ -266,7 +303,8 @@ export class WorkflowService {
 
     handleDualDistribution() {
         const { quoteData, ui } = this.stateService.getState();
-        const items = quoteData.products[quoteData.currentProduct].items;
+        // F1 charges for the dual brackets of every product line.
+        const items = this.calculationService.getAllItems(quoteData);
         const totalDualPairs = Math.floor(items.filter(item => item.dual === 'D').length / 2);
 
         const initialCombo = (ui.f1.dual_combo_qty === null) ? totalDualPairs : ui.f1.dual_combo_qty;
@@ -340,21 +378,22 @@ export class WorkflowService {
 
     handleF1TabActivation() {
         const { quoteData } = this.stateService.getState();
-        const productStrategy = this.productFactory.getProductStrategy(quoteData.currentProduct);
-        const { updatedQuoteData } = this.calculationService.calculateAndSum(quoteData, productStrategy);
+        const { updatedQuoteData } = this.calculationService.calculateAllProducts(quoteData);
 
         this.stateService.dispatch(quoteActions.setQuoteData(updatedQuoteData));
     }
 
     handleF2TabActivation() {
         const { quoteData } = this.stateService.getState();
-        const productStrategy = this.productFactory.getProductStrategy(quoteData.currentProduct);
-        const { updatedQuoteData } = this.calculationService.calculateAndSum(quoteData, productStrategy);
+        const { updatedQuoteData } = this.calculationService.calculateAllProducts(quoteData);
 
         this.stateService.dispatch(quoteActions.setQuoteData(updatedQuoteData));
 
-        this.detailConfigView.driveAccessoriesView.recalculateAllDriveAccessoryPrices();
-        this.detailConfigView.dualChainView._calculateAndStoreDualPrice();
+        // Drive and dual accessories are stored on the product that offers the K4/K5 tabs.
+        const productStrategy = this.productFactory.getProductStrategy(quoteData.currentProduct);
+        const tabColumns = productStrategy.getDetailTabColumns();
+        if (tabColumns['k4-tab']) this.detailConfigView.driveAccessoriesView.recalculateAllDriveAccessoryPrices();
+        if (tabColumns['k5-tab']) this.detailConfigView.dualChainView._calculateAndStoreDualPrice();
 
         this._calculateF2Summary();
 
@@ -368,13 +407,76 @@ export class WorkflowService {
             this.detailConfigView.activateTab('k1-tab');
         } else {
             this.stateService.dispatch(uiActions.setCurrentView('QUICK_QUOTE'));
-            this.stateService.dispatch(uiActions.setVisibleColumns(initialState.ui.visibleColumns));
+            this.stateService.dispatch(uiActions.setVisibleColumns(this._getQuickQuoteColumns()));
         }
     }
 
     handleNavigationToQuickQuoteView() {
         this.stateService.dispatch(uiActions.setCurrentView('QUICK_QUOTE'));
-        this.stateService.dispatch(uiActions.setVisibleColumns(initialState.ui.visibleColumns));
+        this.stateService.dispatch(uiActions.setVisibleColumns(this._getQuickQuoteColumns()));
+    }
+
+    _getQuickQuoteColumns() {
+        const { quoteData } = this.stateService.getState();
+        const productStrategy = this.productFactory.getProductStrategy(quoteData.currentProduct);
+        return productStrategy.getQuickQuoteColumns();
+    }
+
+    handleUndo() {
+        if (!this.stateService.canUndo()) {
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'Nothing to undo.' });
+            return;
+        }
+        this._travelHistory(historyActions.undo(), 'Undo');
+    }
+
+    handleRedo() {
+        if (!this.stateService.canRedo()) {
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'Nothing to redo.' });
+            return;
+        }
+        this._travelHistory(historyActions.redo(), 'Redo');
+    }
+
+    /**
+     * Restores a quoteData snapshot, then brings the UI state back in line with it:
+     * selections may point at rows that no longer exist, and the product may have changed.
+     * The fee audit is not rolled back; a step that changes the fees is logged as its own entry.
+     */
+    _travelHistory(historyAction, auditReason) {
+        const { quoteData: previousQuoteData, ui: previousUi } = this.stateService.getState();
+        const previousProductKey = previousQuoteData.currentProduct;
+        this.stateService.dispatch(historyAction);
+
+        const { ui, quoteData } = this.stateService.getState();
+        this._useQuotePricing(quoteData);
+        const items = quoteData.products[quoteData.currentProduct].items;
+
+        this.stateService.dispatch(uiActions.clearMultiSelectSelection());
+        this.stateService.dispatch(uiActions.clearLFSelection());
+        if (ui.activeCell && ui.activeCell.rowIndex >= items.length) {
+            this.stateService.dispatch(uiActions.setActiveCell(items.length - 1, ui.activeCell.column));
+        }
+
+        if (quoteData.currentProduct !== previousProductKey) {
+            if (ui.currentView === 'QUICK_QUOTE') {
+                this.stateService.dispatch(uiActions.setVisibleColumns(this._getQuickQuoteColumns()));
+            } else {
+                const productStrategy = this.productFactory.getProductStrategy(quoteData.currentProduct);
+                const isTabSupported = !!productStrategy.getDetailTabColumns()[ui.activeTabId];
+                this.detailConfigView.activateTab(isTabSupported ? ui.activeTabId : 'k1-tab');
+            }
+        }
+
+        this.stateService.dispatch(uiActions.setSumOutdated(true));
+
+        const feeInputsChanged = previousQuoteData.customer?.postcode !== quoteData.customer?.postcode
+            || JSON.stringify(previousQuoteData.feeOverrides) !== JSON.stringify(quoteData.feeOverrides);
+        if (feeInputsChanged) {
+            const before = this.calculationService.calculateF2Summary(previousQuoteData, previousUi);
+            this._calculateF2Summary();
+            this._recordFeeChanges(before, auditReason);
+        }
     }
 
     handleTabSwitch({ tabId }) {
@@ -401,15 +503,639 @@ export class WorkflowService {
     handleFileLoad({ fileName, content }) {
         const result = this.fileService.parseFileContent(fileName, content);
         if (result.success) {
-            this.stateService.dispatch(quoteActions.setQuoteData(result.data));
-            this.stateService.dispatch(uiActions.resetUi());
-            this.stateService.dispatch(uiActions.setSumOutdated(true));
+            this._loadQuoteData(result.data, { offerRepricing: false });
+            // XLSX files also carry the F2 values (multiplier, discount, fees).
+            if (result.f2) {
+                this._applyRevisionSnapshot({ f2: result.f2 });
+            }
             this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: result.message });
+
+            // A loaded file is imported into the quote library under its quote number. Only one
+            // dialog can be open, so the repricing offer waits until the library question is settled.
+            let isAskingToReplace = false;
+            this._runLibraryOperation(async () => {
+                const { quoteData } = this.stateService.getState();
+                const libraryCopy = await this.quoteLibraryService.openQuote(quoteData.quoteId);
+                if (!libraryCopy) {
+                    await this.quoteLibraryService.saveQuote(quoteData);
+                } else if (JSON.stringify(libraryCopy) !== JSON.stringify(quoteData)) {
+                    isAskingToReplace = true;
+                    this._confirmLibraryImport(quoteData.quoteId);
+                }
+            }).then(() => {
+                if (!isAskingToReplace) this._offerRepricing();
+            });
         } else {
             this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: result.message, type: 'error' });
         }
     }
 
+    /**
+     * Asks before a loaded file overwrites a different library quote with the same quote number.
+     * The quote is read again when the user answers, so edits made meanwhile are kept.
+     */
+    _confirmLibraryImport(quoteId) {
+        this.eventAggregator.publish(EVENTS.SHOW_CONFIRMATION_DIALOG, {
+            message: `Quote ${quoteId} is already in the library with different content. Replace it with the loaded file? The library copy will be kept as a revision.`,
+            layout: [
+                [
+                    {
+                        type: 'button',
+                        text: 'Replace',
+                        className: 'primary-confirm-button',
+                        callback: () => {
+                            this._finishLibraryImport(async () => {
+                                await this.quoteLibraryService.replaceQuote(this.stateService.getState().quoteData);
+                                return `Quote ${quoteId} replaced in the library. The previous copy was kept as a revision.`;
+                            });
+                        }
+                    },
+                    {
+                        type: 'button',
+                        text: 'Import as New Quote',
+                        callback: () => {
+                            this._finishLibraryImport(async () => {
+                                const record = await this.quoteLibraryService.importAsNewQuote(this.stateService.getState().quoteData);
+                                this.stateService.dispatch(quoteActions.setQuoteData(record.quoteData));
+                                this.stateService.dispatch(historyActions.resetHistory());
+                                this.stateService.dispatch(uiActions.setQuoteLibrarySelection(record.quoteId));
+                                return `Imported as quote ${record.quoteId}.`;
+                            });
+                        }
+                    },
+                    {
+                        type: 'button',
+                        text: 'Cancel',
+                        className: 'secondary',
+                        callback: () => {
+                            this._finishLibraryImport(async () => null);
+                        }
+                    }
+                ]
+            ],
+            closeOnOverlayClick: false
+        });
+    }
+
+    /**
+     * Runs the chosen library import, then offers repricing. The offer opens only after the
+     * import dialog has closed, since the dialog hides itself once a button callback returns.
+     */
+    _finishLibraryImport(operation) {
+        return this._runLibraryOperation(operation).then(() => this._offerRepricing());
+    }
+
+    _loadQuoteData(quoteData, { offerRepricing = true } = {}) {
+        this._useQuotePricing(quoteData);
+        this.stateService.dispatch(quoteActions.setQuoteData(quoteData));
+        this.stateService.dispatch(uiActions.resetUi());
+        this.stateService.dispatch(uiActions.setVisibleColumns(this._getQuickQuoteColumns()));
+        this.stateService.dispatch(uiActions.setSumOutdated(true));
+        // Undo must not step back into the quote that was open before.
+        this.stateService.dispatch(historyActions.resetHistory());
+        if (offerRepricing) {
+            this._offerRepricing();
+        }
+    }
+
+    /**
+     * Makes the quote's price list and customer group the ConfigManager's active ones, which
+     * the views and the accessory and fee prices are read from.
+     */
+    _useQuotePricing(quoteData) {
+        this.configManager.usePriceList(quoteData.priceListVersion);
+        this.configManager.useCustomerGroup(quoteData.customer?.groupId);
+    }
+
+    /**
+     * A quote priced against an older price list keeps its prices until the user chooses to
+     * reprice it. The dialog reports the items whose price would change, the accessory and fee
+     * totals and the new total.
+     */
+    _offerRepricing() {
+        const { quoteData, ui } = this.stateService.getState();
+        const quoteVersion = quoteData.priceListVersion;
+        const currentVersion = this.configManager.getCurrentPriceListVersion();
+        if (!quoteVersion || quoteVersion === currentVersion) return;
+
+        if (!this.configManager.getPriceListInfo(quoteVersion)) {
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, {
+                message: `Price list ${quoteVersion} is no longer available. This quote will be priced against the current list (${currentVersion}).`,
+                type: 'error'
+            });
+            return;
+        }
+
+        const report = this.calculationService.comparePriceLists(quoteData, currentVersion, ui);
+        const describeList = (version) => {
+            const { effectiveDate } = this.configManager.getPriceListInfo(version);
+            return `${version} (effective ${FORMATTERS.date(effectiveDate)})`;
+        };
+        const sign = report.delta < 0 ? '-' : '+';
+        const message = `Quote ${quoteData.quoteId} was priced against price list ${describeList(report.fromVersion)}. `
+            + `The current list is ${describeList(report.toVersion)}. `
+            + (report.changes.length === 0 && report.delta === 0
+                ? 'Repricing changes no prices.'
+                : `Repricing changes ${report.changes.length} item price(s) and the total from ${FORMATTERS.currency(report.oldTotal)} `
+                    + `to ${FORMATTERS.currency(report.newTotal)} (${sign}${FORMATTERS.currency(Math.abs(report.delta))}).`);
+
+        const changeRows = report.changes.slice(0, REPRICE_REPORT_MAX_ROWS).map(change => [
+            { type: 'text', text: `${change.productName} #${change.rowNumber}${change.location ? ` (${change.location})` : ''}`, colspan: 2 },
+            { type: 'text', text: `${FORMATTERS.currency(change.oldPrice)} -> ${FORMATTERS.currency(change.newPrice)}` }
+        ]);
+        const hiddenCount = report.changes.length - changeRows.length;
+        if (hiddenCount > 0) {
+            changeRows.push([{ type: 'text', text: `...and ${hiddenCount} more item(s).`, colspan: 3 }]);
+        }
+        [['Accessories', report.accessories], ['Fees', report.fees]]
+            .filter(([, totals]) => totals.delta !== 0)
+            .forEach(([label, totals]) => changeRows.push([
+                { type: 'text', text: label, colspan: 2 },
+                { type: 'text', text: `${FORMATTERS.currency(totals.oldTotal)} -> ${FORMATTERS.currency(totals.newTotal)}` }
+            ]));
+
+        this.eventAggregator.publish(EVENTS.SHOW_CONFIRMATION_DIALOG, {
+            message,
+            layout: [
+                ...changeRows,
+                [
+                    {
+                        type: 'button',
+                        text: 'Keep Original Prices',
+                        className: 'secondary',
+                        callback: () => {
+                            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `Keeping prices from price list ${report.fromVersion}.` });
+                        }
+                    },
+                    {
+                        type: 'button',
+                        text: 'Reprice to Current List',
+                        className: 'primary-confirm-button',
+                        colspan: 2,
+                        callback: () => this._repriceToCurrentList(report)
+                    }
+                ]
+            ],
+            closeOnOverlayClick: false
+        });
+    }
+
+    _repriceToCurrentList(report) {
+        this.configManager.usePriceList(report.toVersion);
+        this.stateService.dispatch(quoteActions.setQuoteData(report.repricedQuoteData));
+        this.stateService.dispatch(uiActions.setSumOutdated(true));
+        this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `Quote repriced to price list ${report.toVersion}.` });
+    }
+
+    // --- Price Lists ---
+
+    handlePriceMatrixEditorRequest({ version } = {}) {
+        const priceList = this.configManager.getPriceList(version || this.configManager.getCurrentPriceListVersion());
+        if (!priceList) {
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'No price list is loaded.', type: 'error' });
+            return;
+        }
+        this.eventAggregator.publish(EVENTS.SHOW_PRICE_MATRIX_EDITOR, {
+            versions: this.configManager.getPriceListVersions(),
+            priceList
+        });
+    }
+
+    /**
+     * Adds an edited price list for this session and downloads it. To load it on every start,
+     * the file goes into 03-data-models and is listed in `paths.data.priceLists`.
+     */
+    handleSavePriceList({ priceList }) {
+        const errors = this.configManager.addPriceList(priceList);
+        if (errors.length > 0) {
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, {
+                message: `Price list not saved: ${errors[0].message}${errors.length > 1 ? ` (and ${errors.length - 1} more problem(s))` : ''}`,
+                type: 'error'
+            });
+            return;
+        }
+
+        const result = this.fileService.savePriceList(priceList);
+        const message = result.success
+            ? `Price list ${priceList.meta.version} added. Add ${result.fileName} to 03-data-models and paths.data.priceLists to keep it.`
+            : result.message;
+        this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message, type: result.success ? 'info' : 'error' });
+    }
+
+    /**
+     * Compares two price list versions and estimates what the change does to the most recently
+     * updated library quotes. The report is still shown when the library cannot be read.
+     */
+    async handlePriceListReportRequest({ fromVersion, toVersion }) {
+        const fromList = this.configManager.getPriceList(fromVersion);
+        const toList = this.configManager.getPriceList(toVersion);
+        if (!fromList || !toList || fromVersion === toVersion) {
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'Choose two different price list versions to compare.', type: 'error' });
+            return;
+        }
+
+        let quoteImpact = null;
+        try {
+            const entries = (await this.quoteLibraryService.listQuotes()).slice(0, PRICE_REPORT_SAMPLE_SIZE);
+            const quotes = (await Promise.all(entries.map(entry => this.quoteLibraryService.openQuote(entry.quoteId))))
+                .filter(quoteData => quoteData && this._hasItemData(quoteData));
+            quoteImpact = this.calculationService.estimatePriceListImpact(quotes, fromVersion, toVersion);
+        } catch (error) {
+            console.error("Failed to price library quotes for the price change report:", error);
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'Could not read the quote library; showing price list changes only.', type: 'error' });
+        }
+
+        this.eventAggregator.publish(EVENTS.SHOW_PRICE_LIST_REPORT, {
+            report: { ...diffPriceLists(fromList, toList), quoteImpact }
+        });
+    }
+
+    handleExportPriceListReport({ report }) {
+        const result = this.fileService.exportPriceListReport(report);
+        this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: result.message, type: result.success ? 'info' : 'error' });
+    }
+
+    // --- F4 Quote Library ---
+
+    handleF4TabActivation() {
+        return this._refreshQuoteLibrary();
+    }
+
+    handleQuoteLibrarySearch({ searchTerm }) {
+        this.stateService.dispatch(uiActions.setQuoteLibrarySearchTerm(searchTerm));
+        return this._refreshQuoteLibrary();
+    }
+
+    handleQuoteLibrarySelection({ quoteId }) {
+        this.stateService.dispatch(uiActions.setQuoteLibrarySelection(quoteId));
+    }
+
+    handleSaveToLibrary() {
+        return this._runLibraryOperation(async () => {
+            const { quoteData } = this.stateService.getState();
+            const revision = await this._saveRevision(quoteData);
+            return `Quote ${quoteData.quoteId} saved to the library (revision ${revision.revisionNumber}).`;
+        });
+    }
+
+    /**
+     * Records a revision after the quote was saved elsewhere (e.g. to a file).
+     */
+    handleQuoteSaved() {
+        return this._runLibraryOperation(async () => {
+            const { quoteData } = this.stateService.getState();
+            await this._saveRevision(quoteData);
+        });
+    }
+
+    handleOpenLibraryQuote() {
+        const quoteId = this._getSelectedLibraryQuoteId();
+        if (!quoteId) return;
+
+        return this._runLibraryOperation(async () => {
+            // Keep the quote being replaced, so switching between quotes never loses work.
+            const { quoteData: currentQuoteData } = this.stateService.getState();
+            if (this._hasItemData(currentQuoteData)) {
+                await this._saveRevision(currentQuoteData);
+            }
+
+            const quoteData = await this.quoteLibraryService.openQuote(quoteId);
+            if (!quoteData) {
+                throw new Error(`Quote ${quoteId} was not found in the library.`);
+            }
+            this._loadQuoteData(quoteData);
+            return `Opened quote ${quoteId}.`;
+        });
+    }
+
+    handleDuplicateLibraryQuote() {
+        const quoteId = this._getSelectedLibraryQuoteId();
+        if (!quoteId) return;
+
+        return this._runLibraryOperation(async () => {
+            const record = await this.quoteLibraryService.duplicateQuote(quoteId);
+            this.stateService.dispatch(uiActions.setQuoteLibrarySelection(record.quoteId));
+            return `Duplicated ${quoteId} as ${record.quoteId}.`;
+        });
+    }
+
+    handleRenameLibraryQuote() {
+        const quoteId = this._getSelectedLibraryQuoteId();
+        if (!quoteId) return;
+        const entry = this.stateService.getState().ui.quoteLibrary.entries.find(e => e.quoteId === quoteId);
+
+        this.eventAggregator.publish(EVENTS.SHOW_CONFIRMATION_DIALOG, {
+            message: `Rename quote ${quoteId}:`,
+            layout: [
+                [
+                    { type: 'input', inputType: 'text', id: DOM_IDS.DIALOG_INPUT_QUOTE_NAME, value: entry?.name || '', colspan: 3 }
+                ],
+                [
+                    {
+                        type: 'button',
+                        text: 'Rename',
+                        className: 'primary-confirm-button',
+                        colspan: 2,
+                        callback: () => {
+                            const name = document.getElementById(DOM_IDS.DIALOG_INPUT_QUOTE_NAME).value.trim();
+                            if (!name) {
+                                this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'Quote name cannot be empty.', type: 'error' });
+                                return false;
+                            }
+                            this._runLibraryOperation(async () => {
+                                await this.quoteLibraryService.renameQuote(quoteId, name);
+                                return `Quote ${quoteId} renamed.`;
+                            });
+                            return true;
+                        }
+                    },
+                    { type: 'button', text: 'Cancel', className: 'secondary', colspan: 1, callback: () => { } }
+                ]
+            ],
+            onOpen: () => {
+                const input = document.getElementById(DOM_IDS.DIALOG_INPUT_QUOTE_NAME);
+                input?.focus();
+                input?.select();
+            }
+        });
+    }
+
+    handleDeleteLibraryQuote() {
+        const quoteId = this._getSelectedLibraryQuoteId();
+        if (!quoteId) return;
+
+        this.eventAggregator.publish(EVENTS.SHOW_CONFIRMATION_DIALOG, {
+            message: `Delete quote ${quoteId} from the library? This cannot be undone.`,
+            layout: [
+                [
+                    {
+                        type: 'button',
+                        text: 'Delete',
+                        className: 'primary-confirm-button',
+                        callback: () => {
+                            this._runLibraryOperation(async () => {
+                                await this.quoteLibraryService.deleteQuote(quoteId);
+                                this.stateService.dispatch(uiActions.setQuoteLibrarySelection(null));
+                                return `Quote ${quoteId} deleted from the library.`;
+                            });
+                        }
+                    },
+                    { type: 'button', text: 'Cancel', className: 'secondary', callback: () => { } }
+                ]
+            ]
+        });
+    }
+
+    async handleShowQuoteRevisions() {
+        const quoteId = this._getSelectedLibraryQuoteId();
+        if (!quoteId) return;
+
+        try {
+            const revisions = await this.quoteLibraryService.listRevisions(quoteId);
+            if (revisions.length === 0) {
+                this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `Quote ${quoteId} has no saved revisions yet.` });
+                return;
+            }
+            this.eventAggregator.publish(EVENTS.SHOW_REVISION_VIEWER, { quoteId, revisions });
+        } catch (error) {
+            console.error("Failed to read quote revisions:", error);
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `Quote library error: ${error.message}`, type: 'error' });
+        }
+    }
+
+    /**
+     * Makes an old revision the current quote. The quote being replaced is kept as a revision first,
+     * and the restored content is recorded as the newest revision, so history is never rewritten.
+     */
+    handleRestoreRevision({ quoteId, revisionId }) {
+        return this._runLibraryOperation(async () => {
+            const revision = (await this.quoteLibraryService.listRevisions(quoteId))
+                .find(r => r.revisionId === revisionId);
+            if (!revision) {
+                throw new Error(`Revision ${revisionId} was not found.`);
+            }
+
+            const { quoteData: currentQuoteData } = this.stateService.getState();
+            if (this._hasItemData(currentQuoteData)) {
+                await this._saveRevision(currentQuoteData);
+            }
+
+            this._loadQuoteData(JSON.parse(JSON.stringify(revision.quoteData)));
+            this._applyRevisionSnapshot(revision);
+
+            const { quoteData } = this.stateService.getState();
+            const restored = await this._saveRevision(quoteData);
+            return `Restored revision ${revision.revisionNumber} of ${quoteId} as revision ${restored.revisionNumber}.`;
+        });
+    }
+
+    _saveRevision(quoteData) {
+        const { f1, f2 } = this.stateService.getState().ui;
+        return this.quoteLibraryService.saveRevision(quoteData, { f1, f2, f3: this._getF3OverrideData() });
+    }
+
+    _applyRevisionSnapshot({ f1, f2, f3 }) {
+        if (f1) {
+            this.stateService.dispatch(uiActions.setF1DiscountPercentage(f1.discountPercentage));
+            this.stateService.dispatch(uiActions.setF1RemoteDistribution(f1.remote_1ch_qty, f1.remote_16ch_qty));
+            this.stateService.dispatch(uiActions.setF1DualDistribution(f1.dual_combo_qty, f1.dual_slim_qty));
+        }
+        if (f2) {
+            Object.entries(f2).forEach(([key, value]) => this.stateService.dispatch(uiActions.setF2Value(key, value)));
+        }
+        if (f3) {
+            this._setF3Data(f3);
+        }
+    }
+
+    _getSelectedLibraryQuoteId() {
+        const { selectedQuoteId } = this.stateService.getState().ui.quoteLibrary;
+        if (!selectedQuoteId) {
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'Please select a quote in the library first.' });
+        }
+        return selectedQuoteId;
+    }
+
+    _hasItemData(quoteData) {
+        return this.calculationService.getAllItems(quoteData).some(item => item.width || item.height);
+    }
+
+    /**
+     * Runs an async library operation, reports its outcome and refreshes the library list.
+     * @param {function(): Promise<string|void>} operation - Resolves to an optional success message.
+     */
+    async _runLibraryOperation(operation) {
+        try {
+            const message = await operation();
+            if (message) {
+                this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message });
+            }
+        } catch (error) {
+            console.error("Quote library operation failed:", error);
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `Quote library error: ${error.message}`, type: 'error' });
+        }
+        await this._refreshQuoteLibrary();
+    }
+
+    async _refreshQuoteLibrary() {
+        try {
+            const { searchTerm, selectedQuoteId } = this.stateService.getState().ui.quoteLibrary;
+            const entries = await this.quoteLibraryService.listQuotes(searchTerm);
+            this.stateService.dispatch(uiActions.setQuoteLibraryEntries(entries));
+            if (selectedQuoteId && !entries.some(entry => entry.quoteId === selectedQuoteId)) {
+                this.stateService.dispatch(uiActions.setQuoteLibrarySelection(null));
+            }
+        } catch (error) {
+            console.error("Failed to list the quote library:", error);
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'Could not read the quote library.', type: 'error' });
+        }
+    }
+
+    handlePaymentScheduleChange({ scheduleId, depositAmount }) {
+        this.stateService.dispatch(quoteActions.setPaymentSchedule(scheduleId, depositAmount));
+    }
+
+    handleTaxExemptChange({ isExempt }) {
+        this.stateService.dispatch(quoteActions.setCustomerTaxExempt(isExempt));
+        this._calculateF2Summary();
+    }
+
+    /**
+     * Moves the customer to another group and reprices the quote at that group's prices.
+     */
+    handleCustomerGroupChange({ groupId }) {
+        this.stateService.dispatch(quoteActions.setCustomerGroup(groupId));
+        this.configManager.useCustomerGroup(groupId);
+        const { quoteData } = this.stateService.getState();
+        const { updatedQuoteData } = this.calculationService.calculateAllProducts(quoteData);
+        this.stateService.dispatch(quoteActions.setQuoteData(updatedQuoteData));
+        this._calculateF2Summary();
+
+        const { name } = this.configManager.getCustomerGroup(groupId);
+        this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `Quote repriced for ${name}.` });
+    }
+
+    /**
+     * Reads the postcode from the F3 address and reprices delivery and installation for its zone.
+     * Inside a zone, F2 quantities left empty are filled in: one delivery, and an install for every
+     * measured item.
+     */
+    handleCustomerAddressChange({ address }) {
+        const postcode = (String(address || '').match(POSTCODE_PATTERN) || []).pop() || '';
+        const { quoteData, ui } = this.stateService.getState();
+        if (postcode === (quoteData.customer?.postcode || '')) return;
+
+        const before = this.calculationService.calculateF2Summary(quoteData, ui);
+        this.stateService.dispatch(quoteActions.setCustomerPostcode(postcode));
+        const zone = this.configManager.findDeliveryZone(postcode);
+        if (zone) {
+            const measuredCount = this.calculationService.getAllItems(quoteData).filter(item => item.width && item.height).length;
+            if (ui.f2.deliveryQty === null) this.stateService.dispatch(uiActions.setF2Value('deliveryQty', 1));
+            if (ui.f2.installQty === null) this.stateService.dispatch(uiActions.setF2Value('installQty', measuredCount));
+        }
+        this._calculateF2Summary();
+
+        if (!postcode) {
+            this._recordFeeChanges(before, 'Postcode removed');
+            return;
+        }
+        this._recordFeeChanges(before, `Postcode ${postcode} (${zone ? `${zone.name} zone` : 'outside the delivery zones'})`);
+        this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, {
+            message: zone
+                ? `Postcode ${postcode} is in the ${zone.name} zone; delivery and install fees updated.`
+                : `Postcode ${postcode} is outside the delivery zones; the standard fees apply.`
+        });
+    }
+
+    /**
+     * Asks for F2 fee amounts to use in place of the calculated ones, and the reason for the change.
+     * A fee left blank goes back to its calculated amount.
+     */
+    handleFeeOverrideRequest() {
+        const { quoteData, ui } = this.stateService.getState();
+        const overrides = quoteData.feeOverrides || {};
+        const calculated = this.calculationService.calculateF2Summary({ ...quoteData, feeOverrides: {} }, ui);
+
+        const feeRows = Object.entries(OVERRIDABLE_FEES).map(([fee, { label, inputId, summaryKey }]) => [
+            { type: 'text', text: `${label}:`, className: 'dialog-label' },
+            { type: 'input', id: inputId, value: overrides[fee] ?? '', placeholder: `Calculated: ${calculated[summaryKey]}`, colspan: 2 }
+        ]);
+
+        this.eventAggregator.publish(EVENTS.SHOW_CONFIRMATION_DIALOG, {
+            message: 'Enter the fees to charge in place of the calculated ones. Leave a fee blank to use its calculated amount.',
+            layout: [
+                ...feeRows,
+                [
+                    { type: 'text', text: 'Reason:', className: 'dialog-label' },
+                    { type: 'input', inputType: 'text', id: DOM_IDS.DIALOG_INPUT_FEE_REASON, colspan: 2 }
+                ],
+                [
+                    {
+                        type: 'button',
+                        text: 'Apply',
+                        className: 'primary-confirm-button',
+                        colspan: 2,
+                        callback: () => {
+                            const changes = {};
+                            for (const [fee, { label, inputId }] of Object.entries(OVERRIDABLE_FEES)) {
+                                const text = document.getElementById(inputId).value.trim();
+                                const amount = text === '' ? null : parseFloat(text);
+                                if (Number.isNaN(amount) || amount < 0) {
+                                    this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `${label} fee must be a positive number.`, type: 'error' });
+                                    return false;
+                                }
+                                if (amount !== (overrides[fee] ?? null)) changes[fee] = amount;
+                            }
+                            if (Object.keys(changes).length === 0) return true;
+
+                            const reason = document.getElementById(DOM_IDS.DIALOG_INPUT_FEE_REASON).value.trim();
+                            if (!reason) {
+                                this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'Enter a reason for the fee change.', type: 'error' });
+                                return false;
+                            }
+                            this.handleFeeOverride({ overrides: changes, reason });
+                            return true;
+                        }
+                    },
+                    { type: 'button', text: 'Cancel', className: 'secondary', colspan: 1, callback: () => { } }
+                ]
+            ],
+            onOpen: () => {
+                const input = document.getElementById(OVERRIDABLE_FEES.delivery.inputId);
+                input?.focus();
+                input?.select();
+            },
+            closeOnOverlayClick: false
+        });
+    }
+
+    /**
+     * Sets or clears F2 fee overrides and records the fees they change.
+     * @param {{overrides: object, reason: string}} data Fee type -> amount, or null to use the calculated fee.
+     */
+    handleFeeOverride({ overrides, reason }) {
+        const { quoteData, ui } = this.stateService.getState();
+        const before = this.calculationService.calculateF2Summary(quoteData, ui);
+        Object.entries(overrides).forEach(([fee, amount]) => {
+            this.stateService.dispatch(quoteActions.setFeeOverride(fee, amount));
+        });
+        this._calculateF2Summary();
+        this._recordFeeChanges(before, reason);
+    }
+
+    /**
+     * Adds a fee audit entry for each overridable fee that changed since `before` (an F2 summary).
+     */
+    _recordFeeChanges(before, reason) {
+        const { f2 } = this.stateService.getState().ui;
+        const at = new Date().toISOString();
+        Object.entries(OVERRIDABLE_FEES).forEach(([fee, { summaryKey }]) => {
+            if (before[summaryKey] !== f2[summaryKey]) {
+                this.stateService.dispatch(quoteActions.addFeeAuditEntry({ at, fee, from: before[summaryKey], to: f2[summaryKey], reason }));
+            }
+        });
+    }
+
     handleF1DiscountChange({ percentage }) {
         this.stateService.dispatch(uiActions.setF1DiscountPercentage(percentage));
     }
@@ -438,6 +1164,72 @@ export class WorkflowService {
         }
     }
 
+    /**
+     * Solves mul-times or the discount for a target total or margin entered in F2, and applies it.
+     */
+    handleF2TargetRequest({ target, value, solveFor }) {
+        const { quoteData, ui } = this.stateService.getState();
+        const result = this.calculationService.solveF2Target(quoteData, ui, { target, value, solveFor });
+        if (result.error) {
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: result.error, type: 'error' });
+            return;
+        }
+
+        this.stateService.dispatch(uiActions.setF2Value(solveFor, result.solvedValue));
+        this._calculateF2Summary();
+
+        const { sumPrice, netProfit, singleprofit } = result.summary;
+        const solvedLabel = solveFor === 'discount' ? `Disc. % set to ${result.solvedValue}` : `Mul-times set to ${result.solvedValue}`;
+        this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, {
+            message: `${solvedLabel}: selling price ${FORMATTERS.currency(sumPrice)}, net profit ${FORMATTERS.currency(netProfit)}, ` +
+                `${FORMATTERS.currency(singleprofit)} profit per blind.`
+        });
+    }
+
+    /**
+     * Opens (or refreshes) the what-if comparison. Scenarios are priced from the quote's line
+     * prices, so the quote has to be calculated first.
+     */
+    handleScenarioComparisonRequest() {
+        const { quoteData, ui } = this.stateService.getState();
+        if (!this.calculationService.getQuoteTotalSum(quoteData)) {
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'Calculate the quote prices before comparing options.', type: 'error' });
+            return;
+        }
+
+        const fabricTypes = [...new Set(Object.keys(quoteData.products).flatMap(productKey => this.configManager.getFabricTypeSequence(productKey)))];
+        this.eventAggregator.publish(EVENTS.SHOW_SCENARIO_COMPARISON, {
+            comparison: this.calculationService.compareScenarios(quoteData, ui),
+            fabricTypes
+        });
+    }
+
+    /**
+     * Adds a what-if scenario to the quote; unnamed scenarios are numbered.
+     */
+    handleAddScenario({ name, itemOverrides = {}, f2Overrides = {} }) {
+        const scenarios = this.stateService.getState().quoteData.scenarios || [];
+        const scenario = {
+            id: `scenario-${Date.now()}`,
+            name: (name || '').trim() || `Scenario ${scenarios.length + 1}`,
+            itemOverrides,
+            f2Overrides,
+            includeInQuote: true
+        };
+        this.stateService.dispatch(quoteActions.addScenario(scenario));
+        this.handleScenarioComparisonRequest();
+    }
+
+    handleRemoveScenario({ scenarioId }) {
+        this.stateService.dispatch(quoteActions.removeScenario(scenarioId));
+        this.handleScenarioComparisonRequest();
+    }
+
+    handleScenarioInQuoteToggle({ scenarioId, includeInQuote }) {
+        this.stateService.dispatch(quoteActions.setScenarioInQuote(scenarioId, includeInQuote));
+        this.handleScenarioComparisonRequest();
+    }
+
     focusNextF2Input(currentId) {
         const currentIndex = this.f2InputSequence.indexOf(currentId);
         if (currentIndex > -1 && currentIndex < this.f2InputSequence.length - 1) {
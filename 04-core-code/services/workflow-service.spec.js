@@ -2,6 +2,8 @@
 
 import { WorkflowService } from './workflow-service.js';
 import { EVENTS } from '../config/constants.js';
+import { ConfigManager } from '../config-manager.js';
+import { TaxService } from './tax-service.js';
 
 describe('WorkflowService', () => {
     let workflowService;
@@ -27,7 +29,9 @@ describe('WorkflowService', () => {
             setF1DualDistribution: jest.fn(),
         };
         mockQuoteService = {};
-        mockCalculationService = {};
+        mockCalculationService = {
+            getAllItems: jest.fn((quoteData) => Object.values(quoteData.products).flatMap(product => product.items)),
+        };
         mockProductFactory = {};
         mockDetailConfigView = {};
 
@@ -109,5 +113,456 @@ describe('WorkflowService', () => {
                 })
             );
         });
+
+        it('should count the dual pairs of every product line', () => {
+            mockStateService.getState.mockReturnValue({
+                quoteData: {
+                    currentProduct: 'rollerBlind',
+                    products: {
+                        rollerBlind: { items: [{ dual: 'D' }, { dual: 'D' }] },
+                        sheerCurtain: { items: [{ dual: 'D' }, { dual: 'D' }, { dual: '' }] }
+                    }
+                },
+                ui: { f1: { dual_combo_qty: null, dual_slim_qty: null } }
+            });
+
+            workflowService.handleDualDistribution();
+
+            expect(mockEventAggregator.publish).toHaveBeenCalledWith(
+                EVENTS.SHOW_CONFIRMATION_DIALOG,
+                expect.objectContaining({ message: 'Total Dual pairs: 2. Please distribute them.' })
+            );
+        });
+    });
+
+    describe('_offerRepricing', () => {
+        const buildService = (priceListVersion) => {
+            mockStateService.getState.mockReturnValue({ quoteData: { quoteId: 'RB1', priceListVersion }, ui: {} });
+            return new WorkflowService({
+                eventAggregator: mockEventAggregator,
+                stateService: mockStateService,
+                calculationService: {
+                    comparePriceLists: jest.fn().mockReturnValue({
+                        fromVersion: '1.0', toVersion: '2.0', oldTotal: 160, newTotal: 190, delta: 30,
+                        changes: [{ productName: 'Roller Blind', rowNumber: 1, location: '', oldPrice: 100, newPrice: 120, delta: 20 }],
+                        accessories: { oldTotal: 60, newTotal: 70, delta: 10 },
+                        fees: { oldTotal: 0, newTotal: 0, delta: 0 },
+                        repricedQuoteData: {}
+                    })
+                },
+                configManager: {
+                    getCurrentPriceListVersion: () => '2.0',
+                    getPriceListInfo: (version) => ({ version, effectiveDate: version === '1.0' ? '2024-12-01' : '2025-07-01' })
+                },
+            });
+        };
+
+        it('should offer to reprice a quote priced against an older list, with the delta', () => {
+            buildService('1.0')._offerRepricing();
+
+            const [eventName, dialog] = mockEventAggregator.publish.mock.calls[0];
+            const texts = dialog.layout.flat().map(cell => cell.text);
+            expect(eventName).toBe(EVENTS.SHOW_CONFIRMATION_DIALOG);
+            expect(dialog.message).toContain('price list 1.0');
+            expect(dialog.message).toContain('from $160.00 to $190.00 (+$30.00)');
+            expect(texts).toEqual(expect.arrayContaining(['Accessories', '$60.00 -> $70.00', 'Keep Original Prices', 'Reprice to Current List']));
+            expect(texts).not.toContain('Fees');
+        });
+
+        it('should not prompt for quotes on the current list or without a recorded list', () => {
+            buildService('2.0')._offerRepricing();
+            buildService(null)._offerRepricing();
+
+            expect(mockEventAggregator.publish).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('handlePriceListReportRequest', () => {
+        const PRICE_LISTS = {
+            '1.0': { meta: { version: '1.0' }, matrices: {}, accessories: { winderHD: { price: 30, unit: 'each' } } },
+            '2.0': { meta: { version: '2.0' }, matrices: {}, accessories: { winderHD: { price: 33, unit: 'each' } } }
+        };
+        const QUOTE_IMPACT = { quotes: [], oldTotal: 0, newTotal: 0, delta: 0 };
+        let calculationService;
+
+        const buildService = (quoteLibraryService) => {
+            calculationService = {
+                getAllItems: (quoteData) => quoteData.items,
+                estimatePriceListImpact: jest.fn().mockReturnValue(QUOTE_IMPACT)
+            };
+            return new WorkflowService({
+                eventAggregator: mockEventAggregator,
+                stateService: mockStateService,
+                calculationService,
+                quoteLibraryService,
+                configManager: { getPriceList: (version) => PRICE_LISTS[version] || null }
+            });
+        };
+
+        it('should diff the two lists and reprice the saved quotes that have items', async () => {
+            const quotes = { Q1: { quoteId: 'Q1', items: [{ width: 1000 }] }, Q2: { quoteId: 'Q2', items: [{}] } };
+            const service = buildService({
+                listQuotes: jest.fn().mockResolvedValue([{ quoteId: 'Q1' }, { quoteId: 'Q2' }]),
+                openQuote: jest.fn((quoteId) => Promise.resolve(quotes[quoteId]))
+            });
+
+            await service.handlePriceListReportRequest({ fromVersion: '1.0', toVersion: '2.0' });
+
+            expect(calculationService.estimatePriceListImpact).toHaveBeenCalledWith([quotes.Q1], '1.0', '2.0');
+            const [eventName, { report }] = mockEventAggregator.publish.mock.calls[0];
+            expect(eventName).toBe(EVENTS.SHOW_PRICE_LIST_REPORT);
+            expect(report.accessories).toEqual([{ key: 'winderHD', unit: 'each', from: 30, to: 33, percent: 10 }]);
+            expect(report.quoteImpact).toBe(QUOTE_IMPACT);
+        });
+
+        it('should still show the list changes when the library cannot be read', async () => {
+            const service = buildService({ listQuotes: jest.fn().mockRejectedValue(new Error('blocked')) });
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            await service.handlePriceListReportRequest({ fromVersion: '1.0', toVersion: '2.0' });
+
+            const reportCall = mockEventAggregator.publish.mock.calls.find(([eventName]) => eventName === EVENTS.SHOW_PRICE_LIST_REPORT);
+            expect(reportCall[1].report.quoteImpact).toBeNull();
+            expect(mockEventAggregator.publish).toHaveBeenCalledWith(EVENTS.SHOW_NOTIFICATION, expect.objectContaining({ type: 'error' }));
+            console.error.mockRestore();
+        });
+    });
+
+    describe('handleCustomerGroupChange', () => {
+        it('should move the customer to the group and reprice the quote', () => {
+            const repricedQuoteData = { products: {}, customer: { groupId: 'builder' } };
+            const service = new WorkflowService({
+                eventAggregator: mockEventAggregator,
+                stateService: { ...mockStateService, dispatch: jest.fn() },
+                calculationService: {
+                    calculateAllProducts: jest.fn().mockReturnValue({ updatedQuoteData: repricedQuoteData }),
+                    calculateF2Summary: jest.fn().mockReturnValue({})
+                },
+                configManager: new ConfigManager(mockEventAggregator),
+            });
+            mockStateService.getState.mockReturnValue({ quoteData: { products: {}, customer: { groupId: 'builder' } }, ui: {} });
+
+            service.handleCustomerGroupChange({ groupId: 'builder' });
+
+            expect(service.stateService.dispatch).toHaveBeenCalledWith(expect.objectContaining({ payload: { groupId: 'builder' } }));
+            expect(service.stateService.dispatch).toHaveBeenCalledWith(expect.objectContaining({ payload: { newQuoteData: repricedQuoteData } }));
+            expect(mockEventAggregator.publish).toHaveBeenCalledWith(EVENTS.SHOW_NOTIFICATION, { message: 'Quote repriced for Builders.' });
+        });
+    });
+
+    describe('delivery zones and fee overrides', () => {
+        let state;
+        let service;
+
+        beforeEach(() => {
+            state = {
+                quoteData: { products: {}, customer: { postcode: '' }, feeOverrides: {}, feeAudit: [] },
+                ui: { f2: { deliveryQty: null, installQty: null, deliveryFee: 0, installFee: 0, removalFee: 0 } }
+            };
+            // Only the F2 values are applied, so the fee audit can compare them with the summary before.
+            const dispatch = jest.fn((action) => {
+                if (action.type === 'ui/setF2Value') {
+                    state.ui.f2 = { ...state.ui.f2, [action.payload.key]: action.payload.value };
+                }
+            });
+            service = new WorkflowService({
+                eventAggregator: mockEventAggregator,
+                stateService: { getState: () => state, dispatch },
+                calculationService: {
+                    getAllItems: jest.fn().mockReturnValue([{ width: 1000, height: 1000 }, { width: 1200, height: 900 }, { width: null, height: null }]),
+                    calculateF2Summary: jest.fn()
+                },
+                configManager: new ConfigManager(mockEventAggregator),
+            });
+        });
+
+        it('should price the fees for the zone of the F3 postcode and record what changed', () => {
+            service.calculationService.calculateF2Summary
+                .mockReturnValueOnce({ deliveryFee: 0, installFee: 0, removalFee: 0 })
+                .mockReturnValue({ deliveryFee: 250, installFee: 60, removalFee: 0 });
+
+            service.handleCustomerAddressChange({ address: '12 High St\nGoulburn NSW 2580' });
+
+            const payloads = service.stateService.dispatch.mock.calls.map(([action]) => action.payload);
+            expect(payloads).toContainEqual({ postcode: '2580' });
+            expect(state.ui.f2).toMatchObject({ deliveryQty: 1, installQty: 2, deliveryFee: 250, installFee: 60 });
+            expect(payloads).toContainEqual({ entry: expect.objectContaining({ fee: 'delivery', from: 0, to: 250, reason: 'Postcode 2580 (Regional zone)' }) });
+            expect(payloads).toContainEqual({ entry: expect.objectContaining({ fee: 'install', from: 0, to: 60, reason: 'Postcode 2580 (Regional zone)' }) });
+            expect(payloads.filter(payload => payload.entry)).toHaveLength(2);
+            expect(mockEventAggregator.publish).toHaveBeenCalledWith(EVENTS.SHOW_NOTIFICATION, {
+                message: 'Postcode 2580 is in the Regional zone; delivery and install fees updated.'
+            });
+
+            state.quoteData.customer.postcode = '2580';
+            service.stateService.dispatch.mockClear();
+            service.handleCustomerAddressChange({ address: '14 High St, Goulburn 2580' });
+            expect(service.stateService.dispatch).not.toHaveBeenCalled();
+        });
+
+        it('should set a fee override and record the change with its reason', () => {
+            state.ui.f2 = { ...state.ui.f2, deliveryFee: 250 };
+            service.calculationService.calculateF2Summary
+                .mockReturnValueOnce({ deliveryFee: 250, installFee: 60, removalFee: 0 })
+                .mockReturnValue({ deliveryFee: 150, installFee: 60, removalFee: 0 });
+
+            service.handleFeeOverride({ overrides: { delivery: 150 }, reason: 'Delivering with another job' });
+
+            const payloads = service.stateService.dispatch.mock.calls.map(([action]) => action.payload);
+            expect(payloads).toContainEqual({ fee: 'delivery', amount: 150 });
+            expect(payloads).toContainEqual({ entry: expect.objectContaining({ fee: 'delivery', from: 250, to: 150, reason: 'Delivering with another job' }) });
+        });
+
+        it('should log undoing a fee override as a new audit entry', () => {
+            const overridden = { ...state.quoteData, currentProduct: 'rollerBlind', products: { rollerBlind: { items: [] } }, feeOverrides: { delivery: 150 } };
+            state.quoteData = overridden;
+            state.ui.f2 = { ...state.ui.f2, deliveryFee: 150 };
+            const applyF2Value = service.stateService.dispatch.getMockImplementation();
+            service.stateService.dispatch.mockImplementation((action) => {
+                if (action.type === 'history/undo') {
+                    state.quoteData = { ...overridden, feeOverrides: {} };
+                }
+                applyF2Value(action);
+            });
+            service.stateService.canUndo = () => true;
+            service.calculationService.calculateF2Summary
+                .mockReturnValueOnce({ deliveryFee: 150, installFee: 60, removalFee: 0 })
+                .mockReturnValue({ deliveryFee: 250, installFee: 60, removalFee: 0 });
+
+            service.handleUndo();
+
+            const payloads = service.stateService.dispatch.mock.calls.map(([action]) => action.payload);
+            expect(state.ui.f2.deliveryFee).toBe(250);
+            expect(payloads).toContainEqual({ entry: expect.objectContaining({ fee: 'delivery', from: 150, to: 250, reason: 'Undo' }) });
+        });
+    });
+
+    describe('handleFileLoad', () => {
+        const loadedQuote = { quoteId: 'RB1', customer: { name: 'Smith' } };
+        let service;
+        let quoteLibraryService;
+        let state;
+
+        beforeEach(() => {
+            state = { quoteData: loadedQuote, ui: { quoteLibrary: { searchTerm: '', selectedQuoteId: null } } };
+            quoteLibraryService = {
+                openQuote: jest.fn(),
+                saveQuote: jest.fn(),
+                replaceQuote: jest.fn(),
+                importAsNewQuote: jest.fn().mockResolvedValue({ quoteId: 'RB2', quoteData: { ...loadedQuote, quoteId: 'RB2' } }),
+                listQuotes: jest.fn().mockResolvedValue([])
+            };
+            service = new WorkflowService({
+                eventAggregator: mockEventAggregator,
+                stateService: { getState: () => state, dispatch: jest.fn() },
+                fileService: { parseFileContent: jest.fn().mockReturnValue({ success: true, data: loadedQuote, message: 'Loaded.' }) },
+                quoteLibraryService,
+            });
+            jest.spyOn(service, '_loadQuoteData').mockImplementation(() => { });
+            jest.spyOn(service, '_offerRepricing').mockImplementation(() => { });
+        });
+
+        // Lets the library lookups and the repricing offer that follows them finish.
+        const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+        const loadFile = async () => {
+            service.handleFileLoad({ fileName: 'quote.json', content: '{}' });
+            await settle();
+        };
+        const getDialog = () => mockEventAggregator.publish.mock.calls
+            .find(([eventName]) => eventName === EVENTS.SHOW_CONFIRMATION_DIALOG)?.[1];
+        const clickButton = async (text) => {
+            getDialog().layout.flat().find(cell => cell.text === text).callback();
+            await settle();
+        };
+
+        it('should import a quote number the library does not have yet, then offer repricing', async () => {
+            quoteLibraryService.openQuote.mockResolvedValue(null);
+
+            await loadFile();
+
+            expect(service._loadQuoteData).toHaveBeenCalledWith(loadedQuote, { offerRepricing: false });
+            expect(quoteLibraryService.saveQuote).toHaveBeenCalledWith(loadedQuote);
+            expect(getDialog()).toBeUndefined();
+            expect(service._offerRepricing).toHaveBeenCalledTimes(1);
+        });
+
+        it('should ask before replacing a different library quote, and offer repricing only once answered', async () => {
+            quoteLibraryService.openQuote.mockResolvedValue({ quoteId: 'RB1', customer: { name: 'Jones' } });
+
+            await loadFile();
+
+            expect(quoteLibraryService.saveQuote).not.toHaveBeenCalled();
+            expect(getDialog().message).toContain('Quote RB1 is already in the library');
+            expect(service._offerRepricing).not.toHaveBeenCalled();
+
+            // Edits made while the dialog is open are part of what replaces the library copy.
+            state = { ...state, quoteData: { ...loadedQuote, customer: { name: 'Smith & Co' } } };
+            await clickButton('Replace');
+            expect(quoteLibraryService.replaceQuote).toHaveBeenCalledWith(state.quoteData);
+            expect(service._offerRepricing).toHaveBeenCalledTimes(1);
+        });
+
+        it('should import the file under a new quote number when asked', async () => {
+            quoteLibraryService.openQuote.mockResolvedValue({ quoteId: 'RB1', customer: { name: 'Jones' } });
+
+            await loadFile();
+            await clickButton('Import as New Quote');
+
+            expect(quoteLibraryService.importAsNewQuote).toHaveBeenCalledWith(loadedQuote);
+            expect(quoteLibraryService.replaceQuote).not.toHaveBeenCalled();
+            const actions = service.stateService.dispatch.mock.calls.map(([action]) => action);
+            expect(actions).toContainEqual(expect.objectContaining({ payload: { newQuoteData: expect.objectContaining({ quoteId: 'RB2' }) } }));
+            expect(actions).toContainEqual({ type: 'history/reset' });
+            expect(service._offerRepricing).toHaveBeenCalledTimes(1);
+        });
+
+        it('should still offer repricing when the import is cancelled', async () => {
+            quoteLibraryService.openQuote.mockResolvedValue({ quoteId: 'RB1', customer: { name: 'Jones' } });
+
+            await loadFile();
+            await clickButton('Cancel');
+
+            expect(quoteLibraryService.replaceQuote).not.toHaveBeenCalled();
+            expect(quoteLibraryService.importAsNewQuote).not.toHaveBeenCalled();
+            expect(service._offerRepricing).toHaveBeenCalledTimes(1);
+        });
+
+        it('should leave the library alone when it already holds the same content', async () => {
+            quoteLibraryService.openQuote.mockResolvedValue({ ...loadedQuote });
+
+            await loadFile();
+
+            expect(quoteLibraryService.saveQuote).not.toHaveBeenCalled();
+            expect(getDialog()).toBeUndefined();
+            expect(service._offerRepricing).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('handleF2TargetRequest', () => {
+        it('should apply the solved mul-times, or report a target out of reach', () => {
+            const solveF2Target = jest.fn()
+                .mockReturnValueOnce({ solveFor: 'mulTimes', solvedValue: 2.1, achieved: 4500, summary: { sumPrice: 4090.91, netProfit: 1200, singleprofit: 300 } })
+                .mockReturnValueOnce({ error: 'The target cannot be reached by changing mul-times alone.' });
+            const service = new WorkflowService({
+                eventAggregator: mockEventAggregator,
+                stateService: { ...mockStateService, dispatch: jest.fn() },
+                calculationService: { solveF2Target, calculateF2Summary: jest.fn().mockReturnValue({}) },
+            });
+            mockStateService.getState.mockReturnValue({ quoteData: { products: {} }, ui: { f2: {} } });
+
+            service.handleF2TargetRequest({ target: 'total', value: 4500, solveFor: 'mulTimes' });
+            service.handleF2TargetRequest({ target: 'margin', value: 95, solveFor: 'mulTimes' });
+
+            expect(service.stateService.dispatch).toHaveBeenCalledWith(expect.objectContaining({ payload: { key: 'mulTimes', value: 2.1 } }));
+            expect(mockEventAggregator.publish).toHaveBeenCalledWith(EVENTS.SHOW_NOTIFICATION, {
+                message: 'Mul-times set to 2.1: selling price $4090.91, net profit $1200.00, $300.00 profit per blind.'
+            });
+            expect(mockEventAggregator.publish).toHaveBeenLastCalledWith(EVENTS.SHOW_NOTIFICATION, {
+                message: 'The target cannot be reached by changing mul-times alone.', type: 'error'
+            });
+        });
+    });
+
+    describe('what-if scenarios', () => {
+        it('should add a numbered scenario and show the refreshed comparison', () => {
+            const comparison = { base: { total: 1100 }, scenarios: [] };
+            const service = new WorkflowService({
+                eventAggregator: mockEventAggregator,
+                stateService: { ...mockStateService, dispatch: jest.fn() },
+                calculationService: {
+                    getQuoteTotalSum: jest.fn().mockReturnValue(1000),
+                    compareScenarios: jest.fn().mockReturnValue(comparison)
+                },
+                configManager: { getFabricTypeSequence: jest.fn().mockReturnValue(['B1', 'B2']) },
+            });
+            mockStateService.getState.mockReturnValue({ quoteData: { products: { rollerBlind: {} }, scenarios: [] }, ui: {} });
+
+            service.handleAddScenario({ name: ' ', itemOverrides: { motor: true }, f2Overrides: {} });
+
+            expect(service.stateService.dispatch).toHaveBeenCalledWith(expect.objectContaining({
+                payload: { scenario: expect.objectContaining({ name: 'Scenario 1', itemOverrides: { motor: true }, includeInQuote: true }) }
+            }));
+            expect(mockEventAggregator.publish).toHaveBeenCalledWith(EVENTS.SHOW_SCENARIO_COMPARISON, { comparison, fabricTypes: ['B1', 'B2'] });
+        });
+
+        it('should ask for prices before comparing an uncalculated quote', () => {
+            const service = new WorkflowService({
+                eventAggregator: mockEventAggregator,
+                stateService: mockStateService,
+                calculationService: { getQuoteTotalSum: jest.fn().mockReturnValue(null), compareScenarios: jest.fn() },
+            });
+            mockStateService.getState.mockReturnValue({ quoteData: { products: {} }, ui: {} });
+
+            service.handleScenarioComparisonRequest();
+
+            expect(service.calculationService.compareScenarios).not.toHaveBeenCalled();
+            expect(mockEventAggregator.publish).toHaveBeenCalledWith(EVENTS.SHOW_NOTIFICATION, {
+                message: 'Calculate the quote prices before comparing options.', type: 'error'
+            });
+        });
+    });
+
+    describe('_prepareTemplateData', () => {
+        it('should inject the branding profile of the template chosen in F3', () => {
+            const configManager = new ConfigManager(mockEventAggregator);
+            const service = new WorkflowService({
+                eventAggregator: mockEventAggregator,
+                stateService: mockStateService,
+                calculationService: {
+                    calculateF2Summary: jest.fn().mockReturnValue({
+                        sumPrice: 1000, deliveryFee: 0, installFee: 0, gst: 1100,
+                        taxAmount: 100, taxLabel: 'GST (10%)',
+                        discountLines: [{ ruleId: 'volume', label: 'Volume discount', amount: -50 }], discountTotal: 50,
+                        firstRbPrice: 1050, disRbPrice: 1000, productSubtotals: []
+                    }),
+                    calculatePaymentSchedule: jest.fn().mockReturnValue({ id: 'cod', name: 'Cash on delivery', milestones: [] })
+                },
+                configManager,
+                taxService: new TaxService({ configManager }),
+            });
+
+            const paymentSchedule = { id: 'cod', depositAmount: null };
+            const tradeData = service._prepareTemplateData({ products: {}, paymentSchedule }, {}, { quoteTemplate: 'trade', issueDate: '2026-10-19' });
+            const fallbackData = service._prepareTemplateData({ products: {} }, {}, { quoteTemplate: 'retired-template' });
+
+            expect(tradeData.template).toEqual({ id: 'trade', name: 'Trade / Wholesale', layout: 'trade' });
+            expect(tradeData.branding.name).toBe('EZ Blinds & Shutters');
+            expect(fallbackData.template.id).toBe('ez-blinds');
+            expect(fallbackData.branding.bank.bsb).toBe('062 692');
+            expect(service.calculationService.calculatePaymentSchedule).toHaveBeenCalledWith(paymentSchedule, 1100, '2026-10-19');
+            expect(tradeData.paymentSchedule.id).toBe('cod');
+            expect(tradeData.taxLabel).toBe('GST (10%)');
+            expect(tradeData.gst).toBeCloseTo(100);
+            expect(service.calculationService.calculateF2Summary).toHaveBeenCalledWith(expect.objectContaining({ issueDate: '2026-10-19' }), {});
+            expect(tradeData.subtotal).toBe(1050);
+            expect(tradeData.discountLines).toEqual([{ ruleId: 'volume', label: 'Volume discount', amount: -50 }]);
+            expect(tradeData.savings).toBe(100);
+            expect(tradeData.options).toEqual([]);
+        });
+
+        it('should letter the scenarios chosen for the quote as options', () => {
+            const configManager = new ConfigManager(mockEventAggregator);
+            const compareScenarios = jest.fn().mockReturnValue({
+                base: { total: 1100 },
+                scenarios: [{ name: 'With motors', itemChanges: ['Motorised'], f2Changes: ['Mul-times 2'], total: 1628, deltaTotal: 528 }]
+            });
+            const service = new WorkflowService({
+                eventAggregator: mockEventAggregator,
+                stateService: mockStateService,
+                calculationService: {
+                    calculateF2Summary: jest.fn().mockReturnValue({ sumPrice: 1000, gst: 1100, taxAmount: 100, discountLines: [], discountTotal: 0, productSubtotals: [] }),
+                    calculatePaymentSchedule: jest.fn().mockReturnValue({ milestones: [] }),
+                    compareScenarios
+                },
+                configManager,
+                taxService: new TaxService({ configManager }),
+            });
+            const motorised = { id: 's2', name: 'With motors', includeInQuote: true };
+            const scenarios = [{ id: 's1', name: 'Internal only', includeInQuote: false }, motorised];
+
+            const data = service._prepareTemplateData({ products: {}, scenarios }, {}, { issueDate: '2026-10-19' });
+
+            expect(compareScenarios).toHaveBeenCalledWith(expect.objectContaining({ scenarios: [motorised], issueDate: '2026-10-19' }), {});
+            expect(data.options).toEqual([{ label: 'Option A', name: 'With motors', changes: ['Motorised'], total: 1628, difference: 528 }]);
+        });
     });
-});
\ No newline at end of file
+});
@@ -0,0 +1,133 @@
+// File: 04-core-code/strategies/fly-screen-strategy.js
+
+/**
+ * @fileoverview Contains all business logic specific to the retractable Fly Screen product.
+ * Fly screens are priced from a linear price list: a rate per metre of width plus a per-unit hardware charge.
+ */
+
+import { v4 as uuidv4 } from 'https://cdn.jsdelivr.net/npm/uuid@9.0.1/dist/esm-browser/index.js';
+
+export class FlyScreenStrategy {
+    constructor({ configManager }) {
+        this.configManager = configManager;
+        console.log("FlyScreenStrategy Initialized.");
+    }
+
+    getDisplayName() {
+        return 'Fly Screen';
+    }
+
+    /**
+     * Calculates the price for a single fly screen item from a linear price list.
+     * The width is rounded up to the list's metre increment and the minimum length applies.
+     * The result's breakdown shows the metres charged and the rates used.
+     */
+    calculateLinearPrice(item, priceList) {
+        if (!item || !item.width || !item.height || !item.fabricType) {
+            return { price: null, error: 'Incomplete item data.' };
+        }
+        if (!priceList) {
+            return { price: null, error: `Price list not found for fabric type: ${item.fabricType}` };
+        }
+
+        if (priceList.maxWidth && item.width > priceList.maxWidth) {
+            const errorMsg = `Width ${item.width} exceeds the maximum width of ${priceList.maxWidth} for this screen type.`;
+            return { price: null, error: errorMsg };
+        }
+        if (priceList.maxHeight && item.height > priceList.maxHeight) {
+            const errorMsg = `Height ${item.height} exceeds the maximum height of ${priceList.maxHeight} for this screen type.`;
+            return { price: null, error: errorMsg };
+        }
+
+        // Work in whole millimetres so an increment like 0.1m does not pick up floating point noise.
+        const incrementMm = Math.round((priceList.metreIncrement || 0.1) * 1000);
+        const roundedMetres = Math.ceil(item.width / incrementMm) * incrementMm / 1000;
+        const chargeableMetres = Math.max(roundedMetres, priceList.minMetres || 0);
+
+        const price = Math.round((chargeableMetres * priceList.pricePerMetre + priceList.unitCharge) * 100) / 100;
+
+        return {
+            price,
+            breakdown: {
+                matrixName: priceList.name,
+                width: { value: item.width },
+                roundedMetres,
+                chargeableMetres,
+                pricePerMetre: priceList.pricePerMetre,
+                unitCharge: priceList.unitCharge,
+                basePrice: price
+            }
+        };
+    }
+
+    /**
+     * Returns the validation rules specific to fly screens by fetching them from ConfigManager.
+     * @returns {object}
+     */
+    getValidationRules() {
+        const rules = this.configManager.getValidationRules('flyScreen');
+        if (!rules) {
+            return {
+                width: { name: 'Width' },
+                height: { name: 'Height' }
+            };
+        }
+        return {
+            width: { min: rules.minWidth, max: rules.maxWidth, name: 'Width' },
+            height: { min: rules.minHeight, max: rules.maxHeight, name: 'Height' }
+        };
+    }
+
+    /**
+     * Returns a new, empty item object for a fly screen.
+     * @returns {object}
+     */
+    getInitialItemData() {
+        return {
+            itemId: uuidv4(),
+            width: null,
+            height: null,
+            fabricType: null,
+            linePrice: null,
+            location: '',
+            fabric: '',
+            color: '',
+            lr: ''
+        };
+    }
+
+    getInitialProductData() {
+        return {
+            items: [this.getInitialItemData()],
+            summary: { totalSum: null, accessories: {} }
+        };
+    }
+
+    // --- Layout & Option Definitions ---
+
+    getQuickQuoteColumns() {
+        return ['sequence', 'width', 'height', 'TYPE', 'Price'];
+    }
+
+    /**
+     * Fly screens have no drive or dual/chain accessories, so only K1-K3 are offered.
+     * In K3, `lr` is the side the screen retracts to (C = centre-meeting double screen).
+     */
+    getDetailTabColumns() {
+        return {
+            'k1-tab': ['sequence', 'fabricTypeDisplay', 'location'],
+            'k2-tab': ['sequence', 'fabricTypeDisplay', 'fabric', 'color'],
+            'k3-tab': ['sequence', 'fabricTypeDisplay', 'location', 'lr']
+        };
+    }
+
+    getOptionCycleSequences() {
+        return {
+            lr: ['L', 'R', 'C']
+        };
+    }
+
+    applyDimensionRules(item) {
+        return item;
+    }
+}
@@ -0,0 +1,63 @@
+// /04-core-code/strategies/fly-screen-strategy.spec.js
+
+import { FlyScreenStrategy } from './fly-screen-strategy.js';
+
+// --- Mock Dependencies ---
+const mockConfigManager = {
+    getValidationRules: jest.fn(() => ({
+        minWidth: 400, maxWidth: 3600, minHeight: 400, maxHeight: 2700
+    }))
+};
+
+const priceList = {
+    name: 'RETRACTABLE - TEST',
+    kind: 'linear',
+    pricePerMetre: 95,
+    unitCharge: 85,
+    metreIncrement: 0.1,
+    minMetres: 1,
+    maxWidth: 1800,
+    maxHeight: 2700
+};
+
+// --- Test Suite ---
+describe('FlyScreenStrategy', () => {
+    let strategy;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        strategy = new FlyScreenStrategy({ configManager: mockConfigManager });
+    });
+
+    it('should charge the rounded-up width in metres plus the unit charge', () => {
+        const item = { width: 1234, height: 2100, fabricType: 'FS1' };
+        // 1234mm -> 1.3m x $95 + $85
+        const result = strategy.calculateLinearPrice(item, priceList);
+        expect(result.price).toBe(208.5);
+        expect(result.breakdown).toEqual(expect.objectContaining({ chargeableMetres: 1.3, pricePerMetre: 95, unitCharge: 85 }));
+    });
+
+    it('should apply the minimum chargeable length', () => {
+        const item = { width: 600, height: 2100, fabricType: 'FS1' };
+        // 0.6m is charged as 1m
+        const result = strategy.calculateLinearPrice(item, priceList);
+        expect(result.price).toBe(180);
+        expect(result.breakdown).toEqual(expect.objectContaining({ roundedMetres: 0.6, chargeableMetres: 1 }));
+    });
+
+    it('should return a width error past the maximum width of the screen type', () => {
+        const result = strategy.calculateLinearPrice({ width: 2000, height: 2100, fabricType: 'FS1' }, priceList);
+        expect(result.price).toBeNull();
+        expect(result.error).toContain('Width');
+    });
+
+    it('should return a height error past the maximum height of the screen type', () => {
+        const result = strategy.calculateLinearPrice({ width: 1000, height: 3000, fabricType: 'FS1' }, priceList);
+        expect(result.price).toBeNull();
+        expect(result.error).toContain('Height');
+    });
+
+    it('should not offer grid pricing', () => {
+        expect(strategy.calculatePrice).toBeUndefined();
+    });
+});
@@ -5,17 +5,18 @@
  * This allows the application to easily support multiple product types.
  */
 
-// 匯入我們目前唯一的一個產品策略
+// 匯入所有產品策略
 import { RollerBlindStrategy } from './roller-blind-strategy.js';
+import { SheerCurtainStrategy } from './sheer-curtain-strategy.js';
+import { FlyScreenStrategy } from './fly-screen-strategy.js';
 
 // 建立一個產品策略的地圖 (Map)
 // Key: 產品類型的字串
 // Value: 對應的策略類別
 const strategyMap = {
     rollerBlind: RollerBlindStrategy,
-    // --- 未來擴充 ---
-    // sheerCurtain: SheerCurtainStrategy, // 未來新增紗簾時，只需在此處增加一行
-    // flyScreen: FlyScreenStrategy,       // 新增伸縮紗門時，再加一行
+    sheerCurtain: SheerCurtainStrategy,
+    flyScreen: FlyScreenStrategy,
 };
 
 export class ProductFactory {
@@ -40,4 +41,15 @@ export class ProductFactory {
             return null;
         }
     }
+
+    /**
+     * Lists every registered product so the UI can offer a product switcher.
+     * @returns {Array<{key: string, name: string}>}
+     */
+    getAvailableProducts() {
+        return Object.keys(strategyMap).map(key => ({
+            key,
+            name: this.getProductStrategy(key).getDisplayName()
+        }));
+    }
 }
\ No newline at end of file
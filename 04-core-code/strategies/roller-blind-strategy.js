@@ -7,6 +7,7 @@
 
 // [MODIFIED] Changed the import from a bare module specifier to a browser-compatible CDN URL.
 import { v4 as uuidv4 } from 'https://cdn.jsdelivr.net/npm/uuid@9.0.1/dist/esm-browser/index.js';
+import { priceFromGrid } from '../utils/grid-pricing.js';
 
 export class RollerBlindStrategy {
     constructor({ configManager }) {
@@ -14,10 +15,16 @@ export class RollerBlindStrategy {
         console.log("RollerBlindStrategy Initialized.");
     }
 
+    getDisplayName() {
+        return 'Roller Blind';
+    }
+
     /**
-     * Calculates the price for a single roller blind item based on a price matrix.
+     * Calculates the price for a single roller blind item based on a price matrix, under the
+     * fabric type's pricing policy in the `pricing` price list (the active one when omitted).
+     * The result's breakdown shows how the price was found.
      */
-    calculatePrice(item, priceMatrix) {
+    calculatePrice(item, priceMatrix, pricing = {}) {
         if (!item || !item.width || !item.height || !item.fabricType) {
             return { price: null, error: 'Incomplete item data.' };
         }
@@ -25,21 +32,19 @@ export class RollerBlindStrategy {
             return { price: null, error: `Price matrix not found for fabric type: ${item.fabricType}` };
         }
 
-        const widthIndex = priceMatrix.widths.findIndex(w => item.width <= w);
-        const dropIndex = priceMatrix.drops.findIndex(d => item.height <= d);
+        const policy = this.configManager.getPricingPolicy(item.fabricType, pricing);
+        const { price, exceeds, breakdown } = priceFromGrid(priceMatrix, item.width, item.height, policy);
 
-        if (widthIndex === -1) {
+        if (exceeds === 'width') {
             const errorMsg = `Width ${item.width} exceeds the maximum width in the price matrix.`;
             return { price: null, error: errorMsg };
         }
-        if (dropIndex === -1) {
+        if (exceeds === 'height') {
             const errorMsg = `Height ${item.height} exceeds the maximum height in the price matrix.`;
             return { price: null, error: errorMsg };
         }
 
-        const price = priceMatrix.prices[dropIndex][widthIndex];
-        
-        return price !== undefined ? { price: price } : { price: null, error: 'Price not found for the given dimensions.' };
+        return price !== undefined ? { price: price, breakdown } : { price: null, error: 'Price not found for the given dimensions.' };
     }
 
     /**
@@ -88,6 +93,68 @@ export class RollerBlindStrategy {
         };
     }
 
+    getInitialProductData() {
+        return {
+            items: [this.getInitialItemData()],
+            summary: {
+                totalSum: null,
+                accessories: {
+                    winder: { count: 0, price: 0 },
+                    motor: { count: 0, price: 0 },
+                    remote: { type: 'standard', count: 0, price: 0 },
+                    charger: { count: 0, price: 0 },
+                    cord3m: { count: 0, price: 0 },
+                    remoteCostSum: null,
+                    winderCostSum: null,
+                    motorCostSum: null,
+                    chargerCostSum: null,
+                    cordCostSum: null,
+                }
+            }
+        };
+    }
+
+    // --- Layout & Option Definitions ---
+
+    getQuickQuoteColumns() {
+        return ['sequence', 'width', 'height', 'TYPE', 'Price'];
+    }
+
+    /**
+     * Returns the visible table columns for each K-tab. Tabs not listed here are not available.
+     */
+    getDetailTabColumns() {
+        return {
+            'k1-tab': ['sequence', 'fabricTypeDisplay', 'location'],
+            'k2-tab': ['sequence', 'fabricTypeDisplay', 'fabric', 'color'],
+            'k3-tab': ['sequence', 'fabricTypeDisplay', 'location', 'over', 'oi', 'lr'],
+            'k4-tab': ['sequence', 'fabricTypeDisplay', 'location', 'winder', 'motor'],
+            'k5-tab': ['sequence', 'fabricTypeDisplay', 'location', 'dual', 'chain']
+        };
+    }
+
+    getOptionCycleSequences() {
+        return {
+            over: ['O', ''],
+            oi: ['IN', 'OUT'],
+            lr: ['L', 'R']
+        };
+    }
+
+    /**
+     * Applies rules that depend on the item's dimensions, e.g. large blinds default to an HD winder.
+     * @param {object} item - The item after a width/height change.
+     * @returns {object} The (possibly) updated item.
+     */
+    applyDimensionRules(item) {
+        if (!item.width || !item.height) return item;
+        const logicThresholds = this.configManager.getLogicThresholds();
+        if (logicThresholds && (item.width * item.height) > logicThresholds.hdWinderThresholdArea && !item.motor) {
+            return { ...item, winder: 'HD' };
+        }
+        return item;
+    }
+
     // --- Accessory Pricing Logic ---
 
     calculateDualPrice(items, pricePerPair) {
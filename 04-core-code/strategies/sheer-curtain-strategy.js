@@ -0,0 +1,143 @@
+// File: 04-core-code/strategies/sheer-curtain-strategy.js
+
+/**
+ * @fileoverview Contains all business logic specific to the Sheer Curtain product.
+ * Sheer curtains are priced on the flat fabric width (track width x fullness) and the drop.
+ */
+
+import { v4 as uuidv4 } from 'https://cdn.jsdelivr.net/npm/uuid@9.0.1/dist/esm-browser/index.js';
+import { priceFromGrid } from '../utils/grid-pricing.js';
+
+const DEFAULT_FULLNESS_OPTIONS = [1.5, 2, 2.5, 3];
+const DEFAULT_FULLNESS = 2;
+
+export class SheerCurtainStrategy {
+    constructor({ configManager }) {
+        this.configManager = configManager;
+        console.log("SheerCurtainStrategy Initialized.");
+    }
+
+    getDisplayName() {
+        return 'Sheer Curtain';
+    }
+
+    /**
+     * Calculates the price for a single sheer curtain item, under the fabric type's pricing policy
+     * in the `pricing` price list (the active one when omitted). The item's width is the track
+     * width; the matrix is looked up by the flat fabric width.
+     */
+    calculatePrice(item, priceMatrix, pricing = {}) {
+        if (!item || !item.width || !item.height || !item.fabricType) {
+            return { price: null, error: 'Incomplete item data.' };
+        }
+        if (!priceMatrix) {
+            return { price: null, error: `Price matrix not found for fabric type: ${item.fabricType}` };
+        }
+
+        const fullness = this._resolveFullness(item.fullness);
+        const fabricWidth = Math.ceil(item.width * fullness);
+
+        const policy = this.configManager.getPricingPolicy(item.fabricType, pricing);
+        const { price, exceeds, breakdown } = priceFromGrid(priceMatrix, fabricWidth, item.height, policy);
+
+        if (exceeds === 'width') {
+            const errorMsg = `Width ${item.width} at ${fullness}x fullness exceeds the maximum fabric width in the price matrix.`;
+            return { price: null, error: errorMsg };
+        }
+        if (exceeds === 'height') {
+            const errorMsg = `Height ${item.height} exceeds the maximum height in the price matrix.`;
+            return { price: null, error: errorMsg };
+        }
+
+        return price !== undefined ? { price: price, breakdown: { ...breakdown, fullness } } : { price: null, error: 'Price not found for the given dimensions.' };
+    }
+
+    /**
+     * Returns the validation rules specific to sheer curtains by fetching them from ConfigManager.
+     * @returns {object}
+     */
+    getValidationRules() {
+        const rules = this.configManager.getValidationRules('sheerCurtain');
+        if (!rules) {
+            return {
+                width: { name: 'Width' },
+                height: { name: 'Height' }
+            };
+        }
+        return {
+            width: { min: rules.minWidth, max: rules.maxWidth, name: 'Width' },
+            height: { min: rules.minHeight, max: rules.maxHeight, name: 'Height' }
+        };
+    }
+
+    /**
+     * Returns a new, empty item object for a sheer curtain.
+     * @returns {object}
+     */
+    getInitialItemData() {
+        return {
+            itemId: uuidv4(),
+            width: null,
+            height: null,
+            fabricType: null,
+            linePrice: null,
+            location: '',
+            fabric: '',
+            color: '',
+            fullness: this._getDefaultFullness(),
+            lr: ''
+        };
+    }
+
+    getInitialProductData() {
+        return {
+            items: [this.getInitialItemData()],
+            summary: { totalSum: null, accessories: {} }
+        };
+    }
+
+    // --- Layout & Option Definitions ---
+
+    getQuickQuoteColumns() {
+        return ['sequence', 'width', 'height', 'fullness', 'TYPE', 'Price'];
+    }
+
+    /**
+     * Sheer curtains have no drive or dual/chain accessories, so only K1-K3 are offered.
+     */
+    getDetailTabColumns() {
+        return {
+            'k1-tab': ['sequence', 'fabricTypeDisplay', 'location'],
+            'k2-tab': ['sequence', 'fabricTypeDisplay', 'fabric', 'color'],
+            'k3-tab': ['sequence', 'fabricTypeDisplay', 'location', 'fullness', 'lr']
+        };
+    }
+
+    getOptionCycleSequences() {
+        return {
+            fullness: this._getFullnessOptions(),
+            lr: ['L', 'R', 'C']
+        };
+    }
+
+    applyDimensionRules(item) {
+        return item;
+    }
+
+    // --- Fullness Helpers ---
+
+    _getFullnessOptions() {
+        const rules = this.configManager.getValidationRules('sheerCurtain');
+        return (rules && rules.fullnessOptions) || DEFAULT_FULLNESS_OPTIONS;
+    }
+
+    _getDefaultFullness() {
+        const rules = this.configManager.getValidationRules('sheerCurtain');
+        return (rules && rules.defaultFullness) || DEFAULT_FULLNESS;
+    }
+
+    _resolveFullness(fullness) {
+        const value = parseFloat(fullness);
+        return value > 0 ? value : this._getDefaultFullness();
+    }
+}
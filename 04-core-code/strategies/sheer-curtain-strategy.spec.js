@@ -0,0 +1,69 @@
+// /04-core-code/strategies/sheer-curtain-strategy.spec.js
+
+import { SheerCurtainStrategy } from './sheer-curtain-strategy.js';
+
+// --- Mock Dependencies ---
+const mockConfigManager = {
+    getValidationRules: jest.fn(() => ({
+        minWidth: 300, maxWidth: 6000, minHeight: 300, maxHeight: 3300,
+        fullnessOptions: [1.5, 2, 2.5, 3], defaultFullness: 2
+    })),
+    getPricingPolicy: jest.fn(() => ({ method: 'roundUp', minimumCharge: 0, oversizeSurchargePercent: 0 }))
+};
+
+const priceMatrix = {
+    name: 'SHEER - TEST',
+    drops: [1200, 2400],
+    widths: [2000, 4000, 6000],
+    prices: [
+        [100, 200, 300],
+        [150, 250, 350]
+    ]
+};
+
+// --- Test Suite ---
+describe('SheerCurtainStrategy', () => {
+    let strategy;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        strategy = new SheerCurtainStrategy({ configManager: mockConfigManager });
+    });
+
+    it('should price on the flat fabric width (track width x fullness)', () => {
+        const item = { width: 1500, height: 1000, fabricType: 'S1', fullness: 2 };
+        // 1500 x 2 = 3000mm of fabric -> rounds up to the 4000 column.
+        const result = strategy.calculatePrice(item, priceMatrix);
+        expect(result.price).toBe(200);
+        expect(result.breakdown).toEqual(expect.objectContaining({
+            fullness: 2, width: { value: 3000, breakpoint: 4000 }, drop: { value: 1000, breakpoint: 1200 }
+        }));
+    });
+
+    it('should fall back to the default fullness when the item has none', () => {
+        const item = { width: 900, height: 2000, fabricType: 'S1', fullness: null };
+        // 900 x 2 = 1800mm -> 2000 column, 2000mm drop -> 2400 row.
+        expect(strategy.calculatePrice(item, priceMatrix).price).toBe(150);
+    });
+
+    it('should return a width error when the fabric width exceeds the matrix', () => {
+        const item = { width: 2500, height: 1000, fabricType: 'S1', fullness: 3 };
+        const result = strategy.calculatePrice(item, priceMatrix);
+        expect(result.price).toBeNull();
+        expect(result.error).toContain('Width');
+    });
+
+    it('should create items with the configured default fullness', () => {
+        const item = strategy.getInitialItemData();
+        expect(item.fullness).toBe(2);
+        expect(item).not.toHaveProperty('winder');
+    });
+
+    it('should expose fullness options from config as a cycle sequence', () => {
+        expect(strategy.getOptionCycleSequences().fullness).toEqual([1.5, 2, 2.5, 3]);
+    });
+
+    it('should only offer the K1-K3 tabs', () => {
+        expect(Object.keys(strategy.getDetailTabColumns())).toEqual(['k1-tab', 'k2-tab', 'k3-tab']);
+    });
+});
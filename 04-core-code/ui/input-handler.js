@@ -25,10 +25,26 @@ export class InputHandler {
 
     _setupPhysicalKeyboard() {
         window.addEventListener('keydown', (event) => {
-            if (event.target.matches('input:not([readonly])')) {
+            // Text fields keep their keys, so Ctrl+Z there is the browser's own text undo.
+            if (event.target.matches('input:not([readonly]), textarea, select, [contenteditable]')) {
                 return;
             }
             
+            // Ctrl+Z undoes, Ctrl+Y or Ctrl+Shift+Z redoes (Cmd on macOS).
+            if ((event.ctrlKey || event.metaKey) && event.key) {
+                const key = event.key.toLowerCase();
+                if (key === 'z' && !event.shiftKey) {
+                    event.preventDefault();
+                    this.eventAggregator.publish(EVENTS.USER_REQUESTED_UNDO);
+                    return;
+                }
+                if (key === 'y' || (key === 'z' && event.shiftKey)) {
+                    event.preventDefault();
+                    this.eventAggregator.publish(EVENTS.USER_REQUESTED_REDO);
+                    return;
+                }
+            }
+
             let keyToPublish = null;
             let eventToPublish = EVENTS.NUMERIC_KEY_PRESSED;
             const arrowKeys = ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'];
@@ -75,7 +91,12 @@ export class InputHandler {
                 reader.onerror = () => {
                     this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `Error reading file: ${reader.error}`, type: 'error' });
                 };
-                reader.readAsText(file);
+                // Workbooks are zip archives, so they are read as bytes.
+                if (file.name.toLowerCase().endsWith('.xlsx')) {
+                    reader.readAsArrayBuffer(file);
+                } else {
+                    reader.readAsText(file);
+                }
                 event.target.value = '';
             });
         }
@@ -108,6 +129,7 @@ export class InputHandler {
         // These are buttons located outside the main grid (e.g., in the top control bar)
         setupButton('key-reset', EVENTS.USER_REQUESTED_RESET);
         setupButton(DOM_IDS.KEY_M_SET, EVENTS.USER_REQUESTED_MULTI_TYPE_SET);
+        setupButton(DOM_IDS.KEY_PRODUCT, EVENTS.USER_REQUESTED_PRODUCT_SWITCH);
     }
     
     _setupNumericKeyboard() {
@@ -173,19 +195,26 @@ export class InputHandler {
         addButtonListener('key-clear', EVENTS.USER_REQUESTED_CLEAR_ROW);
 
         addButtonListener(DOM_IDS.KEY_INS_GRID, EVENTS.USER_REQUESTED_INSERT_ROW);
+        addButtonListener(DOM_IDS.KEY_UNDO, EVENTS.USER_REQUESTED_UNDO);
+        addButtonListener(DOM_IDS.KEY_REDO, EVENTS.USER_REQUESTED_REDO);
     }
 
     _setupTableInteraction() {
         const table = document.getElementById(DOM_IDS.RESULTS_TABLE);
         if (table) {
+            const longPressEvents = {
+                TYPE: EVENTS.TYPE_CELL_LONG_PRESSED,
+                Price: EVENTS.PRICE_CELL_LONG_PRESSED
+            };
             const startPress = (e) => {
                 const target = e.target;
-                if (target.tagName === 'TD' && target.dataset.column === 'TYPE') {
+                const longPressEvent = target.tagName === 'TD' ? longPressEvents[target.dataset.column] : null;
+                if (longPressEvent) {
                     this.isLongPress = false;
                     this.longPressTimer = setTimeout(() => {
                         this.isLongPress = true;
                         const rowIndex = target.parentElement.dataset.rowIndex;
-                        this.eventAggregator.publish(EVENTS.TYPE_CELL_LONG_PRESSED, { rowIndex: parseInt(rowIndex, 10) });
+                        this.eventAggregator.publish(longPressEvent, { rowIndex: parseInt(rowIndex, 10) });
                     }, this.pressThreshold);
                 }
             };
@@ -23,6 +23,7 @@ export class LeftPanelComponent {
         this.k3OverButton = document.getElementById('btn-batch-cycle-over');
         this.k3OiButton = document.getElementById('btn-batch-cycle-oi');
         this.k3LrButton = document.getElementById('btn-batch-cycle-lr');
+        this.k3FullnessButton = document.getElementById('btn-batch-cycle-fullness');
         this.k4WinderButton = document.getElementById('btn-k5-winder');
         this.k4MotorButton = document.getElementById('btn-k5-motor');
         this.k4RemoteButton = document.getElementById('btn-k5-remote');
@@ -151,10 +152,12 @@ export class LeftPanelComponent {
             this.k3EditButton.classList.toggle('active', isK3EditMode);
             this.k3EditButton.disabled = activeEditMode !== null && !isK3EditMode;
         }
-        const k3SubButtonsDisabled = !isK3EditMode;
-        if (this.k3OverButton) this.k3OverButton.disabled = k3SubButtonsDisabled;
-        if (this.k3OiButton) this.k3OiButton.disabled = k3SubButtonsDisabled;
-        if (this.k3LrButton) this.k3LrButton.disabled = k3SubButtonsDisabled;
+        // Only columns shown for the current product can be batch-cycled.
+        const isK3ColumnDisabled = (column) => !isK3EditMode || !uiState.visibleColumns.includes(column);
+        if (this.k3OverButton) this.k3OverButton.disabled = isK3ColumnDisabled('over');
+        if (this.k3OiButton) this.k3OiButton.disabled = isK3ColumnDisabled('oi');
+        if (this.k3LrButton) this.k3LrButton.disabled = isK3ColumnDisabled('lr');
+        if (this.k3FullnessButton) this.k3FullnessButton.disabled = isK3ColumnDisabled('fullness');
 
         const formatPrice = (price) => (typeof price === 'number') ? `$${price.toFixed(0)}` : '';
 
@@ -127,6 +127,7 @@ export class LeftPanelInputHandler {
         setupBatchCycleButton('btn-batch-cycle-over', 'over');
         setupBatchCycleButton('btn-batch-cycle-oi', 'oi');
         setupBatchCycleButton('btn-batch-cycle-lr', 'lr');
+        setupBatchCycleButton('btn-batch-cycle-fullness', 'fullness');
     }
 
     _setupK4Inputs() {
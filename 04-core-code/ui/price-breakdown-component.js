@@ -0,0 +1,167 @@
+// File: 04-core-code/ui/price-breakdown-component.js
+
+import { EVENTS } from '../config/constants.js';
+import { FORMATTERS, escapeHtml } from '../utils/template-engine.js';
+
+// How each pricing method is described to the customer.
+const PRICING_METHOD_LABELS = {
+    roundUp: 'Rounded up to the next size in the price list',
+    interpolate: 'Blended between the nearest sizes in the price list',
+    extrapolate: 'Rounded up; sizes past the price list are charged per m²'
+};
+
+/**
+ * @fileoverview A component to manage the price breakdown popover, opened by a long press on
+ * a Price cell. It shows how a line price was found (matrix, sizes used, base price and the
+ * pricing policy) and how it becomes the customer's price (options, discounts and tax).
+ */
+export class PriceBreakdownComponent {
+    constructor({ containerElement, eventAggregator }) {
+        if (!containerElement || !eventAggregator) {
+            throw new Error("Container element and event aggregator are required for PriceBreakdownComponent.");
+        }
+        this.container = containerElement;
+        this.eventAggregator = eventAggregator;
+
+        this.titleElement = this.container.querySelector('.price-breakdown-title');
+        this.bodyElement = this.container.querySelector('.price-breakdown-body');
+        this.closeButton = this.container.querySelector('.price-breakdown-btn-close');
+
+        this.initialize();
+        console.log("PriceBreakdownComponent Initialized.");
+    }
+
+    initialize() {
+        this.eventAggregator.subscribe(EVENTS.SHOW_PRICE_BREAKDOWN, (data) => this.show(data));
+
+        if (this.closeButton) {
+            this.closeButton.addEventListener('click', () => this.hide());
+        }
+
+        this.container.addEventListener('click', (event) => {
+            if (event.target === this.container) {
+                this.hide();
+            }
+        });
+    }
+
+    /**
+     * @param {{breakdown: object}} data An explanation from CalculationService.explainItemPrice.
+     */
+    show({ breakdown }) {
+        if (!breakdown) return;
+        if (this.titleElement) {
+            this.titleElement.textContent = `Row ${breakdown.rowNumber} Price Breakdown`;
+        }
+        if (this.bodyElement) {
+            this.bodyElement.innerHTML = this._renderBreakdown(breakdown);
+        }
+        this.container.classList.add('is-visible');
+    }
+
+    hide() {
+        this.container.classList.remove('is-visible');
+    }
+
+    _renderBreakdown(breakdown) {
+        const { productName, fabricType, width, height, location, priceListVersion, pricedFrom, customerGroup, pricing } = breakdown;
+        const rows = [
+            ['Item', `${productName} ${fabricType || ''}, ${width || '?'} x ${height || '?'}mm${location ? ` (${location})` : ''}`],
+            ['Price list', priceListVersion ? `Version ${priceListVersion}` : '']
+        ];
+        if (pricing?.matrixName) {
+            rows.push(['Matrix', pricedFrom ? `${pricing.matrixName} (priced from ${pricedFrom})` : pricing.matrixName]);
+        }
+        if (customerGroup) {
+            rows.push(['Customer group', customerGroup.matrixSet
+                ? `${customerGroup.name} (own price list)`
+                : `${customerGroup.name} (${customerGroup.percentOff}% off the price list)`]);
+        }
+
+        let html = this._renderRows(rows);
+        if (breakdown.error) {
+            return `${html}<p class="price-breakdown-error">${escapeHtml(breakdown.error)}</p>`;
+        }
+
+        html += `
+            <div class="section-header">Line Price</div>
+            ${this._renderRows(this._describePricing(pricing))}
+            ${this._renderRows([['Line price', FORMATTERS.currency(breakdown.price)]], 'price-breakdown-total')}`;
+        if (breakdown.isOutdated) {
+            html += '<p class="price-breakdown-note">The table shows an older price for this row. Press Price to recalculate.</p>';
+        }
+
+        if (breakdown.options.length > 0) {
+            html += `
+                <div class="section-header">Options</div>
+                ${this._renderRows(breakdown.options.map(option => [option.label, FORMATTERS.currency(option.price)]))}
+                <p class="price-breakdown-note">Options are charged with the accessories, not in the line price.</p>`;
+        }
+
+        const { adjustments } = breakdown;
+        if (adjustments) {
+            html += `
+                <div class="section-header">Customer Price</div>
+                ${this._renderRows([
+                    ['Line price', FORMATTERS.currency(breakdown.price)],
+                    ...adjustments.steps.map(step => [step.label, FORMATTERS.currency(step.amount)]),
+                    [adjustments.pricesIncludeTax ? `${adjustments.taxLabel} included` : adjustments.taxLabel, FORMATTERS.currency(adjustments.tax)]
+                ])}
+                ${this._renderRows([['Total', FORMATTERS.currency(adjustments.gross)]], 'price-breakdown-total')}
+                ${adjustments.isSalePriceSet ? '' : '<p class="price-breakdown-note">No mul-times is set in F2 yet, so this is the list price.</p>'}`;
+        }
+        return html;
+    }
+
+    /**
+     * Describes the strategy's breakdown: the sizes looked up, the base price and what the
+     * pricing policy changed.
+     */
+    _describePricing(pricing) {
+        if (!pricing) return [];
+        if (pricing.pricePerMetre !== undefined) {
+            return [
+                ['Width charged', `${pricing.chargeableMetres}m${pricing.chargeableMetres !== pricing.roundedMetres ? ' (minimum length)' : ''}`],
+                ['Rate', `${FORMATTERS.currency(pricing.pricePerMetre)} per metre + ${FORMATTERS.currency(pricing.unitCharge)} per unit`]
+            ];
+        }
+
+        const describeAxis = (axis) => {
+            if (axis.breakpoints) return `${axis.value}mm, between ${axis.breakpoints.join(' and ')}mm`;
+            if (axis.breakpoint === undefined || axis.breakpoint === axis.value) return `${axis.value}mm`;
+            return axis.value > axis.breakpoint
+                ? `${axis.value}mm, past the largest size (${axis.breakpoint}mm)`
+                : `${axis.value}mm, priced at ${axis.breakpoint}mm`;
+        };
+        const rows = [];
+        if (pricing.policy) {
+            rows.push(['Pricing', PRICING_METHOD_LABELS[pricing.policy.method] || pricing.policy.method]);
+        }
+        if (pricing.fullness) {
+            rows.push(['Fullness', `${pricing.fullness}x (fabric width ${pricing.width.value}mm)`]);
+        }
+        rows.push(['Width', describeAxis(pricing.width)], ['Drop', describeAxis(pricing.drop)]);
+        rows.push(['Price list price', FORMATTERS.currency(pricing.basePrice)]);
+        if (pricing.interpolated) {
+            rows.push(['Blended price', 'Between the four nearest prices']);
+        }
+        if (pricing.extrapolation) {
+            const { ratePerSquareMetre, area, price } = pricing.extrapolation;
+            rows.push(['Oversize', `${area}m² at ${FORMATTERS.currency(ratePerSquareMetre)}/m² = ${FORMATTERS.currency(price)}`]);
+        }
+        if (pricing.oversizeSurcharge) {
+            rows.push([`Oversize surcharge ${pricing.policy.oversizeSurchargePercent}%`, FORMATTERS.currency(pricing.oversizeSurcharge)]);
+        }
+        if (pricing.minimumChargeApplied) {
+            rows.push(['Minimum charge', FORMATTERS.currency(pricing.policy.minimumCharge)]);
+        }
+        return rows;
+    }
+
+    _renderRows(rows, className = '') {
+        return `
+            <table class="price-breakdown-table ${className}">
+                <tbody>${rows.map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('')}</tbody>
+            </table>`;
+    }
+}
@@ -0,0 +1,721 @@
+// File: 04-core-code/ui/price-matrix-editor-component.js
+
+import { EVENTS, PRICE_MATRIX_KINDS } from '../config/constants.js';
+import { validatePriceList } from '../utils/price-list-validator.js';
+import { readPriceGridSheets, importPriceGrids, diffPriceGrid } from '../utils/price-grid-importer.js';
+import { percentChange } from '../utils/price-list-diff.js';
+import { FORMATTERS, escapeHtml } from '../utils/template-engine.js';
+
+// Cell text that marks a size the supplier does not make (stored as null).
+const NOT_OFFERED_TEXT = ['-', 'n/a'];
+// How many changed prices the import preview lists per sheet.
+const IMPORT_PREVIEW_MAX_CHANGES = 20;
+// How many changed prices the price change report lists per fabric type.
+const REPORT_MAX_CHANGES = 12;
+// The F2 fees, as the editor lists them.
+const FEE_LABELS = {
+    wifi: 'Wi-Fi hub (each)',
+    delivery: 'Delivery (per trip)',
+    install: 'Installation (per blind)',
+    removal: 'Removal (per blind)'
+};
+// Fee rules that may be left blank to switch them off.
+const OPTIONAL_FEE_RULES = ['freeOver', 'motorisedExtra', 'minimumCharge'];
+
+/**
+ * @fileoverview A component to manage the full-screen price matrix editor overlay.
+ * It edits a copy of a price list (each fabric type's drops x widths grid, linear rates and
+ * aliases, the accessories and the F2 fee schedule with its zone rates) and saves it as a new,
+ * dated version of the list.
+ * Supplier spreadsheets can be imported into the copy after previewing what they change, and
+ * any two loaded versions can be compared in a price change report.
+ */
+export class PriceMatrixEditorComponent {
+    constructor({ containerElement, eventAggregator }) {
+        if (!containerElement || !eventAggregator) {
+            throw new Error("Container element and event aggregator are required for PriceMatrixEditorComponent.");
+        }
+        this.container = containerElement;
+        this.eventAggregator = eventAggregator;
+
+        this.versions = [];
+        this.draft = null;
+        this.fabricType = null;
+        this.errors = [];
+        this.pendingImport = null;
+        this.comparison = null;
+
+        this.versionSelect = this.container.querySelector('.price-editor-version-select');
+        this.matrixSelect = this.container.querySelector('.price-editor-matrix-select');
+        this.newVersionInput = this.container.querySelector('.price-editor-new-version');
+        this.effectiveDateInput = this.container.querySelector('.price-editor-effective-date');
+        this.bodyElement = this.container.querySelector('.price-editor-body');
+        this.errorsElement = this.container.querySelector('.price-editor-errors');
+        this.closeButton = this.container.querySelector('.price-editor-btn-close');
+        this.validateButton = this.container.querySelector('.price-editor-btn-validate');
+        this.importButton = this.container.querySelector('.price-editor-btn-import');
+        this.fileInput = this.container.querySelector('.price-editor-file');
+        this.compareButton = this.container.querySelector('.price-editor-btn-compare');
+        this.saveButton = this.container.querySelector('.price-editor-btn-save');
+
+        this.initialize();
+        console.log("PriceMatrixEditorComponent Initialized.");
+    }
+
+    initialize() {
+        this.eventAggregator.subscribe(EVENTS.SHOW_PRICE_MATRIX_EDITOR, (data) => this.show(data));
+        this.eventAggregator.subscribe(EVENTS.SHOW_PRICE_LIST_REPORT, (data) => this.showReport(data));
+
+        this.versionSelect?.addEventListener('change', () => {
+            this.eventAggregator.publish(EVENTS.USER_REQUESTED_PRICE_MATRIX_EDITOR, { version: this.versionSelect.value });
+        });
+        this.matrixSelect?.addEventListener('change', () => {
+            this.fabricType = this.matrixSelect.value;
+            this.render();
+        });
+        this.closeButton?.addEventListener('click', () => this.hide());
+        this.validateButton?.addEventListener('click', () => this.validate());
+        this.saveButton?.addEventListener('click', () => this.save());
+        this.importButton?.addEventListener('click', () => this.fileInput?.click());
+        this.fileInput?.addEventListener('change', (event) => this._readImportFile(event));
+        this.compareButton?.addEventListener('click', () => this.startComparison());
+
+        // Edits are read from the inputs' data attributes, so one listener serves every cell.
+        this.bodyElement?.addEventListener('change', (event) => this._handleInput(event.target));
+        this.bodyElement?.addEventListener('click', (event) => {
+            const action = event.target.dataset?.action;
+            if (action) this._handleAction(action);
+        });
+    }
+
+    /**
+     * Opens the editor on a copy of a price list.
+     * @param {{versions: Array<{version: string, effectiveDate: string}>, priceList: object}} data
+     */
+    show({ versions, priceList }) {
+        this.versions = versions;
+        this.draft = priceList;
+        this.errors = [];
+        this.pendingImport = null;
+        this.comparison = null;
+
+        const baseVersion = priceList.meta?.version;
+        if (this.versionSelect) {
+            this.versionSelect.innerHTML = versions.map(({ version, effectiveDate }) => `
+                <option value="${escapeHtml(version)}">${escapeHtml(version)} (from ${escapeHtml(effectiveDate)})</option>`).join('');
+            this.versionSelect.value = baseVersion;
+        }
+        const fabricTypes = Object.keys(priceList.matrices || {});
+        if (this.matrixSelect) {
+            this.matrixSelect.innerHTML = fabricTypes.map(fabricType => `
+                <option value="${escapeHtml(fabricType)}">${escapeHtml(fabricType)} - ${escapeHtml(priceList.matrices[fabricType].name)}</option>`).join('');
+        }
+        this.fabricType = fabricTypes.includes(this.fabricType) ? this.fabricType : fabricTypes[0];
+        if (this.matrixSelect) this.matrixSelect.value = this.fabricType;
+        if (this.newVersionInput) this.newVersionInput.value = this._suggestNextVersion();
+        if (this.effectiveDateInput) this.effectiveDateInput.value = '';
+
+        this.render();
+        this.container.classList.add('is-visible');
+        document.body.style.overflow = 'hidden'; // Prevent background scrolling
+    }
+
+    hide() {
+        this.container.classList.remove('is-visible');
+        document.body.style.overflow = '';
+    }
+
+    render() {
+        if (!this.draft || !this.bodyElement) return;
+        if (this.pendingImport) {
+            this.bodyElement.innerHTML = this._renderImportPreview();
+            return;
+        }
+        if (this.comparison) {
+            this.bodyElement.innerHTML = this._renderComparison();
+            return;
+        }
+        const matrix = this.draft.matrices[this.fabricType];
+
+        let matrixHtml;
+        if (matrix.aliasFor !== undefined) {
+            matrixHtml = this._renderAlias(matrix);
+        } else if ((matrix.kind || PRICE_MATRIX_KINDS.GRID) === PRICE_MATRIX_KINDS.LINEAR) {
+            matrixHtml = this._renderLinear(matrix);
+        } else {
+            matrixHtml = this._renderGrid(matrix);
+        }
+
+        this.bodyElement.innerHTML = `
+            <div class="section-header">${escapeHtml(this.fabricType)} - ${escapeHtml(matrix.name)}</div>
+            ${matrixHtml}
+            <div class="section-header">Accessories</div>
+            ${this._renderAccessories()}
+            <div class="section-header">Fees</div>
+            ${this._renderFees()}`;
+        this._renderErrors();
+    }
+
+    _renderGrid(matrix) {
+        const { widths = [], drops = [], prices = [] } = matrix;
+        const base = `matrices.${this.fabricType}`;
+        const headerCells = widths.map((width, index) =>
+            `<th>${this._input(`${base}.widths[${index}]`, width, { field: 'width', index })}</th>`).join('');
+        const bodyRows = drops.map((drop, dropIndex) => {
+            const cells = widths.map((width, widthIndex) =>
+                `<td>${this._input(`${base}.prices[${dropIndex}][${widthIndex}]`, prices[dropIndex]?.[widthIndex], { field: 'price', drop: dropIndex, index: widthIndex })}</td>`).join('');
+            return `<tr><th>${this._input(`${base}.drops[${dropIndex}]`, drop, { field: 'drop', index: dropIndex })}</th>${cells}</tr>`;
+        }).join('');
+
+        return `
+            <p class="price-editor-hint">Drops run down, widths across (mm). Enter "-" for a size that is not made.</p>
+            <table class="price-editor-table">
+                <thead><tr><th>Drop \\ Width</th>${headerCells}</tr></thead>
+                <tbody>${bodyRows}</tbody>
+            </table>
+            <div class="price-editor-grid-actions">
+                <button class="preview-btn-secondary" data-action="add-width">Add Width</button>
+                <button class="preview-btn-secondary" data-action="remove-width">Remove Last Width</button>
+                <button class="preview-btn-secondary" data-action="add-drop">Add Drop</button>
+                <button class="preview-btn-secondary" data-action="remove-drop">Remove Last Drop</button>
+            </div>`;
+    }
+
+    _renderLinear(matrix) {
+        const base = `matrices.${this.fabricType}`;
+        return `
+            <table class="price-editor-table price-editor-value-table">
+                <tbody>
+                    <tr><th>Price per metre</th><td>${this._input(`${base}.pricePerMetre`, matrix.pricePerMetre, { field: 'pricePerMetre' })}</td></tr>
+                    <tr><th>Unit charge</th><td>${this._input(`${base}.unitCharge`, matrix.unitCharge, { field: 'unitCharge' })}</td></tr>
+                </tbody>
+            </table>`;
+    }
+
+    _renderAlias(matrix) {
+        const path = `matrices.${this.fabricType}.aliasFor`;
+        const options = Object.keys(this.draft.matrices)
+            .filter(fabricType => fabricType !== this.fabricType)
+            .map(fabricType => `<option value="${escapeHtml(fabricType)}" ${fabricType === matrix.aliasFor ? 'selected' : ''}>${escapeHtml(fabricType)}</option>`)
+            .join('');
+        return `
+            <p class="price-editor-hint">This fabric type is priced from another matrix.</p>
+            <label>Alias for <select class="${this._hasError(path) ? 'is-invalid' : ''}" data-field="aliasFor">${options}</select></label>`;
+    }
+
+    _renderAccessories() {
+        const rows = Object.entries(this.draft.accessories || {}).map(([key, accessory]) => `
+            <tr>
+                <td>${escapeHtml(key)}</td>
+                <td>${escapeHtml(accessory.unit || '')}</td>
+                <td>${this._input(`accessories.${key}.price`, accessory.price, { field: 'accessory', key })}</td>
+            </tr>`).join('');
+        return `
+            <table class="price-editor-table price-editor-value-table">
+                <thead><tr><th>Accessory</th><th>Unit</th><th>Price</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>`;
+    }
+
+    _renderFees() {
+        const fees = this.draft.fees || {};
+        const feeInput = (key, rule) => this._input(`fees.${key}.${rule}`, fees[key]?.[rule] ?? '', { field: 'fee', key, rule });
+        const unitRows = Object.entries(FEE_LABELS).map(([key, label]) => `
+            <tr><th>${escapeHtml(label)}</th><td>${feeInput(key, 'unitPrice')}</td></tr>`).join('');
+        const bandRows = (fees.install?.sizeBands || []).map((band, index) => `
+            <tr>
+                <th>Up to ${this._input(`fees.install.sizeBands[${index}].maxArea`, band.maxArea, { field: 'feeBand', index, rule: 'maxArea' })} m²</th>
+                <td>${this._input(`fees.install.sizeBands[${index}].unitPrice`, band.unitPrice, { field: 'feeBand', index, rule: 'unitPrice' })}</td>
+            </tr>`).join('');
+        const zoneInput = (zoneId, rule) => this._input(`fees.zones.${zoneId}.${rule}`, fees.zones[zoneId]?.[rule] ?? '', { field: 'feeZone', key: zoneId, rule });
+        const zoneRows = Object.keys(fees.zones || {}).map(zoneId => `
+            <tr>
+                <th>${escapeHtml(zoneId)}</th>
+                <td>${zoneInput(zoneId, 'deliveryUnitPrice')}</td>
+                <td>${zoneInput(zoneId, 'installExtra')}</td>
+            </tr>`).join('');
+
+        return `
+            <table class="price-editor-table price-editor-value-table">
+                <thead><tr><th>Fee</th><th>Unit price</th></tr></thead>
+                <tbody>
+                    ${unitRows}
+                    <tr><th>Free delivery when the goods reach</th><td>${feeInput('delivery', 'freeOver')}</td></tr>
+                    <tr><th>Install extra per motorised blind</th><td>${feeInput('install', 'motorisedExtra')}</td></tr>
+                    <tr><th>Minimum install call-out charge</th><td>${feeInput('install', 'minimumCharge')}</td></tr>
+                </tbody>
+            </table>
+            <p class="price-editor-hint">Leave a rule blank to switch it off. Install size bands price each blind by its area; blinds larger than every band are charged the installation unit price.</p>
+            ${bandRows ? `
+            <table class="price-editor-table price-editor-value-table">
+                <thead><tr><th>Blind area</th><th>Install price</th></tr></thead>
+                <tbody>${bandRows}</tbody>
+            </table>` : ''}
+            <div class="price-editor-grid-actions">
+                <button class="preview-btn-secondary" data-action="add-fee-band">Add Size Band</button>
+                <button class="preview-btn-secondary" data-action="remove-fee-band">Remove Last Size Band</button>
+            </div>
+            ${zoneRows ? `
+            <p class="price-editor-hint">Delivery zones are found from the customer's postcode. A blank delivery price uses the delivery unit price.</p>
+            <table class="price-editor-table price-editor-value-table">
+                <thead><tr><th>Zone</th><th>Delivery price</th><th>Install extra per blind</th></tr></thead>
+                <tbody>${zoneRows}</tbody>
+            </table>` : ''}`;
+    }
+
+    _renderImportPreview() {
+        const { fileName, sheets } = this.pendingImport;
+        const fabricTypes = Object.keys(this.draft.matrices)
+            .filter(fabricType => (this.draft.matrices[fabricType].kind || PRICE_MATRIX_KINDS.GRID) === PRICE_MATRIX_KINDS.GRID);
+        const mappedCount = (fabricType) => sheets.filter(sheet => sheet.grid && sheet.fabricType === fabricType).length;
+
+        const rows = sheets.map((sheet, index) => {
+            if (!sheet.grid) {
+                return `<tr><td>${escapeHtml(sheet.sheetName)}</td><td colspan="3" class="price-editor-hint">Skipped: ${escapeHtml(sheet.error)}</td></tr>`;
+            }
+            const options = ['', ...fabricTypes].map(fabricType => `
+                <option value="${escapeHtml(fabricType)}" ${fabricType === (sheet.fabricType || '') ? 'selected' : ''}>${fabricType ? escapeHtml(fabricType) : '(do not import)'}</option>`).join('');
+            const isDuplicate = sheet.fabricType && mappedCount(sheet.fabricType) > 1;
+            return `
+                <tr>
+                    <td>${escapeHtml(sheet.sheetName)}</td>
+                    <td><select class="${isDuplicate ? 'is-invalid' : ''}" data-import-index="${index}">${options}</select></td>
+                    <td>${sheet.grid.drops.length} drops x ${sheet.grid.widths.length} widths</td>
+                    <td>${sheet.fabricType ? escapeHtml(this._describeDiff(sheet)) : ''}${isDuplicate ? ' (another sheet maps here too; the last one wins)' : ''}</td>
+                </tr>`;
+        }).join('');
+
+        return `
+            <div class="section-header">Import from ${escapeHtml(fileName)}</div>
+            <p class="price-editor-hint">Changes are compared with price list ${escapeHtml(this.draft.meta?.version)} as edited so far. Applying replaces the mapped matrices in the draft; nothing is saved until you save a new version.</p>
+            <table class="price-editor-table price-editor-value-table">
+                <thead><tr><th>Sheet</th><th>Fabric type</th><th>Grid</th><th>Changes</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+            ${sheets.filter(sheet => sheet.grid && sheet.fabricType).map(sheet => this._renderImportedGrid(sheet)).join('')}
+            <div class="price-editor-grid-actions">
+                <button class="preview-btn-secondary" data-action="cancel-import">Cancel Import</button>
+                <button class="preview-btn-primary" data-action="apply-import">Apply Import</button>
+            </div>`;
+    }
+
+    /**
+     * Shows an imported grid with the prices and breakpoints that differ from the draft highlighted.
+     */
+    _renderImportedGrid(sheet) {
+        const { widths, drops, prices } = sheet.grid;
+        const diff = diffPriceGrid(this._resolveGridMatrix(sheet.fabricType), sheet.grid);
+        const changed = new Set(diff.changedCells.map(cell => `${cell.drop}x${cell.width}`));
+        const changedClass = (isChanged) => (isChanged ? 'is-changed' : '');
+        const formatPrice = (price) => (price === null ? '-' : price);
+
+        const headerCells = widths.map(width => `<th class="${changedClass(diff.addedWidths.includes(width))}">${width}</th>`).join('');
+        const bodyRows = drops.map((drop, dropIndex) => {
+            const isNewDrop = diff.addedDrops.includes(drop);
+            const cells = widths.map((width, widthIndex) =>
+                `<td class="${changedClass(isNewDrop || diff.addedWidths.includes(width) || changed.has(`${drop}x${width}`))}">${formatPrice(prices[dropIndex][widthIndex])}</td>`).join('');
+            return `<tr><th class="${changedClass(isNewDrop)}">${drop}</th>${cells}</tr>`;
+        }).join('');
+        const changeList = diff.changedCells.slice(0, IMPORT_PREVIEW_MAX_CHANGES)
+            .map(cell => `<li>${cell.drop} x ${cell.width}: ${formatPrice(cell.from)} &rarr; ${formatPrice(cell.to)}</li>`).join('');
+        const hiddenCount = diff.changedCells.length - IMPORT_PREVIEW_MAX_CHANGES;
+
+        return `
+            <div class="section-header">${escapeHtml(sheet.fabricType)} from "${escapeHtml(sheet.sheetName)}"</div>
+            <table class="price-editor-table price-editor-import-table">
+                <thead><tr><th>Drop \\ Width</th>${headerCells}</tr></thead>
+                <tbody>${bodyRows}</tbody>
+            </table>
+            ${changeList ? `<ul class="price-editor-changes">${changeList}${hiddenCount > 0 ? `<li>...and ${hiddenCount} more.</li>` : ''}</ul>` : ''}`;
+    }
+
+    _describeDiff(sheet) {
+        const diff = diffPriceGrid(this._resolveGridMatrix(sheet.fabricType), sheet.grid);
+        if (!diff.hasChanges) return 'No changes';
+        const parts = [
+            [diff.changedCells.length, 'price(s) changed'],
+            [diff.addedWidths.length, 'width(s) added'],
+            [diff.removedWidths.length, 'width(s) removed'],
+            [diff.addedDrops.length, 'drop(s) added'],
+            [diff.removedDrops.length, 'drop(s) removed']
+        ];
+        return parts.filter(([count]) => count > 0).map(([count, label]) => `${count} ${label}`).join(', ');
+    }
+
+    /**
+     * Returns the grid a fabric type prices from in the draft, following an alias.
+     */
+    _resolveGridMatrix(fabricType) {
+        const matrix = this.draft.matrices[fabricType];
+        return matrix?.aliasFor !== undefined ? this.draft.matrices[matrix.aliasFor] : matrix;
+    }
+
+    _readImportFile(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = (e) => this.previewImport(file.name, e.target.result);
+        reader.onerror = () => {
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `Error reading file: ${reader.error}`, type: 'error' });
+        };
+        // Workbooks are zip archives, so they are read as bytes.
+        if (file.name.toLowerCase().endsWith('.xlsx')) {
+            reader.readAsArrayBuffer(file);
+        } else {
+            reader.readAsText(file);
+        }
+        event.target.value = '';
+    }
+
+    /**
+     * Reads a supplier spreadsheet and shows what importing it would change.
+     * @param {string} fileName A .csv or .xlsx file name.
+     * @param {string|ArrayBuffer} content
+     */
+    previewImport(fileName, content) {
+        try {
+            const sheets = importPriceGrids(readPriceGridSheets(fileName, content), this.draft.matrices);
+            if (!sheets.some(sheet => sheet.grid)) {
+                throw new Error('No drop x width grid was found on any sheet.');
+            }
+            this.pendingImport = { fileName, sheets };
+            this.comparison = null;
+            this.render();
+        } catch (error) {
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `Import failed: ${error.message}`, type: 'error' });
+        }
+    }
+
+    _applyImport() {
+        const imported = this.pendingImport.sheets.filter(sheet => sheet.grid && sheet.fabricType);
+        imported.forEach(({ fabricType, grid }) => {
+            // An imported grid replaces an alias too: the fabric type gets its own prices.
+            const matrix = { ...this.draft.matrices[fabricType], widths: grid.widths, drops: grid.drops, prices: grid.prices };
+            delete matrix.aliasFor;
+            this.draft.matrices[fabricType] = matrix;
+        });
+
+        this.pendingImport = null;
+        if (imported.length > 0) {
+            this.fabricType = imported[0].fabricType;
+            if (this.matrixSelect) this.matrixSelect.value = this.fabricType;
+        }
+        this.render();
+        this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, {
+            message: `Imported ${imported.length} sheet(s). Review the prices, then save them as a new version.`
+        });
+    }
+
+    /**
+     * Switches the body to the price change report, comparing the version before the one being
+     * edited with it.
+     */
+    startComparison() {
+        if (!this.draft) return;
+        const versions = this.versions.map(({ version }) => version);
+        const toVersion = versions.includes(this.draft.meta?.version) ? this.draft.meta.version : versions[versions.length - 1];
+        const fromVersion = versions[Math.max(versions.indexOf(toVersion) - 1, 0)];
+        this.pendingImport = null;
+        this.comparison = { fromVersion, toVersion, report: null };
+        this.render();
+    }
+
+    /**
+     * Shows a price change report from the workflow.
+     * @param {{report: object}} data A price list diff with its `quoteImpact` (null when the library could not be read).
+     */
+    showReport({ report }) {
+        if (!this.comparison) return;
+        this.comparison = { fromVersion: report.fromVersion, toVersion: report.toVersion, report };
+        this.render();
+    }
+
+    _renderComparison() {
+        const { fromVersion, toVersion, report } = this.comparison;
+        const versionOptions = (selected) => this.versions.map(({ version, effectiveDate }) => `
+            <option value="${escapeHtml(version)}" ${version === selected ? 'selected' : ''}>${escapeHtml(version)} (from ${escapeHtml(effectiveDate)})</option>`).join('');
+
+        return `
+            <div class="section-header">Price Change Report</div>
+            <div class="price-editor-grid-actions">
+                <label>From <select data-compare="fromVersion">${versionOptions(fromVersion)}</select></label>
+                <label>To <select data-compare="toVersion">${versionOptions(toVersion)}</select></label>
+                <button class="preview-btn-primary" data-action="run-report">Run Report</button>
+                ${report ? '<button class="preview-btn-secondary" data-action="export-report">Download Report</button>' : ''}
+                <button class="preview-btn-secondary" data-action="close-comparison">Back to Editor</button>
+            </div>
+            ${this.versions.length < 2 ? '<p class="price-editor-hint">Only one price list is loaded. Save or load another version to compare.</p>' : ''}
+            ${report ? this._renderReport(report) : ''}`;
+    }
+
+    _renderReport(report) {
+        const formatPercent = (percent) => (percent === null || percent === undefined ? '' : `${percent > 0 ? '+' : ''}${percent}%`);
+        const formatPrice = (price) => (price === null ? '-' : price);
+        const changedMatrices = report.matrices.filter(matrix => matrix.status !== 'unchanged');
+
+        const matrixRows = changedMatrices.map(matrix => {
+            const breakpoints = [
+                [matrix.addedWidths, 'widths added'], [matrix.removedWidths, 'widths removed'],
+                [matrix.addedDrops, 'drops added'], [matrix.removedDrops, 'drops removed']
+            ].filter(([values]) => values.length > 0).map(([values, label]) => `${label}: ${values.join(', ')}`);
+            const fieldChanges = matrix.fieldChanges.map(change =>
+                `${change.field}: ${formatPrice(change.from)} &rarr; ${formatPrice(change.to)} ${formatPercent(change.percent)}`);
+            return `
+                <tr>
+                    <td>${escapeHtml(matrix.fabricType)}</td>
+                    <td>${escapeHtml(matrix.name)}</td>
+                    <td>${escapeHtml(matrix.status)}</td>
+                    <td>${matrix.changedCells.length || ''}</td>
+                    <td>${formatPercent(matrix.averagePercent)}</td>
+                    <td>${[...breakpoints.map(text => escapeHtml(text)), ...fieldChanges].join('<br>')}</td>
+                </tr>`;
+        }).join('');
+
+        const cellLists = changedMatrices.filter(matrix => matrix.changedCells.length > 0).map(matrix => {
+            const items = matrix.changedCells.slice(0, REPORT_MAX_CHANGES)
+                .map(cell => `<li>${cell.drop} x ${cell.width}: ${formatPrice(cell.from)} &rarr; ${formatPrice(cell.to)} ${formatPercent(cell.percent)}</li>`).join('');
+            const hiddenCount = matrix.changedCells.length - REPORT_MAX_CHANGES;
+            return `
+                <div class="price-editor-hint">${escapeHtml(matrix.fabricType)}</div>
+                <ul class="price-editor-changes">${items}${hiddenCount > 0 ? `<li>...and ${hiddenCount} more.</li>` : ''}</ul>`;
+        }).join('');
+
+        const accessoryRows = report.accessories.map(accessory => `
+            <tr>
+                <td>${escapeHtml(accessory.key)}</td>
+                <td>${escapeHtml(accessory.unit)}</td>
+                <td>${formatPrice(accessory.from)}</td>
+                <td>${formatPrice(accessory.to)}</td>
+                <td>${formatPercent(accessory.percent)}</td>
+            </tr>`).join('');
+
+        return `
+            <div class="section-header">Fabric Types</div>
+            ${matrixRows ? `
+            <table class="price-editor-table price-editor-import-table">
+                <thead><tr><th>Fabric type</th><th>Name</th><th>Status</th><th>Changed prices</th><th>Average change</th><th>Other changes</th></tr></thead>
+                <tbody>${matrixRows}</tbody>
+            </table>
+            ${cellLists}` : '<p class="price-editor-hint">No matrix prices changed.</p>'}
+            <div class="section-header">Accessories</div>
+            ${accessoryRows ? `
+            <table class="price-editor-table price-editor-import-table">
+                <thead><tr><th>Accessory</th><th>Unit</th><th>v${escapeHtml(report.fromVersion)}</th><th>v${escapeHtml(report.toVersion)}</th><th>Change</th></tr></thead>
+                <tbody>${accessoryRows}</tbody>
+            </table>` : '<p class="price-editor-hint">No accessory prices changed.</p>'}
+            <div class="section-header">Impact on Saved Quotes</div>
+            ${this._renderQuoteImpact(report, formatPercent)}`;
+    }
+
+    _renderQuoteImpact({ quoteImpact, fromVersion, toVersion }, formatPercent) {
+        if (!quoteImpact) {
+            return '<p class="price-editor-hint">The quote library could not be read.</p>';
+        }
+        if (quoteImpact.quotes.length === 0) {
+            return '<p class="price-editor-hint">There are no saved quotes to reprice.</p>';
+        }
+        const row = (cells) => `<tr>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`;
+        const quoteRows = quoteImpact.quotes.map(quote => row([
+            escapeHtml(quote.quoteId), escapeHtml(quote.customerName),
+            FORMATTERS.currency(quote.oldTotal), FORMATTERS.currency(quote.newTotal),
+            FORMATTERS.currency(quote.delta), formatPercent(percentChange(quote.oldTotal, quote.newTotal))
+        ])).join('');
+
+        return `
+            <p class="price-editor-hint">The ${quoteImpact.quotes.length} most recently updated library quotes, priced on each version before mul-times and discounts.</p>
+            <table class="price-editor-table price-editor-import-table">
+                <thead><tr><th>Quote</th><th>Customer</th><th>v${escapeHtml(fromVersion)}</th><th>v${escapeHtml(toVersion)}</th><th>Difference</th><th>Change</th></tr></thead>
+                <tbody>${quoteRows}</tbody>
+                <tfoot>${row(['<strong>Total</strong>', '', FORMATTERS.currency(quoteImpact.oldTotal), FORMATTERS.currency(quoteImpact.newTotal),
+                    FORMATTERS.currency(quoteImpact.delta), formatPercent(percentChange(quoteImpact.oldTotal, quoteImpact.newTotal))])}</tfoot>
+            </table>`;
+    }
+
+    _renderErrors() {
+        if (!this.errorsElement) return;
+        this.errorsElement.innerHTML = this.errors.length === 0 ? '' : `
+            <strong>${this.errors.length} problem(s) to fix before saving:</strong>
+            <ul>${this.errors.map(error => `<li>${escapeHtml(error.path)}: ${escapeHtml(error.message)}</li>`).join('')}</ul>`;
+    }
+
+    _input(path, value, dataset) {
+        const data = Object.entries(dataset).map(([name, dataValue]) => `data-${name}="${escapeHtml(dataValue)}"`).join(' ');
+        const text = value === null ? '-' : (value ?? '');
+        return `<input type="text" inputmode="decimal" class="price-editor-input ${this._hasError(path) ? 'is-invalid' : ''}" value="${escapeHtml(text)}" ${data}>`;
+    }
+
+    _hasError(path) {
+        return this.errors.some(error => error.path === path);
+    }
+
+    /**
+     * Reads an edited cell back into the draft. Text that is not a number is kept as typed,
+     * so validation can point at it.
+     */
+    _handleInput(input) {
+        const { field, index, drop, key, rule, importIndex, compare } = input.dataset;
+        if (compare) {
+            this.comparison = { ...this.comparison, [compare]: input.value, report: null };
+            this.render();
+            return;
+        }
+        if (importIndex !== undefined) {
+            this.pendingImport.sheets[importIndex].fabricType = input.value || null;
+            this.render();
+            return;
+        }
+        if (!field) return;
+        const matrix = this.draft.matrices[this.fabricType];
+        const text = input.value.trim();
+        const number = text === '' ? '' : (Number.isNaN(Number(text)) ? text : Number(text));
+
+        switch (field) {
+            case 'width':
+                matrix.widths[index] = number;
+                break;
+            case 'drop':
+                matrix.drops[index] = number;
+                break;
+            case 'price':
+                matrix.prices[drop] = matrix.prices[drop] || [];
+                matrix.prices[drop][index] = NOT_OFFERED_TEXT.includes(text.toLowerCase()) ? null : number;
+                break;
+            case 'pricePerMetre':
+            case 'unitCharge':
+                matrix[field] = number;
+                break;
+            case 'aliasFor':
+                matrix.aliasFor = input.value;
+                break;
+            case 'accessory':
+                this.draft.accessories[key].price = number;
+                break;
+            case 'fee':
+                this.draft.fees = this.draft.fees || {};
+                this.draft.fees[key] = {
+                    ...this.draft.fees[key],
+                    [rule]: number === '' && OPTIONAL_FEE_RULES.includes(rule) ? null : number
+                };
+                break;
+            case 'feeBand':
+                this.draft.fees.install.sizeBands[index][rule] = number;
+                break;
+            case 'feeZone':
+                this.draft.fees.zones[key][rule] = number === '' ? null : number;
+                break;
+        }
+    }
+
+    _handleAction(action) {
+        if (action === 'apply-import') {
+            this._applyImport();
+            return;
+        }
+        if (action === 'cancel-import') {
+            this.pendingImport = null;
+            this.render();
+            return;
+        }
+        if (action === 'run-report') {
+            const { fromVersion, toVersion } = this.comparison;
+            this.eventAggregator.publish(EVENTS.USER_REQUESTED_PRICE_LIST_REPORT, { fromVersion, toVersion });
+            return;
+        }
+        if (action === 'export-report') {
+            this.eventAggregator.publish(EVENTS.USER_REQUESTED_EXPORT_PRICE_LIST_REPORT, { report: this.comparison.report });
+            return;
+        }
+        if (action === 'close-comparison') {
+            this.comparison = null;
+            this.render();
+            return;
+        }
+        if (action === 'add-fee-band' || action === 'remove-fee-band') {
+            this._editFeeBands(action);
+            this.render();
+            return;
+        }
+        const matrix = this.draft.matrices[this.fabricType];
+        matrix.prices = matrix.prices || [];
+        switch (action) {
+            case 'add-width':
+                matrix.widths.push('');
+                matrix.prices.forEach(row => row.push(''));
+                break;
+            case 'remove-width':
+                matrix.widths.pop();
+                matrix.prices.forEach(row => row.splice(matrix.widths.length));
+                break;
+            case 'add-drop':
+                matrix.drops.push('');
+                matrix.prices.push(matrix.widths.map(() => ''));
+                break;
+            case 'remove-drop':
+                matrix.drops.pop();
+                matrix.prices.splice(matrix.drops.length);
+                break;
+        }
+        this.render();
+    }
+
+    _editFeeBands(action) {
+        const fees = this.draft.fees || {};
+        const install = { unitPrice: '', ...fees.install };
+        const sizeBands = [...(install.sizeBands || [])];
+        if (action === 'add-fee-band') {
+            sizeBands.push({ maxArea: '', unitPrice: '' });
+        } else {
+            sizeBands.pop();
+        }
+        this.draft.fees = { ...fees, install: { ...install, sizeBands } };
+    }
+
+    _buildPriceList() {
+        return {
+            ...this.draft,
+            meta: {
+                ...this.draft.meta,
+                version: this.newVersionInput?.value.trim() || '',
+                effectiveDate: this.effectiveDateInput?.value || ''
+            }
+        };
+    }
+
+    /**
+     * Validates the draft as it would be saved and marks the offending cells.
+     * @returns {boolean} True when the draft can be saved.
+     */
+    validate() {
+        this.comparison = null;
+        const priceList = this._buildPriceList();
+        this.errors = validatePriceList(priceList);
+        if (this.versions.some(({ version }) => version === priceList.meta.version)) {
+            this.errors.push({ path: 'meta.version', message: `Price list ${priceList.meta.version} already exists.` });
+        }
+        this.newVersionInput?.classList.toggle('is-invalid', this._hasError('meta.version'));
+        this.effectiveDateInput?.classList.toggle('is-invalid', this._hasError('meta.effectiveDate'));
+        this.render();
+
+        // Jump to the first fabric type with a problem, so the marked cells are on screen.
+        const firstMatrixError = this.errors.find(error => error.path.startsWith('matrices.'));
+        const fabricType = firstMatrixError?.path.split('.')[1].split('[')[0];
+        if (fabricType && fabricType !== this.fabricType && this.draft.matrices[fabricType]) {
+            this.fabricType = fabricType;
+            if (this.matrixSelect) this.matrixSelect.value = fabricType;
+            this.render();
+        }
+        return this.errors.length === 0;
+    }
+
+    save() {
+        if (!this.validate()) return;
+        this.eventAggregator.publish(EVENTS.USER_REQUESTED_SAVE_PRICE_LIST, { priceList: this._buildPriceList() });
+        this.hide();
+    }
+
+    _suggestNextVersion() {
+        const latest = this.versions[this.versions.length - 1]?.version || '1.0';
+        const [major, minor] = latest.split('.').map(part => parseInt(part, 10) || 0);
+        return `${major}.${minor + 1}`;
+    }
+}
@@ -17,6 +17,7 @@ export class QuotePreviewComponent {
         this.iframe = this.container.querySelector('.quote-preview-iframe');
         this.closeButton = this.container.querySelector('.preview-btn-secondary');
         this.printButton = this.container.querySelector('.preview-btn-primary');
+        this.downloadPdfButton = this.container.querySelector('.preview-btn-pdf');
 
         this.initialize();
         console.log("QuotePreviewComponent Initialized.");
@@ -33,6 +34,10 @@ export class QuotePreviewComponent {
             this.printButton.addEventListener('click', () => this.print());
         }
 
+        if (this.downloadPdfButton) {
+            this.downloadPdfButton.addEventListener('click', () => this.eventAggregator.publish(EVENTS.USER_REQUESTED_DOWNLOAD_PDF));
+        }
+
         this.container.addEventListener('click', (event) => {
             if (event.target === this.container) {
                 this.hide();
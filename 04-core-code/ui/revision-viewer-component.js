@@ -0,0 +1,211 @@
+// File: 04-core-code/ui/revision-viewer-component.js
+
+import { EVENTS } from '../config/constants.js';
+import { diffRevisions, getChangeCategory } from '../utils/revision-diff.js';
+import { escapeHtml } from '../utils/template-engine.js';
+
+const ITEM_DETAIL_FIELDS = ['itemId', 'width', 'height', 'fabricType', 'linePrice'];
+
+/**
+ * @fileoverview A component to manage the full-screen revision viewer overlay.
+ * It compares any two saved revisions of a quote side by side and lets the user restore either one.
+ */
+export class RevisionViewerComponent {
+    constructor({ containerElement, eventAggregator, productFactory }) {
+        if (!containerElement || !eventAggregator) {
+            throw new Error("Container element and event aggregator are required for RevisionViewerComponent.");
+        }
+        this.container = containerElement;
+        this.eventAggregator = eventAggregator;
+        this.productNames = {};
+        (productFactory?.getAvailableProducts() || []).forEach(({ key, name }) => {
+            this.productNames[key] = name;
+        });
+
+        this.quoteId = null;
+        this.revisions = [];
+
+        this.titleElement = this.container.querySelector('.revision-viewer-title');
+        this.bodyElement = this.container.querySelector('.revision-viewer-body');
+        this.selects = {
+            from: this.container.querySelector('.revision-select[data-side="from"]'),
+            to: this.container.querySelector('.revision-select[data-side="to"]')
+        };
+        this.restoreButtons = {
+            from: this.container.querySelector('.revision-btn-restore[data-side="from"]'),
+            to: this.container.querySelector('.revision-btn-restore[data-side="to"]')
+        };
+        this.closeButton = this.container.querySelector('.revision-btn-close');
+
+        this.initialize();
+        console.log("RevisionViewerComponent Initialized.");
+    }
+
+    initialize() {
+        this.eventAggregator.subscribe(EVENTS.SHOW_REVISION_VIEWER, (data) => this.show(data));
+
+        Object.values(this.selects).forEach(select => {
+            select?.addEventListener('change', () => this.render());
+        });
+
+        Object.entries(this.restoreButtons).forEach(([side, button]) => {
+            button?.addEventListener('click', () => {
+                const revision = this._getSelectedRevision(side);
+                if (!revision) return;
+                this.eventAggregator.publish(EVENTS.USER_REQUESTED_RESTORE_REVISION, {
+                    quoteId: this.quoteId,
+                    revisionId: revision.revisionId
+                });
+                this.hide();
+            });
+        });
+
+        if (this.closeButton) {
+            this.closeButton.addEventListener('click', () => this.hide());
+        }
+
+        this.container.addEventListener('click', (event) => {
+            if (event.target === this.container) {
+                this.hide();
+            }
+        });
+    }
+
+    /**
+     * Opens the viewer comparing the previous revision with the latest one.
+     * @param {{quoteId: string, revisions: Array<object>}} data - Revisions ordered oldest first.
+     */
+    show({ quoteId, revisions }) {
+        this.quoteId = quoteId;
+        this.revisions = revisions;
+
+        const options = revisions.map(revision => `
+            <option value="${escapeHtml(revision.revisionId)}">
+                Rev ${revision.revisionNumber} - ${new Date(revision.createdAt).toLocaleString()}
+            </option>`).join('');
+        Object.values(this.selects).forEach(select => {
+            if (select) select.innerHTML = options;
+        });
+
+        const latest = revisions[revisions.length - 1];
+        const previous = revisions[revisions.length - 2] || latest;
+        if (this.selects.from) this.selects.from.value = previous.revisionId;
+        if (this.selects.to) this.selects.to.value = latest.revisionId;
+
+        if (this.titleElement) {
+            this.titleElement.textContent = `Revisions of ${quoteId}`;
+        }
+        this.render();
+
+        this.container.classList.add('is-visible');
+        document.body.style.overflow = 'hidden'; // Prevent background scrolling
+    }
+
+    hide() {
+        this.container.classList.remove('is-visible');
+        document.body.style.overflow = '';
+    }
+
+    render() {
+        const fromRevision = this._getSelectedRevision('from');
+        const toRevision = this._getSelectedRevision('to');
+        if (!fromRevision || !toRevision || !this.bodyElement) return;
+
+        Object.entries(this.restoreButtons).forEach(([side, button]) => {
+            if (button) button.textContent = `Restore Rev ${this._getSelectedRevision(side).revisionNumber}`;
+        });
+
+        const diff = diffRevisions(fromRevision, toRevision);
+        const deltaClass = diff.totalDelta > 0 ? 'is-increase' : (diff.totalDelta < 0 ? 'is-decrease' : '');
+
+        this.bodyElement.innerHTML = `
+            <p class="revision-summary">
+                ${diff.hasChanges ? '' : 'No differences between these revisions. '}
+                Quote total: ${this._formatPrice(fromRevision.totalSum)} &rarr; ${this._formatPrice(toRevision.totalSum)}
+                <span class="revision-delta ${deltaClass}">(${this._formatDelta(diff.totalDelta)})</span>
+            </p>
+            ${diff.products.map(product => this._renderProduct(product)).join('')}
+            ${this._renderValueChanges('F1 Cost', diff.f1)}
+            ${this._renderValueChanges('F2 Summary', diff.f2)}
+            ${this._renderValueChanges('Customer', diff.customer)}`;
+    }
+
+    _renderProduct({ productKey, rows, accessories }) {
+        const productName = this.productNames[productKey] || productKey;
+        const bodyRows = rows.map((row, index) => {
+            const changed = new Set(row.changes.map(change => getChangeCategory(change.field)));
+            const changedFields = new Set(row.changes.map(change => change.field));
+            const cells = (item) => item ? `
+                    <td class="${changed.has('dimensions') ? 'is-changed' : ''}">${item.width} x ${item.height}</td>
+                    <td class="${changed.has('type') ? 'is-changed' : ''}">${escapeHtml(item.fabricType)}</td>
+                    <td>${this._formatOptions(item, changedFields)}</td>
+                    <td class="text-right">${this._formatPrice(item.linePrice)}</td>`
+                : '<td colspan="4" class="revision-empty-side"></td>';
+            return `
+                <tr class="revision-row is-${row.status}">
+                    <td>${index + 1}</td>
+                    ${cells(row.from)}
+                    ${cells(row.to)}
+                    <td class="text-right">${row.priceDelta ? this._formatDelta(row.priceDelta) : ''}</td>
+                </tr>`;
+        }).join('');
+
+        return `
+            <div class="section-header">${escapeHtml(productName)}</div>
+            <table class="revision-table">
+                <thead>
+                    <tr>
+                        <th rowspan="2">#</th>
+                        <th colspan="4">Rev ${this._getSelectedRevision('from').revisionNumber}</th>
+                        <th colspan="4">Rev ${this._getSelectedRevision('to').revisionNumber}</th>
+                        <th rowspan="2" class="text-right">&Delta; Price</th>
+                    </tr>
+                    <tr>
+                        <th>W x H</th><th>Type</th><th>Options</th><th class="text-right">Price</th>
+                        <th>W x H</th><th>Type</th><th>Options</th><th class="text-right">Price</th>
+                    </tr>
+                </thead>
+                <tbody>${bodyRows}</tbody>
+            </table>
+            ${this._renderValueChanges(`${productName} Accessories`, accessories)}`;
+    }
+
+    _renderValueChanges(title, changes) {
+        if (changes.length === 0) return '';
+        const rows = changes.map(change => `
+            <tr>
+                <td>${escapeHtml(change.field)}</td>
+                <td>${escapeHtml(change.from ?? '-')}</td>
+                <td class="is-changed">${escapeHtml(change.to ?? '-')}</td>
+            </tr>`).join('');
+        return `
+            <div class="section-header">${escapeHtml(title)}</div>
+            <table class="revision-table revision-value-table">
+                <thead><tr><th>Field</th><th>Before</th><th>After</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>`;
+    }
+
+    _formatOptions(item, changedFields) {
+        return Object.entries(item)
+            .filter(([field, value]) => !ITEM_DETAIL_FIELDS.includes(field) && (value || changedFields.has(field)))
+            .map(([field, value]) => {
+                const text = `${escapeHtml(field)}: ${escapeHtml(value || '-')}`;
+                return changedFields.has(field) ? `<mark>${text}</mark>` : text;
+            })
+            .join(', ');
+    }
+
+    _getSelectedRevision(side) {
+        const revisionId = this.selects[side]?.value;
+        return this.revisions.find(revision => revision.revisionId === revisionId) || null;
+    }
+
+    _formatPrice(value) {
+        return typeof value === 'number' ? `$${value.toFixed(2)}` : '';
+    }
+
+    _formatDelta(value) {
+        return `${value > 0 ? '+' : value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+    }
+}
@@ -0,0 +1,157 @@
+// File: 04-core-code/ui/scenario-comparison-component.js
+
+import { EVENTS } from '../config/constants.js';
+import { FORMATTERS, escapeHtml } from '../utils/template-engine.js';
+
+// The item overrides each Drive choice of the new scenario form makes.
+const DRIVE_OVERRIDES = {
+    motor: { motor: true },
+    winder: { winder: true },
+    chain: { motor: false, winder: false }
+};
+
+/**
+ * @fileoverview A component to manage the what-if comparison overlay, opened from F2. It lists
+ * the quote and each of its scenarios side by side (price, tax, total, profit and the differences
+ * from the quote), lets scenarios be added, removed and chosen for the customer's quote, where
+ * they are shown as "Option A", "Option B", ...
+ */
+export class ScenarioComparisonComponent {
+    constructor({ containerElement, eventAggregator }) {
+        if (!containerElement || !eventAggregator) {
+            throw new Error("Container element and event aggregator are required for ScenarioComparisonComponent.");
+        }
+        this.container = containerElement;
+        this.eventAggregator = eventAggregator;
+
+        this.bodyElement = this.container.querySelector('.scenario-comparison-body');
+        this.form = this.container.querySelector('.scenario-comparison-form');
+        this.closeButton = this.container.querySelector('.scenario-comparison-btn-close');
+        this.inputs = {
+            name: this.container.querySelector('.scenario-input-name'),
+            fabricType: this.container.querySelector('.scenario-input-fabric-type'),
+            drive: this.container.querySelector('.scenario-input-drive'),
+            dual: this.container.querySelector('.scenario-input-dual'),
+            mulTimes: this.container.querySelector('.scenario-input-mul-times'),
+            discount: this.container.querySelector('.scenario-input-discount')
+        };
+
+        this.initialize();
+        console.log("ScenarioComparisonComponent Initialized.");
+    }
+
+    initialize() {
+        this.eventAggregator.subscribe(EVENTS.SHOW_SCENARIO_COMPARISON, (data) => this.show(data));
+
+        this.closeButton?.addEventListener('click', () => this.hide());
+        this.form?.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this._addScenario();
+        });
+
+        // Rows are identified by their data attributes, so one listener serves every scenario.
+        this.bodyElement?.addEventListener('change', (event) => {
+            const { scenarioId } = event.target.dataset || {};
+            if (scenarioId) {
+                this.eventAggregator.publish(EVENTS.USER_TOGGLED_SCENARIO_IN_QUOTE, { scenarioId, includeInQuote: event.target.checked });
+            }
+        });
+        this.bodyElement?.addEventListener('click', (event) => {
+            const { action, scenarioId } = event.target.dataset || {};
+            if (action === 'remove' && scenarioId) {
+                this.eventAggregator.publish(EVENTS.USER_REQUESTED_REMOVE_SCENARIO, { scenarioId });
+            }
+        });
+    }
+
+    /**
+     * @param {{comparison: object, fabricTypes: Array<string>}} data A comparison from
+     *   CalculationService.compareScenarios and the fabric types the quote's products offer.
+     */
+    show({ comparison, fabricTypes = [] }) {
+        if (!comparison) return;
+        if (this.inputs.fabricType) {
+            const selected = this.inputs.fabricType.value;
+            this.inputs.fabricType.innerHTML = ['<option value="">Keep</option>', ...fabricTypes.map(fabricType => `
+                <option value="${escapeHtml(fabricType)}">${escapeHtml(fabricType)}</option>`)].join('');
+            this.inputs.fabricType.value = fabricTypes.includes(selected) ? selected : '';
+        }
+        if (this.bodyElement) {
+            this.bodyElement.innerHTML = this._renderComparison(comparison);
+        }
+        this.container.classList.add('is-visible');
+    }
+
+    hide() {
+        this.container.classList.remove('is-visible');
+    }
+
+    _renderComparison({ base, scenarios }) {
+        const rows = [
+            `<tr class="scenario-base">
+                <th>Current quote</th>
+                ${this._renderFigures(base)}
+                <td></td><td></td><td></td><td></td>
+            </tr>`,
+            ...scenarios.map(scenario => `
+            <tr>
+                <th>
+                    ${escapeHtml(scenario.name)}
+                    <div class="scenario-changes">${escapeHtml(FORMATTERS.join([...scenario.itemChanges, ...scenario.f2Changes]) || 'No changes')}</div>
+                    ${scenario.firstError ? `<div class="scenario-error">${escapeHtml(scenario.firstError.message)}</div>` : ''}
+                </th>
+                ${this._renderFigures(scenario)}
+                <td>${escapeHtml(FORMATTERS.signedCurrency(scenario.deltaTotal))}</td>
+                <td class="${this._deltaClass(scenario.deltaProfit)}">${escapeHtml(FORMATTERS.signedCurrency(scenario.deltaProfit))}</td>
+                <td><input type="checkbox" data-scenario-id="${escapeHtml(scenario.id)}" ${scenario.includeInQuote ? 'checked' : ''}></td>
+                <td><button type="button" class="preview-btn-secondary" data-action="remove" data-scenario-id="${escapeHtml(scenario.id)}">Remove</button></td>
+            </tr>`)
+        ];
+        const note = scenarios.length === 0
+            ? '<p class="scenario-note">No scenarios yet. Add one below to compare it with the quote.</p>'
+            : '<p class="scenario-note">Ticked scenarios are shown on the customer\'s quote as options.</p>';
+
+        return `
+            <table class="scenario-comparison-table">
+                <thead>
+                    <tr>
+                        <th>Scenario</th><th>Price</th><th>${escapeHtml(base.taxLabel || 'GST')}</th><th>Total</th><th>Profit</th>
+                        <th>+/- Total</th><th>+/- Profit</th><th>On Quote</th><th></th>
+                    </tr>
+                </thead>
+                <tbody>${rows.join('')}</tbody>
+            </table>
+            ${note}`;
+    }
+
+    _renderFigures(figures) {
+        return [figures.sumPrice, figures.taxAmount, figures.total, figures.netProfit]
+            .map(value => `<td>${escapeHtml(FORMATTERS.currency(value))}</td>`)
+            .join('');
+    }
+
+    _deltaClass(delta) {
+        if (delta > 0) return 'scenario-delta-up';
+        if (delta < 0) return 'scenario-delta-down';
+        return '';
+    }
+
+    /**
+     * Publishes the new scenario form as item and F2 overrides; "Keep" and blank fields change nothing.
+     */
+    _addScenario() {
+        const { name, fabricType, drive, dual, mulTimes, discount } = this.inputs;
+        const itemOverrides = { ...DRIVE_OVERRIDES[drive?.value] };
+        if (fabricType?.value) itemOverrides.fabricType = fabricType.value;
+        if (dual?.value === 'none') itemOverrides.dual = false;
+
+        const f2Overrides = {};
+        [['mulTimes', mulTimes], ['discount', discount]].forEach(([key, input]) => {
+            const value = parseFloat(input?.value);
+            if (!Number.isNaN(value)) f2Overrides[key] = value;
+        });
+
+        this.eventAggregator.publish(EVENTS.USER_REQUESTED_ADD_SCENARIO, { name: name?.value || '', itemOverrides, f2Overrides });
+        this.form.reset();
+    }
+}
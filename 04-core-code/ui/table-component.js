@@ -21,6 +21,7 @@ const COLUMN_CONFIG = {
     over: { header: 'Over', className: 'col-over', dataColumn: 'over', cellType: 'td' },
     oi: { header: 'O/I', className: 'col-oi', dataColumn: 'oi', cellType: 'td' },
     lr: { header: 'L/R', className: 'col-lr', dataColumn: 'lr', cellType: 'td' },
+    fullness: { header: 'Full', className: 'col-fullness', dataColumn: 'fullness', cellType: 'td' },
     fabricTypeDisplay: { header: 'Type', className: 'col-type', dataColumn: 'fabricType', cellType: 'td' },
     dual: { header: 'Dual', className: 'col-dual', dataColumn: 'dual', cellType: 'td' },
     chain: { header: 'Chain', className: 'col-chain', dataColumn: 'chain', cellType: 'td' },
@@ -174,6 +175,9 @@ export class TableComponent {
                     cell.classList.add(typeClassMap[item.fabricType]);
                 }
             },
+            fullness: (cell, item) => {
+                cell.textContent = (item.width || item.height) && item.fullness ? `${item.fullness}x` : '';
+            },
             dual: (cell, item) => {
                 cell.textContent = item.dual || '';
                 cell.classList.toggle('dual-cell-active', item.dual === 'D');
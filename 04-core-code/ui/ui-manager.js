@@ -9,7 +9,7 @@ import { LeftPanelComponent } from './left-panel-component.js';
 import { EVENTS, DOM_IDS } from '../config/constants.js';
 
 export class UIManager {
-    constructor({ appElement, eventAggregator, calculationService, rightPanelComponent }) {
+    constructor({ appElement, eventAggregator, calculationService, productFactory, rightPanelComponent }) {
         this.appElement = appElement;
         this.eventAggregator = eventAggregator;
         this.calculationService = calculationService;
@@ -19,6 +19,13 @@ export class UIManager {
 
         this.insertButton = document.getElementById('key-ins-grid');
         this.clearButton = document.getElementById('key-clear');
+        this.productButton = document.getElementById(DOM_IDS.KEY_PRODUCT);
+        this.undoButton = document.getElementById(DOM_IDS.KEY_UNDO);
+        this.redoButton = document.getElementById(DOM_IDS.KEY_REDO);
+        this.productNames = {};
+        (productFactory?.getAvailableProducts() || []).forEach(({ key, name }) => {
+            this.productNames[key] = name;
+        });
 
         this.leftPanelElement = document.getElementById(DOM_IDS.LEFT_PANEL);
 
@@ -61,6 +68,10 @@ export class UIManager {
 
     initialize() {
         this.eventAggregator.subscribe(EVENTS.USER_TOGGLED_NUMERIC_KEYBOARD, () => this._toggleNumericKeyboard());
+        this.eventAggregator.subscribe(EVENTS.HISTORY_CHANGED, ({ canUndo, canRedo }) => {
+            if (this.undoButton) this.undoButton.disabled = !canUndo;
+            if (this.redoButton) this.redoButton.disabled = !canRedo;
+        });
 
         // [NEW] Add a global listener for focus events.
         this.eventAggregator.subscribe(EVENTS.FOCUS_ELEMENT, ({ elementId }) => {
@@ -118,11 +129,11 @@ export class UIManager {
         const isDetailView = state.ui.currentView === 'DETAIL_CONFIG';
         this.appElement.classList.toggle('detail-view-active', isDetailView);
 
-        const currentProductKey = state.quoteData.currentProduct;
-        const currentProductData = state.quoteData.products[currentProductKey];
+        // The SUM display shows the whole quote, across every product line.
+        const totalSum = this.calculationService.getQuoteTotalSum(state.quoteData);
 
         this.tableComponent.render(state);
-        this.summaryComponent.render(currentProductData.summary, state.ui.isSumOutdated);
+        this.summaryComponent.render({ totalSum }, state.ui.isSumOutdated);
         this.leftPanelComponent.render(state.ui, state.quoteData);
         this.rightPanelComponent.render(state);
 
@@ -176,6 +187,12 @@ export class UIManager {
             }
         }
         if (this.clearButton) this.clearButton.disabled = clearDisabled;
+
+        // --- Product Switcher Logic ---
+        if (this.productButton) {
+            this.productButton.textContent = this.productNames[currentProductKey] || currentProductKey;
+            this.productButton.disabled = state.ui.currentView !== 'QUICK_QUOTE';
+        }
     }
 
     _scrollToActiveCell(state) {
@@ -4,10 +4,14 @@
  * @fileoverview A "Manager" view that delegates logic to specific sub-views for each tab.
  */
 
+import { EVENTS } from '../../config/constants.js';
+import * as uiActions from '../../actions/ui-actions.js';
+
 export class DetailConfigView {
     constructor({
         stateService,
         eventAggregator,
+        productFactory,
         // Sub-views are injected here
         k1LocationView,
         k2FabricView,
@@ -17,6 +21,7 @@ export class DetailConfigView {
     }) {
         this.stateService = stateService;
         this.eventAggregator = eventAggregator;
+        this.productFactory = productFactory;
 
         // Store instances of sub-views
         this.k1View = k1LocationView;
@@ -28,8 +33,27 @@ export class DetailConfigView {
         console.log("DetailConfigView Refactored as a Manager View.");
     }
 
+    _getTabColumns() {
+        const { quoteData } = this.stateService.getState();
+        const productStrategy = this.productFactory.getProductStrategy(quoteData.currentProduct);
+        return productStrategy.getDetailTabColumns();
+    }
+
+    /**
+     * Activates a K-tab if the current product supports it. The tab's visible columns
+     * are defined by the product strategy; unsupported tabs are refused with a notification.
+     * @param {string} tabId - The ID of the tab to activate (e.g., 'k1-tab').
+     */
     activateTab(tabId) {
+        const tabColumns = this._getTabColumns();
+        const columns = tabColumns[tabId];
+        if (!columns) {
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'This tab is not available for the current product.', type: 'error' });
+            return;
+        }
+
         this.stateService.dispatch({ type: 'ui/setActiveTab', payload: { tabId } });
+        this.stateService.dispatch(uiActions.setVisibleColumns(columns));
 
         switch (tabId) {
             case 'k1-tab':
@@ -30,7 +30,6 @@ export class DriveAccessoriesView {
     }
 
     activate() {
-        this.stateService.dispatch(uiActions.setVisibleColumns(['sequence', 'fabricTypeDisplay', 'location', 'winder', 'motor']));
     }
 
     handleModeChange({ mode }) {
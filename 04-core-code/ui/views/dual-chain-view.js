@@ -169,8 +169,6 @@ export class DualChainView {
      * It now correctly synchronizes all accessory prices from the K4 state.
      */
     activate() {
-        this.stateService.dispatch(uiActions.setVisibleColumns(['sequence', 'fabricTypeDisplay', 'location', 'dual', 'chain']));
-
         const { ui, quoteData } = this._getState();
         const currentProductData = quoteData.products[quoteData.currentProduct];
         this.stateService.dispatch(uiActions.setSummaryWinderPrice(ui.driveWinderTotalPrice));
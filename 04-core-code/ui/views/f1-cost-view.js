@@ -6,10 +6,11 @@ import { EVENTS, DOM_IDS } from '../../config/constants.js';
  * @fileoverview A dedicated sub-view for handling all logic related to the F1 (Cost) tab.
  */
 export class F1CostView {
-    constructor({ panelElement, eventAggregator, calculationService }) {
+    constructor({ panelElement, eventAggregator, calculationService, taxService }) {
         this.panelElement = panelElement;
         this.eventAggregator = eventAggregator;
         this.calculationService = calculationService;
+        this.taxService = taxService;
 
         this._cacheF1Elements();
         this._initializeF1Listeners();
@@ -19,6 +20,7 @@ export class F1CostView {
     _cacheF1Elements() {
         const query = (id) => this.panelElement.querySelector(id);
         this.f1 = {
+            productSubtotals: query(`#${DOM_IDS.F1_PRODUCT_SUBTOTALS}`),
             inputs: {
                 'discount': query(`#${DOM_IDS.F1_RB_DISCOUNT_INPUT}`),
             },
@@ -84,7 +86,7 @@ export class F1CostView {
         if (!this.f1 || !state || !state.quoteData || !state.ui) return;
 
         const { quoteData, ui } = state;
-        const items = quoteData.products.rollerBlind.items;
+        const items = this.calculationService.getAllItems(quoteData);
         const formatPrice = (price) => (typeof price === 'number' && price > 0 ? `$${price.toFixed(2)}` : '');
         const formatDisplay = (value) => (value !== null && value !== undefined) ? value : '';
 
@@ -131,8 +133,9 @@ export class F1CostView {
         const componentTotal = Object.values(componentPrices).reduce((sum, price) => sum + price, 0);
         this.f1.displays.price.total.textContent = formatPrice(componentTotal);
 
-        // --- RB Pricing Calculation ---
-        const retailTotal = quoteData.products.rollerBlind.summary.totalSum || 0;
+        // --- Product Pricing Calculation (all product lines) ---
+        this._renderProductSubtotals(quoteData, formatPrice);
+        const retailTotal = this.calculationService.getQuoteTotalSum(quoteData) || 0;
         const discountPercentage = ui.f1.discountPercentage || 0;
         const rbPrice = retailTotal * (1 - (discountPercentage / 100));
 
@@ -144,14 +147,40 @@ export class F1CostView {
 
         // --- Final Summary Calculation ---
         const subTotal = componentTotal + rbPrice;
-        const gst = subTotal * 0.10;
-        const finalTotal = subTotal + gst;
+        const { tax: gst, gross: finalTotal } = this.taxService.calculate(subTotal);
 
         this.f1.displays.price['sub-total'].textContent = formatPrice(subTotal);
         this.f1.displays.price.gst.textContent = formatPrice(gst);
         this.f1.displays.price['final-total'].textContent = formatPrice(finalTotal);
     }
 
+    /**
+     * Lists the retail subtotal of each product line. Hidden for single-product quotes,
+     * where the Retail row already shows the same figure.
+     */
+    _renderProductSubtotals(quoteData, formatPrice) {
+        const container = this.f1.productSubtotals;
+        if (!container) return;
+
+        const subtotals = this.calculationService.getProductSubtotals(quoteData);
+        container.innerHTML = '';
+        container.classList.toggle('is-hidden', subtotals.length < 2);
+        if (subtotals.length < 2) return;
+
+        subtotals.forEach(({ name, itemCount, totalSum }) => {
+            const label = document.createElement('div');
+            label.className = 'grid-cell';
+            label.textContent = name;
+            const qty = document.createElement('div');
+            qty.className = 'grid-cell qty-box';
+            qty.textContent = itemCount;
+            const price = document.createElement('div');
+            price.className = 'grid-cell price-box';
+            price.textContent = formatPrice(totalSum);
+            container.append(label, qty, price);
+        });
+    }
+
     activate() {
         this.eventAggregator.publish(EVENTS.F1_TAB_ACTIVATED);
 
@@ -1,14 +1,20 @@
 // File: 04-core-code/ui/views/f2-summary-view.js
 
-import { EVENTS } from '../../config/constants.js';
+import { EVENTS, DOM_IDS } from '../../config/constants.js';
+
+// How the fee audit names each fee.
+const FEE_AUDIT_LABELS = { delivery: 'Delivery', install: 'Install', removal: 'Removal' };
+// How many of the latest fee changes are listed under the fees.
+const FEE_AUDIT_MAX_ROWS = 3;
 
 /**
  * @fileoverview A dedicated sub-view for handling all logic related to the F2 (Summary) tab.
  */
 export class F2SummaryView {
-    constructor({ panelElement, eventAggregator }) {
+    constructor({ panelElement, eventAggregator, calculationService }) {
         this.panelElement = panelElement;
         this.eventAggregator = eventAggregator;
+        this.calculationService = calculationService;
 
         this._cacheF2Elements();
         this._initializeF2Listeners();
@@ -46,6 +52,14 @@ export class F2SummaryView {
             b23_sumprofit: query('#f2-b23-sumprofit'),
             b24_gst: query('#f2-b24-gst'),
             b25_netprofit: query('#f2-b25-netprofit'),
+            productSubtotals: query(`#${DOM_IDS.F2_PRODUCT_SUBTOTALS}`),
+            discountLines: query(`#${DOM_IDS.F2_DISCOUNT_LINES}`),
+            solveFor: query('#f2-solve-for'),
+            targetTotal: query('#f2-target-total'),
+            targetMargin: query('#f2-target-margin'),
+            compareOptions: query('#f2-compare-options'),
+            feeNotes: query(`#${DOM_IDS.F2_FEE_NOTES}`),
+            overrideFees: query('#f2-override-fees'),
         };
     }
 
@@ -83,14 +97,37 @@ export class F2SummaryView {
                 });
             }
         });
+
+        // A target total or margin is solved for as soon as it is entered; only one target applies at a time.
+        const targetInputs = [
+            { el: this.f2.targetTotal, target: 'total', other: this.f2.targetMargin },
+            { el: this.f2.targetMargin, target: 'margin', other: this.f2.targetTotal }
+        ];
+        targetInputs.forEach(({ el, target, other }) => {
+            if (el && this.f2.solveFor) {
+                el.addEventListener('change', (event) => {
+                    const value = parseFloat(event.target.value);
+                    if (Number.isNaN(value)) return;
+                    if (other) other.value = '';
+                    this.eventAggregator.publish(EVENTS.USER_REQUESTED_F2_TARGET, { target, value, solveFor: this.f2.solveFor.value });
+                });
+            }
+        });
+
+        this.f2.compareOptions?.addEventListener('click', () => {
+            this.eventAggregator.publish(EVENTS.USER_REQUESTED_SCENARIO_COMPARISON);
+        });
+
+        this.f2.overrideFees?.addEventListener('click', () => {
+            this.eventAggregator.publish(EVENTS.USER_REQUESTED_FEE_OVERRIDE);
+        });
     }
 
     render(state) {
         if (!state || !state.ui.f2 || !this.f2.b2_winderPrice) return;
 
         const f2State = state.ui.f2;
-        const productSummary = state.quoteData.products[state.quoteData.currentProduct]?.summary;
-        const accessories = productSummary?.accessories || {};
+        const accessories = this.calculationService.sumAccessoryCosts(state.quoteData);
 
         const formatIntegerCurrency = (value) => (typeof value === 'number') ? `$${value.toFixed(0)}` : '$';
         const formatDecimalCurrency = (value) => (typeof value === 'number') ? `$${value.toFixed(2)}` : '$';
@@ -125,8 +162,9 @@ export class F2SummaryView {
         this.f2.b4_acceSum.textContent = formatIntegerCurrency(acceSum);
         this.f2.c10_wifiSum.textContent = formatIntegerCurrency(wifiSum);
         this.f2.b11_eAcceSum.textContent = formatIntegerCurrency(eAcceSum);
-        this.f2.c13_deliveryFee.textContent = formatIntegerCurrency(deliveryFee);
+        this.f2.c13_deliveryFee.textContent = f2State.deliveryIsFree ? 'Free' : formatIntegerCurrency(deliveryFee);
         this.f2.c14_installFee.textContent = formatIntegerCurrency(installFee);
+        this.f2.c14_installFee.title = f2State.installMinimumApplied ? 'Minimum call-out charge' : '';
         this.f2.c15_removalFee.textContent = formatIntegerCurrency(removalFee);
         this.f2.b16_surchargeFee.textContent = formatIntegerCurrency(surchargeFee);
 
@@ -147,9 +185,97 @@ export class F2SummaryView {
         if (document.activeElement !== this.f2.b17_mulTimes) this.f2.b17_mulTimes.value = formatValue(f2State.mulTimes);
         if (document.activeElement !== this.f2.b18_discount) this.f2.b18_discount.value = formatValue(f2State.discount);
 
+        this._renderProductSubtotals(state, formatDecimalCurrency);
+        this._renderDiscountLines(f2State.discountLines || [], formatDecimalCurrency);
+
         this.f2.c13_deliveryFee.classList.toggle('is-excluded', f2State.deliveryFeeExcluded);
         this.f2.c14_installFee.classList.toggle('is-excluded', f2State.installFeeExcluded);
         this.f2.c15_removalFee.classList.toggle('is-excluded', f2State.removalFeeExcluded);
+
+        const feeOverrides = state.quoteData.feeOverrides || {};
+        this.f2.c13_deliveryFee.classList.toggle('is-overridden', feeOverrides.delivery !== undefined);
+        this.f2.c14_installFee.classList.toggle('is-overridden', feeOverrides.install !== undefined);
+        this.f2.c15_removalFee.classList.toggle('is-overridden', feeOverrides.removal !== undefined);
+        this._renderFeeNotes(state.quoteData, f2State.feeZone, formatIntegerCurrency);
+    }
+
+    /**
+     * Shows each product line's retail total and its price after mul-times and discount.
+     * Only rendered when the quote holds more than one product line.
+     */
+    _renderProductSubtotals(state, formatCurrency) {
+        const container = this.f2.productSubtotals;
+        if (!container) return;
+
+        const subtotals = this.calculationService.getProductSubtotals(state.quoteData, state.ui.f2);
+        container.innerHTML = '';
+        container.classList.toggle('is-hidden', subtotals.length < 2);
+        if (subtotals.length < 2) return;
+
+        subtotals.forEach(({ name, totalSum, discountedPrice }) => {
+            const label = document.createElement('div');
+            label.className = 'grid-cell-label';
+            label.textContent = name;
+            const retail = document.createElement('div');
+            retail.className = 'grid-cell-value';
+            retail.textContent = totalSum.toFixed(0);
+            const price = document.createElement('div');
+            price.className = 'grid-cell-value';
+            price.textContent = formatCurrency(discountedPrice);
+            container.append(label, retail, price);
+        });
+    }
+
+    /**
+     * Lists the automatic discounts from the discount rules, each as a negative amount.
+     */
+    _renderDiscountLines(discountLines, formatCurrency) {
+        const container = this.f2.discountLines;
+        if (!container) return;
+
+        container.innerHTML = '';
+        container.classList.toggle('is-hidden', discountLines.length === 0);
+        discountLines.forEach(({ label, amount }) => {
+            const labelCell = document.createElement('div');
+            labelCell.className = 'grid-cell-label';
+            labelCell.textContent = label;
+            const amountCell = document.createElement('div');
+            amountCell.className = 'grid-cell-value';
+            amountCell.textContent = amount < 0 ? `-${formatCurrency(-amount)}` : formatCurrency(amount);
+            container.append(labelCell, amountCell, document.createElement('div'));
+        });
+    }
+
+    /**
+     * Shows the customer's delivery zone and the latest changes in the quote's fee audit.
+     */
+    _renderFeeNotes(quoteData, feeZone, formatCurrency) {
+        const container = this.f2.feeNotes;
+        if (!container) return;
+
+        const postcode = quoteData.customer?.postcode || '';
+        const rows = [];
+        if (postcode) {
+            rows.push(['Zone', feeZone ? feeZone.name : 'Outside zones', postcode, '']);
+        }
+        (quoteData.feeAudit || []).slice(-FEE_AUDIT_MAX_ROWS).forEach(({ at, fee, from, to, reason }) => {
+            rows.push([`${FEE_AUDIT_LABELS[fee] || fee} fee`, `${formatCurrency(from)} -> ${formatCurrency(to)}`, reason, new Date(at).toLocaleString()]);
+        });
+
+        container.innerHTML = '';
+        container.classList.toggle('is-hidden', rows.length === 0);
+        rows.forEach(([label, value, note, title]) => {
+            const labelCell = document.createElement('div');
+            labelCell.className = 'grid-cell-label';
+            labelCell.textContent = label;
+            const valueCell = document.createElement('div');
+            valueCell.className = 'grid-cell-value';
+            valueCell.textContent = value;
+            const noteCell = document.createElement('div');
+            noteCell.textContent = note;
+            noteCell.title = title;
+            container.append(labelCell, valueCell, noteCell);
+        });
     }
 
     activate() {
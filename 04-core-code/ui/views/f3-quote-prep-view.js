@@ -6,11 +6,16 @@ import { EVENTS, DOM_IDS } from '../../config/constants.js';
  * @fileoverview A dedicated sub-view for handling all logic related to the F3 (Quote Prep) tab.
  */
 export class F3QuotePrepView {
-    constructor({ panelElement, eventAggregator }) {
+    constructor({ panelElement, eventAggregator, configManager }) {
         this.panelElement = panelElement;
         this.eventAggregator = eventAggregator;
+        this.configManager = configManager;
+        this.renderedQuoteId = null;
 
         this._cacheF3Elements();
+        this._populateTemplateOptions();
+        this._populatePaymentScheduleOptions();
+        this._populateCustomerGroupOptions();
         this._initializeF3Listeners();
         console.log("F3QuotePrepView Initialized.");
     }
@@ -22,20 +27,70 @@ export class F3QuotePrepView {
                 quoteId: query('#f3-quote-id'),
                 issueDate: query('#f3-issue-date'),
                 dueDate: query('#f3-due-date'),
+                quoteTemplate: query('#f3-quote-template'),
                 customerName: query('#f3-customer-name'),
                 customerAddress: query('#f3-customer-address'),
                 customerPhone: query('#f3-customer-phone'),
                 customerEmail: query('#f3-customer-email'),
+                customerTaxExempt: query('#f3-customer-tax-exempt'),
+                customerGroup: query('#f3-customer-group'),
                 finalOfferPrice: query('#f3-final-offer-price'),
+                paymentSchedule: query('#f3-payment-schedule'),
+                fixedDeposit: query('#f3-fixed-deposit'),
                 generalNotes: query('#f3-general-notes'),
                 termsConditions: query('#f3-terms-conditions'),
             },
             buttons: {
                 addQuote: query(`#${DOM_IDS.BTN_ADD_QUOTE}`),
+                downloadPdf: query(`#${DOM_IDS.BTN_DOWNLOAD_PDF}`),
             }
         };
     }
 
+    _populateTemplateOptions() {
+        const select = this.f3.inputs.quoteTemplate;
+        if (!select || !this.configManager) return;
+
+        this.configManager.getQuoteTemplates().forEach(({ id, name }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+    }
+
+    _populatePaymentScheduleOptions() {
+        const select = this.f3.inputs.paymentSchedule;
+        if (!select || !this.configManager) return;
+
+        this.configManager.getPaymentSchedules().forEach(({ id, name }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+    }
+
+    _populateCustomerGroupOptions() {
+        const select = this.f3.inputs.customerGroup;
+        if (!select || !this.configManager) return;
+
+        this.configManager.getCustomerGroups().forEach(({ id, name }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+    }
+
+    _publishPaymentSchedule() {
+        const depositValue = parseFloat(this.f3.inputs.fixedDeposit.value);
+        this.eventAggregator.publish(EVENTS.USER_CHANGED_PAYMENT_SCHEDULE, {
+            scheduleId: this.f3.inputs.paymentSchedule.value,
+            depositAmount: Number.isNaN(depositValue) ? null : depositValue
+        });
+    }
+
     _initializeF3Listeners() {
         if (!this.f3.inputs.issueDate) return;
 
@@ -58,6 +113,32 @@ export class F3QuotePrepView {
             }
         });
 
+        // --- Payment Schedule (stored on the quote) ---
+        if (this.f3.inputs.paymentSchedule && this.f3.inputs.fixedDeposit) {
+            this.f3.inputs.paymentSchedule.addEventListener('change', () => this._publishPaymentSchedule());
+            this.f3.inputs.fixedDeposit.addEventListener('change', () => this._publishPaymentSchedule());
+        }
+
+        if (this.f3.inputs.customerTaxExempt) {
+            this.f3.inputs.customerTaxExempt.addEventListener('change', (event) => {
+                this.eventAggregator.publish(EVENTS.USER_TOGGLED_TAX_EXEMPT, { isExempt: event.target.checked });
+            });
+        }
+
+        // The postcode in the address sets the delivery zone, which prices delivery and installation.
+        if (this.f3.inputs.customerAddress) {
+            this.f3.inputs.customerAddress.addEventListener('change', (event) => {
+                this.eventAggregator.publish(EVENTS.USER_CHANGED_CUSTOMER_ADDRESS, { address: event.target.value });
+            });
+        }
+
+        // The customer's group sets the prices, so changing it reprices the quote.
+        if (this.f3.inputs.customerGroup) {
+            this.f3.inputs.customerGroup.addEventListener('change', (event) => {
+                this.eventAggregator.publish(EVENTS.USER_CHANGED_CUSTOMER_GROUP, { groupId: event.target.value });
+            });
+        }
+
         // --- Add Quote Button Listener ---
         if (this.f3.buttons.addQuote) {
             this.f3.buttons.addQuote.addEventListener('click', () => {
@@ -65,10 +146,17 @@ export class F3QuotePrepView {
             });
         }
 
+        if (this.f3.buttons.downloadPdf) {
+            this.f3.buttons.downloadPdf.addEventListener('click', () => {
+                this.eventAggregator.publish(EVENTS.USER_REQUESTED_DOWNLOAD_PDF);
+            });
+        }
+
         // --- Focus Jumping Logic ---
         const focusOrder = [
-            'quoteId', 'issueDate', 'dueDate', 'customerName', 'customerAddress',
-            'customerPhone', 'customerEmail', 'finalOfferPrice', 'generalNotes', 'termsConditions'
+            'quoteId', 'issueDate', 'dueDate', 'quoteTemplate', 'customerName', 'customerAddress',
+            'customerPhone', 'customerEmail', 'customerTaxExempt', 'customerGroup', 'finalOfferPrice', 'paymentSchedule', 'fixedDeposit',
+            'generalNotes', 'termsConditions'
         ];
 
         focusOrder.forEach((key, index) => {
@@ -91,9 +179,24 @@ export class F3QuotePrepView {
         });
     }
 
-    render() {
+    render(state) {
         if (!this.f3.inputs.quoteId) return;
 
+        // Show the quote number of the open quote; refresh it only when a different quote is opened.
+        const quoteId = state?.quoteData?.quoteId;
+        if (quoteId && quoteId !== this.renderedQuoteId) {
+            this.f3.inputs.quoteId.value = quoteId;
+            this.renderedQuoteId = quoteId;
+        }
+
+        this._renderPaymentSchedule(state?.quoteData?.paymentSchedule);
+        if (state?.quoteData?.customer && this.f3.inputs.customerTaxExempt) {
+            this.f3.inputs.customerTaxExempt.checked = state.quoteData.customer.taxExempt === true;
+        }
+        if (state?.quoteData?.customer && this.f3.inputs.customerGroup && this.configManager) {
+            this.f3.inputs.customerGroup.value = this.configManager.getCustomerGroup(state.quoteData.customer.groupId).id;
+        }
+
         // Only fill if the fields are empty, to preserve manual changes.
         const formatDate = (date) => {
             const year = date.getFullYear();
@@ -117,6 +220,21 @@ export class F3QuotePrepView {
         }
     }
 
+    _renderPaymentSchedule(paymentSchedule) {
+        const { paymentSchedule: select, fixedDeposit } = this.f3.inputs;
+        if (!paymentSchedule || !select || !fixedDeposit || !this.configManager) return;
+
+        const schedule = this.configManager.getPaymentSchedule(paymentSchedule.id);
+        const fixedMilestone = schedule.milestones.find(milestone => milestone.amount !== undefined);
+        select.value = schedule.id;
+        // The deposit only applies to schedules with a fixed amount; it defaults to the schedule's own.
+        fixedDeposit.disabled = !fixedMilestone;
+        fixedDeposit.placeholder = fixedMilestone ? String(fixedMilestone.amount) : '';
+        if (document.activeElement !== fixedDeposit) {
+            fixedDeposit.value = fixedMilestone && typeof paymentSchedule.depositAmount === 'number' ? paymentSchedule.depositAmount : '';
+        }
+    }
+
     activate() {
         // This method is called when the tab becomes active.
         // The render logic will automatically handle pre-filling empty fields.
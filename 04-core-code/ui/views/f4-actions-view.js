@@ -1,9 +1,11 @@
 // File: 04-core-code/ui/views/f4-actions-view.js
 
-import { EVENTS } from '../../config/constants.js';
+import { EVENTS, DOM_IDS } from '../../config/constants.js';
+import { escapeHtml } from '../../utils/template-engine.js';
 
 /**
- * @fileoverview A dedicated sub-view for handling all logic related to the F4 (Actions) tab.
+ * @fileoverview A dedicated sub-view for handling all logic related to the F4 (Actions) tab,
+ * including the local Quote Library list.
  */
 export class F4ActionsView {
     constructor({ panelElement, eventAggregator }) {
@@ -21,8 +23,22 @@ export class F4ActionsView {
             buttons: {
                 'f1-key-save': query('#f1-key-save'),
                 'f1-key-export': query('#f1-key-export'),
+                'f1-key-export-xlsx': query('#f1-key-export-xlsx'),
                 'f1-key-load': query('#f1-key-load'),
                 'f1-key-reset': query('#f1-key-reset'),
+                'f1-key-price-lists': query('#f1-key-price-lists'),
+            },
+            library: {
+                search: query(`#${DOM_IDS.F4_LIBRARY_SEARCH}`),
+                list: query(`#${DOM_IDS.F4_LIBRARY_LIST}`),
+                buttons: {
+                    [DOM_IDS.F4_LIBRARY_SAVE]: query(`#${DOM_IDS.F4_LIBRARY_SAVE}`),
+                    [DOM_IDS.F4_LIBRARY_OPEN]: query(`#${DOM_IDS.F4_LIBRARY_OPEN}`),
+                    [DOM_IDS.F4_LIBRARY_DUPLICATE]: query(`#${DOM_IDS.F4_LIBRARY_DUPLICATE}`),
+                    [DOM_IDS.F4_LIBRARY_RENAME]: query(`#${DOM_IDS.F4_LIBRARY_RENAME}`),
+                    [DOM_IDS.F4_LIBRARY_DELETE]: query(`#${DOM_IDS.F4_LIBRARY_DELETE}`),
+                    [DOM_IDS.F4_LIBRARY_REVISIONS]: query(`#${DOM_IDS.F4_LIBRARY_REVISIONS}`),
+                }
             }
         };
     }
@@ -31,8 +47,10 @@ export class F4ActionsView {
         const buttonEventMap = {
             'f1-key-save': EVENTS.USER_REQUESTED_SAVE,
             'f1-key-export': EVENTS.USER_REQUESTED_EXPORT_CSV,
+            'f1-key-export-xlsx': EVENTS.USER_REQUESTED_EXPORT_XLSX,
             'f1-key-load': EVENTS.USER_REQUESTED_LOAD,
-            'f1-key-reset': EVENTS.USER_REQUESTED_RESET
+            'f1-key-reset': EVENTS.USER_REQUESTED_RESET,
+            'f1-key-price-lists': EVENTS.USER_REQUESTED_PRICE_MATRIX_EDITOR
         };
 
         for (const [id, eventName] of Object.entries(buttonEventMap)) {
@@ -41,7 +59,90 @@ export class F4ActionsView {
                 button.addEventListener('click', () => this.eventAggregator.publish(eventName));
             }
         }
+
+        this._initializeLibraryListeners();
     }
 
-    // This view is static and doesn't require render or activate methods.
+    _initializeLibraryListeners() {
+        const { search, list, buttons } = this.f4.library;
+
+        const libraryButtonEventMap = {
+            [DOM_IDS.F4_LIBRARY_SAVE]: EVENTS.USER_REQUESTED_SAVE_TO_LIBRARY,
+            [DOM_IDS.F4_LIBRARY_OPEN]: EVENTS.USER_REQUESTED_OPEN_LIBRARY_QUOTE,
+            [DOM_IDS.F4_LIBRARY_DUPLICATE]: EVENTS.USER_REQUESTED_DUPLICATE_LIBRARY_QUOTE,
+            [DOM_IDS.F4_LIBRARY_RENAME]: EVENTS.USER_REQUESTED_RENAME_LIBRARY_QUOTE,
+            [DOM_IDS.F4_LIBRARY_DELETE]: EVENTS.USER_REQUESTED_DELETE_LIBRARY_QUOTE,
+            [DOM_IDS.F4_LIBRARY_REVISIONS]: EVENTS.USER_REQUESTED_QUOTE_REVISIONS
+        };
+
+        for (const [id, eventName] of Object.entries(libraryButtonEventMap)) {
+            const button = buttons[id];
+            if (button) {
+                button.addEventListener('click', () => this.eventAggregator.publish(eventName));
+            }
+        }
+
+        if (search) {
+            search.addEventListener('input', (event) => {
+                this.eventAggregator.publish(EVENTS.USER_SEARCHED_QUOTE_LIBRARY, { searchTerm: event.target.value });
+            });
+        }
+
+        if (list) {
+            list.addEventListener('click', (event) => {
+                const row = event.target.closest('tr[data-quote-id]');
+                if (row) {
+                    this.eventAggregator.publish(EVENTS.USER_SELECTED_LIBRARY_QUOTE, { quoteId: row.dataset.quoteId });
+                }
+            });
+            list.addEventListener('dblclick', (event) => {
+                if (event.target.closest('tr[data-quote-id]')) {
+                    this.eventAggregator.publish(EVENTS.USER_REQUESTED_OPEN_LIBRARY_QUOTE);
+                }
+            });
+        }
+    }
+
+    render(state) {
+        const { list, search, buttons } = this.f4.library;
+        if (!list || !state) return;
+
+        const { entries, searchTerm, selectedQuoteId } = state.ui.quoteLibrary;
+        const currentQuoteId = state.quoteData.quoteId;
+
+        if (search && search.value !== searchTerm) {
+            search.value = searchTerm;
+        }
+
+        if (entries.length === 0) {
+            list.innerHTML = `<tr><td colspan="5" class="quote-library-empty">${searchTerm ? 'No matching quotes.' : 'No saved quotes yet.'}</td></tr>`;
+        } else {
+            list.innerHTML = entries.map(entry => {
+                const classes = [
+                    entry.quoteId === selectedQuoteId ? 'is-selected' : '',
+                    entry.quoteId === currentQuoteId ? 'is-current' : ''
+                ].filter(Boolean).join(' ');
+                const total = typeof entry.totalSum === 'number' ? `$${entry.totalSum.toFixed(2)}` : '';
+                return `
+                    <tr data-quote-id="${escapeHtml(entry.quoteId)}" class="${classes}">
+                        <td>${escapeHtml(entry.quoteId)}</td>
+                        <td>${escapeHtml(entry.name)}</td>
+                        <td class="text-right">${entry.itemCount}</td>
+                        <td class="text-right">${total}</td>
+                        <td>${new Date(entry.updatedAt).toLocaleString()}</td>
+                    </tr>`;
+            }).join('');
+        }
+
+        const hasSelection = entries.some(entry => entry.quoteId === selectedQuoteId);
+        [DOM_IDS.F4_LIBRARY_OPEN, DOM_IDS.F4_LIBRARY_DUPLICATE, DOM_IDS.F4_LIBRARY_RENAME, DOM_IDS.F4_LIBRARY_DELETE,
+            DOM_IDS.F4_LIBRARY_REVISIONS]
+            .forEach(id => {
+                if (buttons[id]) buttons[id].disabled = !hasSelection;
+            });
+    }
+
+    activate() {
+        this.eventAggregator.publish(EVENTS.F4_TAB_ACTIVATED);
+    }
 }
\ No newline at end of file
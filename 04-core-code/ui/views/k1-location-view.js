@@ -104,6 +104,5 @@ export class K1LocationView {
      * This method is called by the main DetailConfigView when the K1 tab becomes active.
      */
     activate() {
-        this.stateService.dispatch(uiActions.setVisibleColumns(['sequence', 'fabricTypeDisplay', 'location']));
     }
 }
\ No newline at end of file
@@ -8,9 +8,10 @@ import * as quoteActions from '../../actions/quote-actions.js';
  * @fileoverview A dedicated sub-view for handling all logic related to the K2 (Fabric) tab.
  */
 export class K2FabricView {
-    constructor({ stateService, eventAggregator, publishStateChangeCallback }) {
+    constructor({ stateService, eventAggregator, configManager, publishStateChangeCallback }) {
         this.stateService = stateService;
         this.eventAggregator = eventAggregator;
+        this.configManager = configManager;
         this.publish = publishStateChangeCallback;
         
         this.indexesToExcludeFromBatchUpdate = new Set();
@@ -263,7 +264,17 @@ export class K2FabricView {
         }
     }
     
+    /**
+     * Shows only the batch table rows for the current product's fabric types.
+     * The LF row stays visible as it applies to any fabric.
+     */
     activate() {
-        this.stateService.dispatch(uiActions.setVisibleColumns(['sequence', 'fabricTypeDisplay', 'fabric', 'color']));
+        const { quoteData } = this._getState();
+        const productTypes = new Set(this.configManager.getFabricTypeSequence(quoteData.currentProduct));
+        document.querySelectorAll('#fabric-batch-table tbody tr').forEach(row => {
+            const input = row.querySelector('.panel-input');
+            const type = input ? input.dataset.type : null;
+            row.classList.toggle('is-hidden', type !== 'LF' && !productTypes.has(type));
+        });
     }
 }
\ No newline at end of file
@@ -6,8 +6,9 @@ import * as quoteActions from '../../actions/quote-actions.js';
  * @fileoverview A dedicated sub-view for handling all logic related to the K3 (Options) tab.
  */
 export class K3OptionsView {
-    constructor({ stateService, publishStateChangeCallback }) {
+    constructor({ stateService, productFactory, publishStateChangeCallback }) {
         this.stateService = stateService;
+        this.productFactory = productFactory;
         this.publish = publishStateChangeCallback;
         console.log("K3OptionsView Initialized.");
     }
@@ -32,22 +33,20 @@ export class K3OptionsView {
     }
 
     /**
-     * Handles batch cycling for a given property (over, oi, lr).
+     * Handles batch cycling for a given property (e.g. over, oi, lr, fullness).
+     * The available sequences come from the current product's strategy.
      * @param {object} data - The event data containing the column to cycle.
      */
     handleBatchCycle({ column }) {
         const items = this._getItems();
         if (items.length === 0 || !items[0]) return;
 
-        const BATCH_CYCLE_SEQUENCES = {
-            over: ['O', ''],
-            oi: ['IN', 'OUT'],
-            lr: ['L', 'R']
-        };
-        const sequence = BATCH_CYCLE_SEQUENCES[column];
+        const { quoteData } = this._getState();
+        const productStrategy = this.productFactory.getProductStrategy(quoteData.currentProduct);
+        const sequence = productStrategy.getOptionCycleSequences()[column];
         if (!sequence) return;
         
-        const firstItemValue = items[0][column] || '';
+        const firstItemValue = items[0][column] ?? '';
         const currentIndex = sequence.indexOf(firstItemValue);
         const nextIndex = (currentIndex === -1) ? 0 : (currentIndex + 1) % sequence.length;
         const nextValue = sequence[nextIndex];
@@ -71,8 +70,8 @@ export class K3OptionsView {
 
     /**
      * This method is called by the main DetailConfigView when the K3 tab becomes active.
+     * Visible columns are set by DetailConfigView from the current product's strategy.
      */
     activate() {
-        this.stateService.dispatch(uiActions.setVisibleColumns(['sequence', 'fabricTypeDisplay', 'location', 'over', 'oi', 'lr']));
     }
 }
\ No newline at end of file
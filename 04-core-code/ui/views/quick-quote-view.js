@@ -16,7 +16,10 @@ export class QuickQuoteView {
         this.eventAggregator = eventAggregator;
         this.productFactory = productFactory;
         this.configManager = configManager;
-        this.currentProduct = 'rollerBlind';
+    }
+
+    _getCurrentProductKey() {
+        return this.stateService.getState().quoteData.currentProduct;
     }
 
     _getItems() {
@@ -115,7 +118,7 @@ export class QuickQuoteView {
         const { ui } = this.stateService.getState();
         const { inputValue, inputMode, activeCell } = ui;
         const value = inputValue === '' ? null : parseInt(inputValue, 10);
-        const productStrategy = this.productFactory.getProductStrategy(this.currentProduct);
+        const productStrategy = this.productFactory.getProductStrategy(this._getCurrentProductKey());
         const validationRules = productStrategy.getValidationRules();
         const rule = validationRules[inputMode];
 
@@ -134,6 +137,11 @@ export class QuickQuoteView {
         const result = this.fileService.saveToJson(quoteData);
         const notificationType = result.success ? 'info' : 'error';
         this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: result.message, type: notificationType });
+
+        // The downloaded file is an export; the library keeps the working copy and its revisions.
+        if (result.success) {
+            this.eventAggregator.publish(EVENTS.QUOTE_SAVED);
+        }
     }
 
     handleExportCSV() {
@@ -143,10 +151,20 @@ export class QuickQuoteView {
         this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: result.message, type: notificationType });
     }
 
+    handleExportXLSX() {
+        const { quoteData, ui } = this.stateService.getState();
+        const result = this.fileService.exportToXlsx(quoteData, ui.f2);
+        const notificationType = result.success ? 'info' : 'error';
+        this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: result.message, type: notificationType });
+    }
+
     handleReset() {
         if (window.confirm("This will clear all data. Are you sure?")) {
             this.stateService.dispatch(quoteActions.resetQuoteData());
             this.stateService.dispatch(uiActions.resetUi());
+            // A new quote is priced from the current list for the default group.
+            this.configManager.usePriceList(null);
+            this.configManager.useCustomerGroup(null);
             this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'Quote has been reset.' });
         }
     }
@@ -218,6 +236,10 @@ export class QuickQuoteView {
             this.stateService.dispatch(uiActions.setActiveCell(rowIndex, column));
             this.stateService.dispatch(quoteActions.cycleItemType(rowIndex));
             this.stateService.dispatch(uiActions.setSumOutdated(true));
+        } else if (column === 'fullness') {
+            if (!item.width && !item.height) return;
+            this.stateService.dispatch(quoteActions.cycleK3Property(rowIndex, column));
+            this.stateService.dispatch(uiActions.setSumOutdated(true));
         }
     }
 
@@ -231,7 +253,7 @@ export class QuickQuoteView {
     }
 
     _showFabricTypeDialog(callback, dialogTitle = 'Select a fabric type:') {
-        const fabricTypes = this.configManager.getFabricTypeSequence();
+        const fabricTypes = this.configManager.getFabricTypeSequence(this._getCurrentProductKey());
         if (fabricTypes.length === 0) return;
 
         const layout = fabricTypes.map(type => {
@@ -269,6 +291,17 @@ export class QuickQuoteView {
         }, `Set fabric type for Row #${rowIndex + 1}:`);
     }
 
+    handlePriceCellLongPress({ rowIndex }) {
+        const { quoteData, ui } = this.stateService.getState();
+        const item = this._getItems()[rowIndex];
+        if (!item || (!item.width && !item.height)) {
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'There is no price to explain on an empty row.', type: 'error' });
+            return;
+        }
+        const breakdown = this.calculationService.explainItemPrice(quoteData, ui, quoteData.currentProduct, rowIndex);
+        this.eventAggregator.publish(EVENTS.SHOW_PRICE_BREAKDOWN, { breakdown });
+    }
+
     handleTypeButtonLongPress() {
         this._showFabricTypeDialog((newType) => {
             this.stateService.dispatch(quoteActions.batchUpdateFabricType(newType));
@@ -297,20 +330,61 @@ export class QuickQuoteView {
 
     handleCalculateAndSum() {
         const { quoteData } = this.stateService.getState();
-        const productStrategy = this.productFactory.getProductStrategy(this.currentProduct);
-        const { updatedQuoteData, firstError } = this.calculationService.calculateAndSum(quoteData, productStrategy);
+        const { updatedQuoteData, firstError } = this.calculationService.calculateAllProducts(quoteData);
 
         this.stateService.dispatch(quoteActions.setQuoteData(updatedQuoteData));
 
         if (firstError) {
             this.stateService.dispatch(uiActions.setSumOutdated(true));
-            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: firstError.message, type: 'error' });
-            this.stateService.dispatch(uiActions.setActiveCell(firstError.rowIndex, firstError.column));
+            if (firstError.productKey === quoteData.currentProduct) {
+                this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: firstError.message, type: 'error' });
+                this.stateService.dispatch(uiActions.setActiveCell(firstError.rowIndex, firstError.column));
+            } else {
+                const productName = this.productFactory.getProductStrategy(firstError.productKey).getDisplayName();
+                this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `${productName} ${firstError.message}`, type: 'error' });
+            }
         } else {
             this.stateService.dispatch(uiActions.setSumOutdated(false));
         }
     }
 
+    handleProductSwitchRequest() {
+        const currentProductKey = this._getCurrentProductKey();
+        const products = this.productFactory.getAvailableProducts();
+
+        const layout = products.map(({ key, name }) => [
+            {
+                type: 'button',
+                text: key === currentProductKey ? `${name} (current)` : name,
+                callback: () => this._switchProduct(key, name),
+                colspan: 3
+            }
+        ]);
+        layout.push([
+            { type: 'text', text: '', colspan: 2 },
+            { type: 'button', text: 'Cancel', className: 'secondary cancel-cell', callback: () => { }, colspan: 1 }
+        ]);
+
+        this.eventAggregator.publish(EVENTS.SHOW_CONFIRMATION_DIALOG, {
+            message: 'Select a product:',
+            layout: layout,
+            position: 'bottomThird'
+        });
+    }
+
+    _switchProduct(productKey, productName) {
+        if (productKey === this._getCurrentProductKey()) return;
+
+        const productStrategy = this.productFactory.getProductStrategy(productKey);
+        this.stateService.dispatch(quoteActions.setCurrentProduct(productKey));
+        this.stateService.dispatch(uiActions.clearMultiSelectSelection());
+        this.stateService.dispatch(uiActions.setVisibleColumns(productStrategy.getQuickQuoteColumns()));
+        this.stateService.dispatch(uiActions.setActiveCell(0, 'width'));
+        this.stateService.dispatch(uiActions.setInputValue(this._getItems()[0]?.width));
+        this.stateService.dispatch(uiActions.setSumOutdated(true));
+        this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `Switched to ${productName}.` });
+    }
+
     handleSaveThenLoad() {
         this.handleSaveToFile();
         this.eventAggregator.publish(EVENTS.TRIGGER_FILE_LOAD);
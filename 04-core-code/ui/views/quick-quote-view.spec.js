@@ -115,4 +115,29 @@ describe('QuickQuoteView', () => {
             expect(mockUiService.setActiveCell).toHaveBeenCalledWith(1, 'width');
         });
     });
-});
\ No newline at end of file
+
+    describe('handlePriceCellLongPress', () => {
+        const buildView = (items) => {
+            const state = { quoteData: { currentProduct: 'rollerBlind', products: { rollerBlind: { items } } }, ui: { f2: {} } };
+            mockCalculationService.explainItemPrice = jest.fn().mockReturnValue({ rowNumber: 1, price: 120 });
+            return new QuickQuoteView({
+                stateService: { getState: () => state },
+                calculationService: mockCalculationService,
+                eventAggregator: mockEventAggregator
+            });
+        };
+
+        it('should show the breakdown of the pressed row', () => {
+            buildView([{ width: 1000, height: 1000, fabricType: 'B1', linePrice: 120 }]).handlePriceCellLongPress({ rowIndex: 0 });
+
+            expect(mockCalculationService.explainItemPrice).toHaveBeenCalledWith(expect.any(Object), { f2: {} }, 'rollerBlind', 0);
+            expect(mockEventAggregator.publish).toHaveBeenCalledWith(EVENTS.SHOW_PRICE_BREAKDOWN, { breakdown: { rowNumber: 1, price: 120 } });
+        });
+
+        it('should not explain the empty last row', () => {
+            buildView([{ width: null, height: null }]).handlePriceCellLongPress({ rowIndex: 0 });
+
+            expect(mockEventAggregator.publish).toHaveBeenCalledWith(EVENTS.SHOW_NOTIFICATION, expect.objectContaining({ type: 'error' }));
+        });
+    });
+});
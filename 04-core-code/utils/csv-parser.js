@@ -2,121 +2,376 @@
 
 /**
  * @fileoverview Utility functions for parsing and stringifying CSV data.
+ *
+ * `parseCsv`/`stringifyCsv` implement RFC 4180 (quoted fields, doubled quotes, embedded
+ * line breaks, CRLF records). A quote file is written as two tables separated by a blank line:
+ *   1. the item table, one row per item of every product line, mapped by header name;
+ *   2. a `Field,Value` table with the quote number, dates, customer, LF rows, the what-if
+ *      scenarios, fee overrides and fee audit (as JSON) and each product's summary (totals
+ *      and accessory counts) flattened to dotted paths.
+ * The same record tables back the XLSX format (see xlsx-parser.js).
  */
 
+export const CSV_BOM = '\uFEFF';
+
+const NUMBER = 'number';
+const NULLABLE_STRING = 'nullableString';
+const STRING = 'string';
+const AUTO = 'auto';
+const JSON_VALUE = 'json';
+
+const DEFAULT_PRODUCT = 'rollerBlind';
+const PRODUCT_HEADER = 'Product';
+const SEQUENCE_HEADERS = ['#', 'sequence'];
+const LF_HEADER = 'IsLF';
+export const FIELD_TABLE_HEADER = ['Field', 'Value'];
+export const SUMMARY_FIELD_PREFIX = 'Summary: ';
+const EMPTY_OBJECT_MARKER = '{}';
+
+const ITEM_COLUMNS = [
+    { header: 'ItemId', field: 'itemId', type: STRING },
+    { header: 'Width', field: 'width', type: NUMBER },
+    { header: 'Height', field: 'height', type: NUMBER },
+    { header: 'Type', field: 'fabricType', type: NULLABLE_STRING },
+    { header: 'Price', field: 'linePrice', type: NUMBER },
+    { header: 'Location', field: 'location', type: STRING },
+    { header: 'F-Name', field: 'fabric', type: STRING },
+    { header: 'F-Color', field: 'color', type: STRING },
+    { header: 'Over', field: 'over', type: STRING },
+    { header: 'O/I', field: 'oi', type: STRING },
+    { header: 'L/R', field: 'lr', type: STRING },
+    { header: 'Dual', field: 'dual', type: STRING },
+    { header: 'Chain', field: 'chain', type: NUMBER },
+    { header: 'Winder', field: 'winder', type: STRING },
+    { header: 'Motor', field: 'motor', type: STRING },
+    { header: 'Fullness', field: 'fullness', type: NUMBER }
+];
+
+const QUOTE_FIELDS = [
+    { label: 'Quote No', path: 'quoteId', type: NULLABLE_STRING },
+    { label: 'Issue Date', path: 'issueDate', type: NULLABLE_STRING },
+    { label: 'Due Date', path: 'dueDate', type: NULLABLE_STRING },
+    { label: 'Status', path: 'status', type: STRING },
+    { label: 'Price List Version', path: 'priceListVersion', type: NULLABLE_STRING },
+    { label: 'Cost Discount %', path: 'costDiscountPercentage', type: NUMBER },
+    { label: 'Payment Schedule', path: 'paymentSchedule.id', type: STRING },
+    { label: 'Fixed Deposit', path: 'paymentSchedule.depositAmount', type: NUMBER },
+    { label: 'Current Product', path: 'currentProduct', type: STRING },
+    { label: 'Customer Name', path: 'customer.name', type: STRING },
+    { label: 'Customer Address', path: 'customer.address', type: STRING },
+    { label: 'Customer Postcode', path: 'customer.postcode', type: STRING },
+    { label: 'Customer Phone', path: 'customer.phone', type: STRING },
+    { label: 'Customer Email', path: 'customer.email', type: STRING },
+    { label: 'Customer Tax Exempt', path: 'customer.taxExempt', type: AUTO },
+    { label: 'Customer Group', path: 'customer.groupId', type: STRING },
+    { label: 'LF Rows', path: 'uiMetadata.lfModifiedRowIndexes', type: 'indexList' },
+    { label: 'Scenarios', path: 'scenarios', type: JSON_VALUE },
+    { label: 'Fee Overrides', path: 'feeOverrides', type: JSON_VALUE },
+    { label: 'Fee Audit', path: 'feeAudit', type: JSON_VALUE }
+];
+
+// --- RFC 4180 reader & writer ---
+
 /**
- * Converts the application's quote data object into a comprehensive CSV formatted string,
- * including all detailed item properties and LF status.
- * @param {object} quoteData The application's quote data.
- * @returns {string} A string in CSV format.
+ * Parses CSV text into records. A leading BOM is ignored and CRLF, LF or CR all end a record.
+ * A blank line is returned as a record with a single empty field.
+ * @param {string} text The CSV text.
+ * @returns {Array<Array<string>>} The records.
  */
-export function dataToCsv(quoteData) {
-    const currentProductKey = quoteData?.currentProduct;
-    const productData = quoteData?.products?.[currentProductKey];
-    const lfModifiedRowIndexes = quoteData?.uiMetadata?.lfModifiedRowIndexes || [];
-
-    if (!productData || !productData.items) return "";
-
-    const headers = [
-        '#', 'Width', 'Height', 'Type', 'Price', 
-        'Location', 'F-Name', 'F-Color', 'Over', 'O/I', 'L/R', 
-        'Dual', 'Chain', 'Winder', 'Motor', 'IsLF'
-    ];
-    
-    const rows = productData.items.map((item, index) => {
-        if (item.width || item.height) {
-            const rowData = [
-                index + 1,
-                item.width || '',
-                item.height || '',
-                item.fabricType || '',
-                item.linePrice !== null ? item.linePrice.toFixed(2) : '',
-                item.location || '',
-                item.fabric || '',
-                item.color || '',
-                item.over || '',
-                item.oi || '',
-                item.lr || '',
-                item.dual || '',
-                item.chain || '',
-                item.winder || '',
-                item.motor || '',
-                lfModifiedRowIndexes.includes(index) ? 1 : 0
-            ];
-            return rowData.map(value => {
-                const strValue = String(value);
-                if (strValue.includes(',')) {
-                    return `"${strValue}"`;
-                }
-                return strValue;
-            }).join(',');
+export function parseCsv(text) {
+    const input = text.startsWith(CSV_BOM) ? text.slice(1) : text;
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char !== '"') {
+                field += char;
+            } else if (input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else {
+                inQuotes = false;
+            }
+        } else if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\r' || char === '\n') {
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+            if (char === '\r' && input[i + 1] === '\n') i++;
+        } else {
+            field += char;
         }
-        return null;
-    }).filter(row => row !== null);
+    }
 
-    const totalSum = productData.summary ? productData.summary.totalSum : null;
-    let summaryRow = '';
-    if (typeof totalSum === 'number') {
-        summaryRow = `\n\nTotal,,,,${totalSum.toFixed(2)}`;
+    if (inQuotes) {
+        throw new Error('Unterminated quoted field in CSV.');
     }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+    return records;
+}
+
+/**
+ * Writes records as CSV text with CRLF line breaks. Fields containing a comma, quote or
+ * line break are quoted, and embedded quotes are doubled.
+ * @param {Array<Array<*>>} records The records; null and undefined are written as empty fields.
+ * @returns {string} The CSV text.
+ */
+export function stringifyCsv(records) {
+    const escapeField = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return records.map(record => record.map(escapeField).join(',')).join('\r\n') + '\r\n';
+}
+
+// --- Quote data mapping ---
+
+/**
+ * Lays a quote out as the two record tables a quote file is made of. Values are left typed
+ * (numbers stay numbers), so spreadsheet writers can keep them as numeric cells.
+ * @param {object} quoteData The application's quote data.
+ * @returns {{items: Array<Array<*>>, fields: Array<Array<*>>}|null} Both tables start with their header record.
+ */
+export function quoteToRecordTables(quoteData) {
+    const products = quoteData?.products;
+    if (!products) return null;
+
+    const currentProduct = quoteData.currentProduct;
+    const lfModifiedRowIndexes = quoteData.uiMetadata?.lfModifiedRowIndexes || [];
+    const allItems = Object.values(products).flatMap(productData => productData.items || []);
+
+    // Only columns some item actually has; fields without a known header keep their own name.
+    const knownFields = new Set(ITEM_COLUMNS.map(column => column.field));
+    const columns = ITEM_COLUMNS.filter(column => allItems.some(item => column.field in item));
+    allItems.forEach(item => Object.keys(item).forEach(field => {
+        if (!knownFields.has(field) && !columns.some(column => column.field === field)) {
+            columns.push({ header: field, field });
+        }
+    }));
+
+    const itemRecords = Object.entries(products).flatMap(([productKey, productData]) =>
+        (productData.items || []).map((item, index) => [
+            productKey,
+            index + 1,
+            ...columns.map(column => _encodeValue(item[column.field])),
+            productKey === currentProduct && lfModifiedRowIndexes.includes(index) ? 1 : 0
+        ])
+    );
+
+    const fieldRecords = QUOTE_FIELDS.map(({ label, path, type }) => [label, _encodeValue(_getPath(quoteData, path), type)]);
+    Object.entries(products).forEach(([productKey, productData]) => {
+        _flatten(productData.summary || {}).forEach(([path, value]) => {
+            fieldRecords.push([`${SUMMARY_FIELD_PREFIX}${productKey}.${path}`, _encodeValue(value)]);
+        });
+    });
+
+    return {
+        items: [[PRODUCT_HEADER, SEQUENCE_HEADERS[0], ...columns.map(column => column.header), LF_HEADER], ...itemRecords],
+        fields: [FIELD_TABLE_HEADER, ...fieldRecords]
+    };
+}
+
+/**
+ * Reads the two record tables of a quote file back into items per product plus the quote-level fields.
+ * Item columns are mapped by header name, so column order does not matter and files written
+ * by older versions (current product only, no field table) still load.
+ * @param {{items: Array<Array<string>>, fields: Array<Array<string>>}} tables Records of text cells,
+ *   each table starting with its header record.
+ * @param {object} [options]
+ * @param {function(string): object} [options.createItem] Returns a blank item for a product key;
+ *   its fields and value types are used for the columns a row does not fill.
+ * @returns {{products: object, quoteFields: object, lfIndexes: Array<number>}}
+ *   `products` maps product keys to `{ items, summary }` (summary is null when the file has none);
+ *   `quoteFields` is a partial quoteData object.
+ */
+export function recordTablesToData({ items, fields = [] }, { createItem = () => ({}) } = {}) {
+    const quoteFields = _readQuoteFields(fields.filter(record => !_isBlankRecord(record)));
+    const currentProduct = quoteFields.currentProduct || DEFAULT_PRODUCT;
+
+    const headers = items[0].map(header => header.trim());
+    const products = {};
+    const lfIndexesFromRows = [];
+
+    items.slice(1).forEach(record => {
+        if (_isBlankRecord(record) || record[0].trim().toLowerCase() === 'total') return;
+
+        const cells = Object.fromEntries(headers.map((header, index) => [header.toLowerCase(), record[index] ?? '']));
+        const productKey = cells[PRODUCT_HEADER.toLowerCase()] || DEFAULT_PRODUCT;
+        products[productKey] = products[productKey] || { items: [], summary: null };
+
+        const item = _readItem(headers, record, createItem(productKey));
+        products[productKey].items.push(item);
+
+        if (productKey === currentProduct && parseInt(cells[LF_HEADER.toLowerCase()], 10) === 1) {
+            lfIndexesFromRows.push(products[productKey].items.length - 1);
+        }
+    });
+
+    Object.entries(quoteFields.summaries).forEach(([productKey, summary]) => {
+        if (products[productKey]) products[productKey].summary = summary;
+    });
+    delete quoteFields.summaries;
 
-    return [headers.join(','), ...rows].join('\n') + summaryRow;
+    // The LF Rows field keeps the original order; the IsLF column covers files without it.
+    const lfIndexes = quoteFields.uiMetadata?.lfModifiedRowIndexes || lfIndexesFromRows;
+    delete quoteFields.uiMetadata;
+
+    return { products, quoteFields, lfIndexes };
+}
+
+/**
+ * Converts the application's quote data object into a CSV formatted string covering every
+ * product line, the quote and customer fields, and each product's summary.
+ * @param {object} quoteData The application's quote data.
+ * @returns {string} A string in CSV format.
+ */
+export function dataToCsv(quoteData) {
+    const tables = quoteToRecordTables(quoteData);
+    if (!tables) return "";
+    return stringifyCsv([...tables.items, [], ...tables.fields]);
 }
 
 
 /**
- * Converts a CSV formatted string into an object containing item objects and LF indexes.
+ * Converts a CSV formatted string into items per product plus the quote-level fields.
  * This function is "pure" and has no external dependencies.
  * @param {string} csvString The string containing CSV data.
- * @returns {{items: Array<object>, lfIndexes: Array<number>}|null} An object with items and their LF status, or null if parsing fails.
+ * @param {object} [options] See `recordTablesToData`.
+ * @returns {{products: object, quoteFields: object, lfIndexes: Array<number>}|null}
+ *   The parsed content (see `recordTablesToData`), or null if parsing fails.
  */
-export function csvToData(csvString) {
+export function csvToData(csvString, options) {
     try {
-        const lines = csvString.trim().split('\n');
-        const headerIndex = lines.findIndex(line => line.trim() !== '');
-        if (headerIndex === -1) return null;
+        const records = parseCsv(csvString);
 
-        const dataLines = lines.slice(headerIndex + 1);
-
-        const items = [];
-        const lfIndexes = [];
-        for (const line of dataLines) {
-            const trimmedLine = line.trim();
-            if (!trimmedLine || trimmedLine.toLowerCase().startsWith('total')) {
-                continue;
-            }
-            
-            const values = trimmedLine.split(',');
-
-            const item = {
-                itemId: `item-${Date.now()}-${items.length}`,
-                width: parseInt(values[1], 10) || null,
-                height: parseInt(values[2], 10) || null,
-                fabricType: values[3] || null,
-                linePrice: parseFloat(values[4]) || null,
-                location: values[5] || '',
-                fabric: values[6] || '',
-                color: values[7] || '',
-                over: values[8] || '',
-                oi: values[9] || '',
-                lr: values[10] || '',
-                dual: values[11] || '',
-                chain: parseInt(values[12], 10) || null,
-                winder: values[13] || '',
-                motor: values[14] || ''
-            };
-            items.push(item);
-            
-            const isLf = parseInt(values[15], 10) === 1;
-            if (isLf) {
-                lfIndexes.push(items.length - 1);
-            }
-        }
+        const headerIndex = records.findIndex(record => !_isBlankRecord(record));
+        if (headerIndex === -1) return null;
+        const tableEnd = records.findIndex((record, index) => index > headerIndex && _isBlankRecord(record));
 
-        return { items, lfIndexes };
+        return recordTablesToData({
+            items: records.slice(headerIndex, tableEnd === -1 ? records.length : tableEnd),
+            fields: tableEnd === -1 ? [] : records.slice(tableEnd + 1)
+        }, options);
 
     } catch (error) {
         console.error("Failed to parse CSV string:", error);
         return null;
     }
-}
\ No newline at end of file
+}
+
+function _isBlankRecord(record) {
+    return record.every(cell => cell.trim() === '');
+}
+
+function _readItem(headers, record, template) {
+    const item = { ...template };
+    const columnsByHeader = new Map(ITEM_COLUMNS.map(column => [column.header.toLowerCase(), column]));
+    const reservedHeaders = [PRODUCT_HEADER, LF_HEADER, ...SEQUENCE_HEADERS].map(header => header.toLowerCase());
+
+    headers.forEach((header, index) => {
+        const key = header.toLowerCase();
+        if (!header || reservedHeaders.includes(key)) return;
+
+        const cell = record[index] ?? '';
+        const column = columnsByHeader.get(key) || { field: header, type: AUTO };
+        // Columns a product does not use (e.g. Over on a sheer curtain row) are left off its items.
+        if (!(column.field in template) && cell === '') return;
+        if (column.field === 'itemId' && cell === '') return;
+
+        const type = column.type === AUTO && typeof template[column.field] === 'string' ? STRING : column.type;
+        item[column.field] = _decodeValue(cell, type);
+    });
+    return item;
+}
+
+function _readQuoteFields(fieldRecords) {
+    const quoteFields = { summaries: {} };
+    if (fieldRecords.length === 0 || fieldRecords[0][0].trim() !== FIELD_TABLE_HEADER[0]) {
+        return quoteFields;
+    }
+
+    const fieldsByLabel = new Map(QUOTE_FIELDS.map(field => [field.label.toLowerCase(), field]));
+    fieldRecords.slice(1).forEach(([label = '', value = '']) => {
+        const trimmedLabel = label.trim();
+        if (trimmedLabel.startsWith(SUMMARY_FIELD_PREFIX)) {
+            const [productKey, ...path] = trimmedLabel.slice(SUMMARY_FIELD_PREFIX.length).split('.');
+            quoteFields.summaries[productKey] = quoteFields.summaries[productKey] || {};
+            _setPath(quoteFields.summaries[productKey], path.join('.'), _decodeValue(value, AUTO));
+            return;
+        }
+        const field = fieldsByLabel.get(trimmedLabel.toLowerCase());
+        // An empty JSON field leaves the initial-state default in place.
+        if (field && !(field.type === JSON_VALUE && value.trim() === '')) {
+            _setPath(quoteFields, field.path, _decodeValue(value, field.type));
+        }
+    });
+    return quoteFields;
+}
+
+function _encodeValue(value, type) {
+    if (value === null || value === undefined) return '';
+    if (type === JSON_VALUE) return JSON.stringify(value);
+    if (Array.isArray(value)) return value.join(' ');
+    if (typeof value === 'object') return EMPTY_OBJECT_MARKER;
+    return value;
+}
+
+function _decodeValue(text, type) {
+    switch (type) {
+        case STRING:
+            return text;
+        case NULLABLE_STRING:
+            return text === '' ? null : text;
+        case NUMBER: {
+            const number = parseFloat(text);
+            return Number.isNaN(number) ? null : number;
+        }
+        case 'indexList':
+            return text.trim() === '' ? [] : text.trim().split(/\s+/).map(index => parseInt(index, 10));
+        case JSON_VALUE:
+            return JSON.parse(text);
+        default:
+            if (text === '') return null;
+            if (text === EMPTY_OBJECT_MARKER) return {};
+            if (text === 'true' || text === 'false') return text === 'true';
+            return /^-?\d+(\.\d+)?(e[+-]?\d+)?$/i.test(text) ? Number(text) : text;
+    }
+}
+
+/**
+ * Flattens nested objects into [dottedPath, value] pairs. Empty objects are kept as leaves.
+ */
+function _flatten(object, prefix = '') {
+    return Object.entries(object).flatMap(([key, value]) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        const isNested = value !== null && typeof value === 'object' && !Array.isArray(value);
+        return isNested && Object.keys(value).length > 0 ? _flatten(value, path) : [[path, value]];
+    });
+}
+
+function _getPath(object, path) {
+    return path.split('.').reduce((value, key) => value?.[key], object);
+}
+
+function _setPath(object, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((node, key) => {
+        node[key] = node[key] || {};
+        return node[key];
+    }, object);
+    target[last] = value;
+}
@@ -0,0 +1,64 @@
+// File: 04-core-code/utils/csv-parser.spec.js
+
+import { parseCsv, stringifyCsv, csvToData, CSV_BOM } from './csv-parser.js';
+
+describe('csv-parser', () => {
+    describe('parseCsv', () => {
+        it('should read quoted fields with commas, doubled quotes and line breaks', () => {
+            const text = 'Location,Note\r\n"Bed 1, North","He said ""hi""\r\nthen left"\r\nKitchen,\r\n';
+
+            expect(parseCsv(text)).toEqual([
+                ['Location', 'Note'],
+                ['Bed 1, North', 'He said "hi"\r\nthen left'],
+                ['Kitchen', '']
+            ]);
+        });
+
+        it('should ignore a BOM, accept LF or CR line endings and keep blank lines as empty records', () => {
+            expect(parseCsv(`${CSV_BOM}a,b\n\nc,d\re`)).toEqual([['a', 'b'], [''], ['c', 'd'], ['e']]);
+        });
+
+        it('should reject an unterminated quoted field', () => {
+            expect(() => parseCsv('a,"b\n')).toThrow('Unterminated');
+        });
+    });
+
+    describe('stringifyCsv', () => {
+        it('should quote only the fields that need it and round-trip through parseCsv', () => {
+            const records = [['#', 'Location'], [1, 'Bed 1, North'], [2, 'A "quoted"\nname'], [3, null]];
+
+            const text = stringifyCsv(records);
+
+            expect(text).toBe('#,Location\r\n1,"Bed 1, North"\r\n2,"A ""quoted""\nname"\r\n3,\r\n');
+            expect(parseCsv(text)).toEqual(records.map(record => record.map(value => value === null ? '' : String(value))));
+        });
+    });
+
+    describe('csvToData', () => {
+        it('should map item columns by header name regardless of their order', () => {
+            const result = csvToData('Type,Location,Height,Width\nB2,"Bed 1, North",1300,1200\n');
+
+            expect(result.products.rollerBlind.items).toEqual([
+                { fabricType: 'B2', location: 'Bed 1, North', height: 1300, width: 1200 }
+            ]);
+        });
+
+        it('should read the IsLF column of files written without an LF Rows field', () => {
+            const legacyCsv = '#,Width,Height,Type,Price,IsLF\n1,1000,1000,B1,50.00,0\n2,1200,1000,B2,60.00,1\n\n\nTotal,,,,110.00';
+
+            const result = csvToData(legacyCsv);
+
+            expect(result.products.rollerBlind.items).toHaveLength(2);
+            expect(result.lfIndexes).toEqual([1]);
+            expect(result.products.rollerBlind.summary).toBeNull();
+        });
+
+        it('should read JSON-encoded fields and skip them when empty', () => {
+            const scenarios = [{ id: 'scenario-1', name: 'Premium, "B3"', itemOverrides: {}, f2Overrides: { mulTimes: 2 }, includeInQuote: true }];
+            const csv = `Width,Height\n1000,1000\n\nField,Value\nScenarios,"${JSON.stringify(scenarios).replace(/"/g, '""')}"\n`;
+
+            expect(csvToData(csv).quoteFields.scenarios).toEqual(scenarios);
+            expect(csvToData('Width,Height\n1000,1000\n\nField,Value\nScenarios,\n').quoteFields).not.toHaveProperty('scenarios');
+        });
+    });
+});
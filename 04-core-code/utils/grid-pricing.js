@@ -0,0 +1,121 @@
+// /04-core-code/utils/grid-pricing.js
+
+import { PRICING_METHODS } from '../config/constants.js';
+
+/**
+ * @fileoverview Prices a size from a width x drop grid under a pricing policy
+ * (see PRICING_METHODS and businessRules.pricingPolicy), for the grid-priced product strategies.
+ * Sizes are in millimetres; a null cell is a size the supplier does not make.
+ */
+
+const SQUARE_MM_PER_SQUARE_METRE = 1000000;
+
+const _round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Prices a size from a grid.
+ * @param {{name: string, widths: number[], drops: number[], prices: Array<Array<?number>>}} priceMatrix
+ * @param {number} width
+ * @param {number} drop
+ * @param {{method: string, minimumCharge: number, oversizeSurchargePercent: number}} policy
+ * @returns {{price: ?number, exceeds?: string, breakdown: object}} `exceeds` is 'width' or 'height'
+ *   when the size is past the grid and the policy does not extrapolate. The breakdown records the
+ *   breakpoints used, the grid price (`basePrice`) and what the policy added to it.
+ */
+export function priceFromGrid(priceMatrix, width, drop, policy) {
+    const breakdown = {
+        matrixName: priceMatrix.name,
+        policy: { ...policy },
+        width: { value: width },
+        drop: { value: drop },
+        basePrice: null,
+        oversizeSurcharge: 0,
+        minimumChargeApplied: false
+    };
+    const widthIndex = priceMatrix.widths.findIndex(w => width <= w);
+    const dropIndex = priceMatrix.drops.findIndex(d => drop <= d);
+    const isOversize = widthIndex === -1 || dropIndex === -1;
+
+    if (isOversize && policy.method !== PRICING_METHODS.EXTRAPOLATE) {
+        return { price: null, exceeds: widthIndex === -1 ? 'width' : 'height', breakdown };
+    }
+
+    let price;
+    if (isOversize) {
+        price = _extrapolate(priceMatrix, width, drop, policy, breakdown);
+    } else if (policy.method === PRICING_METHODS.INTERPOLATE) {
+        price = _interpolate(priceMatrix, width, drop, widthIndex, dropIndex, breakdown);
+    } else {
+        breakdown.width.breakpoint = priceMatrix.widths[widthIndex];
+        breakdown.drop.breakpoint = priceMatrix.drops[dropIndex];
+        price = priceMatrix.prices[dropIndex][widthIndex];
+        breakdown.basePrice = price ?? null;
+    }
+
+    if (typeof price === 'number' && price < (policy.minimumCharge || 0)) {
+        price = policy.minimumCharge;
+        breakdown.minimumChargeApplied = true;
+    }
+    return { price, breakdown };
+}
+
+/**
+ * Beyond the grid, the price per m² of the nearest edge cell is charged on the extra size,
+ * plus the oversize surcharge. Inside the grid on one axis, that axis still rounds up.
+ */
+function _extrapolate(priceMatrix, width, drop, policy, breakdown) {
+    const lastIndex = (breakpoints, index) => (index === -1 ? breakpoints.length - 1 : index);
+    const widthIndex = lastIndex(priceMatrix.widths, priceMatrix.widths.findIndex(w => width <= w));
+    const dropIndex = lastIndex(priceMatrix.drops, priceMatrix.drops.findIndex(d => drop <= d));
+    const edgeWidth = priceMatrix.widths[widthIndex];
+    const edgeDrop = priceMatrix.drops[dropIndex];
+    const edgePrice = priceMatrix.prices[dropIndex][widthIndex];
+
+    breakdown.width.breakpoint = edgeWidth;
+    breakdown.drop.breakpoint = edgeDrop;
+    breakdown.basePrice = edgePrice ?? null;
+    if (typeof edgePrice !== 'number') return edgePrice;
+
+    const chargedArea = Math.max(width, edgeWidth) * Math.max(drop, edgeDrop) / SQUARE_MM_PER_SQUARE_METRE;
+    const ratePerSquareMetre = edgePrice / (edgeWidth * edgeDrop / SQUARE_MM_PER_SQUARE_METRE);
+    const extrapolatedPrice = ratePerSquareMetre * chargedArea;
+    breakdown.extrapolation = {
+        ratePerSquareMetre: _round(ratePerSquareMetre),
+        area: Math.round(chargedArea * 1000) / 1000,
+        price: _round(extrapolatedPrice)
+    };
+    breakdown.oversizeSurcharge = _round(extrapolatedPrice * (policy.oversizeSurchargePercent || 0) / 100);
+    return _round(extrapolatedPrice + breakdown.oversizeSurcharge);
+}
+
+/**
+ * Blends the (up to) four cells around the size by how far it sits between their breakpoints.
+ * If any of them is a size that is not made, the round-up price is used instead.
+ */
+function _interpolate(priceMatrix, width, drop, widthIndex, dropIndex, breakdown) {
+    const bracket = (breakpoints, value, upper) => {
+        const lower = upper > 0 && breakpoints[upper] !== value ? upper - 1 : upper;
+        const fraction = lower === upper ? 0 : (value - breakpoints[lower]) / (breakpoints[upper] - breakpoints[lower]);
+        return { lower, upper, fraction };
+    };
+    const w = bracket(priceMatrix.widths, width, widthIndex);
+    const d = bracket(priceMatrix.drops, drop, dropIndex);
+    const cell = (dIndex, wIndex) => priceMatrix.prices[dIndex][wIndex];
+    const corners = [cell(d.lower, w.lower), cell(d.lower, w.upper), cell(d.upper, w.lower), cell(d.upper, w.upper)];
+
+    breakdown.width.breakpoints = [priceMatrix.widths[w.lower], priceMatrix.widths[w.upper]];
+    breakdown.drop.breakpoints = [priceMatrix.drops[d.lower], priceMatrix.drops[d.upper]];
+    breakdown.basePrice = cell(dropIndex, widthIndex) ?? null;
+    if (corners.some(price => typeof price !== 'number')) {
+        breakdown.interpolated = false;
+        return cell(dropIndex, widthIndex);
+    }
+
+    breakdown.interpolated = true;
+    return _round(
+        corners[0] * (1 - w.fraction) * (1 - d.fraction) +
+        corners[1] * w.fraction * (1 - d.fraction) +
+        corners[2] * (1 - w.fraction) * d.fraction +
+        corners[3] * w.fraction * d.fraction
+    );
+}
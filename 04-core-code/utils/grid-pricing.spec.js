@@ -0,0 +1,59 @@
+// /04-core-code/utils/grid-pricing.spec.js
+
+import { priceFromGrid } from './grid-pricing.js';
+
+const MATRIX = {
+    name: 'UNILINE - SUNSET',
+    widths: [1000, 2000],
+    drops: [1000, 2000],
+    prices: [
+        [100, 160],
+        [140, null]
+    ]
+};
+
+const policy = (method, overrides = {}) => ({ method, minimumCharge: 0, oversizeSurchargePercent: 0, ...overrides });
+
+describe('priceFromGrid', () => {
+    it('should round up to the next breakpoints and refuse sizes past the grid', () => {
+        const { price, breakdown } = priceFromGrid(MATRIX, 1200, 900, policy('roundUp'));
+
+        expect(price).toBe(160);
+        expect(breakdown).toEqual(expect.objectContaining({
+            matrixName: 'UNILINE - SUNSET',
+            width: { value: 1200, breakpoint: 2000 },
+            drop: { value: 900, breakpoint: 1000 },
+            basePrice: 160
+        }));
+        expect(priceFromGrid(MATRIX, 2100, 900, policy('roundUp'))).toEqual(expect.objectContaining({ price: null, exceeds: 'width' }));
+    });
+
+    it('should interpolate between breakpoints, falling back to round-up next to sizes not made', () => {
+        expect(priceFromGrid(MATRIX, 1500, 1000, policy('interpolate')).price).toBe(130);
+        expect(priceFromGrid(MATRIX, 800, 1000, policy('interpolate')).price).toBe(100);
+
+        const { price, breakdown } = priceFromGrid(MATRIX, 1000, 1500, policy('interpolate'));
+        expect(price).toBe(120);
+        expect(breakdown.drop.breakpoints).toEqual([1000, 2000]);
+        expect(priceFromGrid(MATRIX, 1500, 1500, policy('interpolate')).breakdown.interpolated).toBe(false);
+        expect(priceFromGrid(MATRIX, 1500, 2500, policy('interpolate')).exceeds).toBe('height');
+    });
+
+    it('should extrapolate past the grid per m² from the edge cell and add the surcharge', () => {
+        // 2500 x 900: the 2000 x 1000 cell ($160 for 2m²) is $80/m²; 2.5m² charged -> $200, +10% -> $220.
+        const { price, breakdown } = priceFromGrid(MATRIX, 2500, 900, policy('extrapolate', { oversizeSurchargePercent: 10 }));
+
+        expect(price).toBe(220);
+        expect(breakdown.extrapolation).toEqual({ ratePerSquareMetre: 80, area: 2.5, price: 200 });
+        expect(breakdown.oversizeSurcharge).toBe(20);
+        expect(priceFromGrid(MATRIX, 900, 900, policy('extrapolate', { oversizeSurchargePercent: 10 })).price).toBe(100);
+    });
+
+    it('should apply the minimum charge per blind', () => {
+        const { price, breakdown } = priceFromGrid(MATRIX, 500, 500, policy('roundUp', { minimumCharge: 120 }));
+
+        expect(price).toBe(120);
+        expect(breakdown.basePrice).toBe(100);
+        expect(breakdown.minimumChargeApplied).toBe(true);
+    });
+});
@@ -0,0 +1,211 @@
+// /04-core-code/utils/inflate.js
+
+/**
+ * @fileoverview A small synchronous decoder for raw DEFLATE data (RFC 1951), used to read
+ * compressed ZIP entries such as the parts of an .xlsx file saved by Excel.
+ * Works offline and without browser stream APIs.
+ */
+
+const MAX_BITS = 15;
+
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DISTANCE_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DISTANCE_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+let fixedTables = null;
+
+/**
+ * Decompresses raw DEFLATE data.
+ * @param {Uint8Array} input The compressed bytes.
+ * @returns {Uint8Array} The decompressed bytes.
+ */
+export function inflateRaw(input) {
+    const reader = new BitReader(input);
+    const output = new ByteWriter(input.length * 4);
+
+    let isFinalBlock = false;
+    while (!isFinalBlock) {
+        isFinalBlock = reader.readBits(1) === 1;
+        const blockType = reader.readBits(2);
+
+        if (blockType === 0) {
+            _copyStoredBlock(reader, output);
+        } else if (blockType === 1) {
+            fixedTables = fixedTables || _buildFixedTables();
+            _inflateBlock(reader, output, fixedTables.lengths, fixedTables.distances);
+        } else if (blockType === 2) {
+            const { lengths, distances } = _readDynamicTables(reader);
+            _inflateBlock(reader, output, lengths, distances);
+        } else {
+            throw new Error('Invalid DEFLATE block type.');
+        }
+    }
+    return output.toBytes();
+}
+
+class BitReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.position = 0;
+        this.bitBuffer = 0;
+        this.bitCount = 0;
+    }
+
+    readBits(count) {
+        while (this.bitCount < count) {
+            if (this.position >= this.bytes.length) {
+                throw new Error('Unexpected end of DEFLATE data.');
+            }
+            this.bitBuffer |= this.bytes[this.position++] << this.bitCount;
+            this.bitCount += 8;
+        }
+        const value = this.bitBuffer & ((1 << count) - 1);
+        this.bitBuffer >>>= count;
+        this.bitCount -= count;
+        return value;
+    }
+
+    alignToByte() {
+        this.bitBuffer = 0;
+        this.bitCount = 0;
+    }
+}
+
+class ByteWriter {
+    constructor(initialSize) {
+        this.bytes = new Uint8Array(Math.max(initialSize, 1024));
+        this.length = 0;
+    }
+
+    push(byte) {
+        if (this.length === this.bytes.length) {
+            const grown = new Uint8Array(this.bytes.length * 2);
+            grown.set(this.bytes);
+            this.bytes = grown;
+        }
+        this.bytes[this.length++] = byte;
+    }
+
+    toBytes() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+/**
+ * Builds a canonical Huffman decoding table from code lengths (as in zlib's puff.c).
+ */
+function _buildHuffmanTable(codeLengths) {
+    const counts = new Uint16Array(MAX_BITS + 1);
+    codeLengths.forEach(length => { counts[length]++; });
+    counts[0] = 0;
+
+    const offsets = new Uint16Array(MAX_BITS + 1);
+    for (let length = 1; length < MAX_BITS; length++) {
+        offsets[length + 1] = offsets[length] + counts[length];
+    }
+
+    const symbols = new Uint16Array(codeLengths.length);
+    codeLengths.forEach((length, symbol) => {
+        if (length !== 0) symbols[offsets[length]++] = symbol;
+    });
+    return { counts, symbols };
+}
+
+function _decodeSymbol(reader, { counts, symbols }) {
+    let code = 0;
+    let first = 0;
+    let index = 0;
+    for (let length = 1; length <= MAX_BITS; length++) {
+        code |= reader.readBits(1);
+        const count = counts[length];
+        if (code - count < first) {
+            return symbols[index + (code - first)];
+        }
+        index += count;
+        first = (first + count) << 1;
+        code <<= 1;
+    }
+    throw new Error('Invalid Huffman code in DEFLATE data.');
+}
+
+function _copyStoredBlock(reader, output) {
+    reader.alignToByte();
+    const { bytes } = reader;
+    const start = reader.position;
+    const length = bytes[start] | (bytes[start + 1] << 8);
+    const complement = bytes[start + 2] | (bytes[start + 3] << 8);
+    if ((length ^ 0xffff) !== complement || start + 4 + length > bytes.length) {
+        throw new Error('Corrupt stored DEFLATE block.');
+    }
+    for (let i = 0; i < length; i++) {
+        output.push(bytes[start + 4 + i]);
+    }
+    reader.position = start + 4 + length;
+}
+
+function _buildFixedTables() {
+    const lengthCodes = new Array(288);
+    lengthCodes.fill(8, 0, 144).fill(9, 144, 256).fill(7, 256, 280).fill(8, 280, 288);
+    return {
+        lengths: _buildHuffmanTable(lengthCodes),
+        distances: _buildHuffmanTable(new Array(30).fill(5))
+    };
+}
+
+function _readDynamicTables(reader) {
+    const literalCount = reader.readBits(5) + 257;
+    const distanceCount = reader.readBits(5) + 1;
+    const codeLengthCount = reader.readBits(4) + 4;
+
+    const codeLengthLengths = new Array(19).fill(0);
+    for (let i = 0; i < codeLengthCount; i++) {
+        codeLengthLengths[CODE_LENGTH_ORDER[i]] = reader.readBits(3);
+    }
+    const codeLengthTable = _buildHuffmanTable(codeLengthLengths);
+
+    const lengths = [];
+    while (lengths.length < literalCount + distanceCount) {
+        const symbol = _decodeSymbol(reader, codeLengthTable);
+        if (symbol < 16) {
+            lengths.push(symbol);
+        } else if (symbol === 16) {
+            if (lengths.length === 0) throw new Error('Invalid DEFLATE code length repeat.');
+            const previous = lengths[lengths.length - 1];
+            for (let repeat = 3 + reader.readBits(2); repeat > 0; repeat--) lengths.push(previous);
+        } else {
+            const zeros = symbol === 17 ? 3 + reader.readBits(3) : 11 + reader.readBits(7);
+            for (let repeat = zeros; repeat > 0; repeat--) lengths.push(0);
+        }
+    }
+
+    return {
+        lengths: _buildHuffmanTable(lengths.slice(0, literalCount)),
+        distances: _buildHuffmanTable(lengths.slice(literalCount, literalCount + distanceCount))
+    };
+}
+
+function _inflateBlock(reader, output, lengthTable, distanceTable) {
+    for (;;) {
+        const symbol = _decodeSymbol(reader, lengthTable);
+        if (symbol < 256) {
+            output.push(symbol);
+        } else if (symbol === 256) {
+            return;
+        } else {
+            const lengthIndex = symbol - 257;
+            if (lengthIndex >= LENGTH_BASE.length) throw new Error('Invalid DEFLATE length code.');
+            const length = LENGTH_BASE[lengthIndex] + reader.readBits(LENGTH_EXTRA[lengthIndex]);
+
+            const distanceIndex = _decodeSymbol(reader, distanceTable);
+            if (distanceIndex >= DISTANCE_BASE.length) throw new Error('Invalid DEFLATE distance code.');
+            const distance = DISTANCE_BASE[distanceIndex] + reader.readBits(DISTANCE_EXTRA[distanceIndex]);
+            if (distance > output.length) throw new Error('Invalid DEFLATE back-reference.');
+
+            for (let i = 0; i < length; i++) {
+                output.push(output.bytes[output.length - distance]);
+            }
+        }
+    }
+}
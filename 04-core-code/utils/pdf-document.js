@@ -0,0 +1,246 @@
+// /04-core-code/utils/pdf-document.js
+
+/**
+ * @fileoverview A small PDF 1.4 writer for text-and-box documents such as the customer quote.
+ * It uses the standard Helvetica fonts (no embedding) with WinAnsi encoding, measures text
+ * with their metrics, and lays out in points from the top-left corner of an A4 page.
+ * The output is plain bytes, so it works the same in the browser and under Node/jsdom.
+ */
+
+export const PAGE_WIDTH = 595.28;
+export const PAGE_HEIGHT = 841.89;
+
+const FONTS = {
+    regular: { resource: 'F1', baseFont: 'Helvetica' },
+    bold: { resource: 'F2', baseFont: 'Helvetica-Bold' },
+    italic: { resource: 'F3', baseFont: 'Helvetica-Oblique' }
+};
+
+// Advance widths (per 1000 units of font size) of the printable ASCII characters 32-126.
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+const DEFAULT_WIDTH = 556;
+
+// WinAnsi codes for the characters outside Latin-1 that the encoding covers.
+const WIN_ANSI_EXTRAS = {
+    '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+    '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91, '’': 0x92, '“': 0x93,
+    '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b,
+    'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f
+};
+
+export class PdfDocument {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.title] Stored in the document information dictionary.
+     */
+    constructor({ title = '' } = {}) {
+        this.title = title;
+        this.pages = [];
+        this.currentPageIndex = -1;
+    }
+
+    get pageCount() {
+        return this.pages.length;
+    }
+
+    /**
+     * Starts a new page; drawing calls go to the latest page.
+     */
+    addPage() {
+        this.pages.push([]);
+        this.currentPageIndex = this.pages.length - 1;
+        return this.currentPageIndex;
+    }
+
+    /**
+     * Makes drawing calls go to an existing page, e.g. to add page numbers at the end.
+     */
+    setPage(pageIndex) {
+        this.currentPageIndex = pageIndex;
+    }
+
+    /**
+     * Measures the width of a single line of text in points.
+     */
+    measureText(text, { font = 'regular', size = 10 } = {}) {
+        const widths = font === 'bold' ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+        let total = 0;
+        for (const char of _normalizeText(text)) {
+            const code = char.charCodeAt(0);
+            total += code >= 32 && code <= 126 ? widths[code - 32] : (code === 0xa0 ? 278 : DEFAULT_WIDTH);
+        }
+        return total * size / 1000;
+    }
+
+    /**
+     * Breaks text into lines no wider than `maxWidth`, at spaces where possible.
+     * Existing line breaks are kept.
+     * @returns {Array<string>}
+     */
+    wrapText(text, maxWidth, style = {}) {
+        return String(text ?? '').split(/\r\n|\r|\n/).flatMap(paragraph => {
+            const lines = [];
+            let line = '';
+            paragraph.split(' ').forEach(word => {
+                const candidate = line ? `${line} ${word}` : word;
+                if (this.measureText(candidate, style) <= maxWidth) {
+                    line = candidate;
+                    return;
+                }
+                if (line) lines.push(line);
+                // A word longer than the line is split wherever it overflows.
+                line = '';
+                for (const char of word) {
+                    if (line && this.measureText(line + char, style) > maxWidth) {
+                        lines.push(line);
+                        line = '';
+                    }
+                    line += char;
+                }
+            });
+            lines.push(line);
+            return lines;
+        });
+    }
+
+    /**
+     * Draws a single line of text. `y` is the top of the line box.
+     * @param {object} [style]
+     * @param {string} [style.font] 'regular', 'bold' or 'italic'.
+     * @param {number} [style.size] Font size in points.
+     * @param {string} [style.color] A '#rrggbb' color.
+     * @param {string} [style.align] 'left', 'right' (x is the right edge) or 'center' (x is the middle).
+     * @param {boolean} [style.strike] Draws a line through the text.
+     */
+    text(x, y, text, { font = 'regular', size = 10, color = '#000000', align = 'left', strike = false } = {}) {
+        const content = _normalizeText(text);
+        if (content === '') return;
+        const width = this.measureText(content, { font, size });
+        const left = align === 'right' ? x - width : (align === 'center' ? x - width / 2 : x);
+        const baseline = PAGE_HEIGHT - y - size * 0.8;
+
+        this._write(`BT /${FONTS[font].resource} ${_number(size)} Tf ${_color(color)} rg ` +
+            `${_number(left)} ${_number(baseline)} Td (${_escapeString(content)}) Tj ET`);
+        if (strike) {
+            this.line(left, y + size * 0.5, left + width, y + size * 0.5, { color, width: size / 14 });
+        }
+    }
+
+    line(x1, y1, x2, y2, { color = '#000000', width = 1 } = {}) {
+        this._write(`${_color(color)} RG ${_number(width)} w ${_number(x1)} ${_number(PAGE_HEIGHT - y1)} m ` +
+            `${_number(x2)} ${_number(PAGE_HEIGHT - y2)} l S`);
+    }
+
+    /**
+     * Draws a rectangle whose top-left corner is (x, y), filled and/or outlined.
+     */
+    rect(x, y, width, height, { fill = null, stroke = null, lineWidth = 1 } = {}) {
+        const path = `${_number(x)} ${_number(PAGE_HEIGHT - y - height)} ${_number(width)} ${_number(height)} re`;
+        if (fill && stroke) {
+            this._write(`${_color(fill)} rg ${_color(stroke)} RG ${_number(lineWidth)} w ${path} B`);
+        } else if (fill) {
+            this._write(`${_color(fill)} rg ${path} f`);
+        } else if (stroke) {
+            this._write(`${_color(stroke)} RG ${_number(lineWidth)} w ${path} S`);
+        }
+    }
+
+    /**
+     * Serializes the document.
+     * @returns {Uint8Array} The PDF file bytes.
+     */
+    toBytes() {
+        if (this.pages.length === 0) this.addPage();
+
+        const fontIds = {};
+        const objects = [];
+        const addObject = (body) => {
+            objects.push(body);
+            return objects.length;
+        };
+
+        addObject('<< /Type /Catalog /Pages 2 0 R >>');
+        addObject(null); // The page tree is filled in once the page ids are known.
+        Object.entries(FONTS).forEach(([key, { baseFont }]) => {
+            fontIds[key] = addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${baseFont} /Encoding /WinAnsiEncoding >>`);
+        });
+        const fontResources = Object.entries(FONTS).map(([key, { resource }]) => `/${resource} ${fontIds[key]} 0 R`).join(' ');
+
+        const pageIds = this.pages.map(operations => {
+            const stream = operations.join('\n');
+            const contentId = addObject(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+            return addObject(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${_number(PAGE_WIDTH)} ${_number(PAGE_HEIGHT)}] ` +
+                `/Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`);
+        });
+        objects[1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+        const infoId = addObject(`<< /Title (${_escapeString(_normalizeText(this.title))}) /Producer (Quote Tool) >>`);
+
+        let output = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+        const offsets = objects.map((body, index) => {
+            const offset = output.length;
+            output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+            return offset;
+        });
+
+        const xrefOffset = output.length;
+        output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+        // Every character is a single WinAnsi byte at this point.
+        return Uint8Array.from(output, char => char.charCodeAt(0));
+    }
+
+    _write(operation) {
+        if (this.pages.length === 0) this.addPage();
+        this.pages[this.currentPageIndex].push(operation);
+    }
+}
+
+/**
+ * Maps text onto the WinAnsi character set; anything the standard fonts cannot show becomes '?'.
+ */
+function _normalizeText(text) {
+    let result = '';
+    for (const char of String(text ?? '').replace(/[\r\n\t]+/g, ' ')) {
+        const code = char.codePointAt(0);
+        if (WIN_ANSI_EXTRAS[char]) {
+            result += String.fromCharCode(WIN_ANSI_EXTRAS[char]);
+        } else if ((code >= 32 && code <= 126) || (code >= 0xa0 && code <= 0xff)) {
+            result += char;
+        } else {
+            result += '?';
+        }
+    }
+    return result;
+}
+
+function _escapeString(text) {
+    return text.replace(/[\\()]/g, match => `\\${match}`);
+}
+
+function _number(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+function _color(hex) {
+    const value = parseInt(hex.replace('#', ''), 16);
+    return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff]
+        .map(channel => _number(channel / 255))
+        .join(' ');
+}
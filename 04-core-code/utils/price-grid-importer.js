@@ -0,0 +1,166 @@
+// /04-core-code/utils/price-grid-importer.js
+
+import { parseCsv } from './csv-parser.js';
+import { readWorkbook } from './xlsx-parser.js';
+import { PRICE_MATRIX_KINDS } from '../config/constants.js';
+
+/**
+ * @fileoverview Reads supplier price grids from CSV or XLSX files into the `matrices` format
+ * of the price list (`{ widths, drops, prices }`, see ConfigManager.getPriceMatrix).
+ *
+ * Suppliers send one sheet per fabric band. On each sheet the importer looks for the header
+ * row (at least two rising widths) and the header column (the drops, in the column just left of
+ * the first width); titles, notes and blank rows around the grid are ignored. Cells may be
+ * written as "$1,234" or "1200mm"; an empty cell means the size is not made and becomes null.
+ */
+
+const MIN_BREAKPOINTS = 2;
+
+/**
+ * Splits a CSV or XLSX file into sheets of rows. A CSV file is a single sheet named after the file.
+ * @param {string} fileName
+ * @param {string|ArrayBuffer|Uint8Array} content Text for CSV, bytes for XLSX.
+ * @returns {Array<{name: string, rows: Array<Array<*>>}>}
+ */
+export function readPriceGridSheets(fileName, content) {
+    const lowerName = fileName.toLowerCase();
+    if (lowerName.endsWith('.xlsx')) {
+        return readWorkbook(content instanceof Uint8Array ? content : new Uint8Array(content));
+    }
+    if (lowerName.endsWith('.csv')) {
+        return [{ name: fileName.replace(/\.csv$/i, ''), rows: parseCsv(content) }];
+    }
+    throw new Error(`Unsupported price grid file: ${fileName}. Use a .csv or .xlsx file.`);
+}
+
+/**
+ * Finds the drop x width grid on a sheet.
+ * @param {Array<Array<*>>} rows
+ * @returns {{widths: Array<number>, drops: Array<number>, prices: Array<Array<number|null>>,
+ *   headerRow: number, headerColumn: number}} Row and column are zero-based.
+ */
+export function parsePriceGrid(rows) {
+    for (let rowIndex = 0; rowIndex < rows.length - 1; rowIndex++) {
+        const header = _findWidthRun(rows[rowIndex]);
+        if (!header) continue;
+
+        const headerColumn = header.start - 1;
+        const drops = [];
+        const prices = [];
+        for (let dataIndex = rowIndex + 1; dataIndex < rows.length; dataIndex++) {
+            const row = rows[dataIndex] || [];
+            const drop = _toNumber(row[headerColumn]);
+            if (drop === null) {
+                if (drops.length > 0) break;
+                continue;
+            }
+            drops.push(drop);
+            prices.push(header.widths.map((width, offset) => _toNumber(row[header.start + offset])));
+        }
+
+        if (drops.length >= MIN_BREAKPOINTS || (drops.length > 0 && header.widths.length >= MIN_BREAKPOINTS)) {
+            return { widths: header.widths, drops, prices, headerRow: rowIndex, headerColumn };
+        }
+    }
+    throw new Error('No drop x width grid found: expected a row of rising widths with the drops in the column to their left.');
+}
+
+/**
+ * Guesses which fabric type a sheet holds from its name: a fabric type key among its words
+ * (e.g. "B1", "Band SN"), "Band 3" for B3, or the matrix name (e.g. "UNILINE - SUNSET").
+ * @param {string} sheetName
+ * @param {object} matrices The price list's matrices; only grid matrices and aliases can be targets.
+ * @returns {string|null}
+ */
+export function matchFabricType(sheetName, matrices) {
+    const candidates = Object.entries(matrices)
+        .filter(([, matrix]) => (matrix.kind || PRICE_MATRIX_KINDS.GRID) === PRICE_MATRIX_KINDS.GRID);
+    const name = sheetName.toUpperCase();
+    const words = name.split(/[^A-Z0-9]+/).filter(Boolean);
+
+    const byKey = candidates.find(([fabricType]) => words.includes(fabricType.toUpperCase()));
+    if (byKey) return byKey[0];
+
+    const bandNumber = name.match(/BAND\s*(\d+)/)?.[1];
+    if (bandNumber && matrices[`B${bandNumber}`]) return `B${bandNumber}`;
+
+    const byName = candidates.find(([, matrix]) => matrix.name && name.includes(matrix.name.toUpperCase()));
+    return byName ? byName[0] : null;
+}
+
+/**
+ * Reads every sheet of a file and maps each to a fabric type. Sheets without a grid are
+ * returned with an `error` instead of a `grid`.
+ * @returns {Array<{sheetName: string, fabricType: string|null, grid?: object, error?: string}>}
+ */
+export function importPriceGrids(sheets, matrices) {
+    return sheets.map(({ name, rows }) => {
+        try {
+            return { sheetName: name, fabricType: matchFabricType(name, matrices), grid: parsePriceGrid(rows) };
+        } catch (error) {
+            return { sheetName: name, fabricType: null, error: error.message };
+        }
+    });
+}
+
+/**
+ * Compares an imported grid with a loaded matrix, matching cells by their drop and width.
+ * @param {object|null} current The loaded matrix (null or a non-grid matrix counts as empty).
+ * @param {{widths: Array<number>, drops: Array<number>, prices: Array<Array<number|null>>}} imported
+ * @returns {{addedWidths: Array<number>, removedWidths: Array<number>, addedDrops: Array<number>,
+ *   removedDrops: Array<number>, changedCells: Array<{drop: number, width: number, from: number|null, to: number|null}>,
+ *   hasChanges: boolean}}
+ */
+export function diffPriceGrid(current, imported) {
+    const currentWidths = current?.widths || [];
+    const currentDrops = current?.drops || [];
+    const notIn = (values) => (value) => !values.includes(value);
+
+    const changedCells = [];
+    imported.drops.forEach((drop, dropIndex) => {
+        const currentDropIndex = currentDrops.indexOf(drop);
+        if (currentDropIndex === -1) return;
+        imported.widths.forEach((width, widthIndex) => {
+            const currentWidthIndex = currentWidths.indexOf(width);
+            if (currentWidthIndex === -1) return;
+            const from = current.prices[currentDropIndex]?.[currentWidthIndex] ?? null;
+            const to = imported.prices[dropIndex][widthIndex];
+            if (from !== to) changedCells.push({ drop, width, from, to });
+        });
+    });
+
+    const diff = {
+        addedWidths: imported.widths.filter(notIn(currentWidths)),
+        removedWidths: currentWidths.filter(notIn(imported.widths)),
+        addedDrops: imported.drops.filter(notIn(currentDrops)),
+        removedDrops: currentDrops.filter(notIn(imported.drops)),
+        changedCells
+    };
+    diff.hasChanges = changedCells.length > 0 || ['addedWidths', 'removedWidths', 'addedDrops', 'removedDrops']
+        .some(key => diff[key].length > 0);
+    return diff;
+}
+
+/**
+ * Finds the first run of rising numbers in a row that could be the widths header.
+ * A run must start after column 0, leaving a column for the drops.
+ */
+function _findWidthRun(row = []) {
+    for (let start = 1; start < row.length; start++) {
+        const widths = [];
+        for (let index = start; index < row.length; index++) {
+            const value = _toNumber(row[index]);
+            if (value === null || value <= 0 || (widths.length > 0 && value <= widths[widths.length - 1])) break;
+            widths.push(value);
+        }
+        if (widths.length >= MIN_BREAKPOINTS) return { start, widths };
+    }
+    return null;
+}
+
+function _toNumber(cell) {
+    if (typeof cell === 'number') return Number.isFinite(cell) ? cell : null;
+    if (typeof cell !== 'string') return null;
+    const text = cell.trim().replace(/^\$/, '').replace(/,/g, '').replace(/\s*mm$/i, '');
+    return /^\d+(\.\d+)?$/.test(text) ? Number(text) : null;
+}
@@ -0,0 +1,80 @@
+// /04-core-code/utils/price-grid-importer.spec.js
+
+import { readPriceGridSheets, parsePriceGrid, matchFabricType, importPriceGrids, diffPriceGrid } from './price-grid-importer.js';
+import { createWorkbook } from './xlsx-parser.js';
+
+const MATRICES = {
+    B1: { name: 'UNILINE - SUNSET', widths: [600, 900], drops: [1000, 1500], prices: [[100, 120], [130, 150]] },
+    B5: { name: 'SHAW - VIBE', aliasFor: 'SN' },
+    SN: { name: 'UNILINE - UNIVIEW 10%', widths: [600], drops: [1000], prices: [[90]] },
+    FS1: { name: 'RETRACTABLE - SINGLE', kind: 'linear', pricePerMetre: 95, unitCharge: 85 }
+};
+
+const SUPPLIER_ROWS = [
+    ['B Window Covers - Roller Blinds', '', '', ''],
+    ['Prices ex GST', '', '', ''],
+    ['', 'Drop \\ Width', '600mm', '900mm'],
+    ['', '1000', '$100', '$125'],
+    ['', '1500', '$1,130', ''],
+    ['', '', '', ''],
+    ['Note: add $20 for chain upgrade', '', '', '']
+];
+
+describe('price-grid-importer', () => {
+    it('should find the grid below titles and right of a blank column, parsing $ and mm values', () => {
+        expect(parsePriceGrid(SUPPLIER_ROWS)).toEqual({
+            widths: [600, 900],
+            drops: [1000, 1500],
+            prices: [[100, 125], [1130, null]],
+            headerRow: 2,
+            headerColumn: 1
+        });
+    });
+
+    it('should report sheets without a grid', () => {
+        expect(() => parsePriceGrid([['Contents'], ['See other sheets']])).toThrow('No drop x width grid found');
+    });
+
+    it('should map sheet names to fabric types by key, band number or matrix name', () => {
+        expect(matchFabricType('Band B1', MATRICES)).toBe('B1');
+        expect(matchFabricType('sn', MATRICES)).toBe('SN');
+        expect(matchFabricType('Band 5', MATRICES)).toBe('B5');
+        expect(matchFabricType('Uniline - Uniview 10%', MATRICES)).toBe('SN');
+        expect(matchFabricType('FS1', MATRICES)).toBeNull();
+        expect(matchFabricType('Accessories', MATRICES)).toBeNull();
+    });
+
+    it('should read each workbook sheet as a grid mapped to a fabric type', () => {
+        const bytes = createWorkbook([
+            { name: 'B1 Sunset', rows: SUPPLIER_ROWS },
+            { name: 'Notes', rows: [['Read me']] }
+        ]);
+
+        const imports = importPriceGrids(readPriceGridSheets('supplier.xlsx', bytes), MATRICES);
+
+        expect(imports[0]).toEqual(expect.objectContaining({ sheetName: 'B1 Sunset', fabricType: 'B1' }));
+        expect(imports[0].grid.prices[0]).toEqual([100, 125]);
+        expect(imports[1]).toEqual(expect.objectContaining({ sheetName: 'Notes', fabricType: null }));
+        expect(imports[1].error).toBeDefined();
+    });
+
+    it('should read a CSV file as one sheet named after the file', () => {
+        const [sheet] = readPriceGridSheets('Band B1.csv', 'Drop,600,900\n1000,100,125\n1500,130,150\n');
+
+        expect(sheet.name).toBe('Band B1');
+        expect(parsePriceGrid(sheet.rows).drops).toEqual([1000, 1500]);
+    });
+
+    it('should diff an imported grid against the loaded matrix by drop and width', () => {
+        const imported = { widths: [600, 1200], drops: [1000, 1500], prices: [[100, 160], [135, 190]] };
+
+        const diff = diffPriceGrid(MATRICES.B1, imported);
+
+        expect(diff.addedWidths).toEqual([1200]);
+        expect(diff.removedWidths).toEqual([900]);
+        expect(diff.addedDrops).toEqual([]);
+        expect(diff.changedCells).toEqual([{ drop: 1500, width: 600, from: 130, to: 135 }]);
+        expect(diff.hasChanges).toBe(true);
+        expect(diffPriceGrid(MATRICES.B1, MATRICES.B1).hasChanges).toBe(false);
+    });
+});
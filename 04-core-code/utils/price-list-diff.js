@@ -0,0 +1,148 @@
+// /04-core-code/utils/price-list-diff.js
+
+import { diffPriceGrid } from './price-grid-importer.js';
+import { PRICE_MATRIX_KINDS } from '../config/constants.js';
+
+/**
+ * @fileoverview Compares two price lists (two price-matrix-*.json files) for the price change
+ * report: per fabric type, the changed grid cells with their percentage change and the added or
+ * removed breakpoints; changed linear rates and aliases; and changed accessory prices.
+ */
+
+const LINEAR_FIELDS = ['pricePerMetre', 'unitCharge'];
+
+/**
+ * Percentage change from one price to another, rounded to 0.1%; null when either is missing or zero.
+ */
+export function percentChange(from, to) {
+    if (typeof from !== 'number' || typeof to !== 'number' || from === 0) return null;
+    return Math.round(((to - from) / from) * 1000) / 10;
+}
+
+/**
+ * Diffs two price lists.
+ * @param {object} fromList The older price list.
+ * @param {object} toList The newer price list.
+ * @returns {{fromVersion: string, toVersion: string, matrices: Array<object>, accessories: Array<object>, hasChanges: boolean}}
+ *   `matrices` holds one entry per fabric type in either list, with `status` 'added', 'removed',
+ *   'changed' or 'unchanged'; `accessories` holds only the accessories whose price changed.
+ */
+export function diffPriceLists(fromList, toList) {
+    const fromMatrices = fromList?.matrices || {};
+    const toMatrices = toList?.matrices || {};
+    const fabricTypes = [...new Set([...Object.keys(fromMatrices), ...Object.keys(toMatrices)])];
+
+    const matrices = fabricTypes.map(fabricType => _diffMatrix(fabricType, fromMatrices[fabricType], toMatrices[fabricType]));
+    const accessories = _diffAccessories(fromList?.accessories || {}, toList?.accessories || {});
+
+    return {
+        fromVersion: fromList?.meta?.version,
+        toVersion: toList?.meta?.version,
+        matrices,
+        accessories,
+        hasChanges: accessories.length > 0 || matrices.some(matrix => matrix.status !== 'unchanged')
+    };
+}
+
+function _diffMatrix(fabricType, from, to) {
+    const entry = {
+        fabricType,
+        name: (to || from).name,
+        kind: (to || from).aliasFor !== undefined ? 'alias' : ((to || from).kind || PRICE_MATRIX_KINDS.GRID),
+        changedCells: [],
+        addedWidths: [], removedWidths: [], addedDrops: [], removedDrops: [],
+        fieldChanges: []
+    };
+    if (!from || !to) {
+        return { ...entry, status: from ? 'removed' : 'added', averagePercent: null };
+    }
+
+    const isGrid = (matrix) => matrix.aliasFor === undefined && (matrix.kind || PRICE_MATRIX_KINDS.GRID) === PRICE_MATRIX_KINDS.GRID;
+    if (isGrid(from) && isGrid(to)) {
+        const diff = diffPriceGrid(from, to);
+        Object.assign(entry, diff, {
+            changedCells: diff.changedCells.map(cell => ({ ...cell, percent: percentChange(cell.from, cell.to) }))
+        });
+        delete entry.hasChanges;
+    } else {
+        // Linear rates, aliases and a change of kind are reported field by field.
+        const fields = [...LINEAR_FIELDS, 'aliasFor', 'kind'];
+        entry.fieldChanges = fields
+            .filter(field => from[field] !== to[field])
+            .map(field => ({ field, from: from[field] ?? null, to: to[field] ?? null, percent: percentChange(from[field], to[field]) }));
+    }
+
+    const percents = entry.changedCells.map(cell => cell.percent).filter(percent => percent !== null);
+    const hasChanges = entry.changedCells.length > 0 || entry.fieldChanges.length > 0
+        || ['addedWidths', 'removedWidths', 'addedDrops', 'removedDrops'].some(key => entry[key].length > 0);
+    return {
+        ...entry,
+        status: hasChanges ? 'changed' : 'unchanged',
+        averagePercent: percents.length > 0
+            ? Math.round((percents.reduce((sum, percent) => sum + percent, 0) / percents.length) * 10) / 10
+            : null
+    };
+}
+
+function _diffAccessories(fromAccessories, toAccessories) {
+    const keys = [...new Set([...Object.keys(fromAccessories), ...Object.keys(toAccessories)])];
+    return keys
+        .map(key => {
+            const from = fromAccessories[key]?.price ?? null;
+            const to = toAccessories[key]?.price ?? null;
+            return { key, unit: (toAccessories[key] || fromAccessories[key]).unit || '', from, to, percent: percentChange(from, to) };
+        })
+        .filter(accessory => accessory.from !== accessory.to);
+}
+
+/**
+ * Lays out a price change report (a diff plus an optional `quoteImpact` from
+ * CalculationService.estimatePriceListImpact) as workbook sheets for createWorkbook.
+ * @returns {Array<{name: string, rows: Array<Array<*>>}>}
+ */
+export function priceListReportToSheets(report) {
+    const { fromVersion, toVersion, quoteImpact } = report;
+    const sheets = [
+        {
+            name: 'Fabric Types',
+            rows: [
+                ['Fabric Type', 'Name', 'Status', 'Changed Cells', 'Average Change %', 'Added Widths', 'Removed Widths', 'Added Drops', 'Removed Drops', 'Other Changes'],
+                ...report.matrices.map(matrix => [
+                    matrix.fabricType, matrix.name || '', matrix.status, matrix.changedCells.length, matrix.averagePercent,
+                    matrix.addedWidths.join(' '), matrix.removedWidths.join(' '), matrix.addedDrops.join(' '), matrix.removedDrops.join(' '),
+                    matrix.fieldChanges.map(change => `${change.field}: ${change.from ?? '-'} -> ${change.to ?? '-'}`).join('; ')
+                ])
+            ]
+        },
+        {
+            name: 'Changed Cells',
+            rows: [
+                ['Fabric Type', 'Drop', 'Width', `v${fromVersion}`, `v${toVersion}`, 'Change %'],
+                ...report.matrices.flatMap(matrix => matrix.changedCells.map(cell => [
+                    matrix.fabricType, cell.drop, cell.width, cell.from, cell.to, cell.percent
+                ]))
+            ]
+        },
+        {
+            name: 'Accessories',
+            rows: [
+                ['Accessory', 'Unit', `v${fromVersion}`, `v${toVersion}`, 'Change %'],
+                ...report.accessories.map(accessory => [accessory.key, accessory.unit, accessory.from, accessory.to, accessory.percent])
+            ]
+        }
+    ];
+
+    if (quoteImpact) {
+        sheets.push({
+            name: 'Quote Impact',
+            rows: [
+                ['Quote', 'Customer', `Total v${fromVersion}`, `Total v${toVersion}`, 'Difference', 'Change %'],
+                ...quoteImpact.quotes.map(quote => [
+                    quote.quoteId, quote.customerName, quote.oldTotal, quote.newTotal, quote.delta, percentChange(quote.oldTotal, quote.newTotal)
+                ]),
+                ['Total', '', quoteImpact.oldTotal, quoteImpact.newTotal, quoteImpact.delta, percentChange(quoteImpact.oldTotal, quoteImpact.newTotal)]
+            ]
+        });
+    }
+    return sheets;
+}
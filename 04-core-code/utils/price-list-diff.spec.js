@@ -0,0 +1,68 @@
+// /04-core-code/utils/price-list-diff.spec.js
+
+import { diffPriceLists, percentChange, priceListReportToSheets } from './price-list-diff.js';
+
+const buildPriceList = (version, { b1Prices, widths = [600, 900], fs1Rate = 95, winder = 30, extraMatrices = {} }) => ({
+    meta: { version },
+    matrices: {
+        B1: { name: 'UNILINE - SUNSET', widths, drops: [1000], prices: [b1Prices] },
+        B5: { name: 'SHAW - VIBE', aliasFor: 'B1' },
+        FS1: { name: 'RETRACTABLE - SINGLE', kind: 'linear', pricePerMetre: fs1Rate, unitCharge: 85 },
+        ...extraMatrices
+    },
+    accessories: { winderHD: { price: winder, unit: 'each' }, cord3m: { price: 12, unit: 'each' } }
+});
+
+describe('diffPriceLists', () => {
+    it('should report changed cells with their percentage change and new breakpoints', () => {
+        const report = diffPriceLists(
+            buildPriceList('1.0', { b1Prices: [100, 120] }),
+            buildPriceList('1.1', { b1Prices: [110, 120, 150], widths: [600, 900, 1200] })
+        );
+
+        const b1 = report.matrices.find(matrix => matrix.fabricType === 'B1');
+        expect(b1.status).toBe('changed');
+        expect(b1.changedCells).toEqual([{ drop: 1000, width: 600, from: 100, to: 110, percent: 10 }]);
+        expect(b1.addedWidths).toEqual([1200]);
+        expect(b1.averagePercent).toBe(10);
+        expect(report.matrices.find(matrix => matrix.fabricType === 'B5').status).toBe('unchanged');
+    });
+
+    it('should report linear rate, added fabric type and accessory price changes', () => {
+        const report = diffPriceLists(
+            buildPriceList('1.0', { b1Prices: [100, 120] }),
+            buildPriceList('1.1', { b1Prices: [100, 120], fs1Rate: 100, winder: 33, extraMatrices: { B6: { name: 'NEW', aliasFor: 'B1' } } })
+        );
+
+        expect(report.matrices.find(matrix => matrix.fabricType === 'FS1').fieldChanges)
+            .toEqual([{ field: 'pricePerMetre', from: 95, to: 100, percent: 5.3 }]);
+        expect(report.matrices.find(matrix => matrix.fabricType === 'B6').status).toBe('added');
+        expect(report.accessories).toEqual([{ key: 'winderHD', unit: 'each', from: 30, to: 33, percent: 10 }]);
+        expect(report.hasChanges).toBe(true);
+    });
+
+    it('should find no changes between identical lists', () => {
+        const priceList = buildPriceList('1.0', { b1Prices: [100, 120] });
+
+        expect(diffPriceLists(priceList, JSON.parse(JSON.stringify(priceList))).hasChanges).toBe(false);
+        expect(percentChange(0, 10)).toBeNull();
+    });
+
+    it('should lay the report out as sheets, with the quote impact when given', () => {
+        const report = diffPriceLists(
+            buildPriceList('1.0', { b1Prices: [100, 120] }),
+            buildPriceList('1.1', { b1Prices: [110, 120] })
+        );
+        const quoteImpact = { quotes: [{ quoteId: 'Q1', customerName: 'Smith', oldTotal: 200, newTotal: 220, delta: 20 }], oldTotal: 200, newTotal: 220, delta: 20 };
+
+        const sheets = priceListReportToSheets({ ...report, quoteImpact });
+
+        expect(sheets.map(sheet => sheet.name)).toEqual(['Fabric Types', 'Changed Cells', 'Accessories', 'Quote Impact']);
+        expect(sheets[1].rows).toEqual([
+            ['Fabric Type', 'Drop', 'Width', 'v1.0', 'v1.1', 'Change %'],
+            ['B1', 1000, 600, 100, 110, 10]
+        ]);
+        expect(sheets[3].rows[2]).toEqual(['Total', '', 200, 220, 20, 10]);
+        expect(priceListReportToSheets(report)).toHaveLength(3);
+    });
+});
@@ -0,0 +1,161 @@
+// /04-core-code/utils/price-list-validator.js
+
+import { PRICE_MATRIX_KINDS, PRICING_METHODS } from '../config/constants.js';
+
+/**
+ * @fileoverview Checks a price list (the contents of a price-matrix-*.json file) before it is
+ * saved or loaded: grid breakpoints must rise strictly, every grid cell must hold a price,
+ * linear rates must be numbers and every `aliasFor` must name a real, non-alias matrix.
+ * A grid cell may be null: the supplier does not make that size (e.g. B2 at its widest width).
+ * A pricing policy, if present, must use a known method and name real fabric types, and the
+ * matrices of each matrix set (see config/customer-groups.js) are checked like the list's own.
+ * The F2 fees need a unit price each; install size bands must rise strictly by area, and zone
+ * rates (see config/delivery-zones.js) are numbers or left blank.
+ */
+
+const LINEAR_REQUIRED_FIELDS = ['pricePerMetre', 'unitCharge'];
+
+const _isPrice = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+/**
+ * Validates a price list.
+ * @param {object} priceList The price list, with `meta`, `matrices` and `accessories`.
+ * @returns {Array<{path: string, message: string}>} One entry per problem; empty when valid.
+ */
+export function validatePriceList(priceList) {
+    const errors = [];
+    const addError = (path, message) => errors.push({ path, message });
+
+    if (!priceList?.meta?.version) addError('meta.version', 'The price list needs a version.');
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(priceList?.meta?.effectiveDate || '')) {
+        addError('meta.effectiveDate', 'The effective date must be a YYYY-MM-DD date.');
+    }
+
+    const matrices = priceList?.matrices || {};
+    if (Object.keys(matrices).length === 0) addError('matrices', 'The price list has no matrices.');
+    _validateMatrices(matrices, 'matrices', matrices, addError);
+    Object.entries(priceList?.matrixSets || {}).forEach(([setId, matrixSet]) => {
+        const setMatrices = matrixSet?.matrices || {};
+        if (Object.keys(setMatrices).length === 0) addError(`matrixSets.${setId}.matrices`, `Matrix set ${setId} has no matrices.`);
+        _validateMatrices(setMatrices, `matrixSets.${setId}.matrices`, { ...matrices, ...setMatrices }, addError);
+    });
+
+    Object.entries(priceList?.accessories || {}).forEach(([key, accessory]) => {
+        if (!_isPrice(accessory?.price)) addError(`accessories.${key}.price`, `Accessory ${key} needs a price.`);
+    });
+
+    _validateFees(priceList?.fees, addError);
+    _validatePricingPolicy(priceList?.businessRules?.pricingPolicy, matrices, addError);
+
+    return errors;
+}
+
+/**
+ * Validates a set of matrices; an `aliasFor` may name any matrix in `aliasTargets`.
+ */
+function _validateMatrices(matrices, pathPrefix, aliasTargets, addError) {
+    Object.entries(matrices).forEach(([fabricType, matrix]) => {
+        const path = `${pathPrefix}.${fabricType}`;
+        if (matrix.aliasFor !== undefined) {
+            const target = aliasTargets[matrix.aliasFor];
+            if (!target) {
+                addError(`${path}.aliasFor`, `${fabricType} is an alias for '${matrix.aliasFor}', which does not exist.`);
+            } else if (target.aliasFor !== undefined) {
+                addError(`${path}.aliasFor`, `${fabricType} is an alias for '${matrix.aliasFor}', which is itself an alias.`);
+            }
+            return;
+        }
+
+        const kind = matrix.kind || PRICE_MATRIX_KINDS.GRID;
+        if (kind === PRICE_MATRIX_KINDS.GRID) {
+            _validateGrid(matrix, path, addError);
+        } else if (kind === PRICE_MATRIX_KINDS.LINEAR) {
+            LINEAR_REQUIRED_FIELDS
+                .filter(field => !_isPrice(matrix[field]))
+                .forEach(field => addError(`${path}.${field}`, `${fabricType} needs a ${field}.`));
+        } else {
+            addError(`${path}.kind`, `${fabricType} has an unknown kind '${kind}'.`);
+        }
+    });
+}
+
+function _validateGrid(matrix, path, addError) {
+    const { widths = [], drops = [], prices = [] } = matrix;
+
+    [['widths', widths], ['drops', drops]].forEach(([field, breakpoints]) => {
+        if (breakpoints.length === 0) {
+            addError(`${path}.${field}`, `There are no ${field}.`);
+        }
+        breakpoints.forEach((value, index) => {
+            if (!_isPrice(value) || value === 0) {
+                addError(`${path}.${field}[${index}]`, `${field} ${index + 1} must be a positive number.`);
+            } else if (index > 0 && _isPrice(breakpoints[index - 1]) && value <= breakpoints[index - 1]) {
+                addError(`${path}.${field}[${index}]`, `${field} must increase: ${value} follows ${breakpoints[index - 1]}.`);
+            }
+        });
+    });
+
+    if (prices.length !== drops.length) {
+        addError(`${path}.prices`, `There are ${prices.length} price rows for ${drops.length} drops.`);
+    }
+    prices.forEach((row, dropIndex) => {
+        for (let widthIndex = 0; widthIndex < widths.length; widthIndex++) {
+            if (row?.[widthIndex] !== null && !_isPrice(row?.[widthIndex])) {
+                addError(`${path}.prices[${dropIndex}][${widthIndex}]`,
+                    `Drop ${drops[dropIndex]} x width ${widths[widthIndex]} has no price.`);
+            }
+        }
+        if ((row?.length || 0) > widths.length) {
+            addError(`${path}.prices[${dropIndex}]`, `Row ${dropIndex + 1} has more prices than widths.`);
+        }
+    });
+}
+
+function _validateFees(fees, addError) {
+    if (!fees) return;
+    const { zones = {}, ...rates } = fees;
+    Object.entries(rates).forEach(([key, fee]) => {
+        const path = `fees.${key}`;
+        if (!_isPrice(fee?.unitPrice)) addError(`${path}.unitPrice`, `The ${key} fee needs a unit price.`);
+        ['freeOver', 'motorisedExtra', 'minimumCharge']
+            .filter(field => fee?.[field] !== undefined && fee[field] !== null && !_isPrice(fee[field]))
+            .forEach(field => addError(`${path}.${field}`, `${field} must be a number of 0 or more, or left blank.`));
+        (fee?.sizeBands || []).forEach((band, index) => {
+            const previous = fee.sizeBands[index - 1];
+            if (!_isPrice(band?.maxArea) || band.maxArea === 0) {
+                addError(`${path}.sizeBands[${index}].maxArea`, `Size band ${index + 1} needs an area above 0 m².`);
+            } else if (index > 0 && _isPrice(previous?.maxArea) && band.maxArea <= previous.maxArea) {
+                addError(`${path}.sizeBands[${index}].maxArea`, `Size bands must increase: ${band.maxArea} m² follows ${previous.maxArea} m².`);
+            }
+            if (!_isPrice(band?.unitPrice)) {
+                addError(`${path}.sizeBands[${index}].unitPrice`, `Size band ${index + 1} needs a unit price.`);
+            }
+        });
+    });
+    Object.entries(zones).forEach(([zoneId, zone]) => {
+        ['deliveryUnitPrice', 'installExtra']
+            .filter(field => zone?.[field] !== undefined && zone[field] !== null && !_isPrice(zone[field]))
+            .forEach(field => addError(`fees.zones.${zoneId}.${field}`, `${field} must be a number of 0 or more, or left blank.`));
+    });
+}
+
+function _validatePricingPolicy(pricingPolicy, matrices, addError) {
+    if (!pricingPolicy) return;
+    const path = 'businessRules.pricingPolicy';
+    const validatePolicy = (policy, policyPath) => {
+        if (policy.method !== undefined && !Object.values(PRICING_METHODS).includes(policy.method)) {
+            addError(`${policyPath}.method`, `Unknown pricing method '${policy.method}'.`);
+        }
+        ['minimumCharge', 'oversizeSurchargePercent']
+            .filter(field => policy[field] !== undefined && !_isPrice(policy[field]))
+            .forEach(field => addError(`${policyPath}.${field}`, `${field} must be a number of 0 or more.`));
+    };
+
+    validatePolicy(pricingPolicy.default || {}, `${path}.default`);
+    Object.entries(pricingPolicy.fabricTypes || {}).forEach(([fabricType, policy]) => {
+        if (!matrices[fabricType]) {
+            addError(`${path}.fabricTypes.${fabricType}`, `There is a pricing policy for ${fabricType}, which has no matrix.`);
+        }
+        validatePolicy(policy, `${path}.fabricTypes.${fabricType}`);
+    });
+}
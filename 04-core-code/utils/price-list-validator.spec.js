@@ -0,0 +1,115 @@
+// /04-core-code/utils/price-list-validator.spec.js
+
+import { validatePriceList } from './price-list-validator.js';
+
+const buildPriceList = (matrices, accessories = { winderHD: { price: 30 } }) => ({
+    meta: { version: '1.1', effectiveDate: '2026-11-01' },
+    matrices,
+    accessories
+});
+
+const grid = (overrides = {}) => ({
+    name: 'UNILINE - SUNSET',
+    widths: [600, 900],
+    drops: [1000, 1500],
+    prices: [[100, 120], [130, 150]],
+    ...overrides
+});
+
+describe('validatePriceList', () => {
+    it('should accept a well-formed price list, with null for sizes that are not made', () => {
+        const priceList = buildPriceList({
+            B1: grid({ prices: [[100, 120], [130, null]] }),
+            B5: { name: 'SHAW - VIBE', aliasFor: 'B1' },
+            FS1: { name: 'RETRACTABLE', kind: 'linear', pricePerMetre: 95, unitCharge: 85 }
+        });
+
+        expect(validatePriceList(priceList)).toEqual([]);
+    });
+
+    it('should reject breakpoints that do not rise', () => {
+        const errors = validatePriceList(buildPriceList({ B1: grid({ widths: [900, 900], drops: [1500, 1000] }) }));
+
+        expect(errors.map(error => error.path)).toEqual(['matrices.B1.widths[1]', 'matrices.B1.drops[1]']);
+    });
+
+    it('should reject empty cells and rows that do not match the drops', () => {
+        const errors = validatePriceList(buildPriceList({ B1: grid({ prices: [[100, '']] }) }));
+
+        expect(errors.map(error => error.path)).toEqual(['matrices.B1.prices', 'matrices.B1.prices[0][1]']);
+    });
+
+    it('should reject aliases that cannot be resolved', () => {
+        const errors = validatePriceList(buildPriceList({
+            B1: grid(),
+            B5: { name: 'SHAW - VIBE', aliasFor: 'SN' },
+            B6: { name: 'CHAINED', aliasFor: 'B7' },
+            B7: { name: 'ALIAS', aliasFor: 'B1' }
+        }));
+
+        expect(errors.map(error => error.path)).toEqual(['matrices.B5.aliasFor', 'matrices.B6.aliasFor']);
+    });
+
+    it('should check the matrices of each matrix set, whose aliases may name the list\'s own matrices', () => {
+        const priceList = {
+            ...buildPriceList({ B1: grid() }),
+            matrixSets: {
+                trade: { name: 'Trade', matrices: { B1: grid({ prices: [[80, 95], [105, -1]] }), B5: { name: 'SHAW - VIBE', aliasFor: 'B1' }, B6: { name: 'X', aliasFor: 'B9' } } },
+                empty: { name: 'Empty', matrices: {} }
+            }
+        };
+
+        expect(validatePriceList(priceList).map(error => error.path)).toEqual([
+            'matrixSets.trade.matrices.B1.prices[1][1]', 'matrixSets.trade.matrices.B6.aliasFor', 'matrixSets.empty.matrices'
+        ]);
+    });
+
+    it('should require a version, an effective date and accessory prices', () => {
+        const priceList = { ...buildPriceList({ B1: grid() }, { winderHD: { price: '' } }), meta: { effectiveDate: '1/11/2026' } };
+
+        expect(validatePriceList(priceList).map(error => error.path)).toEqual([
+            'meta.version', 'meta.effectiveDate', 'accessories.winderHD.price'
+        ]);
+    });
+
+    it('should reject unknown pricing methods, negative charges and policies for missing fabric types', () => {
+        const priceList = {
+            ...buildPriceList({ B1: grid() }),
+            businessRules: {
+                pricingPolicy: {
+                    default: { method: 'roundUp', minimumCharge: -5 },
+                    fabricTypes: { B1: { method: 'guess' }, B9: { method: 'interpolate' } }
+                }
+            }
+        };
+
+        expect(validatePriceList(priceList).map(error => error.path)).toEqual([
+            'businessRules.pricingPolicy.default.minimumCharge',
+            'businessRules.pricingPolicy.fabricTypes.B1.method',
+            'businessRules.pricingPolicy.fabricTypes.B9'
+        ]);
+    });
+
+    it('should require fee unit prices, install size bands that rise by area and numeric zone rates', () => {
+        const priceList = {
+            ...buildPriceList({ B1: grid() }),
+            fees: {
+                delivery: { unitPrice: 100, freeOver: null },
+                install: {
+                    unitPrice: 20, motorisedExtra: -10, minimumCharge: 60,
+                    sizeBands: [{ maxArea: 2, unitPrice: 15 }, { maxArea: 2, unitPrice: 25 }, { maxArea: 4, unitPrice: '' }]
+                },
+                removal: { unitPrice: '' },
+                zones: { metro: { deliveryUnitPrice: null, installExtra: 0 }, regional: { deliveryUnitPrice: 'far', installExtra: 10 } }
+            }
+        };
+
+        expect(validatePriceList(priceList).map(error => error.path)).toEqual([
+            'fees.install.motorisedExtra',
+            'fees.install.sizeBands[1].maxArea',
+            'fees.install.sizeBands[2].unitPrice',
+            'fees.removal.unitPrice',
+            'fees.zones.regional.deliveryUnitPrice'
+        ]);
+    });
+});
@@ -0,0 +1,16 @@
+// /04-core-code/utils/quote-id.js
+
+/**
+ * @fileoverview Generates the quote numbers used as keys in the local quote library.
+ */
+
+/**
+ * Builds a quote number from a timestamp, e.g. RB20241201143005.
+ * @param {Date} [date] The creation time. Defaults to now.
+ * @returns {string}
+ */
+export function generateQuoteId(date = new Date()) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `RB${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+        `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
@@ -0,0 +1,483 @@
+// /04-core-code/utils/quote-pdf-generator.js
+
+import { PdfDocument, PAGE_WIDTH, PAGE_HEIGHT } from './pdf-document.js';
+import { FORMATTERS } from './template-engine.js';
+import { QUOTE_LAYOUTS } from '../config/quote-templates.js';
+
+/**
+ * @fileoverview Lays out the customer quote as a PDF: the quote page (items, totals, other options,
+ * payment schedule and details, terms) followed by the detailed-items appendix. It takes the same data object as
+ * the HTML templates (`WorkflowService._prepareTemplateData`) and formats it with the same
+ * template formatters, so both outputs always show the same content.
+ * The company details, bank details and colours come from the data's branding profile, and the
+ * trade layout leaves out list prices and savings. Logos are only shown in HTML.
+ * Long tables continue on new pages and repeat their header rows.
+ */
+
+const MARGIN = 40;
+const FOOTER_HEIGHT = 30;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const CONTENT_BOTTOM = PAGE_HEIGHT - MARGIN - FOOTER_HEIGHT;
+const CELL_PADDING = 5;
+
+const DEFAULT_COLORS = {
+    primary: '#1a237e',
+    accent: '#b22222',
+    text: '#333333',
+    muted: '#777777',
+    border: '#e0e0e0',
+    panelFill: '#f9f9f9',
+    success: '#2e7d32',
+    discount: '#d32f2f',
+    white: '#ffffff'
+};
+
+const HOW_TO_PROCEED = 'To accept this quotation, please reply to this email confirming your acceptance. ' +
+    'We will then issue a formal invoice for the deposit payment.';
+
+const ABBREVIATIONS = [
+    ['TYPE:', 'BO = Blockout, SN = Screen, LF = Light Filter'],
+    ['Over:', 'O = Over Roll'],
+    ['I/O:', 'IN = Inside Mount, OUT = Outside Mount'],
+    ['L/R:', 'L = Left Control, R = Right Control'],
+    ['H-Winder:', 'Heavy-Duty Winder'],
+    ["D'Bracket:", 'Double Bracket']
+];
+
+const DETAIL_HEADERS = ['#', 'Location', 'W x H', 'Type', 'F-Name', 'F-Color', 'Options'];
+const SCHEDULE_HEADERS = ['Milestone', 'When', 'Due Date', 'Amount'];
+const OPTION_HEADERS = ['Option', 'Changes', 'Total', 'Difference'];
+
+const ITEMS_COLUMNS = [
+    { header: '#', width: 28, value: (productPackage, index) => String(index + 1) },
+    { header: 'Description', width: null },
+    { header: 'QTY', width: 45, align: 'right', value: productPackage => String(productPackage.itemCount) },
+    {
+        header: 'Price', width: 85, align: 'right', retailOnly: true,
+        value: productPackage => FORMATTERS.currency(productPackage.firstPrice), style: { color: '#999999', strike: true }
+    },
+    {
+        header: 'Discounted Price', tradeHeader: 'Net Price', width: 105, align: 'right',
+        value: productPackage => FORMATTERS.currency(productPackage.discountedPrice), style: { font: 'bold', colorKey: 'discount' }
+    }
+];
+
+const SUMMARY_ROWS = [
+    { label: 'Subtotal', key: 'subtotal' },
+    { listKey: 'discountLines', colorKey: 'discount' },
+    { label: 'Delivery', key: 'deliveryFee' },
+    { label: 'Installation', key: 'installationFee' },
+    { labelKey: 'taxLabel', key: 'gst' },
+    { label: 'Total', key: 'grandTotal', isGrandTotal: true },
+    { label: 'You Saved', key: 'savings', colorKey: 'success', bold: true, retailOnly: true }
+];
+
+/**
+ * Generates the customer quote PDF.
+ * @param {object} templateData The data object produced by `WorkflowService._prepareTemplateData`.
+ * @returns {Uint8Array} The PDF file bytes.
+ */
+export function generateQuotePdf(templateData) {
+    const doc = new PdfDocument({ title: `Quotation ${templateData.quoteId || ''}`.trim() });
+    const branding = templateData.branding || {};
+    const layout = {
+        doc,
+        y: MARGIN,
+        branding,
+        colors: _brandColors(branding.colors),
+        isTrade: templateData.template?.layout === QUOTE_LAYOUTS.TRADE
+    };
+    doc.addPage();
+
+    _drawQuoteHeader(layout, templateData);
+    _drawCustomerInfo(layout, templateData.customer || {});
+    _drawItemsTable(layout, templateData.packages || []);
+    _drawSummary(layout, templateData);
+    if (templateData.options?.length > 0) {
+        _drawDetailTable(layout, {
+            title: 'Other Options',
+            headers: OPTION_HEADERS,
+            rows: templateData.options.map(option => [
+                `${option.label}: ${option.name}`,
+                FORMATTERS.join(option.changes),
+                FORMATTERS.currency(option.total),
+                FORMATTERS.signedCurrency(option.difference)
+            ])
+        });
+    }
+    _drawDetailTable(layout, {
+        title: 'Payment Schedule',
+        headers: SCHEDULE_HEADERS,
+        rows: (templateData.paymentSchedule?.milestones || []).map(milestone => [
+            milestone.percent ? `${milestone.label} (${milestone.percent}%)` : milestone.label,
+            milestone.when,
+            FORMATTERS.date(milestone.dueDate) || '-',
+            FORMATTERS.currency(milestone.amount)
+        ])
+    });
+    _drawPaymentAndNextSteps(layout);
+    _drawTerms(layout, String(templateData.termsAndConditions || '').split(/\r\n|\r|\n/));
+    _drawClosing(layout);
+
+    doc.addPage();
+    layout.y = MARGIN;
+    _drawAppendixHeader(layout, templateData.quoteId);
+    (templateData.productTables || []).forEach(table => _drawDetailTable(layout, {
+        title: table.title,
+        headers: DETAIL_HEADERS,
+        rows: table.items.map((item, index) => [
+            String(index + 1), item.location, `${item.width} x ${item.height}`, item.fabricType,
+            item.fabric, item.color, FORMATTERS.join(item.options)
+        ])
+    }));
+    _drawAbbreviations(layout);
+
+    _drawPageFooters(layout, templateData.quoteId);
+    return doc.toBytes();
+}
+
+// --- Quote page ---
+
+function _drawQuoteHeader(layout, data) {
+    const { doc, colors, branding } = layout;
+    const top = layout.y;
+
+    doc.text(MARGIN, top, layout.isTrade ? 'TRADE QUOTATION' : 'QUOTATION', { font: 'bold', size: 20, color: colors.accent });
+    [['Quote No:', data.quoteId], ['Issue Date:', FORMATTERS.date(data.issueDate)], ['Due Date:', FORMATTERS.date(data.dueDate)]].forEach(([label, value], index) => {
+        const lineY = top + 34 + index * 15;
+        doc.text(MARGIN, lineY, label, { font: 'bold', size: 10, color: colors.text });
+        doc.text(MARGIN + 65, lineY, value || '', { size: 10, color: colors.text });
+    });
+
+    const right = MARGIN + CONTENT_WIDTH;
+    const companyLines = [
+        branding.abn ? `ABN: ${branding.abn}` : '',
+        branding.address,
+        [branding.phone, branding.email].filter(Boolean).join(' | '),
+        branding.website
+    ].filter(Boolean);
+    doc.text(right, top, branding.name || '', { font: 'bold', size: 18, color: colors.primary, align: 'right' });
+    companyLines.forEach((line, index) => {
+        doc.text(right, top + 26 + index * 13, line, { size: 9, color: colors.muted, align: 'right' });
+    });
+
+    layout.y = top + 86;
+    doc.line(MARGIN, layout.y, right, layout.y, { color: colors.primary, width: 2.5 });
+    layout.y += 20;
+}
+
+function _drawCustomerInfo(layout, customer) {
+    const { colors } = layout;
+    const lines = [
+        { text: customer.name, bold: true },
+        ...String(customer.address || '').split(/\r\n|\r|\n/).map(text => ({ text })),
+        { text: customer.phone ? `Phone: ${customer.phone}` : '' },
+        { text: customer.email ? `Email: ${customer.email}` : '' }
+    ].filter(line => line.text);
+
+    lines.forEach(({ text, bold }) => {
+        layout.doc.wrapText(text, CONTENT_WIDTH, { font: bold ? 'bold' : 'regular', size: 10 }).forEach(line => {
+            _ensureSpace(layout, 15);
+            layout.doc.text(MARGIN, layout.y, line, { font: bold ? 'bold' : 'regular', size: 10, color: colors.text });
+            layout.y += 15;
+        });
+    });
+    layout.y += 15;
+}
+
+function _drawItemsTable(layout, packages) {
+    const { doc, colors } = layout;
+    const shownColumns = ITEMS_COLUMNS.filter(column => !(layout.isTrade && column.retailOnly));
+    const fixedWidth = shownColumns.reduce((sum, column) => sum + (column.width || 0), 0);
+    const columns = shownColumns.map(column => ({
+        ...column,
+        header: (layout.isTrade && column.tradeHeader) || column.header,
+        width: column.width || CONTENT_WIDTH - fixedWidth
+    }));
+
+    const drawHeader = () => {
+        doc.rect(MARGIN, layout.y, CONTENT_WIDTH, 22, { fill: colors.primary });
+        _forEachColumn(columns, (column, x) => {
+            _drawCellText(doc, column, x, layout.y + 6, column.header, { font: 'bold', size: 9.5, color: colors.white });
+        });
+        layout.y += 22;
+    };
+
+    _ensureSpace(layout, 22 + 40);
+    drawHeader();
+
+    packages.forEach((productPackage, packageIndex) => {
+        const descriptionWidth = columns[1].width - CELL_PADDING * 2;
+        const titleLines = doc.wrapText(`${productPackage.name} Package`, descriptionWidth, { font: 'bold', size: 10 });
+        const detailLines = doc.wrapText('See appendix for detailed specifications.', descriptionWidth, { size: 8.5 });
+        const rowHeight = 16 + titleLines.length * 13 + detailLines.length * 11;
+
+        _ensureSpace(layout, rowHeight, drawHeader);
+        const textTop = layout.y + 8;
+        _forEachColumn(columns, (column, x) => {
+            if (column.value) {
+                const { colorKey, ...style } = column.style || {};
+                _drawCellText(doc, column, x, textTop, column.value(productPackage, packageIndex), {
+                    size: 10, color: colors[colorKey] || colors.text, ...style
+                });
+            } else {
+                titleLines.forEach((line, lineIndex) => {
+                    doc.text(x + CELL_PADDING, textTop + lineIndex * 13, line, { font: 'bold', size: 10, color: colors.text });
+                });
+                detailLines.forEach((line, lineIndex) => {
+                    doc.text(x + CELL_PADDING, textTop + titleLines.length * 13 + lineIndex * 11, line, { size: 8.5, color: colors.muted });
+                });
+            }
+        });
+        layout.y += rowHeight;
+        doc.line(MARGIN, layout.y, MARGIN + CONTENT_WIDTH, layout.y, { color: colors.border, width: 0.75 });
+    });
+    layout.y += 20;
+}
+
+function _drawSummary(layout, data) {
+    const { doc, colors } = layout;
+    const right = MARGIN + CONTENT_WIDTH;
+    const labelRight = right - 110;
+    // A list row (the discount lines) becomes one row per entry.
+    const rows = SUMMARY_ROWS
+        .filter(row => !(layout.isTrade && row.retailOnly))
+        .flatMap(row => (row.listKey
+            ? (data[row.listKey] || []).map(entry => ({ ...row, label: entry.label, value: entry.amount }))
+            : [{ ...row, label: row.labelKey ? (data[row.labelKey] || 'GST') : row.label, value: data[row.key] }]));
+    const rowHeights = rows.map(row => (row.isGrandTotal ? 30 : 20));
+    _ensureSpace(layout, rowHeights.reduce((sum, height) => sum + height, 0));
+
+    rows.forEach((row, index) => {
+        const { label } = row;
+        if (row.isGrandTotal) {
+            doc.line(right - 260, layout.y + 2, right, layout.y + 2, { color: colors.primary, width: 2 });
+            const style = { font: 'bold', size: 14, color: colors.primary };
+            doc.text(labelRight, layout.y + 10, label, { ...style, align: 'right' });
+            doc.text(right, layout.y + 10, FORMATTERS.currency(row.value), { ...style, align: 'right' });
+        } else {
+            const font = row.bold ? 'bold' : 'regular';
+            doc.text(labelRight, layout.y + 4, label, { font, size: 10, color: '#555555', align: 'right' });
+            doc.text(right, layout.y + 4, FORMATTERS.currency(row.value), { font, size: 10, color: colors[row.colorKey] || colors.text, align: 'right' });
+        }
+        layout.y += rowHeights[index];
+    });
+    layout.y += 20;
+}
+
+function _drawPaymentAndNextSteps(layout) {
+    const { doc, colors } = layout;
+    const bank = layout.branding.bank || {};
+    const paymentDetails = [
+        ['Bank:', bank.name],
+        ['BSB:', bank.bsb],
+        ['Account:', bank.account],
+        ['Acc Name:', bank.accountName],
+        ['PayID:', bank.payId]
+    ].filter(([, value]) => value);
+    // The trade layout has no deposit step, so the payment details take the full width.
+    const gap = 20;
+    const boxWidth = layout.isTrade ? CONTENT_WIDTH : (CONTENT_WIDTH - gap) / 2;
+    const innerWidth = boxWidth - 30;
+    const noteLines = doc.wrapText(bank.reference || '', innerWidth, { size: 8.5 });
+    const proceedLines = layout.isTrade ? [] : doc.wrapText(HOW_TO_PROCEED, innerWidth, { size: 10 });
+
+    const paymentHeight = 30 + 20 + paymentDetails.length * 15 + 8 + noteLines.length * 11;
+    const proceedHeight = 30 + 20 + proceedLines.length * 14;
+    const boxHeight = Math.max(paymentHeight, proceedHeight);
+    _ensureSpace(layout, boxHeight);
+
+    const top = layout.y;
+    const leftX = MARGIN;
+    const rightX = MARGIN + boxWidth + gap;
+
+    doc.rect(leftX, top, boxWidth, boxHeight, { stroke: colors.border });
+    doc.text(leftX + 15, top + 15, 'Payment Method', { font: 'bold', size: 11, color: colors.primary });
+    paymentDetails.forEach(([label, value], index) => {
+        const lineY = top + 35 + index * 15;
+        doc.text(leftX + 15, lineY, label, { font: 'bold', size: 10, color: colors.text });
+        doc.text(leftX + 85, lineY, value, { size: 10, color: colors.text });
+    });
+    noteLines.forEach((line, index) => {
+        doc.text(leftX + 15, top + 43 + paymentDetails.length * 15 + index * 11, line, { font: 'italic', size: 8.5, color: colors.text });
+    });
+
+    if (!layout.isTrade) {
+        doc.rect(rightX, top, boxWidth, boxHeight, { fill: colors.panelFill, stroke: colors.border });
+        doc.text(rightX + 15, top + 15, 'How to Proceed', { font: 'bold', size: 11, color: colors.primary });
+        proceedLines.forEach((line, index) => {
+            doc.text(rightX + 15, top + 35 + index * 14, line, { size: 10, color: colors.text });
+        });
+    }
+
+    layout.y = top + boxHeight + 25;
+}
+
+function _drawTerms(layout, paragraphs) {
+    const { doc, colors } = layout;
+    const lines = paragraphs.flatMap(paragraph => doc.wrapText(paragraph, CONTENT_WIDTH, { size: 9 }));
+
+    _ensureSpace(layout, 20 + Math.min(lines.length, 3) * 12);
+    doc.text(MARGIN, layout.y, 'Terms & Conditions', { font: 'bold', size: 11, color: colors.primary });
+    layout.y += 20;
+    lines.forEach(line => {
+        _ensureSpace(layout, 12);
+        doc.text(MARGIN, layout.y, line, { size: 9, color: colors.text });
+        layout.y += 12;
+    });
+    layout.y += 20;
+}
+
+function _drawClosing(layout) {
+    const { doc, colors, branding } = layout;
+    _ensureSpace(layout, 36);
+    const center = MARGIN + CONTENT_WIDTH / 2;
+    doc.line(MARGIN, layout.y, MARGIN + CONTENT_WIDTH, layout.y, { color: colors.border, width: 0.75 });
+    doc.text(center, layout.y + 10, branding.footer || '', { size: 10, color: colors.text, align: 'center' });
+    doc.text(center, layout.y + 24, branding.name || '', { font: 'bold', size: 10, color: colors.text, align: 'center' });
+    layout.y += 40;
+}
+
+// --- Appendix ---
+
+function _drawAppendixHeader(layout, quoteId) {
+    const { doc, colors } = layout;
+    doc.text(MARGIN, layout.y, 'Quotation Appendix', { font: 'bold', size: 18, color: colors.primary });
+    doc.text(MARGIN + CONTENT_WIDTH, layout.y + 5, `Quote No: ${quoteId || ''}`, { font: 'bold', size: 10, color: colors.text, align: 'right' });
+    layout.y += 30;
+    doc.line(MARGIN, layout.y, MARGIN + CONTENT_WIDTH, layout.y, { color: colors.primary, width: 2 });
+    layout.y += 20;
+}
+
+function _drawDetailTable(layout, { title, headers, rows }) {
+    const { doc, colors } = layout;
+    const bodyStyle = { size: 8.5 };
+    const headerStyle = { font: 'bold', size: 8.5 };
+    const columns = _fitColumnWidths(doc, headers, rows, headerStyle, bodyStyle);
+
+    const drawHeader = (isContinued) => {
+        if (title) {
+            doc.rect(MARGIN, layout.y, CONTENT_WIDTH, 20, { fill: colors.primary });
+            doc.text(MARGIN + CELL_PADDING, layout.y + 6, isContinued ? `${title} (continued)` : title, { font: 'bold', size: 10, color: colors.white });
+            layout.y += 20;
+        }
+        doc.rect(MARGIN, layout.y, CONTENT_WIDTH, 18, { fill: colors.headerFill });
+        _forEachColumn(columns, (column, x) => {
+            _drawCellText(doc, column, x, layout.y + 5, column.header, { ...headerStyle, color: colors.primary });
+        });
+        layout.y += 18;
+    };
+
+    _ensureSpace(layout, 38 + 20);
+    drawHeader(false);
+
+    rows.forEach((row, rowIndex) => {
+        const cellLines = columns.map((column, index) => doc.wrapText(row[index] || '', column.width - CELL_PADDING * 2, bodyStyle));
+        const rowHeight = 10 + Math.max(1, ...cellLines.map(lines => lines.length)) * 11;
+
+        _ensureSpace(layout, rowHeight, () => drawHeader(true));
+        if (rowIndex % 2 === 1) {
+            doc.rect(MARGIN, layout.y, CONTENT_WIDTH, rowHeight, { fill: '#fafafa' });
+        }
+        _forEachColumn(columns, (column, x, index) => {
+            cellLines[index].forEach((line, lineIndex) => {
+                _drawCellText(doc, column, x, layout.y + 5 + lineIndex * 11, line, { ...bodyStyle, color: colors.text });
+            });
+        });
+        layout.y += rowHeight;
+        doc.line(MARGIN, layout.y, MARGIN + CONTENT_WIDTH, layout.y, { color: colors.border, width: 0.5 });
+    });
+    layout.y += 20;
+}
+
+function _drawAbbreviations(layout) {
+    const { doc, colors } = layout;
+    _ensureSpace(layout, 22 + ABBREVIATIONS.length * 13);
+    doc.text(MARGIN, layout.y, 'Abbreviations Key', { font: 'bold', size: 11, color: colors.primary });
+    layout.y += 20;
+    ABBREVIATIONS.forEach(([label, text]) => {
+        doc.text(MARGIN, layout.y, label, { font: 'bold', size: 9, color: colors.text });
+        doc.text(MARGIN + 60, layout.y, text, { size: 9, color: colors.text });
+        layout.y += 13;
+    });
+}
+
+function _drawPageFooters({ doc, colors }, quoteId) {
+    for (let pageIndex = 0; pageIndex < doc.pageCount; pageIndex++) {
+        doc.setPage(pageIndex);
+        const y = PAGE_HEIGHT - MARGIN;
+        doc.text(MARGIN, y, quoteId ? `Quote No: ${quoteId}` : '', { size: 8, color: colors.muted });
+        doc.text(MARGIN + CONTENT_WIDTH, y, `Page ${pageIndex + 1} of ${doc.pageCount}`, { size: 8, color: colors.muted, align: 'right' });
+    }
+}
+
+// --- Layout helpers ---
+
+/**
+ * Applies a branding profile's colours; the table header fill is a light tint of the primary colour.
+ */
+function _brandColors(brandColors = {}) {
+    const primary = brandColors.primary || DEFAULT_COLORS.primary;
+    return {
+        ...DEFAULT_COLORS,
+        primary,
+        accent: brandColors.accent || DEFAULT_COLORS.accent,
+        headerFill: _tint(primary, 0.88)
+    };
+}
+
+function _tint(hex, amount) {
+    const value = parseInt(hex.replace('#', ''), 16);
+    return '#' + [16, 8, 0]
+        .map(shift => Math.round(((value >> shift) & 0xff) + (255 - ((value >> shift) & 0xff)) * amount))
+        .map(channel => channel.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * Starts a new page when the next block does not fit, then lets the caller repeat its table header.
+ */
+function _ensureSpace(layout, height, onNewPage) {
+    if (layout.y + height <= CONTENT_BOTTOM) return;
+    layout.doc.addPage();
+    layout.y = MARGIN;
+    if (onNewPage) onNewPage();
+}
+
+function _forEachColumn(columns, callback) {
+    let x = MARGIN;
+    columns.forEach((column, index) => {
+        callback(column, x, index);
+        x += column.width;
+    });
+}
+
+function _drawCellText(doc, column, x, y, text, style) {
+    if (column.align === 'right') {
+        doc.text(x + column.width - CELL_PADDING, y, text, { ...style, align: 'right' });
+    } else {
+        doc.text(x + CELL_PADDING, y, text, style);
+    }
+}
+
+/**
+ * Sizes columns to their content; when the table is too wide, the widest columns give up space.
+ */
+function _fitColumnWidths(doc, headers, rows, headerStyle, bodyStyle) {
+    const naturalWidths = headers.map((header, index) => CELL_PADDING * 2 + Math.max(
+        doc.measureText(header, headerStyle),
+        ...rows.map(row => doc.measureText(row[index] || '', bodyStyle))
+    ));
+    const total = naturalWidths.reduce((sum, width) => sum + width, 0);
+
+    let widths;
+    if (total <= CONTENT_WIDTH) {
+        widths = naturalWidths.map(width => width + (CONTENT_WIDTH - total) * width / total);
+    } else {
+        const fairShare = CONTENT_WIDTH / headers.length;
+        const narrowTotal = naturalWidths.filter(width => width <= fairShare).reduce((sum, width) => sum + width, 0);
+        const wideTotal = total - narrowTotal;
+        widths = naturalWidths.map(width => (width <= fairShare ? width : width / wideTotal * (CONTENT_WIDTH - narrowTotal)));
+    }
+    return headers.map((header, index) => ({ header, width: widths[index] }));
+}
@@ -0,0 +1,116 @@
+// File: 04-core-code/utils/quote-pdf-generator.spec.js
+
+import { generateQuotePdf } from './quote-pdf-generator.js';
+import { brandingProfiles } from '../config/quote-templates.js';
+
+const toText = (bytes) => Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+
+const buildTemplateData = (itemCount, layout = 'retail') => ({
+    template: { id: layout, name: layout, layout },
+    branding: brandingProfiles.ezBlinds,
+    quoteId: 'RB20261019120000',
+    issueDate: '2026-10-19',
+    dueDate: '2026-11-02',
+    customer: { name: 'Jane (Smith)', address: '1 Main St', phone: '0400 000 000', email: '' },
+    termsAndConditions: 'Prices valid for 14 days.\nDeposit required.',
+    subtotal: 1000,
+    discountLines: [{ ruleId: 'volume', label: 'Volume discount', amount: -50 }],
+    deliveryFee: 0,
+    installationFee: 100,
+    gst: 100, taxLabel: 'GST (10%)',
+    grandTotal: 1100,
+    savings: 50,
+    paymentSchedule: {
+        id: 'deposit-50',
+        name: '50% deposit, 50% on installation',
+        milestones: [
+            { label: 'Deposit', when: 'On acceptance', percent: 50, dueDate: '2026-10-19', amount: 550 },
+            { label: 'Balance', when: 'On installation', percent: null, dueDate: null, amount: 550 }
+        ]
+    },
+    packages: [{ name: 'Roller Blind', itemCount, firstPrice: 1050, discountedPrice: 1000 }],
+    productTables: [{
+        title: 'Roller Blinds - Detailed List',
+        items: Array.from({ length: itemCount }, (_, index) => ({
+            location: `Room ${index + 1}`, width: 1200, height: 1300, fabricType: 'BO',
+            fabric: 'Linen', color: 'Oat', options: ['O', 'IN', 'L', '1000mm']
+        }))
+    }]
+});
+
+describe('generateQuotePdf', () => {
+    it('should write a well-formed PDF whose cross-reference offsets point at its objects', () => {
+        const pdf = toText(generateQuotePdf(buildTemplateData(3)));
+
+        expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+        expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+
+        const xrefOffset = parseInt(pdf.match(/startxref\n(\d+)/)[1], 10);
+        expect(pdf.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+        const offsets = pdf.slice(xrefOffset).match(/^\d{10} 00000 n $/gm).map(entry => parseInt(entry, 10));
+        offsets.forEach((offset, index) => {
+            expect(pdf.slice(offset).startsWith(`${index + 1} 0 obj`)).toBe(true);
+        });
+    });
+
+    it('should lay out the quote page and the appendix from the template data', () => {
+        const pdf = toText(generateQuotePdf(buildTemplateData(3)));
+
+        expect(pdf).toContain('/Count 3');
+        expect(pdf).toContain('(Jane \\(Smith\\)) Tj');
+        expect(pdf).toContain('(Roller Blind Package) Tj');
+        expect(pdf).toContain('($1100.00) Tj');
+        expect(pdf).toContain('(Deposit required.) Tj');
+        expect(pdf).toContain('(Room 3) Tj');
+        expect(pdf).toContain('(19/10/2026) Tj');
+        expect(pdf).toContain('(Payment Schedule) Tj');
+        expect(pdf).toContain('(On installation) Tj');
+        expect(pdf).toContain('($550.00) Tj');
+        expect(pdf).toContain('(O, IN, L, 1000mm) Tj');
+        expect(pdf).toContain('(Volume discount) Tj');
+        expect(pdf).toContain('(-$50.00) Tj');
+        expect(pdf).toContain('(Page 3 of 3) Tj');
+        expect(pdf).not.toContain('(Other Options) Tj');
+    });
+
+    it('should list the quote\'s other options after the totals', () => {
+        const templateData = {
+            ...buildTemplateData(3),
+            options: [{ label: 'Option A', name: 'Motorised', changes: ['Motorised'], total: 1628, difference: 528 }]
+        };
+        const pdf = toText(generateQuotePdf(templateData));
+
+        expect(pdf).toContain('(Other Options) Tj');
+        expect(pdf).toContain('(Option A: Motorised) Tj');
+        expect(pdf).toContain('($1628.00) Tj');
+        expect(pdf).toContain('(+$528.00) Tj');
+    });
+
+    it('should print the branding profile and leave retail-only figures out of the trade layout', () => {
+        const retailPdf = toText(generateQuotePdf(buildTemplateData(1)));
+        const tradePdf = toText(generateQuotePdf({ ...buildTemplateData(1, 'trade'), branding: brandingProfiles.alphalead }));
+
+        expect(retailPdf).toContain('(EZ Blinds & Shutters) Tj');
+        expect(retailPdf).toContain('(062 692) Tj');
+        expect(retailPdf).toContain('(You Saved) Tj');
+        expect(retailPdf).toContain('(Deposit \\(50%\\)) Tj');
+
+        expect(tradePdf).toContain('(Alphalead Window Furnishings) Tj');
+        expect(tradePdf).toContain('(TRADE QUOTATION) Tj');
+        expect(tradePdf).toContain('(Net Price) Tj');
+        expect(tradePdf).toContain('0 0.3 0.25 rg'); // #004d40
+        expect(tradePdf).not.toContain('(You Saved) Tj');
+        expect(tradePdf).not.toContain('($1050.00) Tj');
+    });
+
+    it('should continue long appendix tables on new pages with the header rows repeated', () => {
+        const pdf = toText(generateQuotePdf(buildTemplateData(120)));
+
+        const pageCount = parseInt(pdf.match(/\/Count (\d+)/)[1], 10);
+        const appendixPages = pageCount - 2; // The quote page runs onto a second page.
+        expect(appendixPages).toBeGreaterThan(1);
+        expect(pdf.match(/\(Location\) Tj/g)).toHaveLength(appendixPages);
+        expect(pdf.match(/\(Roller Blinds - Detailed List \\\(continued\\\)\) Tj/g)).toHaveLength(appendixPages - 1);
+        expect(pdf).toContain('(Room 120) Tj');
+    });
+});
@@ -0,0 +1,143 @@
+// /04-core-code/utils/revision-diff.js
+
+/**
+ * @fileoverview Compares two saved quote revisions for the revision viewer.
+ * Items are matched by `itemId` within each product line, so a blind keeps its
+ * identity when rows are inserted or deleted around it.
+ */
+
+const DIMENSION_FIELDS = ['width', 'height'];
+const TYPE_FIELDS = ['fabricType'];
+const IGNORED_ITEM_FIELDS = ['itemId', 'linePrice'];
+
+/**
+ * Diffs two revisions row by row.
+ * @param {object} fromRevision The older (left-hand) revision.
+ * @param {object} toRevision The newer (right-hand) revision.
+ * @returns {{products: Array<object>, f1: Array<object>, f2: Array<object>, customer: Array<object>, totalDelta: number, hasChanges: boolean}}
+ *   `products` holds one entry per product line with rows of
+ *   `{ status: 'added'|'removed'|'changed'|'unchanged', from, to, changes, priceDelta }`;
+ *   the other sections hold `{ field, from, to }` value changes.
+ */
+export function diffRevisions(fromRevision, toRevision) {
+    const fromProducts = fromRevision?.quoteData?.products || {};
+    const toProducts = toRevision?.quoteData?.products || {};
+    const productKeys = [...new Set([...Object.keys(fromProducts), ...Object.keys(toProducts)])];
+
+    const products = productKeys
+        .map(productKey => ({
+            productKey,
+            rows: _diffItems(fromProducts[productKey]?.items, toProducts[productKey]?.items),
+            accessories: _diffValues(
+                fromProducts[productKey]?.summary?.accessories,
+                toProducts[productKey]?.summary?.accessories
+            )
+        }))
+        .filter(product => product.rows.length > 0 || product.accessories.length > 0);
+
+    const result = {
+        products,
+        f1: _diffValues(fromRevision?.f1, toRevision?.f1),
+        f2: _diffValues(fromRevision?.f2, toRevision?.f2),
+        customer: _diffValues(
+            { ...fromRevision?.quoteData?.customer, ...fromRevision?.f3 },
+            { ...toRevision?.quoteData?.customer, ...toRevision?.f3 }
+        ),
+        totalDelta: _roundCents(_totalSum(toProducts) - _totalSum(fromProducts))
+    };
+
+    result.hasChanges = result.f1.length > 0 || result.f2.length > 0 || result.customer.length > 0 ||
+        products.some(product => product.accessories.length > 0 || product.rows.some(row => row.status !== 'unchanged'));
+    return result;
+}
+
+/**
+ * Names the kind of change a field represents: 'dimensions', 'type' or 'options'.
+ */
+export function getChangeCategory(field) {
+    if (DIMENSION_FIELDS.includes(field)) return 'dimensions';
+    if (TYPE_FIELDS.includes(field)) return 'type';
+    return 'options';
+}
+
+function _diffItems(fromItems = [], toItems = []) {
+    const keyOf = (item, index) => item.itemId || `#${index}`;
+    const fromEntries = fromItems
+        .map((item, index) => ({ item, key: keyOf(item, index), index }))
+        .filter(({ item }) => _hasData(item));
+    const toEntries = toItems
+        .map((item, index) => ({ item, key: keyOf(item, index) }))
+        .filter(({ item }) => _hasData(item));
+
+    const toKeys = new Set(toEntries.map(entry => entry.key));
+    const fromByKey = new Map(fromEntries.map(entry => [entry.key, entry]));
+    const rows = [];
+    let nextFromIndex = 0;
+
+    // Removed rows are emitted just before the next surviving row, so they stay near where they used to be.
+    const flushRemovedBefore = (fromIndex) => {
+        while (nextFromIndex < fromEntries.length && fromEntries[nextFromIndex].index < fromIndex) {
+            const entry = fromEntries[nextFromIndex++];
+            if (!toKeys.has(entry.key)) {
+                rows.push(_buildRow(entry.item, null));
+            }
+        }
+    };
+
+    toEntries.forEach(({ item, key }) => {
+        const fromEntry = fromByKey.get(key);
+        if (fromEntry) {
+            flushRemovedBefore(fromEntry.index + 1);
+        }
+        rows.push(_buildRow(fromEntry ? fromEntry.item : null, item));
+    });
+    flushRemovedBefore(Infinity);
+
+    return rows;
+}
+
+function _buildRow(fromItem, toItem) {
+    const priceDelta = _roundCents((toItem?.linePrice || 0) - (fromItem?.linePrice || 0));
+    if (!fromItem) return { status: 'added', from: null, to: toItem, changes: [], priceDelta };
+    if (!toItem) return { status: 'removed', from: fromItem, to: null, changes: [], priceDelta };
+
+    const changes = _diffValues(fromItem, toItem)
+        .filter(change => !IGNORED_ITEM_FIELDS.includes(change.field))
+        .map(change => ({ ...change, category: getChangeCategory(change.field) }));
+    const status = changes.length > 0 || priceDelta !== 0 ? 'changed' : 'unchanged';
+    return { status, from: fromItem, to: toItem, changes, priceDelta };
+}
+
+/**
+ * Lists the fields whose values differ between two flat-ish objects.
+ * Nested objects (e.g. `accessories.motor`) are compared by dotted path; empty values are treated alike.
+ */
+function _diffValues(fromValues, toValues, prefix = '') {
+    const from = fromValues || {};
+    const to = toValues || {};
+    const fields = [...new Set([...Object.keys(from), ...Object.keys(to)])];
+
+    return fields.flatMap(field => {
+        const path = prefix ? `${prefix}.${field}` : field;
+        const isObject = value => value !== null && typeof value === 'object';
+        if (isObject(from[field]) || isObject(to[field])) {
+            return _diffValues(from[field], to[field], path);
+        }
+        const normalize = value => (value === undefined || value === null || value === '') ? null : value;
+        const fromValue = normalize(from[field]);
+        const toValue = normalize(to[field]);
+        return fromValue === toValue ? [] : [{ field: path, from: fromValue, to: toValue }];
+    });
+}
+
+function _hasData(item) {
+    return Boolean(item && (item.width || item.height || item.fabricType));
+}
+
+function _totalSum(products) {
+    return Object.values(products).reduce((sum, productData) => sum + (productData.summary?.totalSum || 0), 0);
+}
+
+function _roundCents(value) {
+    return Math.round(value * 100) / 100;
+}
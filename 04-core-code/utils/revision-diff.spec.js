@@ -0,0 +1,82 @@
+// File: 04-core-code/utils/revision-diff.spec.js
+
+import { diffRevisions } from './revision-diff.js';
+
+const item = (itemId, overrides = {}) => ({
+    itemId, width: 1000, height: 1200, fabricType: 'B1', linePrice: 100,
+    location: '', over: '', oi: '', lr: '', motor: '', ...overrides
+});
+
+const emptyItem = { itemId: 'empty', width: null, height: null, fabricType: null, linePrice: null };
+
+const buildRevision = (items, { totalSum = null, f1 = {}, f2 = {}, f3 = {}, customer = {}, accessories = {} } = {}) => ({
+    quoteData: {
+        quoteId: 'RB1',
+        products: { rollerBlind: { items: [...items, emptyItem], summary: { totalSum, accessories } } },
+        customer
+    },
+    f1, f2, f3
+});
+
+describe('diffRevisions', () => {
+    it('should report no changes for identical revisions and ignore trailing empty rows', () => {
+        const revision = buildRevision([item('a'), item('b')], { totalSum: 200 });
+
+        const diff = diffRevisions(revision, JSON.parse(JSON.stringify(revision)));
+
+        expect(diff.hasChanges).toBe(false);
+        expect(diff.products[0].rows.map(row => row.status)).toEqual(['unchanged', 'unchanged']);
+        expect(diff.totalDelta).toBe(0);
+    });
+
+    it('should match items by id and place removed rows where they used to be', () => {
+        const from = buildRevision([item('a'), item('b'), item('c')], { totalSum: 300 });
+        const to = buildRevision([item('a'), item('c'), item('d', { linePrice: 150 })], { totalSum: 350 });
+
+        const { products, totalDelta } = diffRevisions(from, to);
+        const rows = products[0].rows;
+
+        expect(rows.map(row => [row.status, (row.to || row.from).itemId])).toEqual([
+            ['unchanged', 'a'], ['removed', 'b'], ['unchanged', 'c'], ['added', 'd']
+        ]);
+        expect(rows[1].priceDelta).toBe(-100);
+        expect(rows[3].priceDelta).toBe(150);
+        expect(totalDelta).toBe(50);
+    });
+
+    it('should categorize changed dimensions, type and options with the price delta', () => {
+        const from = buildRevision([item('a', { motor: 'Y' })]);
+        const to = buildRevision([item('a', { width: 1500, fabricType: 'B2', motor: '', linePrice: 80.5 })]);
+
+        const [row] = diffRevisions(from, to).products[0].rows;
+
+        expect(row.status).toBe('changed');
+        expect(row.changes).toEqual([
+            { field: 'width', from: 1000, to: 1500, category: 'dimensions' },
+            { field: 'fabricType', from: 'B1', to: 'B2', category: 'type' },
+            { field: 'motor', from: 'Y', to: null, category: 'options' }
+        ]);
+        expect(row.priceDelta).toBe(-19.5);
+    });
+
+    it('should list changed F1/F2 values, customer data and accessories', () => {
+        const from = buildRevision([item('a')], {
+            f1: { discountPercentage: 0 }, f2: { deliveryQty: 1 },
+            customer: { name: 'Smith' }, f3: { customerPhone: '' },
+            accessories: { motor: { count: 1, price: 250 } }
+        });
+        const to = buildRevision([item('a')], {
+            f1: { discountPercentage: 10 }, f2: { deliveryQty: 1 },
+            customer: { name: 'Smith' }, f3: { customerPhone: '0400 000 000' },
+            accessories: { motor: { count: 0, price: 0 } }
+        });
+
+        const diff = diffRevisions(from, to);
+
+        expect(diff.hasChanges).toBe(true);
+        expect(diff.f1).toEqual([{ field: 'discountPercentage', from: 0, to: 10 }]);
+        expect(diff.f2).toEqual([]);
+        expect(diff.customer).toEqual([{ field: 'customerPhone', from: null, to: '0400 000 000' }]);
+        expect(diff.products[0].accessories.map(change => change.field)).toEqual(['motor.count', 'motor.price']);
+    });
+});
@@ -0,0 +1,295 @@
+// /04-core-code/utils/template-engine.js
+
+/**
+ * @fileoverview A small logic-light template language for the quote documents.
+ *
+ *   {{path}}                  value, HTML-escaped (dotted paths, `this`, `../` for the outer scope)
+ *   {{{path}}}                value, unescaped
+ *   {{path | currency}}       value passed through formatters; arguments follow the name,
+ *   {{path | default "-"}}    e.g. `{{notes | default "None" | nl2br}}`
+ *   {{#each list}}...{{else}}...{{/each}}   loop (with @index, @number, @first, @last, @key)
+ *   {{#if path}}...{{else}}...{{/if}}       conditional (empty arrays count as false)
+ *   {{#unless path}}...{{/unless}}
+ *   {{> name}}                partial, rendered with the current scope
+ *   {{! comment }}
+ */
+
+/**
+ * Marks a formatter result as HTML that must not be escaped again.
+ */
+export class SafeString {
+    constructor(value) {
+        this.value = String(value);
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+export const FORMATTERS = {
+    /** 1234.5 -> "$1234.50" (the symbol is optional). */
+    currency: (value, symbol = '$') => {
+        const number = Number(value);
+        if (isBlank(value) || Number.isNaN(number)) return '';
+        return `${number < 0 ? '-' : ''}${symbol}${Math.abs(number).toFixed(2)}`;
+    },
+    /** A difference: 50 -> "+$50.00", -20 -> "-$20.00". */
+    signedCurrency: (value, symbol = '$') => {
+        const formatted = FORMATTERS.currency(value, symbol);
+        return formatted && Number(value) > 0 ? `+${formatted}` : formatted;
+    },
+    /** "2026-10-19" -> "19/10/2026"; other values are shown as they are. */
+    date: (value) => {
+        const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value ?? ''));
+        return match ? `${match[3]}/${match[2]}/${match[1]}` : (value ?? '');
+    },
+    /** 1200 -> "1200mm" */
+    mm: (value) => (isBlank(value) ? '' : `${value}mm`),
+    upper: (value) => String(value ?? '').toUpperCase(),
+    lower: (value) => String(value ?? '').toLowerCase(),
+    default: (value, fallback = '') => (isBlank(value) ? fallback : value),
+    join: (value, separator = ', ') => (Array.isArray(value) ? value.filter(part => !isBlank(part)).join(separator) : value),
+    /** Escapes the text and keeps its line breaks. */
+    nl2br: (value) => new SafeString(escapeHtml(value).replace(/\r\n|\r|\n/g, '<br>'))
+};
+
+/**
+ * Escapes text for use in HTML element content and quoted attribute values.
+ */
+export function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Parses a template once so it can be rendered many times.
+ * @param {string} template
+ * @returns {function(object, object=): string} Renders the template with data and the same options as `renderTemplate`.
+ */
+export function compileTemplate(template) {
+    const nodes = _parse(template);
+    return (data, options = {}) => _renderNodes(nodes, [data], {}, {
+        partials: options.partials || {},
+        formatters: { ...FORMATTERS, ...options.formatters },
+        compiledPartials: new Map()
+    });
+}
+
+/**
+ * Renders a template.
+ * @param {string} template
+ * @param {object} data The root scope.
+ * @param {object} [options]
+ * @param {Object<string, string>} [options.partials] Partial templates by name.
+ * @param {Object<string, function>} [options.formatters] Extra formatters, added to `FORMATTERS`.
+ * @returns {string}
+ */
+export function renderTemplate(template, data, options) {
+    return compileTemplate(template)(data, options);
+}
+
+// --- Parsing ---
+
+const TAG_PATTERN = /\{\{\{([\s\S]*?)\}\}\}|\{\{([\s\S]*?)\}\}/g;
+const BLOCK_HELPERS = ['each', 'if', 'unless'];
+
+function _parse(template) {
+    const root = { children: [] };
+    const stack = [root];
+    let lastIndex = 0;
+    let match;
+
+    TAG_PATTERN.lastIndex = 0;
+    while ((match = TAG_PATTERN.exec(template)) !== null) {
+        const current = stack[stack.length - 1];
+        const output = current.inElse ? current.inverse : current.children;
+        if (match.index > lastIndex) {
+            output.push({ type: 'text', value: template.slice(lastIndex, match.index) });
+        }
+        lastIndex = TAG_PATTERN.lastIndex;
+
+        if (match[1] !== undefined) {
+            output.push({ type: 'value', expression: _parseExpression(match[1]), escape: false });
+            continue;
+        }
+
+        const tag = match[2].trim();
+        if (tag.startsWith('!')) continue;
+
+        if (tag.startsWith('#')) {
+            const [helper, ...rest] = tag.slice(1).trim().split(/\s+/);
+            if (!BLOCK_HELPERS.includes(helper)) {
+                throw new Error(`Unknown block helper "{{#${helper}}}".`);
+            }
+            const block = { type: helper, path: rest.join(' '), children: [], inverse: null, inElse: false, tag };
+            output.push(block);
+            stack.push(block);
+        } else if (tag === 'else') {
+            if (stack.length === 1 || current.inverse) {
+                throw new Error('Unexpected "{{else}}" outside a block.');
+            }
+            current.inverse = [];
+            current.inElse = true;
+        } else if (tag.startsWith('/')) {
+            const helper = tag.slice(1).trim();
+            if (stack.length === 1 || current.type !== helper) {
+                throw new Error(`Unexpected "{{/${helper}}}"${stack.length > 1 ? `; "{{${current.tag}}}" is still open` : ''}.`);
+            }
+            stack.pop();
+        } else if (tag.startsWith('>')) {
+            output.push({ type: 'partial', name: tag.slice(1).trim() });
+        } else {
+            output.push({ type: 'value', expression: _parseExpression(tag), escape: true });
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new Error(`Unclosed "{{${stack[stack.length - 1].tag}}}" block.`);
+    }
+    if (lastIndex < template.length) {
+        root.children.push({ type: 'text', value: template.slice(lastIndex) });
+    }
+    return root.children;
+}
+
+/**
+ * Parses `path | formatter arg ... | formatter ...` into its parts. Arguments are quoted
+ * strings, numbers, or paths.
+ */
+function _parseExpression(source) {
+    const tokens = source.trim().match(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\||[^\s|]+/g) || [];
+    const segments = [[]];
+    tokens.forEach(token => {
+        if (token === '|') {
+            segments.push([]);
+        } else {
+            segments[segments.length - 1].push(token);
+        }
+    });
+
+    const [[path, ...extra], ...formatterSegments] = segments;
+    if (!path || extra.length > 0 || formatterSegments.some(segment => segment.length === 0)) {
+        throw new Error(`Invalid template expression "{{${source.trim()}}}".`);
+    }
+    return {
+        path,
+        formatters: formatterSegments.map(([name, ...args]) => ({ name, args: args.map(_parseArgument) }))
+    };
+}
+
+function _parseArgument(token) {
+    if (/^["']/.test(token)) {
+        return { literal: token.slice(1, -1).replace(/\\(.)/g, '$1') };
+    }
+    if (/^-?\d+(\.\d+)?$/.test(token)) {
+        return { literal: Number(token) };
+    }
+    return { path: token };
+}
+
+// --- Rendering ---
+
+function _renderNodes(nodes, scopes, frame, context) {
+    return nodes.map(node => _renderNode(node, scopes, frame, context)).join('');
+}
+
+function _renderNode(node, scopes, frame, context) {
+    switch (node.type) {
+        case 'text':
+            return node.value;
+        case 'value': {
+            const value = _evaluate(node.expression, scopes, frame, context);
+            if (value instanceof SafeString || !node.escape) return _toText(value);
+            return escapeHtml(_toText(value));
+        }
+        case 'partial': {
+            if (!(node.name in context.partials)) {
+                throw new Error(`Unknown partial "${node.name}".`);
+            }
+            if (!context.compiledPartials.has(node.name)) {
+                context.compiledPartials.set(node.name, _parse(context.partials[node.name]));
+            }
+            return _renderNodes(context.compiledPartials.get(node.name), scopes, frame, context);
+        }
+        case 'if':
+        case 'unless': {
+            const isTruthy = _isTruthy(_lookup(node.path, scopes, frame));
+            const branch = isTruthy === (node.type === 'if') ? node.children : node.inverse;
+            return branch ? _renderNodes(branch, scopes, frame, context) : '';
+        }
+        case 'each': {
+            const list = _lookup(node.path, scopes, frame);
+            const entries = Array.isArray(list)
+                ? list.map((item, index) => [index, item])
+                : Object.entries(list && typeof list === 'object' ? list : {});
+            if (entries.length === 0) {
+                return node.inverse ? _renderNodes(node.inverse, scopes, frame, context) : '';
+            }
+            return entries.map(([key, item], index) => _renderNodes(node.children, [...scopes, item], {
+                index,
+                number: index + 1,
+                key,
+                first: index === 0,
+                last: index === entries.length - 1
+            }, context)).join('');
+        }
+        default:
+            return '';
+    }
+}
+
+function _evaluate({ path, formatters }, scopes, frame, context) {
+    return formatters.reduce((value, { name, args }) => {
+        const formatter = context.formatters[name];
+        if (!formatter) {
+            throw new Error(`Unknown template formatter "${name}".`);
+        }
+        return formatter(value, ...args.map(arg => ('literal' in arg ? arg.literal : _lookup(arg.path, scopes, frame))));
+    }, _lookup(path, scopes, frame));
+}
+
+/**
+ * Resolves a path against the scope stack: the innermost scope that has the first key wins.
+ */
+function _lookup(path, scopes, frame) {
+    if (path.startsWith('@')) {
+        return frame[path.slice(1)];
+    }
+
+    let depth = scopes.length - 1;
+    let rest = path;
+    while (rest.startsWith('../')) {
+        depth = Math.max(0, depth - 1);
+        rest = rest.slice(3);
+    }
+    if (rest === 'this' || rest === '.') {
+        return scopes[depth];
+    }
+
+    const keys = rest.replace(/^this\./, '').split('.');
+    const isExplicitScope = rest !== path || rest.startsWith('this.');
+    let scopeIndex = depth;
+    if (!isExplicitScope) {
+        while (scopeIndex > 0 && !_hasKey(scopes[scopeIndex], keys[0])) scopeIndex--;
+    }
+    return keys.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), scopes[scopeIndex]);
+}
+
+function _hasKey(scope, key) {
+    return scope !== null && typeof scope === 'object' && key in scope;
+}
+
+function _isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function _toText(value) {
+    return value === null || value === undefined ? '' : String(value);
+}
@@ -0,0 +1,152 @@
+// File: 04-core-code/utils/template-engine.spec.js
+
+import { readFileSync } from 'fs';
+import { join, resolve } from 'path';
+import { renderTemplate, compileTemplate, SafeString } from './template-engine.js';
+import { brandingProfiles } from '../config/quote-templates.js';
+
+describe('template-engine', () => {
+    describe('values', () => {
+        it('should escape values by default and leave triple-brace values as they are', () => {
+            const data = { name: '<b>Tom & "Jerry"</b>' };
+
+            expect(renderTemplate('{{name}}|{{{name}}}', data)).toBe('&lt;b&gt;Tom &amp; &quot;Jerry&quot;&lt;/b&gt;|<b>Tom & "Jerry"</b>');
+        });
+
+        it('should resolve dotted paths, render missing values as empty and skip comments', () => {
+            const data = { customer: { name: 'Jane' } };
+
+            expect(renderTemplate('{{! greeting }}Hi {{customer.name}}{{customer.phone}}{{missing.key}}!', data)).toBe('Hi Jane!');
+        });
+
+        it('should chain formatters with arguments', () => {
+            const data = { total: 1234.5, credit: -20, notes: '', issueDate: '2026-10-19', width: 1200, address: 'Unit <1>\nMain St' };
+            const template = '{{total | currency}} {{credit | currency}} {{total | signedCurrency}} {{credit | signedCurrency}} ' +
+                '{{notes | default "None" | upper}} {{issueDate | date}} {{width | mm}} {{address | nl2br}}';
+
+            expect(renderTemplate(template, data)).toBe('$1234.50 -$20.00 +$1234.50 -$20.00 NONE 19/10/2026 1200mm Unit &lt;1&gt;<br>Main St');
+        });
+
+        it('should accept custom formatters and not escape SafeString results twice', () => {
+            const formatters = { bold: (value) => new SafeString(`<b>${value}</b>`) };
+
+            expect(renderTemplate('{{name | bold}}', { name: 'Jane' }, { formatters })).toBe('<b>Jane</b>');
+        });
+    });
+
+    describe('blocks', () => {
+        it('should loop with loop variables and fall back to outer scopes', () => {
+            const data = { currency: 'AUD', items: [{ name: 'A' }, { name: 'B' }] };
+            const template = '{{#each items}}{{@number}}.{{name}} {{currency}}{{#if @last}}.{{else}}, {{/if}}{{/each}}';
+
+            expect(renderTemplate(template, data)).toBe('1.A AUD, 2.B AUD.');
+        });
+
+        it('should render the else branch of empty loops and falsy conditions', () => {
+            const template = '{{#each items}}x{{else}}no items{{/each}}/{{#if items}}yes{{else}}no{{/if}}/{{#unless flag}}off{{/unless}}';
+
+            expect(renderTemplate(template, { items: [], flag: 0 })).toBe('no items/no/off');
+        });
+
+        it('should give nested loops access to the outer item through ../', () => {
+            const data = { tables: [{ title: 'T1', rows: ['a', 'b'] }] };
+
+            expect(renderTemplate('{{#each tables}}{{#each rows}}{{../title}}-{{this}} {{/each}}{{/each}}', data)).toBe('T1-a T1-b ');
+        });
+
+        it('should render partials with the current scope', () => {
+            const compiled = compileTemplate('{{#each people}}{{> person}};{{/each}}');
+
+            expect(compiled({ people: [{ name: 'Ann' }, { name: 'Bob' }] }, { partials: { person: '<i>{{name}}</i>' } }))
+                .toBe('<i>Ann</i>;<i>Bob</i>;');
+        });
+
+        it('should report unclosed or mismatched blocks, unknown formatters and unknown partials', () => {
+            expect(() => renderTemplate('{{#each items}}x', {})).toThrow('Unclosed "{{#each items}}" block.');
+            expect(() => renderTemplate('{{#if a}}x{{/each}}', {})).toThrow('Unexpected "{{/each}}"');
+            expect(() => renderTemplate('{{a | shout}}', { a: 1 })).toThrow('Unknown template formatter "shout".');
+            expect(() => renderTemplate('{{> footer}}', {})).toThrow('Unknown partial "footer".');
+        });
+    });
+
+    describe('quote templates', () => {
+        // Jest runs from the repository root.
+        const partialsDir = resolve('04-core-code/ui/partials');
+        const detailsTemplate = readFileSync(join(partialsDir, 'detailed-item-list-final.html'), 'utf8');
+        const renderQuote = (fileName, data) => renderTemplate(readFileSync(join(partialsDir, fileName), 'utf8'), data, {
+            partials: {
+                appendixStyles: detailsTemplate.match(/<style>[\s\S]*<\/style>/i)[0],
+                appendix: detailsTemplate.match(/<body[^>]*>([\s\S]*)<\/body>/i)[1]
+            }
+        });
+
+        it('should render the quote page and appendix with customer text escaped', () => {
+            const data = {
+                branding: brandingProfiles.ezBlinds,
+                quoteId: 'RB20261019120000',
+                issueDate: '2026-10-19',
+                dueDate: '2026-11-02',
+                customer: { name: '<script>alert(1)</script>', address: '1 Main St\nUnit 2', phone: '', email: 'a@b.c' },
+                termsAndConditions: 'Line 1\nLine 2',
+                subtotal: 1000, deliveryFee: 0, installationFee: 100, gst: 100, taxLabel: 'GST (10%)',
+                grandTotal: 1100, savings: 50,
+                paymentSchedule: {
+                    milestones: [
+                        { label: 'Deposit', when: 'On acceptance', percent: 50, dueDate: '2026-10-19', amount: 550 },
+                        { label: 'Balance', when: 'On installation', percent: null, dueDate: null, amount: 550 }
+                    ]
+                },
+                packages: [{ name: 'Roller Blind', itemCount: 1, firstPrice: 1050, discountedPrice: 1000 }],
+                productTables: [{
+                    title: 'Roller Blinds - Detailed List',
+                    items: [{ location: 'Bed <1>', width: 1200, height: 1300, fabricType: 'BO', fabric: '', color: '', options: ['O', '1000mm'] }]
+                }]
+            };
+
+            const html = renderQuote('quote-template-final.html', data);
+
+            expect(html).not.toMatch(/\{\{/);
+            expect(html).not.toContain('<script>alert(1)</script>');
+            expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+            expect(html).toContain('1 Main St<br>Unit 2');
+            expect(html).not.toContain('Phone:');
+            expect(html).toContain('19/10/2026');
+            expect(html).toContain('$1100.00');
+            expect(html).toContain('<td>Bed &lt;1&gt;</td>');
+            expect(html).toContain('<td>O, 1000mm</td>');
+            expect(html).toContain('--primary-color: #1a237e;');
+            expect(html).toContain('<h1>EZ Blinds &amp; Shutters</h1>');
+            expect(html).toContain('<strong>BSB:</strong> 062 692');
+            expect(html).toContain('<td>Deposit (50%)</td>');
+            expect(html).toContain('<td>Balance</td>');
+            expect(html).toContain('<td>-</td>');
+        });
+
+        it('should render the trade layout with the chosen branding and without retail figures', () => {
+            const data = {
+                branding: brandingProfiles.alphalead,
+                quoteId: 'RB20261019120000',
+                customer: { name: 'Builder Co', address: '', phone: '', email: '' },
+                termsAndConditions: '30 days from invoice.',
+                subtotal: 1000, deliveryFee: 0, installationFee: 0, gst: 100, taxLabel: 'GST (10%)',
+                grandTotal: 1100, savings: 50,
+                paymentSchedule: {
+                    milestones: [{ label: 'Payment in full', when: 'On delivery', percent: null, dueDate: null, amount: 1100 }]
+                },
+                packages: [{ name: 'Roller Blind', itemCount: 2, firstPrice: 1050, discountedPrice: 1000 }],
+                productTables: []
+            };
+
+            const html = renderQuote('quote-template-trade.html', data);
+
+            expect(html).not.toMatch(/\{\{/);
+            expect(html).toContain('TRADE QUOTATION');
+            expect(html).toContain('<h1>Alphalead Window Furnishings</h1>');
+            expect(html).toContain('--primary-color: #004d40;');
+            expect(html).toContain('$1000.00');
+            expect(html).not.toContain('$1050.00');
+            expect(html).not.toContain('You Saved');
+            expect(html).toContain('<td>Payment in full</td>');
+        });
+    });
+});
@@ -0,0 +1,400 @@
+// /04-core-code/utils/xlsx-parser.js
+
+import { createZip, readZip, decodeUtf8 } from './zip.js';
+import { quoteToRecordTables, recordTablesToData, SUMMARY_FIELD_PREFIX, FIELD_TABLE_HEADER } from './csv-parser.js';
+
+/**
+ * @fileoverview Reads and writes quotes as Office Open XML workbooks (.xlsx), without any library.
+ *
+ * A quote workbook has four sheets:
+ *   - Items: the same item table as the CSV format, with numbers as numeric cells and a
+ *     "Line Total" formula per row (price x multiplier less discount, taken from the F2 Summary sheet);
+ *   - Accessories: each product's accessory counts and prices;
+ *   - F2 Summary: the F2 key/value pairs (lists and objects as JSON), followed by the sum of the line totals;
+ *   - Quote: the remaining quote, customer and summary fields.
+ * Reading maps the sheets back onto the CSV record tables, so both formats share one decoder.
+ */
+
+export const SHEET_NAMES = {
+    ITEMS: 'Items',
+    ACCESSORIES: 'Accessories',
+    F2_SUMMARY: 'F2 Summary',
+    QUOTE: 'Quote'
+};
+
+const LINE_TOTAL_HEADER = 'Line Total';
+const LINE_TOTAL_SUM_LABEL = 'Line Total Sum';
+const PRICE_HEADER = 'Price';
+const ACCESSORIES_PATH = 'accessories';
+const HEADER_STYLE = 1;
+
+const SPREADSHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+/**
+ * Builds an .xlsx workbook.
+ * @param {Array<{name: string, rows: Array<Array<*>>}>} sheets The first row of every sheet is a
+ *   bold header. A cell is a string, number, boolean, empty ('' / null) or `{ formula, value }`,
+ *   where `value` is the cached result shown until the spreadsheet recalculates.
+ * @returns {Uint8Array} The workbook file bytes.
+ */
+export function createWorkbook(sheets) {
+    const sheetOverrides = sheets.map((sheet, index) =>
+        `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+    ).join('');
+    const sheetEntries = sheets.map((sheet, index) =>
+        `<sheet name="${_escapeXml(sheet.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`
+    ).join('');
+    const sheetRelationships = sheets.map((sheet, index) =>
+        `<Relationship Id="rId${index + 1}" Type="${RELATIONSHIP_NS}/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`
+    ).join('');
+
+    return createZip([
+        {
+            name: '[Content_Types].xml',
+            data: XML_DECLARATION +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                sheetOverrides +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            data: XML_DECLARATION +
+                `<Relationships xmlns="${PACKAGE_RELATIONSHIP_NS}">` +
+                `<Relationship Id="rId1" Type="${RELATIONSHIP_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            // Formulas carry cached values; fullCalcOnLoad makes spreadsheet apps recalculate them anyway.
+            data: XML_DECLARATION +
+                `<workbook xmlns="${SPREADSHEET_NS}" xmlns:r="${RELATIONSHIP_NS}">` +
+                `<sheets>${sheetEntries}</sheets><calcPr fullCalcOnLoad="1"/></workbook>`
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            data: XML_DECLARATION +
+                `<Relationships xmlns="${PACKAGE_RELATIONSHIP_NS}">${sheetRelationships}` +
+                `<Relationship Id="rId${sheets.length + 1}" Type="${RELATIONSHIP_NS}/styles" Target="styles.xml"/>` +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/styles.xml',
+            data: XML_DECLARATION +
+                `<styleSheet xmlns="${SPREADSHEET_NS}">` +
+                '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+                '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+                '</styleSheet>'
+        },
+        ...sheets.map((sheet, index) => ({
+            name: `xl/worksheets/sheet${index + 1}.xml`,
+            data: _buildSheetXml(sheet.rows)
+        }))
+    ]);
+}
+
+/**
+ * Reads the sheets of an .xlsx workbook.
+ * @param {Uint8Array} bytes The workbook file bytes.
+ * @returns {Array<{name: string, rows: Array<Array<(string|number|boolean)>>}>} Sheets in workbook
+ *   order; rows are dense arrays with '' for empty cells, and formula cells hold their cached value.
+ */
+export function readWorkbook(bytes) {
+    const entries = readZip(bytes);
+    const readXml = (path) => {
+        const entry = entries.get(path);
+        if (!entry) throw new Error(`Workbook part "${path}" is missing.`);
+        return new DOMParser().parseFromString(decodeUtf8(entry), 'application/xml');
+    };
+
+    const sharedStrings = entries.has('xl/sharedStrings.xml')
+        ? _elements(readXml('xl/sharedStrings.xml'), 'si').map(_readText)
+        : [];
+
+    const targets = new Map(_elements(readXml('xl/_rels/workbook.xml.rels'), 'Relationship')
+        .map(relationship => [relationship.getAttribute('Id'), relationship.getAttribute('Target')]));
+
+    return _elements(readXml('xl/workbook.xml'), 'sheet').map(sheet => {
+        const relationshipId = sheet.getAttributeNS(RELATIONSHIP_NS, 'id') || sheet.getAttribute('r:id');
+        const target = targets.get(relationshipId) || '';
+        const path = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+        return { name: sheet.getAttribute('name'), rows: _readSheetRows(readXml(path), sharedStrings) };
+    });
+}
+
+/**
+ * Converts the application's quote data into an .xlsx workbook.
+ * @param {object} quoteData The application's quote data.
+ * @param {object} [f2State] The F2 summary state (`ui.f2`).
+ * @returns {Uint8Array|null} The workbook file bytes, or null if there is no quote data.
+ */
+export function dataToXlsx(quoteData, f2State = {}) {
+    const tables = quoteToRecordTables(quoteData);
+    if (!tables) return null;
+
+    const f2Entries = Object.entries(f2State || {});
+    const f2RowOf = (key) => {
+        const index = f2Entries.findIndex(([entryKey]) => entryKey === key);
+        return index === -1 ? null : index + 2;
+    };
+    const f2Value = (key) => Number(f2State?.[key]) || 0;
+
+    const [itemHeader, ...itemRecords] = tables.items;
+    const priceIndex = itemHeader.indexOf(PRICE_HEADER);
+    const mulTimesRow = f2RowOf('mulTimes');
+    const discountRow = f2RowOf('discount');
+    const hasLineTotals = priceIndex !== -1 && mulTimesRow !== null && discountRow !== null && itemRecords.length > 0;
+
+    let itemRows = tables.items;
+    const lineTotalColumn = _columnName(itemHeader.length);
+    if (hasLineTotals) {
+        const priceColumn = _columnName(priceIndex);
+        const f2Sheet = _quoteSheetName(SHEET_NAMES.F2_SUMMARY);
+        const factor = f2Value('mulTimes') * (1 - f2Value('discount') / 100);
+        itemRows = [
+            [...itemHeader, LINE_TOTAL_HEADER],
+            ...itemRecords.map((record, index) => {
+                const priceCell = `${priceColumn}${index + 2}`;
+                const price = record[priceIndex];
+                return [...record, {
+                    formula: `IF(${priceCell}="","",ROUND(${priceCell}*${f2Sheet}!$B$${mulTimesRow}*(1-${f2Sheet}!$B$${discountRow}/100),2))`,
+                    value: price === '' ? '' : Math.round(Number(price) * factor * 100) / 100
+                }];
+            })
+        ];
+    }
+
+    const accessoryRows = [];
+    const quoteRows = [tables.fields[0]];
+    tables.fields.slice(1).forEach(([label, value]) => {
+        const accessory = _parseAccessoryLabel(label);
+        if (accessory) {
+            accessoryRows.push([accessory.productKey, accessory.path, value]);
+        } else {
+            quoteRows.push([label, value]);
+        }
+    });
+
+    // Lists and objects (e.g. productSubtotals, feeZone) are written as JSON text.
+    const f2Rows = [['Key', 'Value'], ...f2Entries.map(([key, value]) => [
+        key,
+        value !== null && typeof value === 'object' ? JSON.stringify(value) : value ?? ''
+    ])];
+    if (hasLineTotals) {
+        const lineTotals = itemRows.slice(1).map(row => row[row.length - 1].value);
+        f2Rows.push([], [LINE_TOTAL_SUM_LABEL, {
+            formula: `SUM(${_quoteSheetName(SHEET_NAMES.ITEMS)}!$${lineTotalColumn}$2:$${lineTotalColumn}$${itemRows.length})`,
+            value: Math.round(lineTotals.reduce((sum, total) => sum + (total === '' ? 0 : total), 0) * 100) / 100
+        }]);
+    }
+
+    return createWorkbook([
+        { name: SHEET_NAMES.ITEMS, rows: itemRows },
+        { name: SHEET_NAMES.ACCESSORIES, rows: [['Product', 'Accessory', 'Value'], ...accessoryRows] },
+        { name: SHEET_NAMES.F2_SUMMARY, rows: f2Rows },
+        { name: SHEET_NAMES.QUOTE, rows: quoteRows }
+    ]);
+}
+
+/**
+ * Converts an .xlsx workbook written by `dataToXlsx` back into items per product, the
+ * quote-level fields and the F2 values. Line totals are derived and therefore not read back.
+ * @param {Uint8Array} bytes The workbook file bytes.
+ * @param {object} [options] See `recordTablesToData` in csv-parser.js.
+ * @returns {{products: object, quoteFields: object, lfIndexes: Array<number>, f2: (object|null)}|null}
+ *   The parsed content, or null if parsing fails.
+ */
+export function xlsxToData(bytes, options) {
+    try {
+        const sheets = readWorkbook(bytes);
+        const rowsOf = (name) => sheets.find(sheet => sheet.name === name)?.rows || null;
+
+        const itemRows = (rowsOf(SHEET_NAMES.ITEMS) || sheets[0]?.rows || []).map(row => row.map(_toText));
+        if (itemRows.length === 0) return null;
+        const lineTotalIndex = itemRows[0].indexOf(LINE_TOTAL_HEADER);
+        const items = lineTotalIndex === -1
+            ? itemRows
+            : itemRows.map(row => row.filter((cell, index) => index !== lineTotalIndex));
+
+        const quoteRows = (rowsOf(SHEET_NAMES.QUOTE) || []).map(row => row.map(_toText));
+        const accessoryRows = (rowsOf(SHEET_NAMES.ACCESSORIES) || []).slice(1).map(row => row.map(_toText));
+        const fields = [
+            FIELD_TABLE_HEADER,
+            ...quoteRows.filter((row, index) => index > 0 || row[0] !== FIELD_TABLE_HEADER[0]),
+            ...accessoryRows
+                .filter(([productKey = '']) => productKey.trim() !== '')
+                .map(([productKey, path = '', value = '']) => [
+                    `${SUMMARY_FIELD_PREFIX}${productKey.trim()}.${ACCESSORIES_PATH}${path ? `.${path}` : ''}`,
+                    value
+                ])
+        ];
+
+        return { ...recordTablesToData({ items, fields }, options), f2: _readF2Rows(rowsOf(SHEET_NAMES.F2_SUMMARY)) };
+
+    } catch (error) {
+        console.error("Failed to parse XLSX workbook:", error);
+        return null;
+    }
+}
+
+function _parseAccessoryLabel(label) {
+    if (typeof label !== 'string' || !label.startsWith(SUMMARY_FIELD_PREFIX)) return null;
+    const [productKey, ...path] = label.slice(SUMMARY_FIELD_PREFIX.length).split('.');
+    if (path[0] !== ACCESSORIES_PATH) return null;
+    return { productKey, path: path.slice(1).join('.') };
+}
+
+/**
+ * Reads the F2 key/value rows, which end at the first blank row. JSON text is decoded.
+ */
+function _readF2Rows(rows) {
+    if (!rows) return null;
+    const f2 = {};
+    for (const [key = '', value = ''] of rows.slice(1)) {
+        if (key === '') break;
+        f2[key] = value === '' ? null : _decodeF2Value(value);
+    }
+    return f2;
+}
+
+function _decodeF2Value(value) {
+    if (typeof value !== 'string' || !/^[[{]/.test(value)) return value;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+function _buildSheetXml(rows) {
+    const rowsXml = rows.map((row, rowIndex) => {
+        const rowNumber = rowIndex + 1;
+        const cellsXml = row.map((cell, columnIndex) =>
+            _buildCellXml(`${_columnName(columnIndex)}${rowNumber}`, cell, rowIndex === 0 ? HEADER_STYLE : 0)
+        ).join('');
+        return `<row r="${rowNumber}">${cellsXml}</row>`;
+    }).join('');
+    return `${XML_DECLARATION}<worksheet xmlns="${SPREADSHEET_NS}"><sheetData>${rowsXml}</sheetData></worksheet>`;
+}
+
+function _buildCellXml(reference, cell, style) {
+    const styleAttribute = style ? ` s="${style}"` : '';
+    if (_isFormulaCell(cell)) {
+        const formula = `<f>${_escapeXml(cell.formula)}</f>`;
+        return typeof cell.value === 'number'
+            ? `<c r="${reference}"${styleAttribute}>${formula}<v>${cell.value}</v></c>`
+            : `<c r="${reference}"${styleAttribute} t="str">${formula}<v>${_escapeXml(cell.value ?? '')}</v></c>`;
+    }
+    if (typeof cell === 'number' && Number.isFinite(cell)) {
+        return `<c r="${reference}"${styleAttribute}><v>${cell}</v></c>`;
+    }
+    if (typeof cell === 'boolean') {
+        return `<c r="${reference}"${styleAttribute} t="b"><v>${cell ? 1 : 0}</v></c>`;
+    }
+    if (cell === null || cell === undefined || cell === '') {
+        return '';
+    }
+    const text = String(cell);
+    const space = /^\s|\s$/.test(text) ? ' xml:space="preserve"' : '';
+    return `<c r="${reference}"${styleAttribute} t="inlineStr"><is><t${space}>${_escapeXml(text)}</t></is></c>`;
+}
+
+function _isFormulaCell(cell) {
+    return cell !== null && typeof cell === 'object' && !Array.isArray(cell) && typeof cell.formula === 'string';
+}
+
+function _readSheetRows(sheetDocument, sharedStrings) {
+    const rows = [];
+    _elements(sheetDocument, 'row').forEach(rowElement => {
+        const rowNumber = parseInt(rowElement.getAttribute('r'), 10) || rows.length + 1;
+        const cells = [];
+        _elements(rowElement, 'c').forEach(cellElement => {
+            const reference = cellElement.getAttribute('r');
+            const columnIndex = reference ? _columnIndex(reference) : cells.length;
+            cells[columnIndex] = _readCellValue(cellElement, sharedStrings);
+        });
+        rows[rowNumber - 1] = cells;
+    });
+
+    const width = Math.max(0, ...Array.from(rows, row => (row ? row.length : 0)));
+    return Array.from(rows, row => Array.from({ length: width }, (cell, index) => row?.[index] ?? ''));
+}
+
+function _readCellValue(cellElement, sharedStrings) {
+    const type = cellElement.getAttribute('t') || 'n';
+    const valueElement = _elements(cellElement, 'v')[0];
+    const rawValue = valueElement ? valueElement.textContent : '';
+
+    switch (type) {
+        case 's':
+            return sharedStrings[parseInt(rawValue, 10)] ?? '';
+        case 'inlineStr': {
+            const inlineString = _elements(cellElement, 'is')[0];
+            return inlineString ? _readText(inlineString) : '';
+        }
+        case 'b':
+            return rawValue === '1';
+        case 'str':
+        case 'e':
+            return rawValue;
+        default:
+            return rawValue === '' ? '' : Number(rawValue);
+    }
+}
+
+/**
+ * Joins the text runs of a shared or inline string, leaving out phonetic hints.
+ */
+function _readText(element) {
+    return _elements(element, 't')
+        .filter(textElement => textElement.parentNode.localName !== 'rPh')
+        .map(textElement => textElement.textContent)
+        .join('');
+}
+
+function _elements(node, localName) {
+    return Array.from(node.getElementsByTagNameNS('*', localName));
+}
+
+function _toText(value) {
+    return value === '' ? '' : String(value);
+}
+
+function _columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+function _columnIndex(reference) {
+    const letters = reference.match(/^[A-Z]+/i)[0].toUpperCase();
+    return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+function _quoteSheetName(name) {
+    return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ? name : `'${name.replace(/'/g, "''")}'`;
+}
+
+function _escapeXml(text) {
+    // Control characters other than tab, LF and CR are not allowed in XML at all.
+    const allowedText = [...String(text)].filter(char => char >= ' ' || '\t\n\r'.includes(char)).join('');
+    return allowedText
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // XML parsers turn a literal CR into LF, so it is kept as a character reference.
+        .replace(/\r/g, '&#13;');
+}
@@ -0,0 +1,167 @@
+// File: 04-core-code/utils/xlsx-parser.spec.js
+
+import { createWorkbook, readWorkbook, dataToXlsx, xlsxToData, SHEET_NAMES } from './xlsx-parser.js';
+import { createZip, readZip, decodeUtf8 } from './zip.js';
+import { ConfigManager } from '../config-manager.js';
+import { ProductFactory } from '../strategies/product-factory.js';
+import { CalculationService } from '../services/calculation-service.js';
+import { TaxService } from '../services/tax-service.js';
+import { initialState } from '../config/initial-state.js';
+
+// A zip written by Python's zipfile with DEFLATE: "fixed.txt" uses a fixed Huffman block,
+// "dynamic.xml" a dynamic one, and "folder/" is a directory entry.
+const DEFLATED_ZIP_BASE64 =
+    'UEsDBBQAAAAIANVGU13TPP6gFgAAAB0AAAAJAAAAZml4ZWQudHh0c0pNUTDUUfDLLyrJUHjUMEXBCUkAAFBLAwQUAAAACADVRlNdO9NT5ScBAABSBgAACwAAAGR5bmFtaWMueG1sddRLasNAEIThqwRfwOrueYIiyFl8gIAXzvVjTw1TwrgWBi0KftBn9X7//fu6f1/scuy318PP6+lxRN2vj2O/3p6/5+TY587Xzseups+7WLsYO9s+79LapbFLopvXLo9dE92ydmXsXHTr2tWxy6Lb1q6NXRfdvnYd7090beOL3sayiLKdSKaJGNLEgJJUnCoGlqridDHAmKpTxkCTVZ02Bpym6tQx8Liq08cAVFSdQgairv7iJHIQhag7iRxEVdT99N3AqIghiRxEScVJ5CBqKk4iB5GpOokcRFnVSeQg6qpOIgeRqzqJHERF1INEsc37IvJBo5ifkcgHjWIeN5U/XTcgdTGkUcz7puI0innhVJxGASNTdRrFvHKqTqOYd07VaRQw8rf6P1BLAwQUAAAACADVRlNdAAAAAAIAAAAAAAAABwAAAGZvbGRlci8DAFBLAQIUAxQAAAAIANVGU13TPP6gFgAAAB0AAAAJAAAAAAAAAAAAAACAAQAAAABmaXhlZC50eHRQSwECFAMUAAAACADVRlNdO9NT5ScBAABSBgAACwAAAAAAAAAAAAAAgAE9AAAAZHluYW1pYy54bWxQSwECFAMUAAAACADVRlNdAAAAAAIAAAAAAAAABwAAAAAAAAAAABAA/UGNAQAAZm9sZGVyL1BLBQYAAAAAAwADAKUAAAC0AQAAAAA=';
+
+const base64ToBytes = (base64) => Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+
+describe('xlsx-parser', () => {
+    describe('readZip', () => {
+        it('should inflate entries compressed with fixed and dynamic Huffman blocks', () => {
+            const entries = readZip(base64ToBytes(DEFLATED_ZIP_BASE64));
+
+            const expectedXml = Array.from({ length: 39 }, (_, index) => {
+                const row = index + 1;
+                return `<row r="${row}"><c r="A${row}"><v>${row * 37 % 101}</v></c></row>`;
+            }).join('');
+            expect([...entries.keys()]).toEqual(['fixed.txt', 'dynamic.xml']);
+            expect(decodeUtf8(entries.get('fixed.txt'))).toBe('Bed 1, North — Bed 1, North');
+            expect(decodeUtf8(entries.get('dynamic.xml'))).toBe(expectedXml);
+        });
+    });
+
+    describe('createWorkbook / readWorkbook', () => {
+        it('should round-trip typed cells, formulas and text that needs escaping', () => {
+            const sheets = [
+                {
+                    name: 'Data & Notes',
+                    rows: [
+                        ['Name', 'Qty', 'Done', 'Total'],
+                        [' <Bed 1> & "North" ', 2, true, { formula: 'B2*2', value: 4 }],
+                        ['Line 1\r\nLine 2', null, false, { formula: 'IF(B3="","",B3)', value: '' }]
+                    ]
+                },
+                { name: 'Empty', rows: [] }
+            ];
+
+            const result = readWorkbook(createWorkbook(sheets));
+
+            expect(result).toEqual([
+                {
+                    name: 'Data & Notes',
+                    rows: [
+                        ['Name', 'Qty', 'Done', 'Total'],
+                        [' <Bed 1> & "North" ', 2, true, 4],
+                        ['Line 1\r\nLine 2', '', false, '']
+                    ]
+                },
+                { name: 'Empty', rows: [] }
+            ]);
+        });
+
+        it('should read shared strings and rows that skip cells', () => {
+            const ns = 'xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"';
+            const bytes = createZip([
+                { name: 'xl/workbook.xml', data: `<workbook ${ns} xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="Sheet1" sheetId="1" r:id="rId1"/></sheets></workbook>` },
+                { name: 'xl/_rels/workbook.xml.rels', data: '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="worksheet" Target="/xl/worksheets/sheet1.xml"/></Relationships>' },
+                { name: 'xl/sharedStrings.xml', data: `<sst ${ns}><si><t>Width</t></si><si><r><t>Bed </t></r><r><t>1</t></r></si></sst>` },
+                { name: 'xl/worksheets/sheet1.xml', data: `<worksheet ${ns}><sheetData><row r="1"><c r="A1" t="s"><v>0</v></c></row><row r="3"><c r="C3" t="s"><v>1</v></c><c r="D3"><v>1200.5</v></c></row></sheetData></worksheet>` }
+            ]);
+
+            const [sheet] = readWorkbook(bytes);
+
+            expect(sheet.rows).toEqual([
+                ['Width', '', '', ''],
+                ['', '', '', ''],
+                ['', '', 'Bed 1', 1200.5]
+            ]);
+        });
+    });
+
+    describe('dataToXlsx / xlsxToData', () => {
+        const quoteData = {
+            currentProduct: 'rollerBlind',
+            products: {
+                rollerBlind: {
+                    items: [
+                        { itemId: 'rb-1', width: 1200, height: 1300, fabricType: 'B1', linePrice: 100, location: 'Bed 1' },
+                        { itemId: 'rb-2', width: null, height: null, fabricType: null, linePrice: null, location: '' }
+                    ],
+                    summary: { totalSum: 100, accessories: { winder: { count: 1, price: 30 } } }
+                }
+            },
+            uiMetadata: { lfModifiedRowIndexes: [0] },
+            quoteId: 'RB20261019120000'
+        };
+        const f2State = { mulTimes: 2, discount: 10, deliveryFeeExcluded: true, wifiQty: null };
+
+        it('should write line total formulas with their current values and the F2 values', () => {
+            const sheets = readWorkbook(dataToXlsx(quoteData, f2State));
+            const rowsOf = (name) => sheets.find(sheet => sheet.name === name).rows;
+
+            expect(sheets.map(sheet => sheet.name)).toEqual(Object.values(SHEET_NAMES));
+            const [itemHeader, firstItem] = rowsOf(SHEET_NAMES.ITEMS);
+            expect(itemHeader[itemHeader.length - 1]).toBe('Line Total');
+            expect(firstItem[itemHeader.indexOf('Width')]).toBe(1200);
+            expect(firstItem[itemHeader.length - 1]).toBe(180);
+            expect(rowsOf(SHEET_NAMES.ACCESSORIES)).toEqual([
+                ['Product', 'Accessory', 'Value'],
+                ['rollerBlind', 'winder.count', 1],
+                ['rollerBlind', 'winder.price', 30]
+            ]);
+            expect(rowsOf(SHEET_NAMES.F2_SUMMARY)).toEqual([
+                ['Key', 'Value'],
+                ['mulTimes', 2],
+                ['discount', 10],
+                ['deliveryFeeExcluded', true],
+                ['wifiQty', ''],
+                ['', ''],
+                ['Line Total Sum', 180]
+            ]);
+        });
+
+        it('should read back the items, fields, summary and F2 values it wrote', () => {
+            const createItem = () => ({ itemId: 'new', width: null, height: null, fabricType: null, linePrice: null, location: '' });
+
+            const result = xlsxToData(dataToXlsx(quoteData, f2State), { createItem });
+
+            expect(result.products.rollerBlind.items).toEqual(quoteData.products.rollerBlind.items);
+            expect(result.products.rollerBlind.summary).toEqual(quoteData.products.rollerBlind.summary);
+            expect(result.quoteFields.quoteId).toBe('RB20261019120000');
+            expect(result.lfIndexes).toEqual([0]);
+            expect(result.f2).toEqual(f2State);
+        });
+
+        it('should read back the lists and objects of a calculated F2 summary', () => {
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const configManager = new ConfigManager({ publish: jest.fn() });
+            const calculationService = new CalculationService({
+                productFactory: new ProductFactory({ configManager }),
+                configManager,
+                taxService: new TaxService({ configManager })
+            });
+            const quote = { ...quoteData, issueDate: '2026-10-19', customer: { postcode: '2580', taxExempt: false }, feeOverrides: {} };
+            const ui = JSON.parse(JSON.stringify(initialState.ui));
+            ui.f2 = { ...ui.f2, mulTimes: 2, discount: 10 };
+            const f2 = { ...ui.f2, ...calculationService.calculateF2Summary(quote, ui) };
+            const createItem = () => ({ itemId: 'new', width: null, height: null, fabricType: null, linePrice: null, location: '' });
+
+            const bytes = dataToXlsx(quote, f2);
+            const result = xlsxToData(bytes, { createItem });
+
+            expect(f2.productSubtotals).toEqual([expect.objectContaining({ productKey: 'rollerBlind' })]);
+            expect(f2.feeZone).toEqual({ id: 'regional', name: 'Regional' });
+            expect(result.f2).toEqual(f2);
+            expect(decodeUtf8(readZip(bytes).get('xl/worksheets/sheet3.xml'))).not.toContain('undefined');
+            jest.restoreAllMocks();
+        });
+
+        it('should return null for bytes that are not a workbook', () => {
+            const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            expect(xlsxToData(Uint8Array.from([1, 2, 3]))).toBeNull();
+            consoleError.mockRestore();
+        });
+    });
+});
@@ -0,0 +1,214 @@
+// /04-core-code/utils/zip.js
+
+import { inflateRaw } from './inflate.js';
+
+/**
+ * @fileoverview Minimal ZIP container support for the XLSX format.
+ * `createZip` writes uncompressed (stored) entries; `readZip` reads stored and
+ * DEFLATE-compressed entries, which covers files saved by Excel, LibreOffice and Numbers.
+ */
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+const UTF8_FILE_NAMES = 0x0800;
+
+let crcTable = null;
+
+/**
+ * Packs files into a ZIP archive.
+ * @param {Array<{name: string, data: (Uint8Array|string)}>} files Strings are stored as UTF-8.
+ * @returns {Uint8Array} The archive bytes.
+ */
+export function createZip(files) {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(({ name, data }) => {
+        const nameBytes = encodeUtf8(name);
+        const dataBytes = typeof data === 'string' ? encodeUtf8(data) : data;
+        const crc = crc32(dataBytes);
+
+        const localHeader = new Uint8Array(30 + nameBytes.length);
+        const local = new DataView(localHeader.buffer);
+        local.setUint32(0, LOCAL_FILE_HEADER, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, UTF8_FILE_NAMES, true);
+        local.setUint16(8, METHOD_STORED, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, dataBytes.length, true);
+        local.setUint32(22, dataBytes.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        localHeader.set(nameBytes, 30);
+
+        const centralHeader = new Uint8Array(46 + nameBytes.length);
+        const central = new DataView(centralHeader.buffer);
+        central.setUint32(0, CENTRAL_DIRECTORY_HEADER, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, UTF8_FILE_NAMES, true);
+        central.setUint16(10, METHOD_STORED, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, dataBytes.length, true);
+        central.setUint32(24, dataBytes.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);
+        centralHeader.set(nameBytes, 46);
+
+        localParts.push(localHeader, dataBytes);
+        centralParts.push(centralHeader);
+        offset += localHeader.length + dataBytes.length;
+    });
+
+    const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+    const endRecord = new Uint8Array(22);
+    const end = new DataView(endRecord.buffer);
+    end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return _concat([...localParts, ...centralParts, endRecord]);
+}
+
+/**
+ * Unpacks a ZIP archive.
+ * @param {Uint8Array} bytes The archive bytes.
+ * @returns {Map<string, Uint8Array>} The entry contents by path; directories are left out.
+ */
+export function readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // The end record sits at the very end, followed only by an optional comment.
+    let endOffset = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+        if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+            endOffset = i;
+            break;
+        }
+    }
+    if (endOffset === -1) {
+        throw new Error('Not a ZIP archive.');
+    }
+
+    const entryCount = view.getUint16(endOffset + 10, true);
+    let position = view.getUint32(endOffset + 16, true);
+    const entries = new Map();
+
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(position, true) !== CENTRAL_DIRECTORY_HEADER) {
+            throw new Error('Corrupt ZIP central directory.');
+        }
+        const method = view.getUint16(position + 10, true);
+        const compressedSize = view.getUint32(position + 20, true);
+        const nameLength = view.getUint16(position + 28, true);
+        const extraLength = view.getUint16(position + 30, true);
+        const commentLength = view.getUint16(position + 32, true);
+        const localOffset = view.getUint32(position + 42, true);
+        const name = decodeUtf8(bytes.subarray(position + 46, position + 46 + nameLength));
+        position += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+
+        // Sizes in the local header may be zero (streamed entries), so only its name and extra lengths are used.
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+        if (method === METHOD_STORED) {
+            entries.set(name, data.slice());
+        } else if (method === METHOD_DEFLATE) {
+            entries.set(name, inflateRaw(data));
+        } else {
+            throw new Error(`Unsupported ZIP compression method ${method} for "${name}".`);
+        }
+    }
+    return entries;
+}
+
+/**
+ * Encodes a string as UTF-8 without relying on TextEncoder.
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+export function encodeUtf8(text) {
+    const bytes = [];
+    for (const char of text) {
+        const code = char.codePointAt(0);
+        if (code < 0x80) {
+            bytes.push(code);
+        } else if (code < 0x800) {
+            bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+        } else if (code < 0x10000) {
+            bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+        } else {
+            bytes.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 0x3f), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+        }
+    }
+    return Uint8Array.from(bytes);
+}
+
+/**
+ * Decodes UTF-8 bytes without relying on TextDecoder. A leading BOM is dropped.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function decodeUtf8(bytes) {
+    let text = '';
+    let i = bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf ? 3 : 0;
+    while (i < bytes.length) {
+        const byte = bytes[i];
+        let code;
+        if (byte < 0x80) {
+            code = byte;
+            i += 1;
+        } else if (byte < 0xe0) {
+            code = ((byte & 0x1f) << 6) | (bytes[i + 1] & 0x3f);
+            i += 2;
+        } else if (byte < 0xf0) {
+            code = ((byte & 0x0f) << 12) | ((bytes[i + 1] & 0x3f) << 6) | (bytes[i + 2] & 0x3f);
+            i += 3;
+        } else {
+            code = ((byte & 0x07) << 18) | ((bytes[i + 1] & 0x3f) << 12) | ((bytes[i + 2] & 0x3f) << 6) | (bytes[i + 3] & 0x3f);
+            i += 4;
+        }
+        text += String.fromCodePoint(code);
+    }
+    return text;
+}
+
+/**
+ * CRC-32 as used by ZIP (polynomial 0xEDB88320).
+ * @param {Uint8Array} bytes
+ * @returns {number} The unsigned checksum.
+ */
+export function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function _concat(parts) {
+    const result = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        result.set(part, offset);
+        offset += part.length;
+    });
+    return result;
+}